@@ -0,0 +1,15 @@
+// api/jobs/[id].js - Status of an async webhook job
+import { getJobQueue } from '../../lib/job-queue.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const job = await getJobQueue().get(req.query.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', jobId: req.query.id });
+    }
+
+    return res.status(200).json(job);
+}
@@ -1,12 +1,71 @@
 // api/webhook.js - Fixed Puppeteer with Enhanced Data Extraction
 import puppeteer from 'puppeteer-core';
 import chromium from '@sparticuz/chromium';
+import { createDedupeStore } from '../lib/dedupe-store.js';
+import { getJobQueue } from '../lib/job-queue.js';
+import { createNegotiationStore } from '../lib/negotiation-store.js';
+import { createSessionStore } from '../lib/session-store.js';
+import { BrowserPool, getSharedBrowserPool, closeSharedBrowserPool } from '../lib/browser-pool.js';
+import { DashboardPage, ShipmentPage } from '../lib/quotefactory/pages.js';
+import { SELECTOR_REGISTRY } from '../lib/quotefactory/selectors.js';
+import { createShipmentResolver } from '../lib/quotefactory/shipment-resolver.js';
+import LoadModel from '../zapier-modules/models/load-model.js';
+import EmailParser from '../zapier-modules/parsers/email-parser.js';
+import { SourceDetector } from '../zapier-modules/parsers/source-detector.js';
+import { IntentClassifier } from '../zapier-modules/parsers/intent-classifier.js';
+import ResponseFormatter from '../zapier-modules/formatters/response-formatter.js';
+import { Negotiator } from '../zapier-modules/negotiation/negotiator.js';
+import { Deadline } from '../lib/deadline.js';
+import { PuppeteerLookupProvider } from '../lib/lookup/puppeteer-provider.js';
+import { createLookupChain } from '../zapier-modules/lookup/lookup-chain.js';
+import QuoteFactoryApiProvider from '../zapier-modules/lookup/api-provider.js';
+import QuoteFactoryHttpSearchProvider from '../zapier-modules/lookup/http-search-provider.js';
+
+
+// Overall time budget for one lookup; stays under the function's maxDuration
+const LOOKUP_DEADLINE_MS = Number(process.env.LOOKUP_DEADLINE_MS) || 25000;
+
+// QuoteFactory web app; QF_APP_URL points the scraper elsewhere, e.g. at the mock server
+const QF_APP_URL = (process.env.QF_APP_URL || SELECTOR_REGISTRY.urls.app).replace(/\/$/, '');
+const QF_DASHBOARD_URL = QF_APP_URL + SELECTOR_REGISTRY.urls.dashboard;
+
+// Load-board detection shared with the Zapier steps; extraction uses the detected source's parser
+const sourceDetector = new SourceDetector();
+
+// What the carrier wants; anything other than load details gets its ResponseFormatter scenario
+const intentClassifier = new IntentClassifier();
+const intentResponseFormatter = new ResponseFormatter();
+
+// Automations with an open browser, so a shutting-down server can close them
+const activeAutomations = new Set();
+
+// Saved QuoteFactory cookies/localStorage shared by every lookup in this process
+let sharedSessionStore = null;
+try {
+    sharedSessionStore = createSessionStore();
+} catch (error) {
+    console.log('⚠️ Session store disabled:', error.message);
+}
+
+// Reference -> shipment id mappings, so repeat lookups skip the search UI
+const sharedShipmentResolver = createShipmentResolver();
+
+// Lookup providers tried in order; set per deployment with LOOKUP_PROVIDERS
+// (puppeteer, api, http-search)
+const DEFAULT_LOOKUP_PROVIDERS = 'puppeteer,api';
 
 
 class LoadAutomationEnhanced {
-    constructor() {
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
+        this.pageLeased = false;
+        this.lastError = null;
+        this.deadline = options.deadline || new Deadline(LOOKUP_DEADLINE_MS);
+        this.sessionStore = options.sessionStore !== undefined ? options.sessionStore : sharedSessionStore;
+        this.shipmentResolver = options.shipmentResolver || sharedShipmentResolver;
+        this.shipmentId = null;
+        this.referenceExtraction = null;
     }
 
 
@@ -15,66 +74,81 @@ class LoadAutomationEnhanced {
     }
 
 
-    async initialize() {
-        try {
-            console.log('🚀 Initializing browser for QuoteFactory...');
-           
-            // Strategy 1: Use Browserless.io service (RECOMMENDED for Vercel)
-            if (process.env.BROWSERLESS_TOKEN) {
-                console.log('🌐 Using Browserless.io service...');
-                try {
-                    this.browser = await puppeteer.connect({
-                        browserWSEndpoint: `wss://production-sfo.browserless.io?token=${process.env.BROWSERLESS_TOKEN}`,
-                    });
-                    console.log('✅ Connected to Browserless.io successfully');
-                } catch (browserlessError) {
-                    console.log('❌ Browserless.io failed:', browserlessError.message);
-                    console.log('💡 Please check your token at https://www.browserless.io/');
-                }
-            } else {
-                console.log('⚠️ No BROWSERLESS_TOKEN found - browser automation may fail on Vercel');
-                console.log('💡 Get free token from https://www.browserless.io/');
+    // Connect to Browserless.io, or launch local Chrome outside serverless
+    static async launchBrowser() {
+        let browser = null;
+       
+        // Strategy 1: Use Browserless.io service (RECOMMENDED for Vercel)
+        if (process.env.BROWSERLESS_TOKEN) {
+            console.log('🌐 Using Browserless.io service...');
+            try {
+                browser = await puppeteer.connect({
+                    browserWSEndpoint: `wss://production-sfo.browserless.io?token=${process.env.BROWSERLESS_TOKEN}`,
+                });
+                console.log('✅ Connected to Browserless.io successfully');
+            } catch (browserlessError) {
+                console.log('❌ Browserless.io failed:', browserlessError.message);
+                console.log('💡 Please check your token at https://www.browserless.io/');
             }
-           
-            // Strategy 2: Try local chromium if no browser yet
-            if (!this.browser) {
-                console.log('🔧 Attempting local chromium (may fail on serverless)...');
-                const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
-               
-                if (isServerless) {
-                    console.log('⚠️ WARNING: Running in serverless environment without Browserless.io');
-                    console.log('⚠️ This will likely fail due to missing system libraries');
-                    throw new Error('Browser automation requires Browserless.io token in serverless environments. Please add BROWSERLESS_TOKEN to environment variables.');
-                }
-               
-                // Local development only
-                console.log('💻 Using local Chrome installation...');
-                const launchOptions = {
-                    headless: true,
-                    args: ['--no-sandbox', '--disable-setuid-sandbox']
-                };
-               
-                this.browser = await puppeteer.launch(launchOptions);
+        } else {
+            console.log('⚠️ No BROWSERLESS_TOKEN found - browser automation may fail on Vercel');
+            console.log('💡 Get free token from https://www.browserless.io/');
+        }
+       
+        // Strategy 2: Try local chromium if no browser yet
+        if (!browser) {
+            console.log('🔧 Attempting local chromium (may fail on serverless)...');
+            const isServerless = !!process.env.VERCEL || !!process.env.AWS_LAMBDA_FUNCTION_NAME;
+           
+            if (isServerless) {
+                console.log('⚠️ WARNING: Running in serverless environment without Browserless.io');
+                console.log('⚠️ This will likely fail due to missing system libraries');
+                throw new Error('Browser automation requires Browserless.io token in serverless environments. Please add BROWSERLESS_TOKEN to environment variables.');
             }
            
-            this.page = await this.browser.newPage();
+            // Local development only
+            console.log('💻 Using local Chrome installation...');
+            const launchOptions = {
+                headless: true,
+                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            };
            
-            await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+            browser = await puppeteer.launch(launchOptions);
+        }
+       
+        return browser;
+    }
+
+
+    // User agent and resource blocking applied to every QuoteFactory page
+    static async preparePage(page) {
+        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+       
+        // Block heavy resources to save memory and time
+        await page.setRequestInterception(true);
+        page.on('request', (req) => {
+            const url = req.url();
+            const resourceType = req.resourceType();
+           
+            if (url.includes('quotefactory.com') || url.includes('auth0.com') || url.startsWith(QF_APP_URL)) {
+                req.continue();
+            } else if (['image', 'font', 'stylesheet'].includes(resourceType)) {
+                req.abort();
+            } else {
+                req.continue();
+            }
+        });
+    }
+
+
+    async initialize() {
+        try {
+            console.log('🚀 Initializing browser for QuoteFactory...');
            
-            // Block heavy resources to save memory and time
-            await this.page.setRequestInterception(true);
-            this.page.on('request', (req) => {
-                const url = req.url();
-                const resourceType = req.resourceType();
-               
-                if (url.includes('quotefactory.com') || url.includes('auth0.com')) {
-                    req.continue();
-                } else if (['image', 'font', 'stylesheet'].includes(resourceType)) {
-                    req.abort();
-                } else {
-                    req.continue();
-                }
-            });
+            this.browser = await LoadAutomationEnhanced.launchBrowser();
+            activeAutomations.add(this);
+            this.page = await this.browser.newPage();
+            await LoadAutomationEnhanced.preparePage(this.page);
            
             console.log('✅ Browser initialized successfully');
             return true;
@@ -86,64 +160,131 @@ class LoadAutomationEnhanced {
     }
 
 
+    // Use a page leased from the browser pool; cleanup() leaves it open
+    attachPage(page) {
+        this.page = page;
+        this.pageLeased = true;
+    }
+
+
     async cleanup() {
         try {
-            if (this.page) await this.page.close();
+            if (this.page && !this.pageLeased) await this.page.close();
             if (this.browser) await this.browser.close();
             console.log('✅ Browser cleanup completed');
         } catch (error) {
             console.error('❌ Cleanup error:', error);
+        } finally {
+            this.page = null;
+            this.browser = null;
+            activeAutomations.delete(this);
         }
     }
 
 
-    extractLoadReference(emailBody) {
-        const exclusionPatterns = [
-            /MC\s*\d+/i,
-            /DOT\s*\d+/i,
-            /USDOT\s*\d+/i,
-            /invoice\s*#?\s*\d+/i,
-            /bill\s*#?\s*\d+/i
-        ];
+    // Load reference from the email subject and text, or null when no candidate clears the score threshold
+    extractLoadReference(emailBody, subject = '', sourceId = undefined) {
+        const result = EmailParser.forSource(sourceId).extractLoadReference(emailBody, { subject });
+        this.referenceExtraction = result;
+
+        if (result.crossCheck.status === 'conflict') {
+            console.log(`⚠️ Subject names ${result.crossCheck.subjectReference}, body names ${result.crossCheck.bodyReference}`);
+        }
+
+        if (!result.found) {
+            console.log(`❌ No valid load reference found: ${result.message}`);
+            return null;
+        }
+
+        console.log(`🔎 Load reference ${result.reference} (${result.rule}, confidence ${result.confidence})`);
+        return result.reference;
+    }
+
+
+    isLoginRedirect(url) {
+        return url.includes('auth.quotefactory.com') || url.includes('auth0.com') || url.includes('/login');
+    }
+
+
+    // Try saved cookies/localStorage before falling back to a full login
+    async restoreSession() {
+        if (!this.sessionStore) return false;
        
-        for (const pattern of exclusionPatterns) {
-            const match = emailBody.match(pattern);
-            if (match) {
-                console.log(`❌ Found exclusion pattern: ${match[0]} - ignoring`);
-                emailBody = emailBody.replace(pattern, '');
+        try {
+            const state = await this.sessionStore.load();
+            if (!state) {
+                console.log('ℹ️ No saved QuoteFactory session');
+                return false;
             }
+           
+            console.log('🍪 Restoring saved QuoteFactory session...');
+            await this.sessionStore.apply(this.page, state);
+            await this.deadline.step('session-restore', 15000, timeout => this.page.goto(QF_DASHBOARD_URL, {
+                waitUntil: 'domcontentloaded',
+                timeout
+            }));
+           
+            // The Auth0 SPA may bounce to the login page after it boots - wait for either outcome
+            const outcome = await this.deadline.step('session-check', 10000, timeout => this.page.waitForFunction(
+                () => {
+                    if (window.location.hostname.startsWith('auth') || window.location.href.includes('/login')) return 'login';
+                    return Array.from(document.querySelectorAll('button')).some(b => /find|anything/i.test(b.textContent)) && 'dashboard';
+                },
+                { timeout }
+            ).then(handle => handle.jsonValue())).catch(() => null);
+           
+            const currentUrl = this.page.url();
+            if (outcome === 'login' || this.isLoginRedirect(currentUrl)) {
+                console.log('🔁 Saved session was rejected (login redirect):', currentUrl);
+                await this.sessionStore.invalidate();
+                return false;
+            }
+           
+            // Neither page showed up in time (slow boot or redirect) - log in, but keep the saved session
+            if (outcome !== 'dashboard') {
+                console.log('⏳ Could not confirm the saved session in time - logging in without discarding it:', currentUrl);
+                return false;
+            }
+           
+            return true;
+        } catch (error) {
+            console.log('⚠️ Session restore failed:', error.message);
+            return false;
         }
+    }
+
+
+    async saveSession() {
+        if (!this.sessionStore) return;
        
-        const patterns = [
-            /order\s*#?\s*(\d{6,8})/i,
-            /reference\s+number\s+(\d{6,8})/i,
-            /ref[:\s]+(\d{6,8})/i,
-            /\b(\d{6})\b/i,
-            /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
-            /([A-Z]{2,4}[\-\_\s]*\d{3,8}[\-\_\s]*[A-Z0-9]*)/i,
-            /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/i
-        ];
-       
-        for (let i = 0; i < patterns.length; i++) {
-            const pattern = patterns[i];
-            const match = emailBody.match(pattern);
+        try {
+            await this.sessionStore.capture(this.page);
+        } catch (error) {
+            console.log('⚠️ Could not save QuoteFactory session:', error.message);
+        }
+    }
+
+
+    // Bring a pooled page back to a clean dashboard between leases
+    async resetPage() {
+        try {
+            await this.page.keyboard.press('Escape').catch(() => {});
+            await this.deadline.step('page-reset', 15000, timeout => this.page.goto(QF_DASHBOARD_URL, {
+                waitUntil: 'domcontentloaded',
+                timeout
+            }));
            
-            if (match && match[1]) {
-                let cleanMatch = match[1].trim();
-                cleanMatch = cleanMatch.replace(/[^\w\-]/g, '');
-               
-                if (cleanMatch &&
-                    cleanMatch.length >= 4 &&
-                    !cleanMatch.toUpperCase().startsWith('MC') &&
-                    !cleanMatch.toUpperCase().startsWith('DOT')) {
-                   
-                    return cleanMatch;
-                }
+            if (this.isLoginRedirect(this.page.url())) {
+                console.log('🔁 Pooled page lost its session - logging in again');
+                if (this.sessionStore) await this.sessionStore.invalidate();
+                return await this.loginToQuoteFactory();
             }
+           
+            return true;
+        } catch (error) {
+            console.log('⚠️ Page reset failed:', error.message);
+            return false;
         }
-       
-        console.log('❌ No valid load reference found');
-        return null;
     }
 
 
@@ -162,27 +303,34 @@ class LoadAutomationEnhanced {
             this.page.setDefaultTimeout(15000);
             this.page.setDefaultNavigationTimeout(15000);
            
-            await this.page.goto('https://app.quotefactory.com', {
+            if (await this.restoreSession()) {
+                console.log('✅ Reused saved QuoteFactory session - skipping login');
+                return true;
+            }
+           
+            await this.deadline.step('login-page', 15000, timeout => this.page.goto(QF_APP_URL, {
                 waitUntil: 'domcontentloaded',
-                timeout: 15000
-            });
+                timeout
+            }));
            
             console.log('Current URL:', this.page.url());
            
             if (this.page.url().includes('/broker/dashboard')) {
                 console.log('✅ Already on dashboard!');
+                await this.saveSession();
                 return true;
             }
            
             console.log('🔄 Need to perform login...');
-            await this.wait(500);
            
             try {
                 let loginSuccess = false;
                
                 // Method 1: Direct form fields
                 try {
-                    await this.page.waitForSelector('input[type="email"], input[name="username"]', { timeout: 10000 });
+                    await this.page.waitForSelector('input[type="email"], input[name="username"]', {
+                        timeout: this.deadline.budget('login-form', 10000)
+                    });
                     const emailField = await this.page.$('input[type="email"], input[name="username"]');
                     const passwordField = await this.page.$('input[type="password"]');
                    
@@ -208,7 +356,9 @@ class LoadAutomationEnhanced {
                             if (frameUrl.includes('auth0.com')) {
                                 console.log('Found Auth0 frame:', frameUrl);
                                
-                                await frame.waitForSelector('input[type="email"], input[name="username"]', { timeout: 5000 });
+                                await frame.waitForSelector('input[type="email"], input[name="username"]', {
+                                    timeout: this.deadline.budget('login-iframe', 5000)
+                                });
                                 const emailField = await frame.$('input[type="email"], input[name="username"]');
                                 const passwordField = await frame.$('input[type="password"]');
                                
@@ -233,31 +383,18 @@ class LoadAutomationEnhanced {
                
                 console.log('⏳ Waiting for login to complete...');
                
-                // Wait for OAuth callback redirect to complete
+                // Wait for the OAuth callback to land on the dashboard
                 try {
-                    await this.page.waitForFunction(
+                    await this.deadline.step('login-redirect', 15000, timeout => this.page.waitForFunction(
                         () => window.location.href.includes('/broker/dashboard') || window.location.href.includes('/dashboard'),
-                        { timeout: 2000 }
-                    );
+                        { timeout, polling: 100 }
+                    ));
                     console.log('✅ Login successful!');
+                    await this.saveSession();
                     return true;
                 } catch (timeoutError) {
-                    const currentUrl = this.page.url();
-                    console.log('Post-login URL:', currentUrl);
-                   
-                    // If we're on the auth callback, wait a bit more for redirect
-                    if (currentUrl.includes('/auth?code=')) {
-                        console.log('⏳ On OAuth callback, waiting for redirect...');
-                        await this.wait(3000);
-                       
-                        const finalUrl = this.page.url();
-                        if (finalUrl.includes('/broker/dashboard') || finalUrl.includes('/dashboard')) {
-                            console.log('✅ Login successful after redirect!');
-                            return true;
-                        }
-                    }
-                   
-                    console.log('❌ Login may have failed - not on dashboard');
+                    console.log('Post-login URL:', this.page.url());
+                    console.log('❌ Login may have failed - not on dashboard:', timeoutError.message);
                     return false;
                 }
                
@@ -273,72 +410,76 @@ class LoadAutomationEnhanced {
     }
 
 
+    // Use the QuoteFactory search to list the shipments matching a reference
+    async searchShipmentCandidates(loadReference) {
+        const dashboard = new DashboardPage(this.page);
+       
+        // Step 1: Click search button and wait for the search field
+        console.log("⌨️  Opening search by clicking button...");
+       
+        try {
+            await this.deadline.step('search-open', 5000, timeout => dashboard.openSearch(timeout));
+            console.log("✅ Search field appeared!");
+        } catch (err) {
+            console.log("❌ Could not open search:", err.message);
+            if (this.sessionStore && this.isLoginRedirect(this.page.url())) {
+                console.log('🔁 Redirected to login during search');
+                await this.sessionStore.invalidate();
+            }
+            throw err;
+        }
+       
+        // Step 2: Type the reference, press Enter and wait for the results XHR and list
+        console.log(`⌨️  Searching for: ${loadReference}`);
+        await this.deadline.step('search-results', 10000, timeout => dashboard.submitSearch(loadReference, timeout));
+        console.log("✅ Search results rendered");
+       
+        return dashboard.readSearchResults();
+    }
+
+
+    // Go straight to the shipment page and wait for its stops to render
+    async openShipment(shipmentId) {
+        const shipment = new ShipmentPage(this.page);
+        await this.deadline.step('shipment-open', 15000, timeout => shipment.open(shipmentId, timeout));
+       
+        if (this.isLoginRedirect(this.page.url())) {
+            if (this.sessionStore) await this.sessionStore.invalidate();
+            throw new Error('Redirected to login while opening shipment');
+        }
+       
+        await this.deadline.step('shipment-render', 10000, timeout => shipment.waitForLoaded(timeout));
+    }
+
+
     async searchLoadInfo(loadReference) {
         try {
             console.log(`\n🔎 Searching for load reference: ${loadReference}`);
+            const search = ref => this.searchShipmentCandidates(ref);
            
-            // Step 1: Click search button to open search
-            console.log("⌨️  Opening search by clicking button...");
+            // Step 3: Map the reference to a shipment id (cached or from the results) and open it
+            let resolution = await this.shipmentResolver.resolve(loadReference, search);
+            console.log(`🔗 ${loadReference} -> shipment ${resolution.shipmentId}${resolution.cached ? ' (cached)' : ''}`);
            
-            let searchFieldFound = false;
             try {
-                await this.page.evaluate(() => {
-                    const buttons = Array.from(document.querySelectorAll('button'));
-                    const searchBtn = buttons.find(btn =>
-                        btn.textContent.includes('Find') ||
-                        btn.textContent.includes('anything')
-                    );
-                    if (searchBtn) {
-                        searchBtn.click();
-                        return true;
-                    }
-                    return false;
-                });
-                console.log("✅ Clicked search button");
-                await this.wait(1500);
-                await this.page.waitForSelector('#search_field', { timeout: 5000 });
-                searchFieldFound = true;
-                console.log("✅ Search field appeared!");
-            } catch (err) {
-                console.log("❌ Could not open search");
-            }
-           
-            if (!searchFieldFound) {
-                console.log('❌ Search field not found');
-                return null;
+                await this.openShipment(resolution.shipmentId);
+            } catch (error) {
+                if (!resolution.cached) throw error;
+               
+                // The cached shipment no longer loads - search again from the dashboard
+                console.log(`⚠️ Cached shipment ${resolution.shipmentId} did not load: ${error.message}`);
+                await this.shipmentResolver.forget(loadReference);
+                if (!await this.resetPage()) throw error;
+                resolution = await this.shipmentResolver.resolve(loadReference, search);
+                await this.openShipment(resolution.shipmentId);
             }
+            this.shipmentId = resolution.shipmentId;
            
-            console.log("✅ Search field is ready!");
-           
-            // Step 3: Type the reference
-            console.log(`⌨️  Typing load reference: ${loadReference}`);
-            await this.page.click('#search_field', { clickCount: 3 });
-            await this.page.type('#search_field', loadReference, { delay: 50 });
-            console.log(`✅ Typed: ${loadReference}`);
-           
-            // Step 4: Press Enter
-            console.log("⏎ Pressing Enter to search...");
-            await this.page.keyboard.press('Enter');
-            console.log("✅ Enter pressed");
-           
-            // Step 5: Wait for results to load
-            console.log("⏳ Waiting for search results to load...");
-            await this.wait(8000);
-           
-            // Click on search result
-            await this.page.evaluate(() => {
-                ['.\\@container a[data-current="true"]', '.\\@container a', '.\\@container'].some(sel => {
-                    const el = document.querySelector(sel);
-                    if (el) { el.click(); return true; }
-                });
-            });
-            await this.wait(5000);
-           
-            // Step 6: Extract load info with enhanced extraction
+            // Step 4: Extract load info with enhanced extraction
             console.log("📊 Extracting load details...");
             const loadInfo = await this.extractLoadDetailsFromPage();
            
-            if (loadInfo && (loadInfo.loadReference !== "N/A" || loadInfo.pickup !== "N/A" || loadInfo.delivery !== "N/A")) {
+            if (loadInfo && (loadInfo.loadReference || loadInfo.stops.length > 0)) {
                 console.log("✅ Load data extracted successfully");
                 return loadInfo;
             } else {
@@ -348,150 +489,56 @@ class LoadAutomationEnhanced {
            
         } catch (error) {
             console.error('❌ Load search failed:', error.message);
+            if (error.candidates) {
+                error.candidates.forEach(c => console.log(`   • ${c.shipmentId}: ${c.label}`));
+            }
+            this.lastError = error;
             return null;
         }
     }
 
 
+    // Selectors and fallbacks live in lib/quotefactory/selectors.js
     async extractLoadDetailsFromPage() {
-        return await this.page.evaluate(() => {
-            const text = document.body.innerText;
-           
-            // Extract BOL/Load Reference
-            const bolMatch = text.match(/BOL[\s\n]+(\d+)/i);
-            const loadReference = bolMatch ? bolMatch[1] : "N/A";
-           
-            // Extract Rate from specific styled div
-            let rate = "N/A";
-            const priceDiv = document.querySelector('.text-right.py-2.font-bold.order-last.px-3');
-            if (priceDiv) {
-                const m = priceDiv.textContent.match(/\$[\d,]+\.?\d*/);
-                if (m) rate = m[0];
-            }
-           
-            // Extract Weight
-            let weight = "N/A";
-            const weightDiv = Array.from(document.querySelectorAll("div")).find(d => d.textContent.trim() === "Weight");
-            if (weightDiv) {
-                const val = weightDiv.closest(".flex")?.querySelector("div.font-semibold, .text-12, .text-15");
-                if (val) {
-                    const txt = val.textContent.replace(/\u202F/g, "").trim();
-                    weight = txt.match(/lb/i) ? txt : `${txt} lb`;
-                }
-            }
-           
-            // Extract Commodity
-            let commodity = "N/A";
-            const commDiv = Array.from(document.querySelectorAll("div.text-black-100.text-12.pt-1.flex.items-baseline")).find(d => d.querySelector("div.font-semibold"));
-            if (commDiv) {
-                const strong = commDiv.querySelector("div.font-semibold")?.textContent.trim() || "";
-                commodity = strong.replace(/&nbsp;/g, '').trim();
-            }
-           
-            // Helper function to convert "4:25am" or "12:45pm" → "0425" or "1245"
-            function toMilitaryNoColon(timeStr) {
-                const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
-                if (!match) return timeStr.replace(/:/g, '').trim();
-                let [_, hour, minute, period] = match;
-                hour = parseInt(hour, 10);
-                if (period) {
-                    period = period.toLowerCase();
-                    if (period === 'pm' && hour !== 12) hour += 12;
-                    if (period === 'am' && hour === 12) hour = 0;
-                }
-                return `${String(hour).padStart(2, '0')}${minute}`;
-            }
-
-
-            const locs = Array.from(document.querySelectorAll('[id^="shipment-location-"]'));
-            const pickups = [], deliveries = [];
-            let foundPickup = false;
-
-
-            locs.forEach(loc => {
-                const addr = loc.querySelector('address');
-                if (!addr) return;
-
-
-                const lines = Array.from(addr.querySelectorAll('div')).map(d => d.textContent.trim()).filter(Boolean);
-                let cityState = lines.length > 1 ? lines[lines.length - 1].replace(/\s*\d{5}(?:-\d{4})?/, "").trim() : "";
-
-
-                const timeContainers = Array.from(loc.querySelectorAll('div.text-14'));
-                let dateTime = "N/A";
-
-
-                const timeContainer = timeContainers.find(container => container.querySelector('time'));
-
-
-                if (timeContainer) {
-                    const times = timeContainer.querySelectorAll('time');
-
-
-                    if (times.length >= 2) {
-                        // Time range (e.g., "9:00am - 6:00pm")
-                        const startTime = toMilitaryNoColon(times[0].textContent.trim());
-                        const endTime = toMilitaryNoColon(times[1].textContent.trim());
-
-
-                        const datetimeAttr = times[0].getAttribute('datetime');
-                        if (datetimeAttr) {
-                            const d = new Date(datetimeAttr);
-                            const mo = String(d.getMonth() + 1).padStart(2, '0');
-                            const day = String(d.getDate()).padStart(2, '0');
-                            dateTime = `${mo}/${day} ${startTime}-${endTime}`;
-                        } else {
-                            dateTime = `${startTime}-${endTime}`;
-                        }
-                    } else if (times.length === 1) {
-                        // Single time (e.g., "4:28pm")
-                        const time = toMilitaryNoColon(times[0].textContent.trim());
-                        const datetimeAttr = times[0].getAttribute('datetime');
-                        if (datetimeAttr) {
-                            const d = new Date(datetimeAttr);
-                            const mo = String(d.getMonth() + 1).padStart(2, '0');
-                            const day = String(d.getDate()).padStart(2, '0');
-                            dateTime = `${mo}/${day} ${time}`;
-                        } else {
-                            dateTime = `${time}`;
-                        }
-                    }
-                }
-
-
-                const txt = loc.textContent.toLowerCase();
-                const isPickup = txt.includes('PICK UP') || (txt.includes('PICKED UP') && !txt.includes('DELIVER'));
-                const isDelivery = txt.includes('DELIVER');
-
-
-                let finalPickup = isPickup, finalDelivery = isDelivery;
-                if (!finalPickup && !finalDelivery) {
-                    if (!foundPickup) finalPickup = true;
-                    else finalDelivery = true;
-                }
+        return new ShipmentPage(this.page).extract();
+    }
 
 
-                if (finalPickup) {
-                    foundPickup = true;
-                    pickups.push(`${cityState}, ${dateTime}`);
-                } else if (finalDelivery) {
-                    deliveries.push(`${cityState}, ${dateTime}`);
-                }
-            });
+    // Handling units, customer references and hazmat, one line each when the load has them
+    formatLoadExtras(loadInfo) {
+        const lines = [];
+        const handlingUnits = LoadModel.formatHandlingUnits(loadInfo);
+        const references = LoadModel.formatReferences(loadInfo);
 
+        if (handlingUnits) lines.push(`Handling units: ${handlingUnits}`);
+        if (references) lines.push(`References: ${references}`);
+        if (loadInfo.commodity.hazmat) {
+            lines.push(`⚠️ Hazmat${loadInfo.commodity.hazmatDetails ? `: ${loadInfo.commodity.hazmatDetails}` : ''}`);
+        }
 
-            const pickup = pickups.length ? pickups.map((p, i) => `Pickup ${i + 1}: ${p}`).join("\n") : "N/A";
-            const delivery = deliveries.length ? deliveries.map((d, i) => `Delivery ${i + 1}: ${d}`).join("\n") : "N/A";
+        return lines.map(line => `\n${line}`).join('');
+    }
 
 
-            return { loadReference, rate, weight, commodity, pickup, delivery };
+    // Reply for a counter-offer, empty truck, booking, rate con request or unsubscribe
+    formatIntentResponse(intent, loadReference, loadInfo, subject, negotiation = null) {
+        const response = intentResponseFormatter.formatResponse(intent.scenario, {
+            originalSubject: subject,
+            loadReference,
+            loadData: LoadModel.hasStops(loadInfo) ? loadInfo : null,
+            fields: intent.fields,
+            negotiation
         });
+
+        return { scenario: response.metadata.scenario, subject: response.subject, body: response.body };
     }
 
 
+    // Reply subject and body; scenario uses ResponseFormatter's names (load_found, error, no_reference)
     formatResponse(loadReference, loadInfo, subject, originalEmail) {
-        if (loadInfo && loadInfo.pickup !== "N/A") {
+        if (LoadModel.hasStops(loadInfo)) {
             return {
+                scenario: 'load_found',
                 subject: `Re: ${subject}`,
                 body: `Hello,
 
@@ -500,11 +547,12 @@ Thank you for your inquiry about load ${loadReference}. Here are the details:
 
 
 📦 LOAD DETAILS:
-${loadInfo.pickup}
-${loadInfo.delivery}
-Weight: ${loadInfo.weight}
-Commodity: ${loadInfo.commodity}
-Rate: ${loadInfo.rate}
+${LoadModel.formatStopLines(loadInfo).join('\n')}
+Equipment: ${LoadModel.formatEquipment(loadInfo) || 'N/A'}
+Miles: ${LoadModel.formatDistance(loadInfo) || 'N/A'}
+Weight: ${loadInfo.commodity.weight || 'N/A'}
+Commodity: ${loadInfo.commodity.description || 'N/A'}${this.formatLoadExtras(loadInfo)}
+Rate: ${loadInfo.rate.formatted || 'N/A'}
 
 
 🚛 CAPACITY INQUIRY:
@@ -520,6 +568,7 @@ Automated response with live QuoteFactory data`
             };
         } else if (loadReference) {
             return {
+                scenario: 'error',
                 subject: `Re: ${subject}`,
                 body: `Hello,
 
@@ -540,6 +589,7 @@ Automated notification - QuoteFactory load fetch error`
             };
         } else {
             return {
+                scenario: 'no_reference',
                 subject: `Re: ${subject} - DAT Reference Number Needed`,
                 body: `Hello,
 
@@ -574,96 +624,245 @@ Automated response - Please reply with DAT reference number`
 }
 
 
-export { LoadAutomationEnhanced };
+// Close every browser still held by an in-flight lookup, plus the warm pool
+async function cleanupActiveAutomations() {
+    const automations = [...activeAutomations];
+    if (automations.length > 0) {
+        console.log(`🧹 Cleaning up ${automations.length} in-flight browser session(s)...`);
+    }
+    await Promise.allSettled(automations.map(automation => automation.cleanup()));
+    await closeSharedBrowserPool();
+}
 
 
-// VERCEL SERVERLESS HANDLER
-export default async function handler(req, res) {
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+// Warm page pool for long-running hosts, enabled with BROWSER_POOL_SIZE > 0
+function getBrowserPool() {
+    const size = Number(process.env.BROWSER_POOL_SIZE) || 0;
+    if (size <= 0) return null;
+   
+    return getSharedBrowserPool(() => new BrowserPool({
+        size,
+        maxUsesPerPage: Number(process.env.BROWSER_POOL_MAX_USES) || 25,
+        acquireTimeoutMs: Number(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT_MS) || 30000,
+        launch: () => LoadAutomationEnhanced.launchBrowser(),
+        preparePage: (page) => LoadAutomationEnhanced.preparePage(page),
+        authenticate: (page) => {
+            const automation = new LoadAutomationEnhanced();
+            automation.attachPage(page);
+            return automation.loginToQuoteFactory();
+        },
+        resetPage: (page) => {
+            const automation = new LoadAutomationEnhanced();
+            automation.attachPage(page);
+            return automation.resetPage();
+        }
+    }));
+}
+
+
+// Launch and log in the pool's pages ahead of the first email
+async function warmBrowserPool() {
+    const pool = getBrowserPool();
+    if (pool) await pool.start();
+    return pool;
+}
+
+
+export { LoadAutomationEnhanced, cleanupActiveAutomations, warmBrowserPool };
+
+
+const dedupeStore = createDedupeStore();
+const negotiationStore = createNegotiationStore();
+const jobQueue = getJobQueue();
+
+
+// Lookup chain for one email; the Puppeteer provider drives this email's automation
+function createEmailLookupChain(automation) {
+    return createLookupChain(process.env.LOOKUP_PROVIDERS || DEFAULT_LOOKUP_PROVIDERS, {
+        puppeteer: () => new PuppeteerLookupProvider({ automation, pool: getBrowserPool() }),
+        api: () => QuoteFactoryApiProvider.fromEnv(),
+        'http-search': () => new QuoteFactoryHttpSearchProvider({
+            searchUrl: `${QF_APP_URL}/api/shipment/search`,
+            authorization: process.env.QF_HTTP_SEARCH_AUTH
+        })
+    });
+}
+
+
+// Text to extract from: Zapier's body.JSON, else the Outlook preview, else the full body
+export function readEmailContent(body) {
+    return body.JSON || body.bodyPreview || body.body?.content || '';
+}
+
+
+// Sender address: Graph's from/sender objects, else a plain from field
+export function readEmailSender(body) {
+    const from = body.from || body.sender;
+    return from?.emailAddress?.address || (typeof from === 'string' ? from : '') || body.fromEmail || '';
+}
+
+
+// Message headers: Graph's internetMessageHeaders, else a headers object
+export function readEmailHeaders(body) {
+    return body.internetMessageHeaders || body.headers || {};
+}
+
+
+// Accept, counter or escalate a counter-offer, and record the step on the load
+async function negotiateOffer({ offer, loadReference, loadInfo, carrier, emailId }) {
+    const history = loadReference ? await negotiationStore.history(loadReference, carrier || null) : [];
+    const negotiation = Negotiator.fromEnv().decide({
+        offer,
+        loadReference,
+        loadData: LoadModel.hasStops(loadInfo) ? loadInfo : null,
+        history
+    });
+
+    if (loadReference) {
+        await negotiationStore.record(loadReference, { ...negotiation, carrier: carrier || null, emailId });
     }
 
+    console.log(`💬 Offer ${negotiation.offer ? negotiation.offer.text : 'without a rate'}: ${negotiation.decision} (${negotiation.reason})`);
+    return negotiation;
+}
+
 
+// Process one inbound email end to end and build the webhook payload
+export async function processEmail(body) {
     const automation = new LoadAutomationEnhanced();
    
     try {
         console.log('=== Processing Email with Fixed Puppeteer Integration ===');
-        console.log('Full request body:', JSON.stringify(req.body, null, 2));
-        console.log('Subject:', req.body.subject);
-        console.log('Body Preview:', req.body.bodyPreview?.substring(0, 200));
-       
-        // Handle Zapier's data format - all data comes in req.body.JSON
-        const zapierData = req.body.JSON || '';
-        const emailId = req.body.id || 'unknown';
-        const subject = req.body.subject || 'Load Inquiry';
-        const bodyPreview = req.body.bodyPreview || '';
-        const emailBodyContent = req.body.body?.content || '';
+        console.log('Full request body:', JSON.stringify(body, null, 2));
+        console.log('Subject:', body.subject);
+        console.log('Body Preview:', body.bodyPreview?.substring(0, 200));
        
-        // Use Zapier data if available, otherwise fall back to structured data
-        const emailContent = zapierData || bodyPreview || emailBodyContent || '';
+        const emailId = body.id || 'unknown';
+        const subject = body.subject || 'Load Inquiry';
+        const emailContent = readEmailContent(body);
        
-        const loadReference = automation.extractLoadReference(emailContent);
+        const source = sourceDetector.detect({
+            sender: readEmailSender(body),
+            headers: readEmailHeaders(body),
+            body: emailContent,
+            subject: body.subject
+        });
+        console.log(`📨 Source: ${source.name}${source.evidence.length ? ` (${source.evidence.join(', ')})` : ''}`);
+
+        const loadReference = automation.extractLoadReference(emailContent, body.subject, source.id);
+        const extraction = automation.referenceExtraction;
+
+        const intent = intentClassifier.classify({ subject: body.subject, body: emailContent, reference: loadReference });
+        console.log(`🧭 Intent: ${intent.intent}${intent.evidence.length ? ` (${intent.evidence.join(', ')})` : ''}`);
        
         let loadInfo = null;
-        let hasCredentials = false;
+        let lookup = null;
        
-        if (loadReference) {
-            hasCredentials = process.env.QF_USERNAME && process.env.QF_PASSWORD;
+        if (loadReference && intent.needsLookup) {
+            const chain = createEmailLookupChain(automation);
            
-            if (hasCredentials) {
-                console.log('🔐 Credentials found, attempting QuoteFactory lookup...');
-               
-                const browserReady = await automation.initialize();
-                if (browserReady) {
-                    const loginSuccess = await automation.loginToQuoteFactory();
-                    if (loginSuccess) {
-                        loadInfo = await automation.searchLoadInfo(loadReference);
-                    }
-                    await automation.cleanup();
-                } else {
-                    console.log('❌ Browser initialization failed - using intelligent fallback response');
-                    console.log('🔍 Attempting HTTP-based QuoteFactory check...');
-                   
-                    // Try a simple HTTP check to see if load exists
-                    try {
-                        const response = await fetch(`https://app.quotefactory.com/api/shipment/search?q=${loadReference}`, {
-                            headers: {
-                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                            },
-                            timeout: 5000
-                        });
-                       
-                        if (response.ok) {
-                            console.log('✅ Load exists in QuoteFactory (HTTP check)');
-                        }
-                    } catch (error) {
-                        console.log('ℹ️ HTTP check failed, using standard fallback');
-                    }
-                }
+            if (chain.isConfigured()) {
+                console.log('🔐 Lookup provider configured, attempting QuoteFactory lookup...');
+                lookup = await chain.lookup(loadReference, { idType: extraction.idType });
+                loadInfo = lookup.load;
             } else {
-                console.log('⚠️ No QuoteFactory credentials - using basic response');
+                console.log('⚠️ No QuoteFactory lookup provider configured - using basic response');
             }
         }
        
-        const responseEmail = automation.formatResponse(loadReference, loadInfo, subject, emailContent);
+        const negotiation = intent.intent === 'counter_offer'
+            ? await negotiateOffer({ offer: intent.fields.rate, loadReference, loadInfo, carrier: readEmailSender(body), emailId })
+            : null;
        
-        return res.status(200).json({
+        const responseEmail = intent.scenario
+            ? automation.formatIntentResponse(intent, loadReference, loadInfo, subject, negotiation)
+            : automation.formatResponse(loadReference, loadInfo, subject, emailContent);
+       
+        return {
             success: true,
             loadReference: loadReference || null,
             loadInfo: loadInfo || null,
             responseSubject: responseEmail.subject,
             responseBody: responseEmail.body,
-            quotefactoryAttempted: !!(loadReference && hasCredentials),
-            quotefactorySuccess: !!(loadInfo && loadInfo.pickup !== "N/A"),
+            responseScenario: responseEmail.scenario,
+            emailSource: source,
+            emailIntent: { intent: intent.intent, score: intent.score, evidence: intent.evidence, fields: intent.fields },
+            negotiation,
+            referenceIdType: extraction.idType || null,
+            referenceSource: extraction.found ? (extraction.segment ? extraction.segment.type : extraction.source) : null,
+            referenceCrossCheck: extraction.crossCheck.status,
+            subjectLane: extraction.subject.lane,
+            quotefactoryAttempted: !!lookup,
+            quotefactorySuccess: LoadModel.hasStops(loadInfo),
+            quotefactoryError: lookup?.error ? lookup.error.message : null,
+            quotefactoryErrorCode: lookup?.error ? lookup.error.code : null,
+            quotefactoryShipmentId: automation.shipmentId,
+            ambiguousShipments: lookup?.error?.candidates || null,
+            lookupProvider: lookup?.provider || null,
+            lookupAttempts: lookup?.attempts || [],
+            timings: automation.deadline.timings,
             replyToEmailId: emailId,
             timestamp: new Date().toISOString(),
             mode: 'puppeteer-enhanced'
-        });
+        };
        
     } catch (error) {
-        console.error('❌ Webhook error:', error);
-       
         await automation.cleanup();
+        throw error;
+    }
+}
+
+
+jobQueue.registerProcessor('email', (body) => processEmail(body));
+
+
+// Async mode: ?async=true, a callbackUrl in the body, or WEBHOOK_MODE=async
+function isAsyncRequest(req) {
+    const flag = req.query?.async ?? req.body.async;
+    if (flag !== undefined) return flag === true || flag === 'true' || flag === '1';
+    return !!req.body.callbackUrl || process.env.WEBHOOK_MODE === 'async';
+}
+
+
+// VERCEL SERVERLESS HANDLER
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+
+    try {
+        if (isAsyncRequest(req)) {
+            // A retried delivery gets the job that was already queued for it, as it stands now
+            const { result: queued, duplicate } = await dedupeStore.run(
+                req.body.id && `job:${req.body.id}`,
+                () => jobQueue.enqueue('email', req.body, { callbackUrl: req.body.callbackUrl || req.query?.callbackUrl })
+            );
+            const job = duplicate ? (await jobQueue.get(queued.id)) || queued : queued;
+           
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                callbackUrl: job.callbackUrl,
+                duplicate,
+                timestamp: new Date().toISOString()
+            });
+        }
+       
+        // Zapier retries slow runs with the same email id - reuse the first reply
+        const { result, duplicate } = await dedupeStore.run(req.body.id, () => processEmail(req.body));
+       
+        return res.status(200).json(duplicate ? { ...result, duplicate: true } : result);
+       
+    } catch (error) {
+        if (error.code === 'CALLBACK_NOT_ALLOWED') {
+            console.log(`🚫 ${error.message}`);
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+
+        console.error('❌ Webhook error:', error);
        
         return res.status(200).json({
             success: true,
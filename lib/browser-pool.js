@@ -0,0 +1,269 @@
+/**
+ * Browser Page Pool
+ * Keeps N authenticated QuoteFactory pages warm in one browser and leases
+ * them to lookups, so a burst of emails does not trigger a login per email
+ */
+
+class BrowserPool {
+    constructor(config = {}) {
+        this.size = config.size || 2;
+        this.maxUsesPerPage = config.maxUsesPerPage || 25;
+        this.acquireTimeoutMs = config.acquireTimeoutMs || 30000;
+
+        // Hooks supplied by the caller
+        this.launch = config.launch;
+        this.preparePage = config.preparePage || (async () => {});
+        this.authenticate = config.authenticate;
+        this.resetPage = config.resetPage || (async () => true);
+
+        this.browser = null;
+        this.launching = null;
+        this.starting = null;
+        this.idle = [];
+        this.leased = new Set();
+        this.waiters = [];
+        this.creating = 0;
+        this.closed = false;
+        this.nextId = 1;
+        this.counters = { created: 0, recycled: 0, leases: 0, errors: 0, browserRestarts: 0 };
+    }
+
+    /**
+     * Launch the browser and warm every page up front. Calls made while
+     * warming share the same run.
+     */
+    start() {
+        if (!this.starting) {
+            this.starting = this.warm().finally(() => {
+                this.starting = null;
+            });
+        }
+        return this.starting;
+    }
+
+    async warm() {
+        await this.ensureBrowser();
+        // Warm pages one at a time: the first logs in, the rest reuse its session
+        while (this.total() < this.size && !this.closed) {
+            await this.addPage();
+        }
+        console.log(`🏊 Browser pool ready with ${this.idle.length} warm page(s)`);
+    }
+
+    total() {
+        return this.idle.length + this.leased.size + this.creating;
+    }
+
+    async ensureBrowser() {
+        if (this.browser && this.browser.isConnected()) return this.browser;
+        if (this.launching) return this.launching;
+
+        this.launching = (async () => {
+            if (this.browser) {
+                this.counters.browserRestarts++;
+                console.log('🔄 Pool browser disconnected - relaunching');
+                this.idle = [];
+            }
+
+            const browser = await this.launch();
+            browser.on('disconnected', () => {
+                if (this.browser === browser) this.browser = null;
+            });
+            this.browser = browser;
+            return browser;
+        })();
+
+        try {
+            return await this.launching;
+        } finally {
+            this.launching = null;
+        }
+    }
+
+    /**
+     * Open, prepare and authenticate one page, then hand it to a waiter or the idle list
+     */
+    async addPage() {
+        this.creating++;
+        let entry = null;
+
+        try {
+            const browser = await this.ensureBrowser();
+            const page = await browser.newPage();
+            await this.preparePage(page);
+
+            const authenticated = await this.authenticate(page);
+            if (!authenticated) {
+                await page.close().catch(() => {});
+                throw new Error('Could not authenticate pooled page');
+            }
+
+            entry = { id: this.nextId++, page, uses: 0, createdAt: Date.now() };
+            this.counters.created++;
+        } finally {
+            this.creating--;
+        }
+
+        this.offer(entry);
+        return entry;
+    }
+
+    offer(entry) {
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            this.lease(entry, waiter.resolve);
+        } else {
+            this.idle.push(entry);
+        }
+    }
+
+    lease(entry, resolve) {
+        entry.uses++;
+        this.counters.leases++;
+        this.leased.add(entry);
+        resolve(entry);
+    }
+
+    /**
+     * Lease a warm page; waits for one to be released when all are busy
+     */
+    async acquire() {
+        if (this.closed) throw new Error('Browser pool is closed');
+
+        // Let warm-up finish first so a lookup does not log in alongside it
+        if (this.starting) {
+            await this.starting.catch(() => {});
+            if (this.closed) throw new Error('Browser pool is closed');
+        }
+
+        const entry = this.idle.shift();
+        if (entry) {
+            if (!entry.page.isClosed()) {
+                return new Promise(resolve => this.lease(entry, resolve));
+            }
+            this.counters.recycled++;
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.rejectWaiter(waiter, new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a pooled page`));
+            }, this.acquireTimeoutMs);
+            this.waiters.push(waiter);
+
+            if (this.total() < this.size) {
+                this.addPageFor(waiter, 'add');
+            }
+        });
+    }
+
+    /**
+     * Add a page on behalf of one waiter. The page goes to whoever is first
+     * in line, but a failure only rejects the waiter it was added for.
+     */
+    addPageFor(waiter, action) {
+        this.addPage().catch(error => {
+            this.counters.errors++;
+            console.error(`❌ Failed to ${action} pooled page:`, error.message);
+            if (waiter) this.rejectWaiter(waiter, error);
+        });
+    }
+
+    rejectWaiter(waiter, error) {
+        if (!this.waiters.includes(waiter)) return;
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+    }
+
+    /**
+     * Return a leased page. Pages that failed or hit their use limit are
+     * replaced; healthy ones are reset and go back to the idle list.
+     */
+    async release(entry, options = {}) {
+        if (!this.leased.delete(entry)) return;
+
+        let recycle = !!options.failed || entry.uses >= this.maxUsesPerPage || entry.page.isClosed();
+        if (options.failed) this.counters.errors++;
+
+        if (!recycle && !this.closed) {
+            try {
+                recycle = !(await this.resetPage(entry.page));
+            } catch (error) {
+                console.log(`⚠️ Reset of pooled page ${entry.id} failed:`, error.message);
+                recycle = true;
+            }
+        }
+
+        if (this.closed) {
+            await entry.page.close().catch(() => {});
+            return;
+        }
+
+        if (recycle) {
+            this.counters.recycled++;
+            console.log(`♻️ Recycling pooled page ${entry.id} after ${entry.uses} use(s)`);
+            await entry.page.close().catch(() => {});
+            // The replacement was due to the first waiter in line, if any
+            this.addPageFor(this.waiters[0] || null, 'replace');
+            return;
+        }
+
+        this.offer(entry);
+    }
+
+    stats() {
+        return {
+            size: this.size,
+            idle: this.idle.length,
+            leased: this.leased.size,
+            creating: this.creating,
+            waiting: this.waiters.length,
+            maxUsesPerPage: this.maxUsesPerPage,
+            browserConnected: !!(this.browser && this.browser.isConnected()),
+            ...this.counters
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        this.waiters.splice(0).forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Browser pool is closed'));
+        });
+
+        const pages = [...this.idle, ...this.leased].map(entry => entry.page);
+        this.idle = [];
+        this.leased.clear();
+        await Promise.allSettled(pages.map(page => page.close()));
+
+        if (this.browser) {
+            await this.browser.close().catch(() => {});
+            this.browser = null;
+        }
+        console.log('✅ Browser pool closed');
+    }
+}
+
+let sharedPool = null;
+
+/**
+ * Process-wide pool; pass a factory to create it on first use
+ */
+function getSharedBrowserPool(factory) {
+    if (!sharedPool && factory) {
+        sharedPool = factory();
+    }
+    return sharedPool;
+}
+
+async function closeSharedBrowserPool() {
+    if (sharedPool) {
+        const pool = sharedPool;
+        sharedPool = null;
+        await pool.close();
+    }
+}
+
+export { BrowserPool, getSharedBrowserPool, closeSharedBrowserPool };
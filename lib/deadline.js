@@ -0,0 +1,56 @@
+/**
+ * Request Deadline
+ * One time budget per lookup; each browser step takes its own timeout from
+ * what is left, so a slow login leaves less time for the search instead of
+ * pushing the whole request past the function's maxDuration
+ */
+
+class DeadlineExceededError extends Error {
+    constructor(step, totalMs) {
+        super(`Lookup deadline of ${totalMs}ms exceeded before step "${step}"`);
+        this.name = 'DeadlineExceededError';
+        this.code = 'DEADLINE_EXCEEDED';
+        this.step = step;
+    }
+}
+
+class Deadline {
+    constructor(totalMs) {
+        this.totalMs = totalMs;
+        this.startedAt = Date.now();
+        this.expiresAt = this.startedAt + totalMs;
+        this.timings = [];
+    }
+
+    remaining() {
+        return Math.max(0, this.expiresAt - Date.now());
+    }
+
+    /**
+     * Timeout for one step: its own cap, or whatever is left if that is less
+     */
+    budget(step, maxMs) {
+        const remaining = this.remaining();
+        if (remaining <= 0) {
+            throw new DeadlineExceededError(step, this.totalMs);
+        }
+        return Math.min(maxMs, remaining);
+    }
+
+    /**
+     * Run fn(timeoutMs) as a named step and record how long it took
+     */
+    async step(name, maxMs, fn) {
+        const timeout = this.budget(name, maxMs);
+        const started = Date.now();
+        try {
+            return await fn(timeout);
+        } finally {
+            const ms = Date.now() - started;
+            this.timings.push({ step: name, ms, budgetMs: timeout });
+            console.log(`⏱️  ${name}: ${ms}ms (budget ${timeout}ms, ${this.remaining()}ms left)`);
+        }
+    }
+}
+
+export { Deadline, DeadlineExceededError };
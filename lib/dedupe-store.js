@@ -0,0 +1,120 @@
+/**
+ * Webhook Dedupe Store
+ * Makes email processing idempotent on the inbound email id so Zapier
+ * retries get the cached reply instead of a second QuoteFactory lookup
+ */
+
+import { createStorageBackend, durationFromEnv } from './storage/index.js';
+
+class DedupeStore {
+    constructor(config = {}) {
+        this.backend = config.backend || createStorageBackend('memory');
+        this.windowMs = config.windowMs ?? 10 * 60 * 1000;
+        this.pendingTimeoutMs = config.pendingTimeoutMs ?? 2 * 60 * 1000;
+        this.pollIntervalMs = config.pollIntervalMs ?? 500;
+        this.keyPrefix = config.keyPrefix || 'dedupe:';
+        this.inflight = new Map();
+    }
+
+    /**
+     * Run task once per key inside the dedupe window.
+     * Resolves to { result, duplicate } where duplicate is true when the
+     * result came from the cache or from another in-flight run.
+     */
+    async run(key, task) {
+        if (!key || this.windowMs <= 0) {
+            return { result: await task(), duplicate: false };
+        }
+
+        // Same process already working on this id - share its promise
+        if (this.inflight.has(key)) {
+            console.log(`🔁 Duplicate delivery for ${key} - waiting for in-flight result`);
+            return { result: await this.inflight.get(key), duplicate: true };
+        }
+
+        const storeKey = this.keyPrefix + key;
+        const claimed = await this.backend.add(storeKey, {
+            status: 'pending',
+            startedAt: new Date().toISOString()
+        }, this.pendingTimeoutMs);
+
+        if (!claimed) {
+            console.log(`🔁 Duplicate delivery for ${key} - using stored result`);
+            return { result: await this.waitForResult(storeKey), duplicate: true };
+        }
+
+        const promise = this.execute(storeKey, task);
+        this.inflight.set(key, promise);
+
+        try {
+            return { result: await promise, duplicate: false };
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    async execute(storeKey, task) {
+        try {
+            const result = await task();
+            await this.backend.set(storeKey, {
+                status: 'done',
+                result,
+                completedAt: new Date().toISOString()
+            }, this.windowMs);
+            return result;
+        } catch (error) {
+            // Release the claim so a retry can process the email again
+            await this.backend.delete(storeKey);
+            throw error;
+        }
+    }
+
+    /**
+     * Poll the backend until another process finishes the same key
+     */
+    async waitForResult(storeKey) {
+        const deadline = Date.now() + this.pendingTimeoutMs;
+
+        while (Date.now() < deadline) {
+            const entry = await this.backend.get(storeKey);
+            if (!entry) {
+                throw new Error('Concurrent run for this email failed or expired');
+            }
+            if (entry.status === 'done') {
+                return entry.result;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+
+        throw new Error('Timed out waiting for concurrent run of this email');
+    }
+
+    async close() {
+        await this.backend.close();
+    }
+}
+
+/**
+ * Build a dedupe store from environment configuration
+ *
+ * DEDUPE_BACKEND          memory | file | sqlite (default memory)
+ * DEDUPE_WINDOW_SECONDS   how long a finished reply is reused (default 600, 0 disables)
+ * DEDUPE_FILE_PATH        JSON file for the file backend
+ * DEDUPE_SQLITE_PATH      database file for the sqlite backend
+ */
+function createDedupeStore(env = process.env) {
+    const backend = createStorageBackend(env.DEDUPE_BACKEND || 'memory', {
+        filePath: env.DEDUPE_FILE_PATH || '/tmp/webhook-dedupe.json',
+        dbPath: env.DEDUPE_SQLITE_PATH || '/tmp/webhook-dedupe.db',
+        table: 'webhook_dedupe'
+    });
+
+    const windowSeconds = durationFromEnv(env.DEDUPE_WINDOW_SECONDS, 600);
+
+    return new DedupeStore({
+        backend,
+        windowMs: windowSeconds * 1000
+    });
+}
+
+export { DedupeStore, createDedupeStore };
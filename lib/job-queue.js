@@ -0,0 +1,278 @@
+/**
+ * Background Job Queue
+ * Runs slow email lookups after the webhook has answered 202, then
+ * delivers the reply payload to a callback URL and keeps it for polling
+ *
+ * Jobs run inside the current process, so async mode needs a host that
+ * keeps running after the response (see server.js). Use the sqlite
+ * backend when the status route runs in a different process; the file
+ * backend only serializes writes within one process.
+ */
+
+import crypto from 'crypto';
+import { createStorageBackend } from './storage/index.js';
+
+/**
+ * Callback URL the queue will not POST to: not http(s), or its host is not
+ * on the allowlist. Callbacks come from the request, so anything else would
+ * let a caller make this server send requests to internal addresses.
+ */
+class CallbackUrlError extends Error {
+    constructor(callbackUrl, reason) {
+        super(`Callback URL not allowed (${reason}): ${callbackUrl}`);
+        this.name = 'CallbackUrlError';
+        this.code = 'CALLBACK_NOT_ALLOWED';
+        this.statusCode = 400;
+    }
+}
+
+class JobQueue {
+    constructor(config = {}) {
+        this.backend = config.backend || createStorageBackend('memory');
+        this.concurrency = config.concurrency || 1;
+        this.ttlMs = config.ttlMs ?? 24 * 60 * 60 * 1000;
+        this.callbackSecret = config.callbackSecret || null;
+        this.callbackHosts = (config.callbackHosts || []).map(host => host.toLowerCase());
+        this.callbackAttempts = config.callbackAttempts || 3;
+        this.callbackTimeoutMs = config.callbackTimeoutMs || 10000;
+        this.processors = new Map();
+        this.pending = [];
+        this.running = new Set();
+        this.accepting = true;
+    }
+
+    /**
+     * Register the function that handles jobs of a given type
+     */
+    registerProcessor(type, processor) {
+        this.processors.set(type, processor);
+    }
+
+    /**
+     * Queue a job and return its initial record
+     */
+    async enqueue(type, payload, options = {}) {
+        if (!this.accepting) {
+            throw new Error('Job queue is shutting down');
+        }
+        if (!this.processors.has(type)) {
+            throw new Error(`No processor registered for job type: ${type}`);
+        }
+        if (options.callbackUrl) {
+            this.checkCallbackUrl(options.callbackUrl);
+        }
+
+        const job = {
+            id: `job_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+            type,
+            status: 'queued',
+            callbackUrl: options.callbackUrl || null,
+            callback: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null
+        };
+
+        await this.save(job);
+        this.pending.push({ id: job.id, payload });
+        console.log(`📥 Queued ${type} job ${job.id}`);
+
+        setImmediate(() => this.pump());
+        return job;
+    }
+
+    /**
+     * Throw a CallbackUrlError unless the URL is http(s) on an allowed host;
+     * "*.example.com" allows any subdomain of example.com
+     */
+    checkCallbackUrl(callbackUrl) {
+        let url;
+        try {
+            url = new URL(callbackUrl);
+        } catch {
+            throw new CallbackUrlError(callbackUrl, 'not a URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new CallbackUrlError(callbackUrl, 'not http or https');
+        }
+
+        const allowed = this.callbackHosts.some(host => host.startsWith('*.')
+            ? url.hostname.endsWith(host.slice(1))
+            : url.hostname === host);
+        if (!allowed) {
+            throw new CallbackUrlError(callbackUrl, 'host not in WEBHOOK_CALLBACK_HOSTS');
+        }
+    }
+
+    async get(id) {
+        return this.backend.get(`job:${id}`);
+    }
+
+    async save(job) {
+        await this.backend.set(`job:${job.id}`, job, this.ttlMs);
+    }
+
+    async update(id, changes) {
+        const job = { ...(await this.get(id)), ...changes };
+        await this.save(job);
+        return job;
+    }
+
+    /**
+     * Start queued jobs up to the concurrency limit
+     */
+    pump() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            const next = this.pending.shift();
+            const run = this.runJob(next.id, next.payload)
+                .catch(error => console.error(`❌ Job ${next.id} crashed:`, error))
+                .finally(() => {
+                    this.running.delete(run);
+                    this.pump();
+                });
+            this.running.add(run);
+        }
+    }
+
+    async runJob(id, payload) {
+        const queued = await this.get(id);
+        if (!queued) {
+            console.error(`❌ Job ${id} has no record - it expired or the backend lost it`);
+            return;
+        }
+
+        let job = await this.update(id, {
+            status: 'running',
+            startedAt: new Date().toISOString()
+        });
+
+        try {
+            const processor = this.processors.get(queued.type);
+            if (!processor) {
+                throw new Error(`No processor registered for job type: ${queued.type}`);
+            }
+            const result = await processor(payload, job);
+            job = await this.update(id, {
+                status: 'completed',
+                result,
+                completedAt: new Date().toISOString()
+            });
+            console.log(`✅ Job ${id} completed`);
+        } catch (error) {
+            job = await this.update(id, {
+                status: 'failed',
+                error: error.message,
+                completedAt: new Date().toISOString()
+            });
+            console.error(`❌ Job ${id} failed:`, error.message);
+        }
+
+        if (job.callbackUrl) {
+            const callback = await this.deliverCallback(job);
+            await this.update(id, { callback });
+        }
+    }
+
+    /**
+     * POST the finished job to its callback URL, retrying with backoff
+     */
+    async deliverCallback(job) {
+        const body = JSON.stringify({
+            jobId: job.id,
+            status: job.status,
+            result: job.result,
+            error: job.error,
+            completedAt: job.completedAt
+        });
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.callbackSecret) {
+            headers['X-Signature'] = crypto
+                .createHmac('sha256', this.callbackSecret)
+                .update(body)
+                .digest('hex');
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.callbackAttempts; attempt++) {
+            try {
+                const response = await fetch(job.callbackUrl, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(this.callbackTimeoutMs)
+                });
+
+                if (response.ok) {
+                    console.log(`📤 Delivered job ${job.id} to callback (attempt ${attempt})`);
+                    return { delivered: true, attempts: attempt, status: response.status };
+                }
+                lastError = `HTTP ${response.status}`;
+            } catch (error) {
+                lastError = error.message;
+            }
+
+            console.log(`⚠️ Callback for job ${job.id} failed (attempt ${attempt}): ${lastError}`);
+            if (attempt < this.callbackAttempts) {
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+            }
+        }
+
+        return { delivered: false, attempts: this.callbackAttempts, error: lastError };
+    }
+
+    /**
+     * Stop accepting jobs and wait for queued and running ones to finish
+     */
+    async drain() {
+        this.accepting = false;
+        while (this.running.size > 0 || this.pending.length > 0) {
+            await Promise.allSettled([...this.running]);
+            if (this.running.size === 0 && this.pending.length > 0) this.pump();
+        }
+    }
+
+    stats() {
+        return {
+            queued: this.pending.length,
+            running: this.running.size,
+            concurrency: this.concurrency,
+            accepting: this.accepting
+        };
+    }
+}
+
+let sharedQueue = null;
+
+/**
+ * Process-wide job queue configured from the environment
+ *
+ * JOB_BACKEND            memory | file | sqlite (default memory); sqlite
+ *                        when more than one process shares the jobs
+ * JOB_CONCURRENCY        jobs processed at once (default 1)
+ * JOB_TTL_SECONDS        how long job records are kept (default 86400)
+ * JOB_CALLBACK_SECRET    signs callback bodies in the X-Signature header
+ * WEBHOOK_CALLBACK_HOSTS comma-separated hosts callbacks may go to
+ *                        ("hooks.zapier.com,*.example.com"); without it
+ *                        callback URLs are refused
+ */
+function getJobQueue(env = process.env) {
+    if (!sharedQueue) {
+        sharedQueue = new JobQueue({
+            backend: createStorageBackend(env.JOB_BACKEND || 'memory', {
+                filePath: env.JOB_FILE_PATH || '/tmp/webhook-jobs.json',
+                dbPath: env.JOB_SQLITE_PATH || '/tmp/webhook-jobs.db',
+                table: 'webhook_jobs'
+            }),
+            concurrency: Number(env.JOB_CONCURRENCY) || 1,
+            ttlMs: (Number(env.JOB_TTL_SECONDS) || 86400) * 1000,
+            callbackSecret: env.JOB_CALLBACK_SECRET,
+            callbackHosts: (env.WEBHOOK_CALLBACK_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+        });
+    }
+    return sharedQueue;
+}
+
+export { JobQueue, CallbackUrlError, getJobQueue };
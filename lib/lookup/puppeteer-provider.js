@@ -0,0 +1,75 @@
+/**
+ * Puppeteer Lookup Provider
+ * Looks a load up by driving the QuoteFactory web app with
+ * LoadAutomationEnhanced, on a warm pooled page when a pool is running or
+ * on a browser launched for this request otherwise
+ */
+
+import { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES } from '../../zapier-modules/lookup/load-lookup-provider.js';
+
+// Failures that say nothing about the page's health, so it can go back to the pool
+const PAGE_SAFE_CODES = [LOOKUP_ERROR_CODES.NOT_FOUND, LOOKUP_ERROR_CODES.AMBIGUOUS];
+
+class PuppeteerLookupProvider extends LoadLookupProvider {
+    constructor({ automation, pool = null, env = process.env }) {
+        super('puppeteer');
+        this.automation = automation;
+        this.pool = pool;
+        this.env = env;
+    }
+
+    isConfigured() {
+        return !!(this.env.QF_USERNAME && this.env.QF_PASSWORD);
+    }
+
+    async lookup(reference) {
+        const load = this.pool
+            ? await this.searchWithPooledPage(reference)
+            : await this.searchWithOwnBrowser(reference);
+
+        if (!load) {
+            throw this.automation.lastError
+                ? LookupError.from(this.automation.lastError, this.name)
+                : new LookupError(LOOKUP_ERROR_CODES.UPSTREAM_ERROR, `Shipment page for ${reference} had no load details`, { provider: this.name });
+        }
+        return load;
+    }
+
+    // Run the search on a leased page; pages whose search errored are recycled
+    async searchWithPooledPage(reference) {
+        let lease;
+        try {
+            lease = await this.pool.acquire();
+        } catch (error) {
+            throw LookupError.from(error, this.name, LOOKUP_ERROR_CODES.UNAVAILABLE);
+        }
+
+        const automation = this.automation;
+        automation.attachPage(lease.page);
+        try {
+            return await automation.searchLoadInfo(reference);
+        } finally {
+            const error = automation.lastError;
+            await this.pool.release(lease, { failed: !!error && !PAGE_SAFE_CODES.includes(error.code) });
+            automation.page = null;
+        }
+    }
+
+    // Launch, log in, search and close a browser of our own
+    async searchWithOwnBrowser(reference) {
+        const automation = this.automation;
+        try {
+            if (!await automation.initialize()) {
+                throw new LookupError(LOOKUP_ERROR_CODES.UNAVAILABLE, 'Browser initialization failed', { provider: this.name });
+            }
+            if (!await automation.loginToQuoteFactory()) {
+                throw new LookupError(LOOKUP_ERROR_CODES.AUTH_FAILED, 'QuoteFactory login failed', { provider: this.name });
+            }
+            return await automation.searchLoadInfo(reference);
+        } finally {
+            await automation.cleanup();
+        }
+    }
+}
+
+export { PuppeteerLookupProvider };
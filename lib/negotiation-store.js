@@ -0,0 +1,33 @@
+/**
+ * Negotiation Store Factory
+ * Keeps the webhook's per-load negotiation records in one of the storage
+ * backends, so counters survive across invocations
+ */
+
+import { createStorageBackend, durationFromEnv } from './storage/index.js';
+import { NegotiationStore } from '../zapier-modules/negotiation/negotiation-store.js';
+
+/**
+ * Build a negotiation store from environment configuration
+ *
+ * NEGOTIATION_BACKEND          memory | file | sqlite (default memory)
+ * NEGOTIATION_RETENTION_DAYS   how long a load's record is kept (default 30)
+ * NEGOTIATION_FILE_PATH        JSON file for the file backend
+ * NEGOTIATION_SQLITE_PATH      database file for the sqlite backend
+ */
+function createNegotiationStore(env = process.env) {
+    const backend = createStorageBackend(env.NEGOTIATION_BACKEND || 'memory', {
+        filePath: env.NEGOTIATION_FILE_PATH || '/tmp/negotiations.json',
+        dbPath: env.NEGOTIATION_SQLITE_PATH || '/tmp/negotiations.db',
+        table: 'negotiations'
+    });
+
+    const retentionDays = durationFromEnv(env.NEGOTIATION_RETENTION_DAYS, 30);
+
+    return new NegotiationStore({
+        backend,
+        ttlMs: retentionDays * 24 * 60 * 60 * 1000
+    });
+}
+
+export { NegotiationStore, createNegotiationStore };
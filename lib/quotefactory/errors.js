@@ -0,0 +1,45 @@
+/**
+ * QuoteFactory Scraper Errors
+ */
+
+/**
+ * No registry strategy matched a field the scraper cannot do without
+ */
+class SelectorBrokenError extends Error {
+    constructor(field, page, registryVersion) {
+        super(`QuoteFactory field "${field}" selector broken on ${page} page (registry ${registryVersion})`);
+        this.name = 'SelectorBrokenError';
+        this.code = 'SELECTOR_BROKEN';
+        this.field = field;
+        this.page = page;
+        this.registryVersion = registryVersion;
+    }
+}
+
+/**
+ * The search for a reference listed no shipments
+ */
+class ShipmentNotFoundError extends Error {
+    constructor(reference) {
+        super(`No QuoteFactory shipment found for reference ${reference}`);
+        this.name = 'ShipmentNotFoundError';
+        this.code = 'SHIPMENT_NOT_FOUND';
+        this.reference = reference;
+    }
+}
+
+/**
+ * The search for a reference listed several shipments; candidates holds
+ * { shipmentId, label, href } for each so a person can pick the right one
+ */
+class AmbiguousShipmentError extends Error {
+    constructor(reference, candidates) {
+        super(`Reference ${reference} matches ${candidates.length} QuoteFactory shipments: ${candidates.map(c => c.shipmentId).join(', ')}`);
+        this.name = 'AmbiguousShipmentError';
+        this.code = 'SHIPMENT_AMBIGUOUS';
+        this.reference = reference;
+        this.candidates = candidates;
+    }
+}
+
+export { SelectorBrokenError, ShipmentNotFoundError, AmbiguousShipmentError };
@@ -0,0 +1,225 @@
+/**
+ * QuoteFactory In-Page Script
+ * Runs inside the browser via page.evaluate, so it must stay self-contained:
+ * no imports and no references to anything outside the function body.
+ *
+ * Tasks:
+ * - 'locate':     find `field`, tag it with data-qf-field and report the strategy
+ * - 'candidates': list the shipments linked from `field` as { shipmentId, label, href }
+ * - 'extract':    read shipment details, recording which strategy matched each field
+ */
+
+function quoteFactoryPageScript(task, selectors, field) {
+    const fields = selectors.fields;
+    const pageText = () => document.body.innerText || document.body.textContent || '';
+
+    function textOf(el) {
+        return (el.innerText || el.textContent || '').trim();
+    }
+
+    // Apply one strategy; returns an array of { element, text } matches
+    function runStrategy(strategy, root, all) {
+        const results = [];
+        const accept = (element, text) => {
+            let value = text === undefined ? textOf(element) : text;
+            if (strategy.pattern) {
+                const match = value.match(new RegExp(strategy.pattern, 'i'));
+                if (!match) return false;
+                value = (match[1] !== undefined ? match[1] : match[0]).trim();
+            }
+            results.push({ element, text: value });
+            return true;
+        };
+
+        if (strategy.type === 'css') {
+            for (let el of root.querySelectorAll(strategy.selector)) {
+                if (strategy.has && !el.querySelector(strategy.has)) continue;
+                if (strategy.parent) el = el.parentElement;
+                const target = strategy.value ? el.querySelector(strategy.value) : el;
+                const text = target && strategy.attribute ? target.getAttribute(strategy.attribute) || '' : undefined;
+                if (target && accept(target, text) && !all) break;
+            }
+        } else if (strategy.type === 'text') {
+            const match = pageText().match(new RegExp(strategy.pattern, 'i'));
+            if (match) results.push({ element: null, text: (match[1] !== undefined ? match[1] : match[0]).trim() });
+        } else if (strategy.type === 'text-match') {
+            const regex = new RegExp(strategy.pattern, 'i');
+            for (const el of root.querySelectorAll(strategy.tag || '*')) {
+                if (regex.test(el.textContent) && accept(el, textOf(el)) && !all) break;
+            }
+        } else if (strategy.type === 'text-anchor') {
+            const anchor = Array.from(root.querySelectorAll(strategy.tag || 'div'))
+                .find(el => el.textContent.trim() === strategy.label);
+            if (anchor) {
+                const container = (strategy.container && anchor.closest(strategy.container)) || anchor.parentElement;
+                const target = container && strategy.value
+                    ? container.querySelector(strategy.value)
+                    : anchor.nextElementSibling;
+                if (target && target !== anchor) accept(target);
+            }
+        } else if (strategy.type === 'aria') {
+            const nameRegex = strategy.name ? new RegExp(strategy.name, 'i') : null;
+            const candidates = strategy.role
+                ? root.querySelectorAll(`[role="${strategy.role}"]${strategy.role === 'searchbox' ? ', input[type="search"]' : ''}`)
+                : root.querySelectorAll('[aria-label]');
+            for (const el of candidates) {
+                const label = el.getAttribute('aria-label') || '';
+                if (nameRegex && !nameRegex.test(label)) continue;
+                if (accept(el) && !all) break;
+            }
+        }
+
+        return results;
+    }
+
+    // Try a field's strategies in order; the first with a match wins
+    function resolve(name, root = document) {
+        const spec = fields[name];
+        for (const strategy of spec.strategies) {
+            const matches = runStrategy(strategy, root, !!spec.all);
+            if (matches.length > 0) {
+                return { strategy: strategy.id, matches };
+            }
+        }
+        return { strategy: null, matches: [] };
+    }
+
+    if (task === 'locate') {
+        document.querySelectorAll(`[data-qf-field="${field}"]`).forEach(el => el.removeAttribute('data-qf-field'));
+        const result = resolve(field);
+        const element = result.matches[0]?.element;
+        if (!element) return null;
+        element.setAttribute('data-qf-field', field);
+        return { field, strategy: result.strategy, selector: `[data-qf-field="${field}"]` };
+    }
+
+    if (task === 'candidates') {
+        const result = resolve(field);
+        const idPattern = new RegExp(fields[field].idPattern);
+        const candidates = [];
+        for (const { element } of result.matches) {
+            const link = element.closest('a') || element;
+            const href = link.getAttribute('href') || '';
+            const idMatch = href.match(idPattern);
+            if (!idMatch || candidates.some(c => c.shipmentId === idMatch[1])) continue;
+            candidates.push({
+                shipmentId: idMatch[1],
+                label: textOf(link).replace(/\s+/g, ' '),
+                href: new URL(href, window.location.href).href
+            });
+        }
+        return { strategy: result.strategy, candidates };
+    }
+
+    if (task !== 'extract') {
+        throw new Error(`Unknown page script task: ${task}`);
+    }
+
+    const matched = {};
+    const broken = [];
+    const read = (name, root) => {
+        const result = resolve(name, root);
+        if (result.strategy) {
+            matched[name] = matched[name] || result.strategy;
+        } else if (!broken.includes(name)) {
+            broken.push(name);
+        }
+        return result.matches;
+    };
+
+    const loadReference = read('loadReference')[0]?.text || null;
+    const rate = read('rate')[0]?.text || null;
+
+    let weight = null;
+    const weightMatch = read('weight')[0];
+    if (weightMatch) {
+        const txt = weightMatch.text.replace(/\u202F/g, '').trim();
+        weight = txt.match(/lb/i) ? txt : `${txt} lb`;
+    }
+
+    const commodityMatch = read('commodity')[0];
+    const commodity = commodityMatch ? commodityMatch.text.replace(/&nbsp;/g, '').trim() : null;
+
+    // Load attributes as shown; zapier-modules/models/load-model.js parses them
+    const attributes = {};
+    ['equipment', 'trailerLength', 'miles', 'pieces', 'pallets', 'temperature', 'tarps', 'hazmat'].forEach(name => {
+        attributes[name] = read(name)[0]?.text.replace(/\s+/g, ' ') || null;
+    });
+
+    const references = read('references').map(({ element }) => {
+        const cells = Array.from(element.children).map(textOf).filter(Boolean);
+        return cells.length >= 2
+            ? { label: cells[0], value: cells[cells.length - 1] }
+            : { label: null, value: textOf(element) };
+    }).filter(reference => reference.value);
+
+    // Raw stops; lib/quotefactory/stop-classifier.js decides their types
+    // and lib/quotefactory/shipment-load.js builds the canonical stops
+    const iconDescriptor = el => [
+        el.getAttribute('aria-label'),
+        el.getAttribute('title'),
+        el.querySelector('title')?.textContent,
+        el.getAttribute('class'),
+        el.querySelector('use')?.getAttribute('href') || el.querySelector('use')?.getAttribute('xlink:href')
+    ].filter(Boolean).join(' ');
+
+    const stops = [];
+
+    read('stops').forEach(({ element: loc }, index) => {
+        const addr = read('stopAddress', loc)[0]?.element;
+        if (!addr) return;
+
+        const addressLines = Array.from(addr.querySelectorAll('div')).map(d => d.textContent.trim()).filter(Boolean);
+
+        const timeContainer = read('stopTimes', loc)[0]?.element;
+        const times = timeContainer
+            ? Array.from(timeContainer.querySelectorAll('time')).map(time => ({
+                text: time.textContent.trim(),
+                datetime: time.getAttribute('datetime')
+            }))
+            : [];
+
+        // Sequence shown on the page, else the number in the element id (shipment-location-3)
+        const shownSequence = read('stopSequence', loc)[0]?.text || (loc.id || '').match(/(\d+)$/)?.[1];
+
+        stops.push({
+            sequence: shownSequence ? parseInt(shownSequence, 10) : null,
+            position: index + 1,
+            badges: read('stopBadge', loc).map(match => match.text).filter(Boolean),
+            icons: read('stopIcons', loc).map(match => iconDescriptor(match.element)).filter(Boolean),
+            text: textOf(loc).replace(/\s+/g, ' '),
+            addressLines,
+            times,
+            scheduleText: timeContainer ? textOf(timeContainer) : '',
+            timezoneHint: read('stopTimezone', loc)[0]?.text || null,
+            notes: read('stopNotes', loc)[0]?.text || null
+        });
+    });
+
+    // Per-stop fields are only broken when no stop matched at all; sparse
+    // ones (present on some shipments or stops only) are never reported
+    Object.keys(fields).forEach(name => {
+        const spec = fields[name];
+        if (broken.includes(name) && (spec.sparse || spec.scope === 'stop' && matched[name])) {
+            broken.splice(broken.indexOf(name), 1);
+        }
+    });
+
+    return {
+        loadReference,
+        rate,
+        weight,
+        commodity,
+        ...attributes,
+        references,
+        stops,
+        extraction: {
+            registryVersion: selectors.version,
+            matched,
+            broken,
+            requiredBroken: broken.filter(name => fields[name].required)
+        }
+    };
+}
+
+export { quoteFactoryPageScript };
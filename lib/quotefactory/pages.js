@@ -0,0 +1,213 @@
+/**
+ * QuoteFactory Page Objects
+ * Thin wrappers over a Puppeteer page that find elements through the
+ * selector registry instead of hardcoded selectors
+ */
+
+import { SELECTOR_REGISTRY, getPageSelectors } from './selectors.js';
+import { quoteFactoryPageScript } from './page-script.js';
+import { SelectorBrokenError } from './errors.js';
+import { buildShipmentLoad } from './shipment-load.js';
+import { LookupError, LOOKUP_ERROR_CODES } from '../../zapier-modules/lookup/load-lookup-provider.js';
+
+// Where search responses keep their hits ({ results: [...] }, { data: { search: { items } } })
+const SEARCH_LIST_KEYS = ['results', 'items', 'hits', 'edges', 'nodes', 'shipments'];
+
+/**
+ * Number of hits in a search XHR body, or null when its shape is not recognised;
+ * nested arrays only count under one of SEARCH_LIST_KEYS
+ */
+function searchResultCount(body, depth = 0) {
+    if (Array.isArray(body)) return depth === 0 ? body.length : null;
+    if (!body || typeof body !== 'object' || depth > 3) return null;
+
+    const list = SEARCH_LIST_KEYS.find(key => Array.isArray(body[key]));
+    if (list) return body[list].length;
+    if (typeof body.totalCount === 'number') return body.totalCount;
+
+    for (const value of Object.values(body)) {
+        const count = searchResultCount(value, depth + 1);
+        if (count !== null) return count;
+    }
+    return null;
+}
+
+class QuoteFactoryPage {
+    constructor(page, pageName, registry) {
+        this.page = page;
+        this.selectors = getPageSelectors(pageName, registry);
+    }
+
+    /**
+     * Find a field now; returns { selector, strategy } or throws SelectorBrokenError
+     */
+    async locate(field) {
+        const located = await this.page.evaluate(quoteFactoryPageScript, 'locate', this.selectors, field);
+        if (!located) {
+            throw new SelectorBrokenError(field, this.selectors.page, this.selectors.version);
+        }
+        return located;
+    }
+
+    /**
+     * Wait until some strategy for a field matches
+     */
+    async waitFor(field, timeout) {
+        try {
+            await this.page.waitForFunction(quoteFactoryPageScript, { timeout }, 'locate', this.selectors, field);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            throw new SelectorBrokenError(field, this.selectors.page, this.selectors.version);
+        }
+        return this.locate(field);
+    }
+
+    async click(field) {
+        const { selector, strategy } = await this.locate(field);
+        await this.page.click(selector);
+        return strategy;
+    }
+}
+
+class DashboardPage extends QuoteFactoryPage {
+    constructor(page, registry) {
+        super(page, 'dashboard', registry);
+        this.network = (registry || SELECTOR_REGISTRY).network;
+        this.urls = (registry || SELECTOR_REGISTRY).urls;
+    }
+
+    /**
+     * Open the "Find anything" search and wait for its input
+     */
+    async openSearch(timeout = 5000) {
+        const strategy = await this.click('searchButton');
+        console.log(`✅ Clicked search button (${strategy})`);
+        return this.waitFor('searchField', timeout);
+    }
+
+    /**
+     * Type the reference, press Enter and wait for the search XHR, then
+     * for the result list to render. A failed or empty search rejects with
+     * a LookupError instead of running out the result-list wait.
+     */
+    async submitSearch(reference, timeout = 10000) {
+        const started = Date.now();
+        const { selector } = await this.locate('searchField');
+        await this.page.click(selector, { clickCount: 3 });
+        await this.page.type(selector, reference, { delay: 20 });
+
+        const searchRequest = new RegExp(this.network.searchRequest, 'i');
+        const searchResponse = this.page.waitForResponse(
+            res => searchRequest.test(res.url()) && res.request().method() !== 'OPTIONS',
+            { timeout }
+        );
+        // Rejections are handled below, after Enter has been pressed
+        searchResponse.catch(() => {});
+
+        await this.page.keyboard.press('Enter');
+        await this.checkSearchResponse(reference, searchResponse, timeout);
+        await this.waitFor('searchResult', Math.max(0, timeout - (Date.now() - started)));
+    }
+
+    /**
+     * Reject with a LookupError when the search XHR never finished, failed,
+     * or listed no shipments
+     */
+    async checkSearchResponse(reference, searchResponse, timeout) {
+        let res;
+        try {
+            res = await searchResponse;
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            throw new LookupError(LOOKUP_ERROR_CODES.UPSTREAM_ERROR, `QuoteFactory search for ${reference} did not respond within ${timeout}ms`, { cause: error });
+        }
+
+        const status = res.status();
+        console.log(`📡 Search request finished: ${status} ${res.url()}`);
+        if (status === 401 || status === 403) {
+            throw new LookupError(LOOKUP_ERROR_CODES.AUTH_FAILED, `QuoteFactory search for ${reference} was refused (${status})`);
+        }
+        if (status < 200 || status >= 300) {
+            throw new LookupError(LOOKUP_ERROR_CODES.UPSTREAM_ERROR, `QuoteFactory search for ${reference} failed (${status})`);
+        }
+
+        const body = await res.json().catch(() => null);
+        if (searchResultCount(body) === 0) {
+            throw new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, `No QuoteFactory shipment found for reference ${reference}`);
+        }
+    }
+
+    /**
+     * Shipments linked from the rendered search results, one entry per shipment id
+     */
+    async readSearchResults() {
+        const { strategy, candidates } = await this.page.evaluate(quoteFactoryPageScript, 'candidates', this.selectors, 'searchCandidates');
+        console.log(`📋 ${candidates.length} search result(s)${strategy ? ` (${strategy})` : ''}`);
+        return candidates;
+    }
+
+    /**
+     * Click the first search result and wait until the app is on its shipment page
+     */
+    async openFirstResult(timeout = 15000) {
+        const strategy = await this.click('searchResult');
+        const shipmentPath = this.urls.shipment.replace('{id}', '[^/?#]+');
+        await this.page.waitForFunction(
+            pattern => new RegExp(pattern).test(window.location.pathname),
+            { timeout },
+            `^${shipmentPath}`
+        );
+        console.log(`✅ Opened search result (${strategy})`);
+        return strategy;
+    }
+}
+
+class ShipmentPage extends QuoteFactoryPage {
+    constructor(page, registry, appUrl = process.env.QF_APP_URL) {
+        super(page, 'shipment', registry);
+        this.urls = (registry || SELECTOR_REGISTRY).urls;
+        this.appUrl = appUrl || this.urls.app;
+    }
+
+    /**
+     * Navigate straight to a shipment's detail page
+     */
+    async open(shipmentId, timeout = 15000) {
+        const url = new URL(this.urls.shipment.replace('{id}', encodeURIComponent(shipmentId)), this.appUrl).href;
+        await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        return url;
+    }
+
+    /**
+     * Wait for the shipment's stop list, the last part of the page to render
+     */
+    async waitForLoaded(timeout = 10000) {
+        return this.waitFor('stops', timeout);
+    }
+
+    /**
+     * Scrape the shipment detail page into the canonical load model. Optional
+     * fields that no strategy matched are logged and listed in
+     * extraction.broken; a required one throws.
+     */
+    async extract() {
+        const details = await this.page.evaluate(quoteFactoryPageScript, 'extract', this.selectors);
+        return buildShipmentLoad(ShipmentPage.checkExtraction(details, this.selectors));
+    }
+
+    static checkExtraction(details, selectors) {
+        const { extraction } = details;
+        console.log(`🧭 Selector matches (registry ${extraction.registryVersion}):`, extraction.matched);
+
+        extraction.broken
+            .filter(field => !extraction.requiredBroken.includes(field))
+            .forEach(field => console.log(`⚠️ Field "${field}" selector broken - no strategy matched`));
+
+        if (extraction.requiredBroken.length > 0) {
+            throw new SelectorBrokenError(extraction.requiredBroken[0], selectors.page, selectors.version);
+        }
+        return details;
+    }
+}
+
+export { QuoteFactoryPage, DashboardPage, ShipmentPage };
@@ -0,0 +1,238 @@
+/**
+ * QuoteFactory Selector Registry
+ * Every DOM lookup the scraper makes, grouped by page. Each field lists
+ * strategies in the order they are tried; the first that matches wins and
+ * its id is recorded, so a UI change shows up as a named broken field.
+ *
+ * Strategy types:
+ * - css:         querySelector(selector); optional `has` (must contain),
+ *                `value` (child holding the text), `parent` (use the match's
+ *                parent), `attribute` (read this attribute instead of the
+ *                text) and `pattern` (regex on the text)
+ * - text:        regex `pattern` over the page text, capture group 1 is the value
+ * - text-match:  first `tag` element whose text matches `pattern`
+ * - text-anchor: element whose text equals `label`, then `value` inside its
+ *                `container` ancestor (or the next sibling)
+ * - aria:        element with `role` and/or an aria-label matching `name`
+ *
+ * Field options: `required` (extraction fails without it), `all` (collect
+ * every match), `scope: 'stop'` (looked up inside each stop) and `sparse`
+ * (a field many shipments or stops lack, so it is never reported broken).
+ *
+ * Bump the version whenever a selector changes so extraction diagnostics
+ * can be tied to the registry that produced them.
+ */
+
+const SELECTOR_REGISTRY_VERSION = '2025.10.7';
+
+const SELECTOR_REGISTRY = {
+    version: SELECTOR_REGISTRY_VERSION,
+    network: {
+        // Requests whose completion signals that search results have arrived
+        searchRequest: '(?:/api/|graphql).*(?:search|find)'
+    },
+    urls: {
+        // Web app origin; QF_APP_URL overrides it (e.g. to point at the mock server)
+        app: 'https://app.quotefactory.com',
+        dashboard: '/broker/dashboard',
+        // {id} is the QuoteFactory shipment id read from a search result link
+        shipment: '/broker/shipments/{id}'
+    },
+    pages: {
+        dashboard: {
+            searchButton: {
+                required: true,
+                strategies: [
+                    { id: 'find-anything-button', type: 'text-match', tag: 'button', pattern: 'Find|anything' },
+                    { id: 'aria-search-button', type: 'aria', role: 'button', name: 'search|find' }
+                ]
+            },
+            searchField: {
+                required: true,
+                strategies: [
+                    { id: 'search-field-id', type: 'css', selector: '#search_field' },
+                    { id: 'aria-searchbox', type: 'aria', role: 'searchbox' },
+                    { id: 'search-input', type: 'css', selector: 'input[type="search"]' }
+                ]
+            },
+            searchResult: {
+                required: true,
+                strategies: [
+                    { id: 'container-current-link', type: 'css', selector: '.\\@container a[data-current="true"]' },
+                    { id: 'container-link', type: 'css', selector: '.\\@container a' },
+                    { id: 'container', type: 'css', selector: '.\\@container' }
+                ]
+            },
+            searchCandidates: {
+                all: true,
+                // Capture group 1 of idPattern applied to each match's href is the shipment id
+                idPattern: '/shipments/([\\w-]+)',
+                strategies: [
+                    { id: 'container-shipment-links', type: 'css', selector: '.\\@container a[href*="/shipments/"]' },
+                    { id: 'listbox-shipment-links', type: 'css', selector: '[role="listbox"] a[href*="/shipments/"]' }
+                ]
+            }
+        },
+        shipment: {
+            loadReference: {
+                strategies: [
+                    { id: 'bol-text', type: 'text', pattern: 'BOL[\\s\\n]+(\\d+)' }
+                ]
+            },
+            rate: {
+                strategies: [
+                    { id: 'price-cell', type: 'css', selector: '.text-right.py-2.font-bold.order-last.px-3', pattern: '\\$[\\d,]+\\.?\\d*' },
+                    { id: 'aria-rate', type: 'aria', name: 'rate|price|total', pattern: '\\$[\\d,]+\\.?\\d*' }
+                ]
+            },
+            weight: {
+                strategies: [
+                    { id: 'weight-label', type: 'text-anchor', tag: 'div', label: 'Weight', container: '.flex', value: 'div.font-semibold, .text-12, .text-15' },
+                    { id: 'weight-text', type: 'text', pattern: 'Weight[\\s\\n]+([\\d,.\\u202F]+\\s*(?:lbs?)?)' }
+                ]
+            },
+            commodity: {
+                strategies: [
+                    { id: 'commodity-row', type: 'css', selector: 'div.text-black-100.text-12.pt-1.flex.items-baseline', has: 'div.font-semibold', value: 'div.font-semibold' },
+                    { id: 'commodity-label', type: 'text-anchor', tag: 'div', label: 'Commodity', container: '.flex', value: 'div.font-semibold' }
+                ]
+            },
+            equipment: {
+                strategies: [
+                    { id: 'equipment-label', type: 'text-anchor', tag: 'div', label: 'Equipment', container: '.flex', value: 'div.font-semibold' },
+                    { id: 'equipment-text', type: 'text', pattern: 'Equipment[\\s\\n]+([A-Za-z][^\\n]*?)(?:\\n|$)' }
+                ]
+            },
+            trailerLength: {
+                sparse: true,
+                strategies: [
+                    { id: 'length-label', type: 'text-anchor', tag: 'div', label: 'Length', container: '.flex', value: 'div.font-semibold' }
+                ]
+            },
+            miles: {
+                strategies: [
+                    { id: 'miles-label', type: 'text-anchor', tag: 'div', label: 'Miles', container: '.flex', value: 'div.font-semibold' },
+                    { id: 'distance-label', type: 'text-anchor', tag: 'div', label: 'Distance', container: '.flex', value: 'div.font-semibold' },
+                    { id: 'miles-text', type: 'text', pattern: '([\\d,]+(?:\\.\\d+)?)\\s*(?:mi|miles)\\b' }
+                ]
+            },
+            pieces: {
+                sparse: true,
+                strategies: [
+                    { id: 'pieces-label', type: 'text-anchor', tag: 'div', label: 'Pieces', container: '.flex', value: 'div.font-semibold' }
+                ]
+            },
+            pallets: {
+                sparse: true,
+                strategies: [
+                    { id: 'pallets-label', type: 'text-anchor', tag: 'div', label: 'Pallets', container: '.flex', value: 'div.font-semibold' }
+                ]
+            },
+            temperature: {
+                sparse: true,
+                strategies: [
+                    { id: 'temperature-label', type: 'text-anchor', tag: 'div', label: 'Temperature', container: '.flex', value: 'div.font-semibold' },
+                    { id: 'temperature-text', type: 'text', pattern: 'Temp(?:erature)?[\\s\\n:]+(-?\\d+[^\\n]*?°\\s*[FC])' }
+                ]
+            },
+            tarps: {
+                sparse: true,
+                strategies: [
+                    { id: 'tarps-label', type: 'text-anchor', tag: 'div', label: 'Tarps', container: '.flex', value: 'div.font-semibold' }
+                ]
+            },
+            hazmat: {
+                sparse: true,
+                strategies: [
+                    { id: 'hazmat-label', type: 'text-anchor', tag: 'div', label: 'Hazmat', container: '.flex', value: 'div.font-semibold' },
+                    { id: 'hazmat-text', type: 'text', pattern: 'Hazmat[\\s\\n:]+((?:Yes|Class\\s*\\d|UN\\s?\\d{4})[^\\n]*)' }
+                ]
+            },
+            references: {
+                all: true,
+                sparse: true,
+                // Each match is a row; its first and last child are the label and value
+                strategies: [
+                    { id: 'reference-rows', type: 'css', selector: '[class*="reference"] > div, [class*="reference"] > li' },
+                    { id: 'aria-references', type: 'css', selector: '[aria-label*="reference" i] > *' }
+                ]
+            },
+            stops: {
+                required: true,
+                all: true,
+                strategies: [
+                    { id: 'shipment-location', type: 'css', selector: '[id^="shipment-location-"]' },
+                    { id: 'aria-stop', type: 'aria', role: 'listitem', name: 'stop|pick|deliver' }
+                ]
+            },
+            stopBadge: {
+                scope: 'stop',
+                all: true,
+                strategies: [
+                    { id: 'badge-class', type: 'css', selector: '.badge, [class*="badge"]' },
+                    { id: 'aria-stop-type', type: 'aria', name: 'pick|deliver|drop|dock|stop type' }
+                ]
+            },
+            stopIcons: {
+                scope: 'stop',
+                all: true,
+                sparse: true,
+                strategies: [
+                    { id: 'svg-icon', type: 'css', selector: 'svg' },
+                    { id: 'icon-class', type: 'css', selector: '[class*="icon"]' }
+                ]
+            },
+            stopSequence: {
+                scope: 'stop',
+                sparse: true,
+                strategies: [
+                    { id: 'sequence-number', type: 'css', selector: '.stop-number, [class*="sequence"]', pattern: '(\\d+)' }
+                ]
+            },
+            stopAddress: {
+                scope: 'stop',
+                strategies: [
+                    { id: 'address-element', type: 'css', selector: 'address' },
+                    { id: 'itemprop-address', type: 'css', selector: '[itemprop="address"]' }
+                ]
+            },
+            stopTimes: {
+                scope: 'stop',
+                strategies: [
+                    { id: 'text-14-times', type: 'css', selector: 'div.text-14', has: 'time' },
+                    { id: 'time-parent', type: 'css', selector: 'time', parent: true }
+                ]
+            },
+            stopTimezone: {
+                scope: 'stop',
+                sparse: true,
+                strategies: [
+                    { id: 'timezone-attribute', type: 'css', selector: '[data-timezone]', attribute: 'data-timezone' },
+                    { id: 'time-title-zone', type: 'css', selector: 'time[title]', attribute: 'title', pattern: '([A-Za-z]+/[A-Za-z_]+)' },
+                    { id: 'zone-abbreviation', type: 'css', selector: 'div.text-14, time', pattern: '\\b((?:AK|[PMCEH])[SD]?T)\\b' }
+                ]
+            },
+            stopNotes: {
+                scope: 'stop',
+                sparse: true,
+                strategies: [
+                    { id: 'notes-label', type: 'text-anchor', tag: 'div', label: 'Notes' },
+                    { id: 'instructions-label', type: 'text-anchor', tag: 'div', label: 'Instructions' }
+                ]
+            }
+        }
+    }
+};
+
+/**
+ * Registry slice for one page, in the shape the in-page script expects
+ */
+function getPageSelectors(pageName, registry = SELECTOR_REGISTRY) {
+    const fields = registry.pages[pageName];
+    if (!fields) {
+        throw new Error(`No selectors registered for page: ${pageName}`);
+    }
+    return { version: registry.version, page: pageName, fields };
+}
+
+export { SELECTOR_REGISTRY, SELECTOR_REGISTRY_VERSION, getPageSelectors };
@@ -0,0 +1,78 @@
+/**
+ * Shipment Page -> Canonical Load
+ * Turns the raw fields the in-page script reads into the shared load model
+ * (zapier-modules/models/load-model.js) that the API lookup also returns
+ */
+
+import LoadModel from '../../zapier-modules/models/load-model.js';
+import StopTimezone from '../../zapier-modules/models/stop-timezone.js';
+import { classifyStops } from './stop-classifier.js';
+
+/**
+ * Explicit FCFS/appointment wording wins; otherwise a time range is a
+ * first-come window and a single time is an appointment
+ */
+function schedulingFor(stop) {
+    if (/\bFCFS\b|first[\s-]come/i.test(stop.scheduleText)) return 'fcfs';
+    if (/\bappt\b|appointment/i.test(stop.scheduleText)) return 'appointment';
+    if (stop.times.length >= 2) return 'fcfs';
+    if (stop.times.length === 1) return 'appointment';
+    return null;
+}
+
+/**
+ * Times are kept as the UTC instants from the datetime attributes and shown
+ * in the stop's resolved zone. When no zone can be resolved, the offset is
+ * worked out from the local time QuoteFactory displayed instead.
+ */
+function toCanonicalStop(stop) {
+    const address = LoadModel.createAddress(stop.addressLines);
+    const timezone = StopTimezone.resolve({ hint: stop.timezoneHint, state: address.state, zip: address.zip });
+    const [start, end] = timezone
+        ? stop.times.map(time => time.datetime)
+        : stop.times.map(time => LoadModel.zonedTimestamp(time.datetime, time.text));
+
+    return {
+        sequence: stop.sequence,
+        type: stop.type,
+        handling: stop.handling,
+        address: stop.addressLines,
+        timezone,
+        window: { start, end },
+        scheduling: schedulingFor(stop),
+        notes: stop.notes,
+        classification: stop.classification
+    };
+}
+
+/**
+ * Build the canonical load from page-script output, keeping the extraction
+ * diagnostics alongside it
+ */
+function buildShipmentLoad(details) {
+    const load = LoadModel.createLoad({
+        loadReference: details.loadReference,
+        stops: classifyStops(details.stops).map(toCanonicalStop),
+        commodity: {
+            description: details.commodity,
+            weight: details.weight,
+            pieces: details.pieces,
+            pallets: details.pallets,
+            hazmat: details.hazmat
+        },
+        rate: details.rate,
+        equipment: {
+            type: details.equipment,
+            length: details.trailerLength,
+            tarps: details.tarps,
+            temperature: details.temperature
+        },
+        distance: details.miles,
+        references: details.references,
+        source: 'quotefactory-web'
+    });
+
+    return { ...load, extraction: details.extraction };
+}
+
+export { buildShipmentLoad };
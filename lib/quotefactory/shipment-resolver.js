@@ -0,0 +1,86 @@
+/**
+ * QuoteFactory Shipment Resolver
+ * Maps a load reference (BOL, order #, DAT ref) to a QuoteFactory shipment
+ * id from the search results, and caches the mapping so repeat lookups can
+ * go straight to the shipment page without the search UI
+ */
+
+import { createStorageBackend, durationFromEnv } from '../storage/index.js';
+import { ShipmentNotFoundError, AmbiguousShipmentError } from './errors.js';
+
+class ShipmentResolver {
+    constructor(config = {}) {
+        this.backend = config.backend || createStorageBackend('memory');
+        this.ttlMs = config.ttlMs ?? 24 * 60 * 60 * 1000;
+        this.keyPrefix = config.keyPrefix || 'qf-shipment:';
+    }
+
+    key(reference) {
+        return this.keyPrefix + String(reference).trim().toUpperCase();
+    }
+
+    /**
+     * Resolve a reference to { shipmentId, label, href, cached }.
+     * search(reference) is only called on a cache miss and must return the
+     * candidates listed by the QuoteFactory search. None throws
+     * ShipmentNotFoundError; more than one throws AmbiguousShipmentError.
+     */
+    async resolve(reference, search) {
+        if (this.ttlMs > 0) {
+            const entry = await this.backend.get(this.key(reference));
+            if (entry) {
+                return { ...entry, cached: true };
+            }
+        }
+
+        const candidates = await search(reference);
+        if (candidates.length === 0) {
+            throw new ShipmentNotFoundError(reference);
+        }
+        if (candidates.length > 1) {
+            throw new AmbiguousShipmentError(reference, candidates);
+        }
+
+        const [{ shipmentId, label, href }] = candidates;
+        if (this.ttlMs > 0) {
+            await this.backend.set(this.key(reference), { shipmentId, label, href }, this.ttlMs);
+        }
+        return { shipmentId, label, href, cached: false };
+    }
+
+    /**
+     * Drop a cached mapping, e.g. when the cached shipment page no longer loads
+     */
+    async forget(reference) {
+        await this.backend.delete(this.key(reference));
+    }
+
+    async close() {
+        await this.backend.close();
+    }
+}
+
+/**
+ * Build a shipment resolver from environment configuration
+ *
+ * QF_SHIPMENT_CACHE_BACKEND       memory | file | sqlite (default memory)
+ * QF_SHIPMENT_CACHE_TTL_SECONDS   how long a reference mapping is reused (default 86400, 0 disables)
+ * QF_SHIPMENT_CACHE_FILE          JSON file for the file backend
+ * QF_SHIPMENT_CACHE_SQLITE_PATH   database file for the sqlite backend
+ */
+function createShipmentResolver(env = process.env) {
+    const backend = createStorageBackend(env.QF_SHIPMENT_CACHE_BACKEND || 'memory', {
+        filePath: env.QF_SHIPMENT_CACHE_FILE || '/tmp/qf-shipment-cache.json',
+        dbPath: env.QF_SHIPMENT_CACHE_SQLITE_PATH || '/tmp/qf-shipment-cache.db',
+        table: 'qf_shipment_cache'
+    });
+
+    const ttlSeconds = durationFromEnv(env.QF_SHIPMENT_CACHE_TTL_SECONDS, 24 * 60 * 60);
+
+    return new ShipmentResolver({
+        backend,
+        ttlMs: ttlSeconds * 1000
+    });
+}
+
+export { ShipmentResolver, createShipmentResolver };
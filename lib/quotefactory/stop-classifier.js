@@ -0,0 +1,111 @@
+/**
+ * QuoteFactory Stop Classifier
+ * Decides each stop's type (pickup, delivery or pickup-and-delivery) and
+ * handling (drop-and-hook, cross-dock) from what the shipment page shows,
+ * trusting the clearest signal available:
+ *
+ *   badge     the stop type badge ("Pick up", "Deliver")     confidence 1.0
+ *   icon      the stop icon's label, title, class or sprite    confidence 0.9
+ *   text      wording anywhere in the stop                     confidence 0.7
+ *   position  first stop picks up, later stops deliver         confidence 0.4-0.6
+ *
+ * Stops come back ordered by the sequence numbers shown on the page.
+ */
+
+const TYPE_PATTERNS = [
+    ['pickup_and_delivery', /\bpick[\s-]?up\s*(?:&|and|\/|\+)\s*deliver|\bp\s*\/\s*d\b|\bpickup[-_]delivery\b/i],
+    ['pickup', /\bpick(?:ed)?[\s-]?up\b|\bpickup\b|\bshipper\b|\borigin\b/i],
+    ['delivery', /\bdeliver(?:y|ed|ing)?\b|\bconsignee\b|\bdestination\b|\bdrop[\s-]?off\b|\bdrop\b(?!\s*(?:&|and|-|\/)?\s*hook)/i]
+];
+
+const HANDLING_PATTERNS = [
+    ['drop_and_hook', /\bdrop\s*(?:&|and|-|\/|\+)?\s*hook\b|\bd\s*&\s*h\b|\bpre-?loaded trailer\b/i],
+    ['cross_dock', /\bcross[\s-]?dock(?:ing)?\b/i]
+];
+
+const SOURCE_CONFIDENCE = {
+    badge: 1,
+    icon: 0.9,
+    text: 0.7
+};
+
+function matchType(texts) {
+    for (const [type, pattern] of TYPE_PATTERNS) {
+        if (texts.some(text => pattern.test(text))) return type;
+    }
+    return null;
+}
+
+function matchHandling(texts) {
+    for (const [handling, pattern] of HANDLING_PATTERNS) {
+        if (texts.some(text => pattern.test(text))) return handling;
+    }
+    return null;
+}
+
+// Stop text minus the address, so a facility called "Origin Foods" is not a pickup
+function stopWording(stop) {
+    return (stop.addressLines || []).reduce((text, line) => text.replace(line, ' '), stop.text || '');
+}
+
+/**
+ * Type and the signal it came from, or null when nothing on the stop says
+ */
+function readStopType(stop) {
+    const signals = [
+        ['badge', stop.badges || []],
+        ['icon', stop.icons || []],
+        ['text', [stopWording(stop)]]
+    ];
+
+    for (const [source, texts] of signals) {
+        const type = matchType(texts);
+        if (type) {
+            return { type, source, confidence: SOURCE_CONFIDENCE[source] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Guess from route position: the first stop picks up, the last delivers,
+ * and a middle stop is taken as a delivery with low confidence
+ */
+function guessFromPosition(index, count) {
+    if (index === 0) {
+        return { type: 'pickup', source: 'position', confidence: 0.6 };
+    }
+    if (index === count - 1) {
+        return { type: 'delivery', source: 'position', confidence: 0.6 };
+    }
+    return { type: 'delivery', source: 'position', confidence: 0.4 };
+}
+
+/**
+ * Order raw stops by their page sequence and attach type, handling and
+ * classification { source, confidence } to each
+ */
+function classifyStops(rawStops) {
+    const ordered = rawStops
+        .map((stop, index) => ({ stop, index }))
+        .sort((a, b) => (a.stop.sequence ?? a.index + 1) - (b.stop.sequence ?? b.index + 1) || a.index - b.index)
+        .map(({ stop }) => stop);
+
+    return ordered.map((stop, index) => {
+        const classification = readStopType(stop) || guessFromPosition(index, ordered.length);
+        const handlingTexts = [...(stop.badges || []), ...(stop.icons || []), stopWording(stop)];
+
+        return {
+            ...stop,
+            sequence: index + 1,
+            type: classification.type,
+            handling: matchHandling(handlingTexts),
+            classification: {
+                source: classification.source,
+                confidence: classification.confidence
+            }
+        };
+    });
+}
+
+export { classifyStops, readStopType };
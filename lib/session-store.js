@@ -0,0 +1,217 @@
+/**
+ * QuoteFactory Session Store
+ * Saves and restores browser cookies plus Auth0 localStorage state so a
+ * webhook invocation can skip the full login when a session is still valid
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { createStorageBackend } from './storage/index.js';
+
+const APP_ORIGIN = 'https://app.quotefactory.com';
+
+/**
+ * Plain JSON file, compatible with the cookies.json written by testPuppeteer.js
+ */
+class FileSessionBackend {
+    constructor(options = {}) {
+        this.filePath = options.filePath || '/tmp/qf-session.json';
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            // Legacy format: a bare array of cookies
+            return Array.isArray(data) ? { cookies: data, localStorage: {}, savedAt: null } : data;
+        } catch {
+            return null;
+        }
+    }
+
+    async save(state) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+    }
+
+    async clear() {
+        await fs.rm(this.filePath, { force: true });
+    }
+}
+
+/**
+ * AES-256-GCM encrypted blob kept in a key/value store
+ */
+class EncryptedKvSessionBackend {
+    constructor(options = {}) {
+        if (!options.secret) {
+            throw new Error('Encrypted session backend requires a secret (QF_SESSION_SECRET)');
+        }
+        this.kv = options.kv || createStorageBackend('memory');
+        this.key = crypto.createHash('sha256').update(options.secret).digest();
+        this.storageKey = options.storageKey || 'qf-session';
+    }
+
+    encrypt(state) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(blob) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(blob.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    async load() {
+        const blob = await this.kv.get(this.storageKey);
+        if (!blob) return null;
+
+        try {
+            return this.decrypt(blob);
+        } catch (error) {
+            console.log('⚠️ Could not decrypt saved session - ignoring it:', error.message);
+            return null;
+        }
+    }
+
+    async save(state) {
+        await this.kv.set(this.storageKey, this.encrypt(state));
+    }
+
+    async clear() {
+        await this.kv.delete(this.storageKey);
+    }
+}
+
+class SessionStore {
+    constructor(config = {}) {
+        this.backend = config.backend;
+        this.maxAgeMs = config.maxAgeMs ?? 12 * 60 * 60 * 1000;
+        this.origin = config.origin || APP_ORIGIN;
+    }
+
+    /**
+     * Load saved state if it has not aged out and its cookies are unexpired
+     */
+    async load() {
+        const state = await this.backend.load();
+        if (!state || !Array.isArray(state.cookies) || state.cookies.length === 0) {
+            return null;
+        }
+
+        if (state.savedAt && Date.now() - new Date(state.savedAt).getTime() > this.maxAgeMs) {
+            console.log('⌛ Saved QuoteFactory session is older than max age - discarding');
+            await this.invalidate();
+            return null;
+        }
+
+        const nowSeconds = Date.now() / 1000;
+        const authCookies = state.cookies.filter(c => /auth0|session/i.test(c.name));
+        const expired = authCookies.length > 0 && authCookies.every(c => c.expires > 0 && c.expires < nowSeconds);
+        if (expired) {
+            console.log('⌛ Saved QuoteFactory auth cookies have expired - discarding');
+            await this.invalidate();
+            return null;
+        }
+
+        return state;
+    }
+
+    /**
+     * Snapshot cookies and the app's localStorage from a logged-in page
+     */
+    async capture(page) {
+        const cookies = await page.cookies();
+        const localStorage = await page.evaluate(() => {
+            const items = {};
+            for (let i = 0; i < window.localStorage.length; i++) {
+                const key = window.localStorage.key(i);
+                items[key] = window.localStorage.getItem(key);
+            }
+            return items;
+        });
+
+        const state = {
+            cookies,
+            localStorage,
+            origin: this.origin,
+            savedAt: new Date().toISOString()
+        };
+        await this.backend.save(state);
+        console.log(`💾 Saved QuoteFactory session (${cookies.length} cookies, ${Object.keys(localStorage).length} storage keys)`);
+        return state;
+    }
+
+    /**
+     * Apply saved state to a page before it navigates to the app
+     */
+    async apply(page, state) {
+        if (state.cookies.length > 0) {
+            await page.setCookie(...state.cookies);
+        }
+
+        const items = state.localStorage || {};
+        if (Object.keys(items).length > 0) {
+            // Seed localStorage before the Auth0 SPA boots on the app origin
+            await page.evaluateOnNewDocument((origin, entries) => {
+                if (window.location.origin !== origin) return;
+                for (const [key, value] of Object.entries(entries)) {
+                    if (window.localStorage.getItem(key) === null) {
+                        window.localStorage.setItem(key, value);
+                    }
+                }
+            }, state.origin || this.origin, items);
+        }
+    }
+
+    async invalidate() {
+        await this.backend.clear();
+        console.log('🗑️ Invalidated saved QuoteFactory session');
+    }
+}
+
+/**
+ * Build a session store from environment configuration
+ *
+ * QF_SESSION_BACKEND       file | kv | none (default file)
+ * QF_SESSION_FILE          JSON file for the file backend
+ * QF_SESSION_KV_BACKEND    memory | file | sqlite store holding the encrypted blob
+ * QF_SESSION_SECRET        encryption secret for the kv backend
+ * QF_SESSION_MAX_AGE_SECONDS  discard sessions older than this (default 43200)
+ */
+function createSessionStore(env = process.env) {
+    const type = env.QF_SESSION_BACKEND || 'file';
+    if (type === 'none') return null;
+
+    let backend;
+    if (type === 'file') {
+        backend = new FileSessionBackend({ filePath: env.QF_SESSION_FILE || '/tmp/qf-session.json' });
+    } else if (type === 'kv') {
+        backend = new EncryptedKvSessionBackend({
+            secret: env.QF_SESSION_SECRET,
+            kv: createStorageBackend(env.QF_SESSION_KV_BACKEND || 'memory', {
+                filePath: env.QF_SESSION_KV_FILE || '/tmp/qf-session-kv.json',
+                dbPath: env.QF_SESSION_KV_SQLITE_PATH || '/tmp/qf-session.db',
+                table: 'qf_session'
+            })
+        });
+    } else {
+        throw new Error(`Unknown session backend: ${type} (expected file, kv or none)`);
+    }
+
+    return new SessionStore({
+        backend,
+        origin: env.QF_APP_URL ? new URL(env.QF_APP_URL).origin : undefined,
+        maxAgeMs: (Number(env.QF_SESSION_MAX_AGE_SECONDS) || 43200) * 1000
+    });
+}
+
+export { SessionStore, FileSessionBackend, EncryptedKvSessionBackend, createSessionStore };
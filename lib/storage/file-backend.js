@@ -0,0 +1,88 @@
+/**
+ * JSON File Storage Backend
+ * Persists entries to a single JSON file so they survive restarts.
+ * Single-process only: writes are serialized in memory, so two processes
+ * sharing the file lose each other's updates. Use sqlite for those.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+class FileBackend {
+    constructor(options = {}) {
+        this.filePath = options.filePath || '/tmp/load-automation-store.json';
+        // Serialize read-modify-write cycles within this process
+        this.queue = Promise.resolve();
+    }
+
+    async readEntries() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log(`⚠️ Could not read store file ${this.filePath}:`, error.message);
+            }
+            return {};
+        }
+    }
+
+    async writeEntries(entries) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(entries, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Run a mutation against the current entries, dropping expired ones
+     */
+    mutate(fn) {
+        const run = this.queue.then(async () => {
+            const entries = await this.readEntries();
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entry.expiresAt && entry.expiresAt <= now) delete entries[key];
+            }
+
+            const result = await fn(entries);
+            await this.writeEntries(entries);
+            return result;
+        });
+
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async get(key) {
+        await this.queue;
+        const entry = (await this.readEntries())[key];
+        if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return null;
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        await this.mutate(entries => {
+            entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        });
+    }
+
+    async add(key, value, ttlMs) {
+        return this.mutate(entries => {
+            if (entries[key]) return false;
+            entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+            return true;
+        });
+    }
+
+    async delete(key) {
+        await this.mutate(entries => {
+            delete entries[key];
+        });
+    }
+
+    async close() {
+        await this.queue;
+    }
+}
+
+export { FileBackend };
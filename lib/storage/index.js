@@ -0,0 +1,41 @@
+/**
+ * Storage Backends
+ * Pluggable key/value stores: memory, JSON file, SQLite
+ *
+ * Every backend implements async get(key), set(key, value, ttlMs),
+ * add(key, value, ttlMs) (set-if-absent, returns boolean), delete(key), close().
+ */
+
+import { MemoryBackend } from './memory-backend.js';
+import { FileBackend } from './file-backend.js';
+import { SqliteBackend } from './sqlite-backend.js';
+
+const backends = {
+    memory: MemoryBackend,
+    file: FileBackend,
+    sqlite: SqliteBackend
+};
+
+/**
+ * Create a storage backend by type name
+ */
+function createStorageBackend(type = 'memory', options = {}) {
+    const Backend = backends[type];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend: ${type} (expected ${Object.keys(backends).join(', ')})`);
+    }
+    return new Backend(options);
+}
+
+/**
+ * A retention or TTL setting from the environment; anything that is not a
+ * finite, non-negative number (a typo, "30d", an empty value) keeps the default
+ */
+function durationFromEnv(value, fallback) {
+    const configured = Number(value);
+    return value !== undefined && String(value).trim() !== '' && Number.isFinite(configured) && configured >= 0
+        ? configured
+        : fallback;
+}
+
+export { createStorageBackend, durationFromEnv, MemoryBackend, FileBackend, SqliteBackend };
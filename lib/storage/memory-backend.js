@@ -0,0 +1,60 @@
+/**
+ * Memory Storage Backend
+ * Process-local key/value store with per-entry expiry
+ */
+
+class MemoryBackend {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value, or null if missing or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value, optionally expiring after ttlMs
+     */
+    async set(key, value, ttlMs) {
+        this.entries.set(key, {
+            value,
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+    }
+
+    /**
+     * Store a value only if the key is absent; returns true when stored
+     */
+    async add(key, value, ttlMs) {
+        // No await between check and write so concurrent callers cannot both win
+        const entry = this.entries.get(key);
+        if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return false;
+
+        this.entries.set(key, {
+            value,
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+        return true;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async close() {
+        this.entries.clear();
+    }
+}
+
+export { MemoryBackend };
@@ -0,0 +1,75 @@
+/**
+ * SQLite Storage Backend
+ * Shares entries between processes on the same host via better-sqlite3
+ */
+
+class SqliteBackend {
+    constructor(options = {}) {
+        this.dbPath = options.dbPath || '/tmp/load-automation-store.db';
+        this.table = options.table || 'kv_store';
+        this.db = null;
+    }
+
+    /**
+     * Open the database on first use; better-sqlite3 is an optional dependency
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`SQLite backend requires the better-sqlite3 package: ${error.message}`);
+        }
+
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            expires_at INTEGER
+        )`);
+        return this.db;
+    }
+
+    async purgeExpired(key) {
+        const db = await this.open();
+        db.prepare(`DELETE FROM ${this.table} WHERE key = ? AND expires_at IS NOT NULL AND expires_at <= ?`)
+            .run(key, Date.now());
+        return db;
+    }
+
+    async get(key) {
+        const db = await this.purgeExpired(key);
+        const row = db.prepare(`SELECT value FROM ${this.table} WHERE key = ?`).get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async set(key, value, ttlMs) {
+        const db = await this.open();
+        db.prepare(`INSERT OR REPLACE INTO ${this.table} (key, value, expires_at) VALUES (?, ?, ?)`)
+            .run(key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null);
+    }
+
+    async add(key, value, ttlMs) {
+        const db = await this.purgeExpired(key);
+        const info = db.prepare(`INSERT OR IGNORE INTO ${this.table} (key, value, expires_at) VALUES (?, ?, ?)`)
+            .run(key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null);
+        return info.changes === 1;
+    }
+
+    async delete(key) {
+        const db = await this.open();
+        db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export { SqliteBackend };
@@ -0,0 +1,276 @@
+/**
+ * Zapier Step Bundler
+ * Builds the single-file Zapier Code steps in zapier-modules/zapier-code-steps
+ * from the step definitions in zapier-modules/steps. Each definition declares
+ * its input, environment and output fields and a run(input, { env })
+ * function; the bundler inlines every zapier-modules file the definition
+ * requires (behind a small CommonJS registry), generates the inputData /
+ * output wrapper from the declared fields and writes manifest.json.
+ *
+ * Zapier passes every input as a string, so the generated wrapper coerces
+ * inputs by their declared type: boolean, number, json or string.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const MODULES_DIR = path.join(ROOT_DIR, 'zapier-modules');
+const STEPS_DIR = path.join(MODULES_DIR, 'steps');
+const OUTPUT_DIR = path.join(MODULES_DIR, 'zapier-code-steps');
+const MANIFEST_FILE = 'manifest.json';
+
+const INPUT_TYPES = ['string', 'boolean', 'number', 'json'];
+const REQUIRE_PATTERN = /\brequire\((['"])([^'"]+)\1\)/g;
+
+const require = createRequire(import.meta.url);
+
+// Included verbatim in every generated step
+const RUNTIME = `// Bundled module registry: each module runs once, CommonJS-style, on first require
+const __cache = {};
+
+function __require(id) {
+    if (!__cache[id]) {
+        const module = { exports: {} };
+        __cache[id] = module;
+        __modules[id](module, module.exports, request => __require(__resolve(id, request)));
+    }
+    return __cache[id].exports;
+}
+
+function __resolve(from, request) {
+    const parts = from.split('/').slice(0, -1);
+    for (const part of request.replace(/\\.js$/, '').split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+// Zapier passes inputs as strings; coerce them to the declared type
+function __input(value, type, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (type === 'boolean') return value === true || /^(true|1|yes)$/i.test(String(value));
+    if (type === 'number') return Number(value);
+    if (type === 'json' && typeof value === 'string') {
+        // A malformed mapping gets the default rather than failing the whole step
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+    if (type === 'json') return value;
+    return String(value);
+}`;
+
+/**
+ * Module id ("parsers/email-parser") for a file under zapier-modules
+ */
+function moduleId(file) {
+    return path.relative(MODULES_DIR, file).split(path.sep).join('/').replace(/\.js$/, '');
+}
+
+/**
+ * Step definitions in Zap order, each with the file it came from
+ */
+async function loadStepDefinitions(stepsDir = STEPS_DIR) {
+    const files = (await fs.readdir(stepsDir)).filter(file => file.endsWith('.step.js'));
+
+    return files
+        .map(file => {
+            const definition = require(path.join(stepsDir, file));
+            validateStepDefinition(definition, file);
+            return { ...definition, file: path.join(stepsDir, file) };
+        })
+        .sort((a, b) => a.position - b.position);
+}
+
+function validateStepDefinition(step, file) {
+    for (const key of ['name', 'title', 'inputs', 'outputs', 'run']) {
+        if (!step[key]) throw new Error(`${file}: step definition is missing "${key}"`);
+    }
+    for (const [key, field] of Object.entries(step.inputs)) {
+        if (!INPUT_TYPES.includes(field.type)) {
+            throw new Error(`${file}: input "${key}" has type "${field.type}" - expected one of ${INPUT_TYPES.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Every module the entry file requires, directly or not, dependencies
+ * first. Only relative requires inside zapier-modules can be bundled.
+ */
+async function collectModules(entryFile) {
+    const modules = new Map();
+
+    async function visit(file) {
+        const id = moduleId(file);
+        if (modules.has(id)) return;
+        if (id.startsWith('..')) {
+            throw new Error(`${file} is outside zapier-modules and cannot be bundled into a Zapier step`);
+        }
+
+        modules.set(id, null);
+        const source = await fs.readFile(file, 'utf8');
+
+        for (const [, , request] of source.matchAll(REQUIRE_PATTERN)) {
+            if (!request.startsWith('.')) {
+                throw new Error(`${moduleId(file)} requires "${request}" - Zapier steps can only bundle relative zapier-modules requires`);
+            }
+            await visit(path.join(path.dirname(file), request.endsWith('.js') ? request : `${request}.js`));
+        }
+
+        // Re-insert so dependencies come before the modules that use them
+        modules.delete(id);
+        modules.set(id, source);
+    }
+
+    await visit(entryFile);
+    return [...modules].map(([id, source]) => ({ id, source }));
+}
+
+function fieldList(fields, describe) {
+    const entries = Object.entries(fields);
+    return entries.length > 0 ? entries.map(([key, field]) => ` * - ${key}${describe(field)}: ${field.description}`).join('\n') : ' * (none)';
+}
+
+function renderHeader(step, modules) {
+    const relativeSource = path.relative(ROOT_DIR, step.file).split(path.sep).join('/');
+
+    return `/**
+ * ${step.title}
+ *
+ * ${step.description}
+ *
+ * GENERATED FILE - do not edit. Change ${relativeSource}
+ * (or the modules it requires), then run: npm run build:zapier
+ *
+ * INPUT FIELDS:
+${fieldList(step.inputs, field => ` (${field.type}${field.required ? ', required' : ''})`)}
+ *
+ * ENVIRONMENT VARIABLES (set in Zapier):
+${fieldList(step.env || {}, field => (field.required ? ' (required)' : ''))}
+ *
+ * OUTPUT FIELDS:
+${fieldList(step.outputs, () => '')}
+ *
+ * BUNDLED MODULES: ${modules.map(module => module.id).join(', ')}
+ */`;
+}
+
+/**
+ * Source of one generated Zapier Code step
+ */
+function renderStep(step, modules) {
+    const registry = modules
+        .map(module => `    '${module.id}': function (module, exports, require) {\n${module.source.trimEnd()}\n    }`)
+        .join(',\n\n');
+
+    const inputs = Object.entries(step.inputs)
+        .map(([key, field]) => `    ${key}: __input(inputData.${key}, '${field.type}', ${field.default === undefined ? 'null' : JSON.stringify(field.default)})`)
+        .join(',\n');
+
+    const outputs = Object.keys(step.outputs)
+        .map(key => `    ${key}: __result.${key} === undefined ? null : __result.${key}`)
+        .join(',\n');
+
+    return `${renderHeader(step, modules)}
+
+const __modules = {
+${registry}
+};
+
+${RUNTIME}
+
+// Inputs declared by the step definition
+const __stepInput = {
+${inputs}
+};
+
+const __result = await __require('${moduleId(step.file)}').run(__stepInput, { env: process.env });
+
+// Outputs declared by the step definition; anything else the step returns is dropped
+output = {
+${outputs}
+};
+`;
+}
+
+/**
+ * Field listing for every step, for setting the steps up in Zapier
+ */
+function buildManifest(builtSteps) {
+    return {
+        generatedBy: 'npm run build:zapier',
+        steps: builtSteps.map(({ step, modules, fileName }) => ({
+            name: step.name,
+            position: step.position,
+            title: step.title,
+            description: step.description,
+            file: `zapier-code-steps/${fileName}`,
+            source: moduleId(step.file) + '.js',
+            inputs: Object.entries(step.inputs).map(([key, field]) => ({
+                key,
+                type: field.type,
+                required: !!field.required,
+                default: field.default === undefined ? null : field.default,
+                description: field.description
+            })),
+            env: Object.entries(step.env || {}).map(([name, field]) => ({
+                name,
+                required: !!field.required,
+                description: field.description
+            })),
+            outputs: Object.entries(step.outputs).map(([key, field]) => ({
+                key,
+                type: field.type,
+                description: field.description
+            })),
+            modules: modules.map(module => module.id)
+        }))
+    };
+}
+
+/**
+ * [{ path, content }] for every generated step plus the manifest
+ */
+async function buildZapierSteps({ stepsDir = STEPS_DIR, outputDir = OUTPUT_DIR } = {}) {
+    const steps = await loadStepDefinitions(stepsDir);
+    const built = [];
+
+    for (const step of steps) {
+        const modules = await collectModules(step.file);
+        built.push({ step, modules, fileName: `${step.name}.js`, content: renderStep(step, modules) });
+    }
+
+    return [
+        ...built.map(({ fileName, content }) => ({ path: path.join(outputDir, fileName), content })),
+        { path: path.join(outputDir, MANIFEST_FILE), content: JSON.stringify(buildManifest(built), null, 2) + '\n' }
+    ];
+}
+
+/**
+ * Generated files whose content on disk differs from a fresh build
+ */
+async function findStaleFiles(files) {
+    const stale = [];
+    for (const file of files) {
+        const current = await fs.readFile(file.path, 'utf8').catch(() => null);
+        if (current !== file.content) stale.push(file.path);
+    }
+    return stale;
+}
+
+export {
+    buildZapierSteps,
+    findStaleFiles,
+    loadStepDefinitions,
+    collectModules,
+    renderStep,
+    buildManifest,
+    ROOT_DIR,
+    OUTPUT_DIR
+};
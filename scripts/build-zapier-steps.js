@@ -0,0 +1,29 @@
+// scripts/build-zapier-steps.js - Generate the Zapier Code steps from zapier-modules/steps
+//
+// Usage:
+//   npm run build:zapier               (write zapier-code-steps/*.js and manifest.json)
+//   npm run build:zapier -- --check    (exit 1 if any generated file is out of date)
+//
+// Paste the generated files into Zapier's "Run JavaScript" steps; manifest.json
+// lists the input fields to map and the environment variables each step reads.
+import fs from 'fs/promises';
+import path from 'path';
+import { buildZapierSteps, findStaleFiles, ROOT_DIR } from '../lib/zapier/step-bundler.js';
+
+const check = process.argv.includes('--check');
+const files = await buildZapierSteps();
+const relative = file => path.relative(ROOT_DIR, file);
+
+if (check) {
+    const stale = await findStaleFiles(files);
+    if (stale.length > 0) {
+        console.error(`❌ Out of date - run npm run build:zapier:\n${stale.map(file => `  ${relative(file)}`).join('\n')}`);
+        process.exit(1);
+    }
+    console.log(`✅ ${files.length} generated Zapier files are up to date`);
+} else {
+    for (const file of files) {
+        await fs.writeFile(file.path, file.content);
+        console.log(`📝 ${relative(file.path)}`);
+    }
+}
@@ -0,0 +1,84 @@
+// scripts/capture-fixture.js - Save a sanitized QuoteFactory shipment page as a test fixture
+//
+// Usage:
+//   npm run capture:fixture -- <fixture-name> <load-reference>
+//   npm run capture:fixture -- <fixture-name> --url <shipment-url>
+//
+// Logs in with QF_USERNAME/QF_PASSWORD (reusing a saved session when there is
+// one), opens the shipment, sanitizes the HTML and writes
+// test/fixtures/quotefactory/<fixture-name>.html plus a draft .expected.json
+// produced by the offline extractor. Review the draft before committing it.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LoadAutomationEnhanced } from '../api/webhook.js';
+import { DashboardPage } from '../lib/quotefactory/pages.js';
+import { Deadline } from '../lib/deadline.js';
+import { sanitizeFixtureHtml } from './lib/sanitize-fixture.js';
+import { createDomPage } from './lib/dom-page.js';
+
+// Search, open the result and let it render; login has its own timeouts
+const CAPTURE_DEADLINE_MS = 60000;
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures', 'quotefactory');
+
+function parseArgs(argv) {
+    const [name, ...rest] = argv;
+    const urlIndex = rest.indexOf('--url');
+    return {
+        name,
+        url: urlIndex >= 0 ? rest[urlIndex + 1] : null,
+        reference: urlIndex >= 0 ? null : rest[0]
+    };
+}
+
+async function capture({ name, url, reference }) {
+    if (!name || !/^[a-z0-9-]+$/.test(name) || (!url && !reference)) {
+        throw new Error('Usage: capture-fixture.js <fixture-name> (<load-reference> | --url <shipment-url>)');
+    }
+
+    const automation = new LoadAutomationEnhanced();
+    if (!await automation.initialize()) {
+        throw new Error('Browser initialization failed');
+    }
+
+    try {
+        if (!await automation.loginToQuoteFactory()) {
+            throw new Error('QuoteFactory login failed');
+        }
+
+        if (url) {
+            await automation.page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        } else {
+            const dashboard = new DashboardPage(automation.page);
+            const deadline = new Deadline(CAPTURE_DEADLINE_MS);
+            await deadline.step('search-open', 5000, timeout => dashboard.openSearch(timeout));
+            await deadline.step('search-results', 15000, timeout => dashboard.submitSearch(reference, timeout));
+            await deadline.step('result-open', 15000, timeout => dashboard.openFirstResult(timeout));
+        }
+
+        await automation.page.waitForSelector('[id^="shipment-location-"]', { timeout: 30000 })
+            .catch(() => console.log('⚠️ No shipment-location elements found - saving the page anyway'));
+
+        const html = sanitizeFixtureHtml(await automation.page.content());
+        const htmlPath = path.join(FIXTURE_DIR, `${name}.html`);
+        await fs.writeFile(htmlPath, html);
+        console.log(`💾 Saved sanitized fixture: ${htmlPath}`);
+
+        // Draft golden from the offline extractor, for review
+        const offline = new LoadAutomationEnhanced({ sessionStore: null });
+        offline.attachPage(createDomPage(html));
+        const expected = await offline.extractLoadDetailsFromPage();
+        const expectedPath = path.join(FIXTURE_DIR, `${name}.expected.json`);
+        await fs.writeFile(expectedPath, JSON.stringify(expected, null, 2) + '\n');
+        console.log(`📝 Wrote draft golden output: ${expectedPath}`);
+        console.log('🔍 Check the fixture for leftover customer details before committing it');
+    } finally {
+        await automation.cleanup();
+    }
+}
+
+capture(parseArgs(process.argv.slice(2))).catch(error => {
+    console.error('❌ Capture failed:', error.message);
+    process.exit(1);
+});
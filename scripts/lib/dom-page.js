@@ -0,0 +1,50 @@
+/**
+ * DOM Page Stand-in
+ * Loads saved QuoteFactory HTML into jsdom and exposes the slice of the
+ * Puppeteer Page API the scraper uses, so extraction runs offline
+ */
+
+import fs from 'fs/promises';
+import { JSDOM } from 'jsdom';
+
+function createDomPage(html, url = 'https://app.quotefactory.com/broker/shipments/fixture') {
+    const dom = new JSDOM(html, { url });
+    const { window } = dom;
+
+    return {
+        window,
+        url: () => url,
+
+        /**
+         * Run a page function against the fixture DOM. Arguments and the
+         * result go through JSON like they would over the DevTools protocol.
+         */
+        async evaluate(pageFunction, ...args) {
+            const previous = { document: globalThis.document, window: globalThis.window };
+            globalThis.document = window.document;
+            globalThis.window = window;
+
+            try {
+                const result = await pageFunction(...JSON.parse(JSON.stringify(args)));
+                return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+            } finally {
+                globalThis.document = previous.document;
+                globalThis.window = previous.window;
+            }
+        },
+
+        async content() {
+            return dom.serialize();
+        },
+
+        async close() {
+            window.close();
+        }
+    };
+}
+
+async function loadDomPage(filePath) {
+    return createDomPage(await fs.readFile(filePath, 'utf8'));
+}
+
+export { createDomPage, loadDomPage };
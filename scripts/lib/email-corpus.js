@@ -0,0 +1,176 @@
+/**
+ * Email Corpus Runner
+ * Replays the anonymized carrier emails in test/fixtures/emails through the
+ * webhook handler, with lookups answered by the mock QuoteFactory server,
+ * and diffs each reply against the entry's expectations.
+ *
+ * A corpus entry is one JSON file:
+ *
+ *   {
+ *     "description": "what the email exercises",
+ *     "mockScenario": "normal",              // optional, see MOCK_SCENARIOS
+ *     "pending": "why it does not pass yet",  // optional, reported as a todo
+ *     "request": { ...Zapier webhook body: JSON, bodyPreview or body.content },
+ *     "expected": {
+ *       "loadReference": "302734",            // or null
+ *       "scenario": "load_found",             // responseScenario
+ *       "errorCode": "AUTH_FAILED",           // optional quotefactoryErrorCode
+ *       "crossCheck": "agree",                // optional referenceCrossCheck
+ *       "source": "dat",                      // optional emailSource.id
+ *       "intent": "counter_offer",            // optional emailIntent.intent
+ *       "decision": "counter",                // optional negotiation.decision
+ *       "subjectIncludes": ["..."],           // optional
+ *       "replyIncludes": ["..."],             // optional
+ *       "replyExcludes": ["..."]              // optional
+ *     }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const EMAIL_CORPUS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'test', 'fixtures', 'emails');
+
+/**
+ * Environment that sends the webhook's lookups to the mock through the API
+ * provider. Set it before api/webhook.js is imported.
+ */
+function mockLookupEnv(mockUrl) {
+    return {
+        LOOKUP_PROVIDERS: 'api',
+        AUTH0_DOMAIN: 'mock-tenant.auth0.com',
+        AUTH0_CLIENT_ID: 'mock-client',
+        AUTH0_CLIENT_SECRET: 'mock-secret',
+        AUTH0_BASE_URL: mockUrl,
+        QUOTEFACTORY_API_BASE: mockUrl,
+        QF_APP_URL: mockUrl,
+        QF_USERNAME: 'dispatch@example.com',
+        QF_PASSWORD: 'mock-password',
+        QF_SESSION_BACKEND: 'none',
+        DEDUPE_BACKEND: 'memory',
+        WEBHOOK_MODE: 'sync'
+    };
+}
+
+async function loadEmailCorpus(dir = EMAIL_CORPUS_DIR) {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    return Promise.all(files.map(async file => ({
+        name: path.basename(file, '.json'),
+        ...JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))
+    })));
+}
+
+/**
+ * Call a Vercel-style handler with a POST body and resolve to { status, body }
+ */
+async function invokeHandler(handler, body) {
+    let status = 200;
+    let payload;
+    const res = {
+        status(code) {
+            status = code;
+            return res;
+        },
+        json(data) {
+            payload = data;
+            return res;
+        }
+    };
+
+    await handler({ method: 'POST', body, query: {}, headers: {} }, res);
+    return { status, body: payload };
+}
+
+/**
+ * Differences between a webhook reply and an entry's expectations, one
+ * readable line each; empty when the reply matches
+ */
+function diffReply(expected, reply) {
+    const diffs = [];
+    const compare = (label, want, got) => {
+        if (want !== undefined && want !== got) {
+            diffs.push(`${label}: expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+        }
+    };
+
+    compare('loadReference', expected.loadReference, reply.loadReference);
+    compare('scenario', expected.scenario, reply.responseScenario);
+    compare('errorCode', expected.errorCode, reply.quotefactoryErrorCode);
+    compare('crossCheck', expected.crossCheck, reply.referenceCrossCheck);
+    compare('source', expected.source, reply.emailSource?.id);
+    compare('intent', expected.intent, reply.emailIntent?.intent);
+    compare('decision', expected.decision, reply.negotiation?.decision);
+
+    for (const snippet of expected.subjectIncludes || []) {
+        if (!(reply.responseSubject || '').includes(snippet)) diffs.push(`subject missing: ${JSON.stringify(snippet)}`);
+    }
+    for (const snippet of expected.replyIncludes || []) {
+        if (!(reply.responseBody || '').includes(snippet)) diffs.push(`reply missing: ${JSON.stringify(snippet)}`);
+    }
+    for (const snippet of expected.replyExcludes || []) {
+        if ((reply.responseBody || '').includes(snippet)) diffs.push(`reply should not contain: ${JSON.stringify(snippet)}`);
+    }
+
+    return diffs;
+}
+
+// The webhook logs every step; keep the runner's report readable
+async function quietly(fn) {
+    const { log, error, warn } = console;
+    console.log = console.error = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, error, warn });
+    }
+}
+
+/**
+ * Run one entry: switch the mock to its scenario, post the email and diff the reply
+ */
+async function runCorpusEntry(entry, { handler, mock, quiet = true }) {
+    mock.setScenario(entry.mockScenario || 'normal');
+
+    const started = Date.now();
+    const call = () => invokeHandler(handler, entry.request);
+    const { status, body } = quiet ? await quietly(call) : await call();
+
+    const diffs = status === 200 ? diffReply(entry.expected, body) : [`HTTP status: expected 200, got ${status}`];
+    return { name: entry.name, pending: entry.pending || null, diffs, reply: body, ms: Date.now() - started };
+}
+
+async function runEmailCorpus(corpus, options) {
+    const results = [];
+    for (const entry of corpus) {
+        results.push(await runCorpusEntry(entry, options));
+    }
+    return results;
+}
+
+/**
+ * Plain-text report: one line per email, its diffs indented below
+ */
+function formatCorpusReport(results) {
+    const lines = results.map(result => {
+        const mark = result.diffs.length === 0 ? '✅' : result.pending ? '⏳' : '❌';
+        const note = result.pending && result.diffs.length > 0 ? ` (pending: ${result.pending})` : '';
+        return [`${mark} ${result.name} ${result.ms}ms${note}`, ...result.diffs.map(diff => `     ${diff}`)].join('\n');
+    });
+
+    const failed = results.filter(r => r.diffs.length > 0 && !r.pending).length;
+    const pending = results.filter(r => r.diffs.length > 0 && r.pending).length;
+    lines.push('', `${results.length} emails, ${results.length - failed - pending} passed, ${failed} failed, ${pending} pending`);
+    return lines.join('\n');
+}
+
+export {
+    EMAIL_CORPUS_DIR,
+    mockLookupEnv,
+    loadEmailCorpus,
+    invokeHandler,
+    diffReply,
+    runCorpusEntry,
+    runEmailCorpus,
+    formatCorpusReport
+};
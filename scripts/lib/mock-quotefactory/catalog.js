@@ -0,0 +1,94 @@
+/**
+ * Mock QuoteFactory Catalog
+ * Every extraction fixture becomes a shipment the mock server knows about:
+ * its sanitized HTML is served as the shipment page, and its golden
+ * *.expected.json is turned back into the JSON the REST API returns
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..', 'test', 'fixtures', 'quotefactory');
+
+/**
+ * API load JSON (the shape QuoteFactoryAPI.transformLoadData reads) from a
+ * canonical load model
+ */
+function toApiLoad(id, load) {
+    const { commodity = {}, equipment = {}, rate } = load;
+
+    return {
+        id,
+        referenceNumber: load.loadReference,
+        status: load.status || 'BOOKED',
+        commodity: commodity.description,
+        weight: commodity.weight,
+        pieces: commodity.pieces,
+        pallets: commodity.pallets,
+        hazmat: commodity.hazmat,
+        rate: rate ? rate.amount : null,
+        equipmentType: equipment.type,
+        equipmentLength: equipment.length,
+        tarps: equipment.tarps,
+        temperature: equipment.temperature,
+        distance: load.distance,
+        references: (load.references || []).map(({ label, value }) => ({ label, value })),
+        notes: load.notes,
+        stops: load.stops.map(stop => ({
+            sequence: stop.sequence,
+            type: stop.type,
+            handling: stop.handling,
+            location: stop.address.full,
+            appointmentStart: stop.window.start,
+            appointmentEnd: stop.window.end,
+            fcfs: stop.scheduling === 'fcfs',
+            appointmentType: stop.scheduling === 'appointment' ? 'APPOINTMENT' : null,
+            notes: stop.notes
+        }))
+    };
+}
+
+/**
+ * [{ id, reference, lane, html, api }] for each fixture with a golden file.
+ * The fixture name doubles as the shipment id in /broker/shipments/:id.
+ */
+async function loadMockCatalog(fixtureDir = FIXTURE_DIR) {
+    const files = (await fs.readdir(fixtureDir)).filter(file => file.endsWith('.html')).sort();
+    const shipments = [];
+
+    for (const file of files) {
+        const id = path.basename(file, '.html');
+        const goldenPath = path.join(fixtureDir, `${id}.expected.json`);
+        const golden = await fs.readFile(goldenPath, 'utf8').catch(() => null);
+        if (!golden) continue;
+
+        const load = JSON.parse(golden);
+        const cities = load.stops.map(stop => [stop.address.city, stop.address.state].filter(Boolean).join(', '));
+
+        shipments.push({
+            id,
+            reference: load.loadReference,
+            lane: `${cities[0] || '?'} → ${cities[cities.length - 1] || '?'}`,
+            html: await fs.readFile(path.join(fixtureDir, file), 'utf8'),
+            api: toApiLoad(id, load)
+        });
+    }
+
+    return shipments;
+}
+
+/**
+ * Shipments whose load reference or any reference number equals the query
+ */
+function findShipments(catalog, query) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) return [];
+
+    return catalog.filter(shipment =>
+        String(shipment.reference).toLowerCase() === needle ||
+        shipment.api.references.some(ref => String(ref.value).toLowerCase() === needle)
+    );
+}
+
+export { loadMockCatalog, findShipments, toApiLoad, FIXTURE_DIR };
@@ -0,0 +1,70 @@
+/**
+ * Mock QuoteFactory Pages
+ * Minimal login and dashboard markup carrying just the DOM the scraper
+ * drives: the login form, the "Find anything" button, #search_field and
+ * the .@container result links
+ */
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)} | Quote Factory</title></head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function loginPage(error = null) {
+    return layout('Log in', `<main class="login">
+  <form method="post" action="/login">
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <input type="email" name="username" autocomplete="username">
+    <input type="password" name="password" autocomplete="current-password">
+    <button type="submit">Log in</button>
+  </form>
+</main>`);
+}
+
+// Results are fetched from /api/shipment/search so the scraper sees a search XHR
+function dashboardPage() {
+    return layout('Dashboard', `<main class="dashboard">
+  <button type="button" id="find-anything">Find anything</button>
+  <div id="search" hidden>
+    <input type="search" id="search_field" placeholder="Search shipments">
+  </div>
+  <div id="results" role="listbox"></div>
+</main>
+<script>
+  const field = document.getElementById('search_field');
+  const results = document.getElementById('results');
+
+  document.getElementById('find-anything').addEventListener('click', () => {
+    document.getElementById('search').hidden = false;
+    field.focus();
+  });
+
+  field.addEventListener('keydown', async event => {
+    if (event.key !== 'Enter') return;
+    const response = await fetch('/api/shipment/search?q=' + encodeURIComponent(field.value.trim()));
+    const data = response.ok ? await response.json() : { results: [] };
+    results.innerHTML = data.results.map((load, index) =>
+      '<div class="@container"><a href="/broker/shipments/' + encodeURIComponent(load.id) + '"' +
+      (index === 0 ? ' data-current="true"' : '') + '>' + load.referenceNumber + '</a></div>'
+    ).join('');
+  });
+</script>`);
+}
+
+function notFoundPage(what) {
+    return layout('Not found', `<main><h1>Not found</h1><p>${escapeHtml(what)}</p></main>`);
+}
+
+export { loginPage, dashboardPage, notFoundPage };
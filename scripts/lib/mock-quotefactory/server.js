@@ -0,0 +1,314 @@
+/**
+ * Mock QuoteFactory Server
+ * Stands in for Auth0 and QuoteFactory on one local origin so the API
+ * client, the lookup providers and the Puppeteer scraper can run end to
+ * end without credentials or network access:
+ *
+ *   POST /oauth/token                 Auth0 password / client credentials grants
+ *   POST /api/v1/loads/search         REST search (Bearer token)
+ *   GET  /api/v1/loads/:id            REST load details (Bearer token)
+ *   GET  /api/v1/health               REST health check (Bearer token)
+ *   GET  /api/shipment/search?q=      web app search XHR (session cookie or Bearer)
+ *   GET  /, /login, /broker/dashboard web app login and search UI
+ *   GET  /broker/shipments/:id        shipment page (the fixture HTML)
+ *   GET|POST /__mock/scenario         read or switch the active scenario
+ *
+ * Point the app at it with AUTH0_BASE_URL, QUOTEFACTORY_API_BASE and
+ * QF_APP_URL all set to the server's URL.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { loadMockCatalog, findShipments } from './catalog.js';
+import { loginPage, dashboardPage, notFoundPage } from './pages.js';
+
+const MOCK_SCENARIOS = {
+    normal: 'Everything works',
+    'expired-token': 'The first authenticated request gets a 401 and revokes every earlier token and session',
+    unauthorized: 'Token grants, logins and all authenticated requests are rejected',
+    slow: 'Every response is delayed by delayMs',
+    'missing-load': 'Searches find nothing and shipment pages are 404'
+};
+
+const SESSION_COOKIE = 'qf_mock_session';
+const TOKEN_TTL_SECONDS = 86400;
+
+class MockQuoteFactory {
+    constructor({ catalog, scenario = 'normal', delayMs = 3000, logger = console }) {
+        this.catalog = catalog;
+        this.delayMs = delayMs;
+        this.logger = logger;
+        this.tokens = new Set();
+        this.sessions = new Set();
+        this.requests = [];
+        this.setScenario(scenario);
+    }
+
+    setScenario(scenario, delayMs) {
+        if (!MOCK_SCENARIOS[scenario]) {
+            throw new Error(`Unknown mock scenario "${scenario}" - expected one of: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+        }
+        this.scenario = scenario;
+        if (delayMs !== undefined) this.delayMs = Number(delayMs);
+        this.expired = false;
+    }
+
+    /**
+     * Scenario for one request: X-Mock-Scenario header, then ?scenario=, then the active one
+     */
+    scenarioFor(req, url) {
+        const requested = req.headers['x-mock-scenario'] || url.searchParams.get('scenario');
+        return MOCK_SCENARIOS[requested] ? requested : this.scenario;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const scenario = this.scenarioFor(req, url);
+        this.requests.push({ method: req.method, path: url.pathname, scenario });
+
+        if (scenario === 'slow' && !url.pathname.startsWith('/__mock/')) {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+
+        const body = ['GET', 'HEAD'].includes(req.method) ? {} : await readBody(req);
+        const context = { req, res, url, body, scenario };
+
+        const route = ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+        if (!route) {
+            return sendJson(res, 404, { error: 'not_found', message: `No mock route for ${req.method} ${url.pathname}` });
+        }
+
+        const match = url.pathname.match(route.pattern);
+        try {
+            await route.handler.call(this, context, ...match.slice(1).map(decodeURIComponent));
+        } catch (error) {
+            this.logger.error(`❌ Mock QuoteFactory error on ${req.method} ${url.pathname}:`, error);
+            if (!res.headersSent) sendJson(res, 500, { error: 'server_error', message: error.message });
+        }
+    }
+
+    // --- credentials -------------------------------------------------------
+
+    issue(store) {
+        const value = crypto.randomBytes(16).toString('hex');
+        store.add(value);
+        return value;
+    }
+
+    /**
+     * Whether the request's token or session is good. In expired-token the
+     * first check revokes everything issued so far, so clients must recover.
+     */
+    authenticate({ req, scenario }, { allowCookie = false } = {}) {
+        if (scenario === 'unauthorized') return false;
+
+        const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+        const session = allowCookie && readCookie(req, SESSION_COOKIE);
+        if (!bearer && !session) return false;
+
+        if (scenario === 'expired-token' && !this.expired) {
+            this.expired = true;
+            this.tokens.clear();
+            this.sessions.clear();
+            return false;
+        }
+
+        return (!!bearer && this.tokens.has(bearer[1])) || (!!session && this.sessions.has(session));
+    }
+
+    rejectApi(res, scenario) {
+        const error = scenario === 'expired-token' ? 'token_expired' : 'unauthorized';
+        return sendJson(res, 401, { error, message: 'Invalid or expired access token' });
+    }
+
+    // --- Auth0 -------------------------------------------------------------
+
+    token({ res, body, scenario }) {
+        if (scenario === 'unauthorized') {
+            return sendJson(res, 403, { error: 'invalid_grant', error_description: 'Wrong email or password.' });
+        }
+        if (!['password', 'client_credentials'].includes(body.grant_type)) {
+            return sendJson(res, 400, { error: 'unsupported_grant_type' });
+        }
+        if (body.grant_type === 'password' && (!body.username || !body.password)) {
+            return sendJson(res, 403, { error: 'invalid_grant', error_description: 'Wrong email or password.' });
+        }
+
+        return sendJson(res, 200, {
+            access_token: this.issue(this.tokens),
+            id_token: body.grant_type === 'password' ? this.issue(new Set()) : undefined,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_SECONDS
+        });
+    }
+
+    // --- REST API ----------------------------------------------------------
+
+    apiSearch(context) {
+        if (!this.authenticate(context)) return this.rejectApi(context.res, context.scenario);
+
+        const results = context.scenario === 'missing-load' ? [] : findShipments(this.catalog, context.body.query);
+        return sendJson(context.res, 200, { results: results.map(shipment => shipment.api), total: results.length });
+    }
+
+    apiLoad(context, id) {
+        if (!this.authenticate(context)) return this.rejectApi(context.res, context.scenario);
+
+        const shipment = context.scenario !== 'missing-load' && this.catalog.find(s => s.id === id);
+        if (!shipment) return sendJson(context.res, 404, { error: 'not_found', message: `Load ${id} not found` });
+        return sendJson(context.res, 200, shipment.api);
+    }
+
+    health(context) {
+        if (!this.authenticate(context)) return this.rejectApi(context.res, context.scenario);
+        return sendJson(context.res, 200, { status: 'ok', scenario: context.scenario });
+    }
+
+    // --- web app -----------------------------------------------------------
+
+    webSearch(context) {
+        if (!this.authenticate(context, { allowCookie: true })) return this.rejectApi(context.res, context.scenario);
+
+        const query = context.url.searchParams.get('q');
+        const results = context.scenario === 'missing-load' ? [] : findShipments(this.catalog, query);
+        return sendJson(context.res, 200, { results: results.map(shipment => shipment.api) });
+    }
+
+    home(context) {
+        const signedIn = this.authenticate(context, { allowCookie: true });
+        return redirect(context.res, signedIn ? '/broker/dashboard' : '/login');
+    }
+
+    showLogin({ res }) {
+        return sendHtml(res, 200, loginPage());
+    }
+
+    login({ res, body, scenario }) {
+        if (scenario === 'unauthorized' || !body.username || !body.password) {
+            return sendHtml(res, 401, loginPage('Wrong email or password.'));
+        }
+
+        const session = this.issue(this.sessions);
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${session}; Path=/; HttpOnly; SameSite=Lax`);
+        return redirect(res, '/broker/dashboard');
+    }
+
+    dashboard(context) {
+        if (!this.authenticate(context, { allowCookie: true })) return redirect(context.res, '/login');
+        return sendHtml(context.res, 200, dashboardPage());
+    }
+
+    shipment(context, id) {
+        if (!this.authenticate(context, { allowCookie: true })) return redirect(context.res, '/login');
+
+        const shipment = context.scenario !== 'missing-load' && this.catalog.find(s => s.id === id);
+        if (!shipment) return sendHtml(context.res, 404, notFoundPage(`Shipment ${id} not found`));
+        return sendHtml(context.res, 200, shipment.html);
+    }
+
+    // --- control -----------------------------------------------------------
+
+    showScenario({ res }) {
+        return sendJson(res, 200, { scenario: this.scenario, delayMs: this.delayMs, scenarios: MOCK_SCENARIOS });
+    }
+
+    changeScenario({ res, body }) {
+        try {
+            this.setScenario(body.scenario || this.scenario, body.delayMs);
+        } catch (error) {
+            return sendJson(res, 400, { error: 'invalid_scenario', message: error.message });
+        }
+        return sendJson(res, 200, { scenario: this.scenario, delayMs: this.delayMs });
+    }
+}
+
+const ROUTES = [
+    { method: 'POST', pattern: /^\/oauth\/token\/?$/, handler: MockQuoteFactory.prototype.token },
+    { method: 'POST', pattern: /^\/api\/v1\/loads\/search\/?$/, handler: MockQuoteFactory.prototype.apiSearch },
+    { method: 'GET', pattern: /^\/api\/v1\/loads\/([^/]+)\/?$/, handler: MockQuoteFactory.prototype.apiLoad },
+    { method: 'GET', pattern: /^\/api\/v1\/health\/?$/, handler: MockQuoteFactory.prototype.health },
+    { method: 'GET', pattern: /^\/api\/shipment\/search\/?$/, handler: MockQuoteFactory.prototype.webSearch },
+    { method: 'GET', pattern: /^\/$/, handler: MockQuoteFactory.prototype.home },
+    { method: 'GET', pattern: /^\/login\/?$/, handler: MockQuoteFactory.prototype.showLogin },
+    { method: 'POST', pattern: /^\/login\/?$/, handler: MockQuoteFactory.prototype.login },
+    { method: 'GET', pattern: /^\/broker\/dashboard\/?$/, handler: MockQuoteFactory.prototype.dashboard },
+    { method: 'GET', pattern: /^\/broker\/shipments\/([^/]+)\/?$/, handler: MockQuoteFactory.prototype.shipment },
+    { method: 'GET', pattern: /^\/__mock\/scenario\/?$/, handler: MockQuoteFactory.prototype.showScenario },
+    { method: 'POST', pattern: /^\/__mock\/scenario\/?$/, handler: MockQuoteFactory.prototype.changeScenario }
+];
+
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) return resolve({});
+            if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+                return resolve(Object.fromEntries(new URLSearchParams(raw)));
+            }
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                resolve({});
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function readCookie(req, name) {
+    const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+    return match ? match[1] : null;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+function sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+function redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+}
+
+
+/**
+ * Start a mock on `port` (0 picks a free one). Resolves to
+ * { url, mock, setScenario, close }; mock.requests logs every request.
+ */
+async function createMockQuoteFactory({ port = 0, host = '127.0.0.1', scenario, delayMs, catalog, logger } = {}) {
+    const mock = new MockQuoteFactory({
+        catalog: catalog || await loadMockCatalog(),
+        scenario,
+        delayMs,
+        logger
+    });
+
+    const server = http.createServer((req, res) => {
+        mock.handle(req, res);
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const url = `http://${host}:${server.address().port}`;
+    return {
+        url,
+        mock,
+        setScenario: (name, delay) => mock.setScenario(name, delay),
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections?.();
+        })
+    };
+}
+
+export { createMockQuoteFactory, MockQuoteFactory, MOCK_SCENARIOS };
@@ -0,0 +1,67 @@
+/**
+ * Fixture Sanitizer
+ * Strips scripts, tokens and personal details from a captured QuoteFactory
+ * page while keeping the DOM structure and classes the scraper relies on
+ */
+
+import { JSDOM } from 'jsdom';
+
+const REMOVE_ELEMENTS = 'script, noscript, iframe, link, style, img, video, canvas, template';
+const KEEP_DATA_ATTRIBUTES = ['data-current', 'data-timezone'];
+
+const TEXT_REPLACEMENTS = [
+    // JWTs and other long opaque tokens
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+    [/\b[A-Za-z0-9_-]{40,}\b/g, '[token]'],
+    // Email addresses
+    [/[\w.+-]+@[\w-]+\.[\w.-]+/g, 'contact@example.com'],
+    // North American phone numbers
+    [/(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?:\s*(?:x|ext\.?)\s*\d+)?/gi, '555-010-0000']
+];
+
+function scrubText(text) {
+    return TEXT_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function sanitizeFixtureHtml(html, options = {}) {
+    const dom = new JSDOM(html);
+    const { document, NodeFilter } = dom.window;
+
+    document.querySelectorAll(REMOVE_ELEMENTS).forEach(el => el.remove());
+    document.querySelectorAll('meta:not([charset])').forEach(el => el.remove());
+
+    for (const el of document.querySelectorAll('*')) {
+        for (const attr of Array.from(el.attributes)) {
+            const name = attr.name.toLowerCase();
+            if (name.startsWith('on') || name === 'style' || name === 'value' ||
+                (name.startsWith('data-') && !KEEP_DATA_ATTRIBUTES.includes(name))) {
+                el.removeAttribute(attr.name);
+            } else if (name === 'href') {
+                el.setAttribute('href', attr.value.split('?')[0]);
+            } else {
+                el.setAttribute(attr.name, scrubText(attr.value));
+            }
+        }
+    }
+
+    // Facility names and street lines; keep the last "City, ST 12345" line
+    document.querySelectorAll('address').forEach((address, i) => {
+        const lines = Array.from(address.querySelectorAll('div')).filter(div => div.textContent.trim());
+        lines.slice(0, -1).forEach((div, lineIndex) => {
+            div.textContent = lineIndex === 0 ? `Sample Facility ${i + 1}` : `${100 + i} Example St`;
+        });
+    });
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        node.nodeValue = scrubText(node.nodeValue);
+    }
+
+    for (const [pattern, replacement] of options.extraReplacements || []) {
+        document.body.innerHTML = document.body.innerHTML.replace(pattern, replacement);
+    }
+
+    return dom.serialize();
+}
+
+export { sanitizeFixtureHtml, scrubText };
@@ -0,0 +1,33 @@
+// scripts/mock-quotefactory.js - Run the local QuoteFactory mock for end-to-end testing
+//
+// Usage:
+//   npm run mock:quotefactory
+//   MOCK_QF_SCENARIO=expired-token MOCK_QF_PORT=4010 npm run mock:quotefactory
+//
+// Scenarios: normal, expired-token, unauthorized, slow (MOCK_QF_DELAY_MS,
+// default 3000), missing-load. Switch while running with
+//   curl -X POST localhost:4010/__mock/scenario -H 'Content-Type: application/json' -d '{"scenario":"slow"}'
+// or per request with an X-Mock-Scenario header or ?scenario= query.
+import { createMockQuoteFactory, MOCK_SCENARIOS } from './lib/mock-quotefactory/server.js';
+
+const mock = await createMockQuoteFactory({
+    port: Number(process.env.MOCK_QF_PORT) || 4010,
+    host: process.env.MOCK_QF_HOST || '127.0.0.1',
+    scenario: process.env.MOCK_QF_SCENARIO || 'normal',
+    delayMs: Number(process.env.MOCK_QF_DELAY_MS) || 3000
+});
+
+console.log(`🧪 Mock QuoteFactory listening on ${mock.url} (scenario: ${mock.mock.scenario})`);
+console.log(`📦 Shipments: ${mock.mock.catalog.map(s => `${s.reference} (${s.id})`).join(', ')}`);
+console.log(`🎛️  Scenarios: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+console.log('\nPoint the app at it with:');
+console.log(`  AUTH0_BASE_URL=${mock.url} QUOTEFACTORY_API_BASE=${mock.url} QF_APP_URL=${mock.url}`);
+
+async function shutdown(signal) {
+    console.log(`\n🛑 ${signal} received - stopping mock`);
+    await mock.close();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
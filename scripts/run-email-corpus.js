@@ -0,0 +1,36 @@
+// scripts/run-email-corpus.js - Replay the carrier email corpus through the webhook and report diffs
+//
+// Usage:
+//   npm run test:emails
+//   npm run test:emails -- dat-reply-json outlook-html-body   (only these entries)
+//   npm run test:emails -- --verbose                          (print each reply and the webhook logs)
+//
+// Starts the mock QuoteFactory server, points the webhook's lookups at it and
+// exits non-zero when an email without a "pending" note does not match.
+import { createMockQuoteFactory } from './lib/mock-quotefactory/server.js';
+import { mockLookupEnv, loadEmailCorpus, runEmailCorpus, formatCorpusReport } from './lib/email-corpus.js';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const only = args.filter(arg => !arg.startsWith('--'));
+
+const mock = await createMockQuoteFactory({ delayMs: 200, logger: { error() {} } });
+Object.assign(process.env, mockLookupEnv(mock.url));
+
+try {
+    const { default: handler } = await import('../api/webhook.js');
+    const corpus = (await loadEmailCorpus()).filter(entry => only.length === 0 || only.includes(entry.name));
+
+    const results = await runEmailCorpus(corpus, { handler, mock, quiet: !verbose });
+
+    if (verbose) {
+        for (const result of results) {
+            console.log(`\n===== ${result.name} =====\n${result.reply?.responseSubject}\n\n${result.reply?.responseBody}`);
+        }
+    }
+
+    console.log(`\n${formatCorpusReport(results)}`);
+    process.exitCode = results.some(result => result.diffs.length > 0 && !result.pending) ? 1 : 0;
+} finally {
+    await mock.close();
+}
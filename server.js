@@ -0,0 +1,208 @@
+// server.js - Standalone HTTP server for hosting outside Vercel (VM, container, Procfile)
+import http from 'http';
+import { fileURLToPath } from 'url';
+import webhookHandler, { cleanupActiveAutomations, warmBrowserPool } from './api/webhook.js';
+import indexHandler from './api/index.js';
+import jobStatusHandler from './api/jobs/[id].js';
+import { getJobQueue } from './lib/job-queue.js';
+
+const CONFIG = {
+    PORT: Number(process.env.PORT) || 3000,
+    HOST: process.env.HOST || '0.0.0.0',
+    BODY_LIMIT_BYTES: parseSize(process.env.BODY_LIMIT || '1mb'),
+    SHUTDOWN_TIMEOUT_MS: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 30000,
+};
+
+// Same paths Vercel serves, including the "/(.*)" -> "/api/$1" rewrite
+const routes = [
+    { pattern: /^\/(?:api\/?)?$/, handler: indexHandler },
+    { pattern: /^\/(?:api\/)?index\/?$/, handler: indexHandler },
+    { pattern: /^\/(?:api\/)?webhook\/?$/, handler: webhookHandler },
+    { pattern: /^\/(?:api\/)?jobs\/([^/]+)\/?$/, handler: jobStatusHandler, params: ['id'] },
+];
+
+
+function parseSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i);
+    if (!match) throw new Error(`Invalid BODY_LIMIT: ${value}`);
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+
+// Read the request body, rejecting anything over the configured limit
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(req.headers['content-length']);
+        if (declared > limit) {
+            reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+            req.resume();
+            return;
+        }
+
+        // Over the limit mid-stream: stop buffering but keep draining, so the
+        // socket stays open for the 413 response
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            if (!chunks) return;
+            size += chunk.length;
+            if (size > limit) {
+                chunks = null;
+                reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+                req.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => chunks && resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+
+// Parse JSON and form bodies the way Vercel's helpers populate req.body;
+// a body without a content type must be JSON, anything else is refused
+function parseBody(raw, contentType = '') {
+    if (!raw) return {};
+
+    if (!contentType || contentType.includes('application/json')) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+        }
+    }
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+
+    throw new HttpError(415, `Unsupported content type: ${contentType}`);
+}
+
+
+// Add Vercel-style res.status().json() / res.send() helpers
+function decorateResponse(res) {
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (data) => {
+        if (!res.headersSent) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(data));
+        return res;
+    };
+    res.send = (data) => {
+        if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) return res.json(data);
+        res.end(data);
+        return res;
+    };
+    return res;
+}
+
+
+async function handleRequest(req, res) {
+    decorateResponse(res);
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    const route = routes.find(r => r.pattern.test(url.pathname));
+    if (!route) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const match = url.pathname.match(route.pattern);
+    req.query = Object.fromEntries(url.searchParams);
+
+    try {
+        (route.params || []).forEach((name, i) => {
+            req.query[name] = decodeURIComponent(match[i + 1]);
+        });
+        const raw = ['GET', 'HEAD'].includes(req.method) ? '' : await readBody(req, CONFIG.BODY_LIMIT_BYTES);
+        req.body = parseBody(raw, req.headers['content-type']);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+
+    try {
+        await route.handler(req, res);
+    } catch (error) {
+        console.error(`❌ Unhandled error on ${req.method} ${url.pathname}:`, error);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+
+// Requests that fail outside the handler still get an answer, never an unhandled rejection
+function createServer() {
+    return http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error(`❌ Request failed on ${req.method} ${req.url}:`, error);
+            if (!res.headersSent) {
+                res.statusCode = 500;
+                res.end(JSON.stringify({ error: 'Internal server error' }));
+            } else {
+                res.destroy();
+            }
+        });
+    });
+}
+
+
+let shuttingDown = false;
+
+// Stop taking requests, let in-flight work finish, then close any browsers left open
+async function shutdown(server, signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} received - shutting down gracefully...`);
+
+    const forceTimer = setTimeout(async () => {
+        console.log('⚠️ Shutdown timeout reached - forcing browser cleanup');
+        await cleanupActiveAutomations();
+        process.exit(1);
+    }, CONFIG.SHUTDOWN_TIMEOUT_MS);
+    forceTimer.unref();
+
+    const serverClosed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections?.();
+
+    await Promise.allSettled([serverClosed, getJobQueue().drain()]);
+    await cleanupActiveAutomations();
+
+    console.log('✅ Shutdown complete');
+    process.exit(0);
+}
+
+
+function start() {
+    const server = createServer();
+
+    process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+    process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+
+    server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+        console.log(`🚀 Load automation server listening on http://${CONFIG.HOST}:${CONFIG.PORT}`);
+        console.log(`📦 Body limit: ${CONFIG.BODY_LIMIT_BYTES} bytes`);
+
+        warmBrowserPool().catch(error => {
+            console.error('❌ Browser pool warm-up failed - pages will be created on demand:', error.message);
+        });
+    });
+}
+
+
+// Listen only when run directly (npm start), not when imported by the tests
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    start();
+}
+
+export { createServer, handleRequest, parseBody };
@@ -0,0 +1,149 @@
+// Browser page pool against a fake browser: leasing, waiting, recycling,
+// and which caller a failed page is reported to.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BrowserPool } from '../lib/browser-pool.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+function fakePage() {
+    let closed = false;
+    return {
+        isClosed: () => closed,
+        close: async () => { closed = true; }
+    };
+}
+
+function fakeBrowser() {
+    const browser = {
+        pages: [],
+        connected: true,
+        isConnected: () => browser.connected,
+        on() {},
+        newPage: async () => {
+            const page = fakePage();
+            browser.pages.push(page);
+            return page;
+        },
+        close: async () => { browser.connected = false; }
+    };
+    return browser;
+}
+
+// Authentication answers come from the list in order (true, false, an Error
+// to throw, or { after, answer } for a slow login); true once it runs out
+function createPool({ answers = [], ...config } = {}) {
+    const launches = [];
+    const logins = { count: 0, active: 0, overlapped: false };
+    const pool = new BrowserPool({
+        size: 2,
+        acquireTimeoutMs: 500,
+        launch: async () => {
+            const browser = fakeBrowser();
+            launches.push(browser);
+            return browser;
+        },
+        authenticate: async () => {
+            logins.count++;
+            logins.active++;
+            if (logins.active > 1) logins.overlapped = true;
+            const next = answers.shift() ?? true;
+            const { after = 10, answer } = typeof next === 'object' && !(next instanceof Error) ? next : { answer: next };
+            await new Promise(resolve => setTimeout(resolve, after));
+            logins.active--;
+            if (answer instanceof Error) throw answer;
+            return answer;
+        },
+        ...config
+    });
+    return { pool, launches, logins };
+}
+
+test('start warms every page one at a time, and concurrent starts share the run', async () => {
+    const { pool, launches, logins } = createPool();
+
+    await Promise.all([pool.start(), pool.start()]);
+    assert.equal(launches.length, 1);
+    assert.equal(logins.count, 2);
+    assert.equal(logins.overlapped, false);
+    assert.equal(pool.stats().idle, 2);
+    await pool.close();
+});
+
+test('an acquire during start waits for the warm pages instead of logging in alongside', async () => {
+    const { pool, logins } = createPool();
+
+    const starting = pool.start();
+    const entry = await pool.acquire();
+    await starting;
+
+    assert.equal(logins.count, 2);
+    assert.equal(logins.overlapped, false);
+    assert.equal(pool.stats().leased, 1);
+    await pool.release(entry);
+    await pool.close();
+});
+
+test('a released page goes to the next waiter', async () => {
+    const { pool } = createPool({ size: 1 });
+    const first = await pool.acquire();
+
+    const waiting = pool.acquire();
+    await pool.release(first);
+    const second = await waiting;
+
+    assert.equal(second, first);
+    assert.equal(second.uses, 2);
+    await pool.close();
+});
+
+test('a page that fails to log in rejects only the caller it was added for', async () => {
+    const { pool } = createPool({ size: 2, answers: [true, false] });
+    const held = await pool.acquire();
+
+    const waiting = pool.acquire();
+    await assert.rejects(waiting, /Could not authenticate pooled page/);
+    assert.equal(pool.stats().waiting, 0);
+
+    await pool.release(held);
+    await pool.close();
+});
+
+test('an earlier caller keeps waiting when a later caller\'s page fails', async () => {
+    const { pool } = createPool({ size: 3, answers: [true, { after: 100, answer: true }, new Error('login page changed')] });
+    const held = await pool.acquire();
+
+    const earlier = pool.acquire();
+    const later = pool.acquire();
+    await assert.rejects(later, /login page changed/);
+    assert.equal(pool.stats().waiting, 1);
+
+    const entry = await earlier;
+    assert.notEqual(entry, held);
+    await pool.close();
+});
+
+test('a failed release recycles the page and the replacement goes to the waiter', async () => {
+    const { pool } = createPool({ size: 1, maxUsesPerPage: 1 });
+    const first = await pool.acquire();
+
+    const waiting = pool.acquire();
+    await pool.release(first, { failed: true });
+    const second = await waiting;
+
+    assert.notEqual(second, first);
+    assert.equal(first.page.isClosed(), true);
+    assert.equal(pool.stats().recycled, 1);
+    await pool.close();
+});
+
+test('acquire fails once the pool is closed', async () => {
+    const { pool } = createPool({ size: 1 });
+    await pool.acquire();
+
+    const waiting = pool.acquire();
+    await pool.close();
+    await assert.rejects(waiting, /closed/);
+    await assert.rejects(pool.acquire(), /closed/);
+});
@@ -0,0 +1,136 @@
+// Webhook dedupe: one run per email id inside the window, shared with
+// in-flight and concurrent runs, plus the storage backends it sits on.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DedupeStore, createDedupeStore } from '../lib/dedupe-store.js';
+import { createStorageBackend, MemoryBackend } from '../lib/storage/index.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedupe-'));
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function counter(result = 'reply') {
+    const task = async () => {
+        task.calls += 1;
+        await sleep(20);
+        return `${result} ${task.calls}`;
+    };
+    task.calls = 0;
+    return task;
+}
+
+test('the first run claims the id and later deliveries get its result', async () => {
+    const store = new DedupeStore();
+    const task = counter();
+
+    assert.deepEqual(await store.run('email-1', task), { result: 'reply 1', duplicate: false });
+    assert.deepEqual(await store.run('email-1', task), { result: 'reply 1', duplicate: true });
+    assert.deepEqual(await store.run('email-2', task), { result: 'reply 2', duplicate: false });
+    assert.equal(task.calls, 2);
+});
+
+test('a delivery that arrives while the first is running waits for it', async () => {
+    const store = new DedupeStore();
+    const task = counter();
+
+    const [first, second] = await Promise.all([store.run('email-1', task), store.run('email-1', task)]);
+    assert.deepEqual([first.duplicate, second.duplicate], [false, true]);
+    assert.equal(second.result, first.result);
+    assert.equal(task.calls, 1);
+});
+
+test('another process\'s pending claim is polled until its result is stored', async () => {
+    const backend = new MemoryBackend();
+    const store = new DedupeStore({ backend, pollIntervalMs: 10 });
+    await backend.add('dedupe:email-1', { status: 'pending' }, 1000);
+
+    setTimeout(() => backend.set('dedupe:email-1', { status: 'done', result: 'theirs' }, 1000), 30);
+    assert.deepEqual(await store.run('email-1', counter()), { result: 'theirs', duplicate: true });
+});
+
+test('a pending claim that never finishes times out, and one that vanishes fails', async () => {
+    const backend = new MemoryBackend();
+    const store = new DedupeStore({ backend, pollIntervalMs: 10, pendingTimeoutMs: 50 });
+
+    await backend.add('dedupe:stuck', { status: 'pending' }, 1000);
+    await assert.rejects(store.run('stuck', counter()), /Timed out/);
+
+    await backend.add('dedupe:gone', { status: 'pending' }, 1000);
+    setTimeout(() => backend.delete('dedupe:gone'), 20);
+    await assert.rejects(store.run('gone', counter()), /failed or expired/);
+});
+
+test('a failed run releases its claim so a retry runs again', async () => {
+    const store = new DedupeStore();
+    await assert.rejects(store.run('email-1', async () => { throw new Error('lookup failed'); }), /lookup failed/);
+
+    assert.deepEqual(await store.run('email-1', async () => 'retried'), { result: 'retried', duplicate: false });
+});
+
+test('results are reused only inside the window, and a zero window or no id always runs', async () => {
+    const windowed = new DedupeStore({ windowMs: 30 });
+    const task = counter();
+    await windowed.run('email-1', task);
+    await sleep(50);
+    assert.equal((await windowed.run('email-1', task)).duplicate, false);
+
+    const disabled = new DedupeStore({ windowMs: 0 });
+    await disabled.run('email-1', task);
+    assert.equal((await disabled.run('email-1', task)).duplicate, false);
+    assert.equal((await windowed.run(undefined, task)).duplicate, false);
+    assert.equal(task.calls, 5);
+});
+
+test('DEDUPE_WINDOW_SECONDS falls back to 600 when it is not a non-negative number', () => {
+    assert.equal(createDedupeStore({}).windowMs, 600000);
+    assert.equal(createDedupeStore({ DEDUPE_WINDOW_SECONDS: 'ten minutes' }).windowMs, 600000);
+    assert.equal(createDedupeStore({ DEDUPE_WINDOW_SECONDS: '' }).windowMs, 600000);
+    assert.equal(createDedupeStore({ DEDUPE_WINDOW_SECONDS: '-60' }).windowMs, 600000);
+    assert.equal(createDedupeStore({ DEDUPE_WINDOW_SECONDS: '0' }).windowMs, 0);
+    assert.equal(createDedupeStore({ DEDUPE_WINDOW_SECONDS: '90' }).windowMs, 90000);
+});
+
+let sqliteAvailable = true;
+try {
+    await import('better-sqlite3');
+} catch {
+    sqliteAvailable = false;
+}
+
+for (const type of ['memory', 'file', 'sqlite']) {
+    test(`the ${type} backend gets, sets, adds once, expires and deletes`, { skip: type === 'sqlite' && !sqliteAvailable && 'better-sqlite3 is not installed' }, async () => {
+        const backend = createStorageBackend(type, {
+            filePath: path.join(tmpDir, 'store.json'),
+            dbPath: path.join(tmpDir, 'store.db'),
+            table: 'test_store'
+        });
+
+        await backend.set('a', { n: 1 });
+        assert.deepEqual(await backend.get('a'), { n: 1 });
+        assert.equal(await backend.get('missing'), null);
+
+        assert.equal(await backend.add('b', 'first', 1000), true);
+        assert.equal(await backend.add('b', 'second', 1000), false);
+        assert.equal(await backend.get('b'), 'first');
+
+        await backend.set('short', 'x', 20);
+        await sleep(40);
+        assert.equal(await backend.get('short'), null);
+        assert.equal(await backend.add('short', 'again', 1000), true);
+
+        await backend.delete('a');
+        assert.equal(await backend.get('a'), null);
+        await backend.close();
+    });
+}
+
+test('unknown backend types are rejected', () => {
+    assert.throws(() => createStorageBackend('redis'), /Unknown storage backend: redis/);
+});
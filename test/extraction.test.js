@@ -0,0 +1,39 @@
+// Offline extraction harness: runs extractLoadDetailsFromPage against saved
+// QuoteFactory HTML in jsdom and compares with golden *.expected.json files.
+// Regenerate goldens after an intended change with: UPDATE_GOLDEN=1 npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadDomPage } from '../scripts/lib/dom-page.js';
+
+// Fixed zone so date formatting does not depend on the machine running the tests
+process.env.TZ = 'UTC';
+process.env.QF_SESSION_BACKEND = 'none';
+
+const { LoadAutomationEnhanced } = await import('../api/webhook.js');
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'quotefactory');
+const fixtures = (await fs.readdir(FIXTURE_DIR)).filter(file => file.endsWith('.html')).sort();
+
+for (const file of fixtures) {
+    const name = path.basename(file, '.html');
+
+    test(`extracts load details from ${name}`, async () => {
+        const page = await loadDomPage(path.join(FIXTURE_DIR, file));
+        const automation = new LoadAutomationEnhanced({ sessionStore: null });
+        automation.attachPage(page);
+
+        const actual = await automation.extractLoadDetailsFromPage();
+        const goldenPath = path.join(FIXTURE_DIR, `${name}.expected.json`);
+
+        if (process.env.UPDATE_GOLDEN) {
+            await fs.writeFile(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+        }
+
+        const expected = JSON.parse(await fs.readFile(goldenPath, 'utf8'));
+        assert.deepEqual(actual, expected);
+        await page.close();
+    });
+}
@@ -0,0 +1,16 @@
+// Console output from the code under test lands in the stream the Node 20
+// runner reads its report from and can break it ("Unable to deserialize
+// cloned data"); call silenceConsole() at the top of a test file that logs.
+
+/**
+ * Mute console.log/error/warn for this test file. They come back once the
+ * file has nothing left to run, since background work (queued jobs,
+ * closing servers) can still log after the last test and its hooks.
+ */
+function silenceConsole() {
+    const { log, error, warn } = console;
+    console.log = console.error = console.warn = () => {};
+    process.once('beforeExit', () => Object.assign(console, { log, error, warn }));
+}
+
+export { silenceConsole };
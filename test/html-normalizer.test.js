@@ -0,0 +1,75 @@
+// HTML email bodies as Outlook / Graph sends them, normalized to the plain
+// text the parser and thread segmenter work on.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { HtmlNormalizer } = require('../zapier-modules/parsers/html-normalizer.js');
+const EmailParser = require('../zapier-modules/parsers/email-parser.js');
+
+const normalizer = new HtmlNormalizer();
+
+test('style, script, head and conditional comments are dropped', () => {
+    const text = normalizer.normalize(
+        '<html><head><style>p{color:#333333}</style><script>var id = 123456;</script></head>' +
+        '<body><!--[if mso]><xml>654321</xml><![endif]--><p>load 550913</p></body></html>'
+    );
+
+    assert.equal(text, 'load 550913');
+});
+
+test('hidden preheaders and hidden elements are dropped', () => {
+    const text = normalizer.normalize(
+        '<div style="display:none;max-height:0;overflow:hidden">Load # 302734 digest</div>' +
+        '<span hidden>999999</span><div style="mso-hide:all">888888</div><div>visible</div>'
+    );
+
+    assert.equal(text, 'visible');
+});
+
+test('entities are decoded and non-breaking spaces become spaces', () => {
+    assert.equal(normalizer.normalize('<p>load&nbsp;#&nbsp;550913 &amp; Dallas&#160;TX &#x2192; Atlanta &lt;GA&gt;</p>'), 'load # 550913 & Dallas TX → Atlanta <GA>');
+});
+
+test('table cells stay apart and rows, paragraphs and breaks keep their lines', () => {
+    const text = normalizer.normalize(
+        '<table><tr><td>Load #</td><td>418822</td></tr><tr><td>Truck</td><td>704512</td></tr></table>' +
+        '<p>first<br>second</p><div><br></div><div>third</div>'
+    );
+
+    assert.equal(text, 'Load #\t418822\nTruck\t704512\nfirst\nsecond\n\nthird');
+});
+
+test('inline tags do not split words', () => {
+    assert.equal(normalizer.normalize('<p><b>Lo</b>ad <span>41</span>8822</p>'), 'Load 418822');
+});
+
+test('blockquotes become ">" lines, one marker per level', () => {
+    const text = normalizer.normalize('<div>new</div><blockquote><div>older</div><blockquote>oldest</blockquote></blockquote>');
+
+    assert.equal(text, 'new\n> older\n>> oldest');
+});
+
+test('Outlook safelinks are unwrapped to the address they protect', () => {
+    const link = 'https://nam12.safelinks.protection.outlook.com/?url=https%3A%2F%2Fapp.quotefactory.com%2Fbroker%2Fshipments%2F550913&amp;data=05%7C01';
+
+    assert.equal(normalizer.normalize(`<p>See <a href="${link}">${link}</a></p>`), 'See https://app.quotefactory.com/broker/shipments/550913');
+});
+
+test('plain text is not mistaken for HTML', () => {
+    assert.equal(normalizer.isHtml('On Mon, Dispatch <dispatch@example.com> wrote:'), false);
+    assert.equal(normalizer.isHtml('<div>load 302734</div>'), true);
+});
+
+test('an Outlook HTML reply is segmented like its plain-text equivalent', () => {
+    const result = new EmailParser().extractLoadReference(
+        '<html><body><div>We can take load 418822.</div>' +
+        '<div id="divRplyFwdMsg"><hr><b>From:</b> Dispatch &lt;dispatch@example.com&gt;<br>' +
+        '<b>Sent:</b> Monday, October 6, 2025 9:14 AM<br><b>Subject:</b> RE: Capacity</div>' +
+        '<div>Load # 559010 is covered</div></body></html>'
+    );
+
+    assert.equal(result.reference, '418822');
+    assert.deepEqual(result.segments.map(segment => segment.type), ['newest', 'quoted']);
+});
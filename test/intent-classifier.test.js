@@ -0,0 +1,119 @@
+// What a carrier wants from an email, and the reply each intent gets.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { IntentClassifier } = require('../zapier-modules/parsers/intent-classifier.js');
+const ResponseFormatter = require('../zapier-modules/formatters/response-formatter.js');
+
+const classifier = new IntentClassifier();
+const formatter = new ResponseFormatter();
+
+test('a plain question about a load is a load inquiry', () => {
+    const intent = classifier.classify({ subject: 'Load 302734', body: 'Is this one still open? What is the rate?', reference: '302734' });
+
+    assert.equal(intent.intent, 'load_inquiry');
+    assert.equal(intent.scenario, null);
+    assert.equal(intent.needsLookup, true);
+    assert.deepEqual(intent.evidence, ['still-open', 'rate-question', 'reference']);
+});
+
+test('emails with no cues fall back to a load inquiry', () => {
+    const intent = classifier.classify({ body: '302734', reference: '302734' });
+
+    assert.equal(intent.intent, 'load_inquiry');
+    assert.deepEqual(intent.fields, { reference: '302734' });
+});
+
+test('a counter-offer carries the offered rate', () => {
+    const intent = classifier.classify({ subject: 'Re: Load 302734', body: 'Can you do $2,400 all in?', reference: '302734' });
+
+    assert.equal(intent.intent, 'counter_offer');
+    assert.deepEqual(intent.fields, {
+        rate: { amount: 2400, currency: 'USD', unit: 'total', allIn: true, text: '$2,400' },
+        reference: '302734'
+    });
+});
+
+test('offers without a dollar sign or written in thousands are read', () => {
+    assert.equal(classifier.classify({ body: 'Could you do 2400 on this one?' }).fields.rate.amount, 2400);
+    assert.equal(classifier.classify({ body: 'Best we can do is $2.4k' }).fields.rate.amount, 2400);
+});
+
+test('offer phrasing without an amount is not a counter-offer', () => {
+    assert.equal(classifier.classify({ body: 'Can you do a Friday pickup on 302734?', reference: '302734' }).intent, 'load_inquiry');
+});
+
+test('an empty truck is reported with where, when and what', () => {
+    const intent = classifier.classify({ subject: 'Reefer available', body: 'We have a 53\' reefer empty in Memphis, TN tomorrow.' });
+
+    assert.equal(intent.intent, 'truck_availability');
+    assert.equal(intent.needsLookup, false);
+    assert.deepEqual(intent.fields, {
+        location: { city: 'Memphis', state: 'TN' },
+        availableWhen: 'tomorrow',
+        equipment: 'reefer'
+    });
+});
+
+test('being empty near the load while asking about it stays a load inquiry', () => {
+    const intent = classifier.classify({ body: 'Our truck is empty in Memphis tomorrow, can we get load 418822?', reference: '418822' });
+
+    assert.equal(intent.intent, 'load_inquiry');
+});
+
+test('booking confirmations carry the MC number', () => {
+    const intent = classifier.classify({ subject: 'Re: Load 302734', body: 'Booked, thanks. MC 778899', reference: '302734' });
+
+    assert.equal(intent.intent, 'booking_confirmation');
+    assert.deepEqual(intent.fields, { reference: '302734', mcNumber: '778899' });
+});
+
+test('asking for the rate con wins over the booking it comes with', () => {
+    const intent = classifier.classify({ body: 'We\'ll take it. Please send the rate con.', reference: '302734' });
+
+    assert.equal(intent.intent, 'rate_confirmation_request');
+    assert.ok(intent.scores.booking_confirmation > 0);
+});
+
+test('unsubscribe requests are recognised, board unsubscribe links are not', () => {
+    assert.equal(classifier.classify({ body: 'Please remove me from your list' }).intent, 'unsubscribe');
+    assert.equal(classifier.classify({ body: 'UNSUBSCRIBE' }).intent, 'unsubscribe');
+    assert.equal(classifier.classify({ body: 'Is load 302734 available?\n\nTo unsubscribe from these alerts click here' }).intent, 'load_inquiry');
+});
+
+test('quoted history does not decide the intent', () => {
+    const intent = classifier.classify({
+        body: 'Is this still open?\n\nOn Mon, Oct 6, 2025 at 9:14 AM Dispatch <dispatch@example.com> wrote:\n> Can you do $2,400?',
+        reference: '302734'
+    });
+
+    assert.equal(intent.intent, 'load_inquiry');
+});
+
+test('each intent scenario has a reply', () => {
+    const cases = [
+        ['counter_offer', { rate: { amount: 2400, currency: 'USD', text: '$2,400' } }, 'offer_received', /offer of \$2,400 on load 302734/],
+        ['truck_availability', { location: { city: 'Memphis', state: 'TN' }, availableWhen: 'tomorrow', equipment: 'reefer' }, 'capacity_acknowledged', /a reefer in Memphis, TN tomorrow/],
+        ['booking_confirmation', { mcNumber: '778899' }, 'booking_acknowledged', /We have MC 778899/],
+        ['rate_confirmation', {}, 'rate_confirmation_pending', /rate confirmation for load 302734/],
+        ['unsubscribe', {}, 'unsubscribe_confirmation', /stop sending you load emails/]
+    ];
+
+    for (const [scenario, fields, responseType, text] of cases) {
+        const response = formatter.formatResponse(scenario, { originalSubject: 'Re: Load 302734', loadReference: '302734', fields });
+
+        assert.equal(response.responseType, responseType, scenario);
+        assert.equal(response.metadata.scenario, scenario);
+        assert.equal(response.hasLoadData, false);
+        assert.match(response.body, text, scenario);
+    }
+});
+
+test('booking replies ask for the MC number only when it is missing', () => {
+    const response = formatter.formatResponse('booking_confirmation', { loadReference: '302734', fields: {} });
+
+    assert.match(response.body, /• Your MC number/);
+    assert.doesNotMatch(response.body, /We have MC/);
+});
@@ -0,0 +1,117 @@
+// Background jobs: which callback URLs the queue accepts, what a job that
+// lost its record does, and what a repeated async delivery reports.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { JobQueue, CallbackUrlError } from '../lib/job-queue.js';
+import { invokeHandler } from '../scripts/lib/email-corpus.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+const waitFor = async (check, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting');
+};
+
+const received = [];
+const callbackServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ body, signature: req.headers['x-signature'] });
+        res.end('ok');
+    });
+});
+await new Promise(resolve => callbackServer.listen(0, '127.0.0.1', resolve));
+const callbackUrl = `http://127.0.0.1:${callbackServer.address().port}/hook`;
+
+after(() => new Promise(resolve => callbackServer.close(resolve)));
+
+function createQueue(config = {}) {
+    const queue = new JobQueue({ callbackHosts: ['127.0.0.1', '*.zapier.com'], ...config });
+    queue.registerProcessor('echo', async payload => ({ echoed: payload }));
+    return queue;
+}
+
+test('callback URLs must be http(s) on an allowed host', async () => {
+    const queue = createQueue();
+
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:3000/admin', 'file:///etc/passwd', 'not a url']) {
+        await assert.rejects(queue.enqueue('echo', {}, { callbackUrl: url }), CallbackUrlError, url);
+    }
+    await assert.rejects(queue.enqueue('echo', {}, { callbackUrl: 'https://evilzapier.com/x' }), CallbackUrlError);
+    assert.doesNotThrow(() => queue.checkCallbackUrl('https://hooks.zapier.com/hooks/catch/1/abc'));
+});
+
+test('without an allowlist every callback URL is refused', async () => {
+    const queue = new JobQueue();
+    queue.registerProcessor('echo', async payload => payload);
+
+    await assert.rejects(queue.enqueue('echo', {}, { callbackUrl }), { code: 'CALLBACK_NOT_ALLOWED', statusCode: 400 });
+    assert.equal((await queue.enqueue('echo', {})).callbackUrl, null);
+});
+
+test('a finished job is stored and POSTed, signed, to its callback', async () => {
+    const queue = createQueue({ callbackSecret: 'shh' });
+    const job = await queue.enqueue('echo', { id: 'a1' }, { callbackUrl });
+    await queue.drain();
+
+    const stored = await queue.get(job.id);
+    assert.equal(stored.status, 'completed');
+    assert.deepEqual(stored.result, { echoed: { id: 'a1' } });
+    assert.equal(stored.callback.delivered, true);
+
+    const delivery = received.find(entry => JSON.parse(entry.body).jobId === job.id);
+    assert.equal(delivery.signature, crypto.createHmac('sha256', 'shh').update(delivery.body).digest('hex'));
+});
+
+test('a job whose record is gone is skipped instead of crashing', async () => {
+    const queue = createQueue();
+    await assert.doesNotReject(queue.runJob('job_missing', {}));
+
+    const job = await queue.enqueue('echo', {});
+    await queue.backend.delete(`job:${job.id}`);
+    await queue.drain();
+    assert.equal(await queue.get(job.id), null);
+});
+
+test('a job of an unknown type fails with an error on its record', async () => {
+    const queue = createQueue();
+    const job = await queue.enqueue('echo', {});
+    queue.processors.delete('echo');
+    await queue.drain();
+
+    const stored = await queue.get(job.id);
+    assert.equal(stored.status, 'failed');
+    assert.match(stored.error, /No processor registered/);
+});
+
+process.env.WEBHOOK_CALLBACK_HOSTS = '127.0.0.1';
+const { default: handler } = await import('../api/webhook.js');
+const { getJobQueue } = await import('../lib/job-queue.js');
+getJobQueue().registerProcessor('email', async body => ({ success: true, emailId: body.id }));
+
+test('the webhook refuses a callback URL that is not allowed', async () => {
+    const { status, body } = await invokeHandler(handler, { id: 'ssrf-1', callbackUrl: 'http://169.254.169.254/' });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+});
+
+test('a repeated async delivery reports the job as it stands now', async () => {
+    const first = await invokeHandler(handler, { id: 'async-1', async: true, callbackUrl });
+    assert.equal(first.status, 202);
+    await waitFor(async () => (await getJobQueue().get(first.body.jobId)).status === 'completed');
+
+    const second = await invokeHandler(handler, { id: 'async-1', async: true, callbackUrl });
+    assert.equal(second.body.duplicate, true);
+    assert.equal(second.body.jobId, first.body.jobId);
+    assert.equal(second.body.status, 'completed');
+});
@@ -0,0 +1,34 @@
+// LoadModel field parsing: temperature setpoints and ranges.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const LoadModel = require('../zapier-modules/models/load-model.js');
+
+const temperature = LoadModel.parseTemperature;
+
+test('a hyphen, an en dash or "to" between two numbers is a range', () => {
+    assert.deepEqual(temperature('34-38°F'), { min: 34, max: 38, unit: 'F' });
+    assert.deepEqual(temperature('34°F - 38°F'), { min: 34, max: 38, unit: 'F' });
+    assert.deepEqual(temperature('34–38 F'), { min: 34, max: 38, unit: 'F' });
+    assert.deepEqual(temperature('1 to 4 °C'), { min: 1, max: 4, unit: 'C' });
+});
+
+test('a single setpoint is both the minimum and the maximum', () => {
+    assert.deepEqual(temperature('35°F'), { min: 35, max: 35, unit: 'F' });
+    assert.deepEqual(temperature('-10 F'), { min: -10, max: -10, unit: 'F' });
+    assert.deepEqual(temperature(36.5), { min: 36.5, max: 36.5, unit: 'F' });
+    assert.deepEqual(temperature({ setpoint: '-5', unit: 'c' }), { min: -5, max: -5, unit: 'C' });
+});
+
+test('negative numbers at the start or after a space stay negative', () => {
+    assert.deepEqual(temperature('-10 to 0 F'), { min: -10, max: 0, unit: 'F' });
+    assert.deepEqual(temperature('-20 - -10°F'), { min: -20, max: -10, unit: 'F' });
+});
+
+test('empty or numberless temperatures are null', () => {
+    assert.equal(temperature(''), null);
+    assert.equal(temperature(null), null);
+    assert.equal(temperature('Frozen'), null);
+});
@@ -0,0 +1,147 @@
+// Load lookup chain: skipping unconfigured providers, falling through on
+// failure, stopping on an ambiguous match, and the HTTP search provider's
+// error codes against a stub endpoint.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { LoadLookupChain, createLookupChain } = require('../zapier-modules/lookup/lookup-chain.js');
+const { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES } = require('../zapier-modules/lookup/load-lookup-provider.js');
+const QuoteFactoryHttpSearchProvider = require('../zapier-modules/lookup/http-search-provider.js');
+
+const quiet = { log() {} };
+
+class StubProvider extends LoadLookupProvider {
+    constructor(name, { configured = true, load = null, error = null } = {}) {
+        super(name);
+        this.configured = configured;
+        this.load = load;
+        this.error = error;
+        this.calls = 0;
+    }
+
+    isConfigured() {
+        return this.configured;
+    }
+
+    async lookup() {
+        this.calls++;
+        if (this.error) throw this.error;
+        return this.load;
+    }
+}
+
+const codes = result => result.attempts.map(attempt => `${attempt.provider}:${attempt.code}`);
+
+test('unconfigured providers are skipped and failures fall through to the next', async () => {
+    const chain = new LoadLookupChain([
+        new StubProvider('puppeteer', { configured: false }),
+        new StubProvider('api', { error: new LookupError(LOOKUP_ERROR_CODES.AUTH_FAILED, 'token rejected') }),
+        new StubProvider('http-search', { load: { loadReference: '302734' } })
+    ], { logger: quiet });
+
+    const result = await chain.lookup('302734');
+    assert.equal(result.provider, 'http-search');
+    assert.deepEqual(result.load, { loadReference: '302734' });
+    assert.deepEqual(codes(result), ['puppeteer:NOT_CONFIGURED', 'api:AUTH_FAILED', 'http-search:null']);
+});
+
+test('an ambiguous match stops the chain', async () => {
+    const later = new StubProvider('http-search', { load: { loadReference: '302734' } });
+    const chain = new LoadLookupChain([
+        new StubProvider('api', { error: new LookupError(LOOKUP_ERROR_CODES.AMBIGUOUS, 'two shipments', { candidates: [{ shipmentId: '1' }, { shipmentId: '2' }] }) }),
+        later
+    ], { logger: quiet });
+
+    const result = await chain.lookup('302734');
+    assert.equal(result.load, null);
+    assert.equal(result.error.code, 'SHIPMENT_AMBIGUOUS');
+    assert.equal(result.error.candidates.length, 2);
+    assert.equal(later.calls, 0);
+});
+
+test('when every provider fails the most telling error is reported', async () => {
+    const chain = new LoadLookupChain([
+        new StubProvider('puppeteer', { error: Object.assign(new Error('browser gone'), { code: 'ECONNRESET' }) }),
+        new StubProvider('api', { error: new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, 'no such load') }),
+        new StubProvider('http-search', { load: null })
+    ], { logger: quiet });
+
+    const result = await chain.lookup('302734');
+    assert.equal(result.error.code, 'SHIPMENT_NOT_FOUND');
+    assert.equal(result.error.provider, 'api');
+    assert.deepEqual(codes(result), ['puppeteer:UPSTREAM_ERROR', 'api:SHIPMENT_NOT_FOUND', 'http-search:SHIPMENT_NOT_FOUND']);
+});
+
+test('a chain with nothing configured says so', async () => {
+    const chain = new LoadLookupChain([new StubProvider('api', { configured: false })], { logger: quiet });
+
+    assert.equal(chain.isConfigured(), false);
+    assert.equal((await chain.lookup('302734')).error.code, 'NOT_CONFIGURED');
+});
+
+test('createLookupChain builds providers by name and rejects unknown names', () => {
+    const chain = createLookupChain('api, http-search', {
+        api: () => new StubProvider('api'),
+        'http-search': () => new StubProvider('http-search')
+    });
+
+    assert.deepEqual(chain.providers.map(provider => provider.name), ['api', 'http-search']);
+    assert.throws(() => createLookupChain('api,scraper', { api: () => new StubProvider('api') }), /Unknown load lookup provider "scraper"/);
+});
+
+test('the HTTP search provider is configured only with a search URL and authorization', () => {
+    assert.equal(new QuoteFactoryHttpSearchProvider().isConfigured(), false);
+    assert.equal(new QuoteFactoryHttpSearchProvider({ authorization: 'Bearer abc' }).isConfigured(), true);
+
+    const chain = new LoadLookupChain([new QuoteFactoryHttpSearchProvider({ authorization: undefined })], { logger: quiet });
+    assert.equal(chain.isConfigured(), false);
+});
+
+// Search endpoint answering with whatever the test sets for the next request
+let reply = { status: 200, body: [] };
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization, cookie: req.headers.cookie });
+    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const searchUrl = `http://127.0.0.1:${server.address().port}/api/shipment/search`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function searchCode(status, body, authorization = 'Bearer abc') {
+    reply = { status, body };
+    const provider = new QuoteFactoryHttpSearchProvider({ searchUrl, authorization });
+    try {
+        await provider.lookup('302734');
+        return null;
+    } catch (error) {
+        assert.ok(error instanceof LookupError);
+        return error.code;
+    }
+}
+
+test('the HTTP search provider maps each failure to a lookup error code', async () => {
+    assert.equal(await searchCode(401, {}), 'AUTH_FAILED');
+    assert.equal(await searchCode(403, {}), 'AUTH_FAILED');
+    assert.equal(await searchCode(500, {}), 'UPSTREAM_ERROR');
+    assert.equal(await searchCode(200, 'not json'), 'UPSTREAM_ERROR');
+    assert.equal(await searchCode(200, { results: [] }), 'SHIPMENT_NOT_FOUND');
+    assert.equal(await searchCode(200, [{ id: 1 }, { id: 2 }]), 'SHIPMENT_AMBIGUOUS');
+
+    const unreachable = new QuoteFactoryHttpSearchProvider({ searchUrl: 'http://127.0.0.1:9/search', authorization: 'Bearer abc' });
+    await assert.rejects(unreachable.lookup('302734'), { code: 'UNAVAILABLE' });
+});
+
+test('the HTTP search provider sends a token as Authorization and anything else as Cookie', async () => {
+    requests.length = 0;
+    await searchCode(404, {}, 'Bearer abc');
+    await searchCode(404, {}, 'qf_session=xyz');
+
+    assert.equal(requests[0].url, '/api/shipment/search?q=302734');
+    assert.deepEqual([requests[0].authorization, requests[1].cookie], ['Bearer abc', 'qf_session=xyz']);
+});
@@ -0,0 +1,226 @@
+// Counter-offers: reading the carrier's rate, the per-load rules, the
+// accept / counter / escalate decision, and the record kept for each load.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { createMockQuoteFactory } from '../scripts/lib/mock-quotefactory/server.js';
+import { mockLookupEnv, runCorpusEntry } from '../scripts/lib/email-corpus.js';
+import { createNegotiationStore } from '../lib/negotiation-store.js';
+
+const require = createRequire(import.meta.url);
+const { MoneyParser } = require('../zapier-modules/parsers/money-parser.js');
+const { resolveNegotiationRules, negotiationRulesFromEnv } = require('../zapier-modules/negotiation/negotiation-rules.js');
+const { Negotiator } = require('../zapier-modules/negotiation/negotiator.js');
+const { NegotiationStore } = require('../zapier-modules/negotiation/negotiation-store.js');
+const { IntentClassifier } = require('../zapier-modules/parsers/intent-classifier.js');
+
+process.env.TZ = 'UTC';
+
+const money = new MoneyParser();
+const load = { rate: { amount: 2000 }, distance: 800 };
+const rules = { targetRate: 2000, maxRate: 2400, counterSteps: [0.5, 0.75], roundTo: 25, loads: {} };
+const negotiator = new Negotiator(rules);
+const offer = text => money.parseOffer(text);
+
+test('amounts are read with and without a dollar sign, in thousands and per mile', () => {
+    assert.deepEqual(offer('can you do 2400?'), { amount: 2400, currency: 'USD', unit: 'total', allIn: false, text: '2400' });
+    assert.equal(offer('Best we can do is $2.4k').amount, 2400);
+    assert.equal(offer('Need $2,400, all in').allIn, true);
+    assert.deepEqual(offer('$3.10/mi all in'), { amount: 3.1, currency: 'USD', unit: 'per_mile', allIn: true, text: '$3.10/mi' });
+    assert.equal(offer('we need 2.85 per mile').unit, 'per_mile');
+    assert.equal(offer('I can do it for $3.25').unit, 'per_mile');
+});
+
+test('a bare amount before "all in" or after "rate" is an offer', () => {
+    assert.deepEqual(offer('2400 all in'), { amount: 2400, currency: 'USD', unit: 'total', allIn: true, text: '2400' });
+    assert.equal(offer('2,400 all-in, let me know').amount, 2400);
+    assert.equal(offer('Rate 2400').amount, 2400);
+    assert.equal(offer('rate: 2400').amount, 2400);
+    assert.equal(negotiator.decide({ offer: offer('2400 all in'), loadData: load }).decision, 'counter');
+    assert.equal(negotiator.decide({ offer: offer('Rate 2400'), loadData: load }).decision, 'counter');
+});
+
+test('weights, miles, times and bare numbers without an offer phrase are not rates', () => {
+    assert.equal(offer('53\' van, 42000 lbs, 642 miles'), null);
+    assert.equal(offer('pickup at 1400 hrs'), null);
+    assert.equal(offer('Load 302734 is still open?'), null);
+    assert.equal(offer('we can do it for 2 days'), null);
+});
+
+test('times, MC numbers and zips after an offer phrase are not rates', () => {
+    assert.equal(offer('pickup at 0800'), null);
+    assert.equal(offer('delivery at 1400'), null);
+    assert.equal(offer('My MC is 123456'), null);
+    assert.equal(offer('MC# 1234, can you do 2400?').amount, 2400);
+    assert.equal(offer('deliver at 75001'), null);
+    assert.equal(offer('pickup at 0800 all in'), null);
+    assert.equal(offer('MC 123456 all in'), null);
+});
+
+test('amounts written as money win over bare numbers', () => {
+    assert.equal(money.parseOffer('we can do it for 1900, need $2,400 though').text, '$2,400');
+    assert.equal(money.parseOffer('Load 302734 - can you do 2400?', { ignore: ['302734'] }).amount, 2400);
+});
+
+test('an offer after a pickup time is read as the offer, not the time', () => {
+    const intent = new IntentClassifier().classify({
+        body: 'Pickup at 0800 works. Can you do $2,400 on load 302734?',
+        reference: '302734'
+    });
+    const result = negotiator.decide({ offer: intent.fields.rate, loadData: load });
+
+    assert.equal(intent.intent, 'counter_offer');
+    assert.equal(intent.fields.rate.amount, 2400);
+    assert.equal(result.decision, 'counter');
+});
+
+test('a counter-offer written as a bare amount is countered, not escalated', () => {
+    for (const body of ['Counter 2400 all in on 302734', 'We counter. Rate 2400']) {
+        const intent = new IntentClassifier().classify({ body, reference: '302734' });
+
+        assert.equal(intent.intent, 'counter_offer');
+        assert.equal(negotiator.decide({ offer: intent.fields.rate, loadData: load }).decision, 'counter');
+    }
+});
+
+test('a carrier MC number is not read as the offer', () => {
+    const intent = new IntentClassifier().classify({ body: 'My MC is 123456, can you do 2400?' });
+
+    assert.equal(intent.fields.rate.amount, 2400);
+});
+
+test('per-mile amounts become a total with the load miles', () => {
+    assert.equal(money.toTotal(offer('$3.10/mi'), 642), 1990.2);
+    assert.equal(money.toTotal(offer('$3.10/mi'), null), null);
+    assert.equal(money.toTotal(offer('$2,400'), null), 2400);
+});
+
+test('rules resolve against the posted rate, the miles or per-load overrides', () => {
+    const config = {
+        targetRate: { ofPostedRate: 1 },
+        maxRate: { perMile: 3 },
+        counterSteps: [0.8, 0.4],
+        roundTo: 25,
+        loads: { 302734: { targetRate: 1800, maxRate: 1700 } }
+    };
+
+    assert.deepEqual(resolveNegotiationRules(config, '999001', load), { targetRate: 2000, maxRate: 2400, counterSteps: [0.4, 0.8], roundTo: 25 });
+    assert.equal(resolveNegotiationRules(config, '302734', load).maxRate, 1800);
+    assert.equal(resolveNegotiationRules(config, '999001', { rate: { amount: null } }).targetRate, null);
+});
+
+test('NEGOTIATION_RULES is merged over the defaults', () => {
+    const config = negotiationRulesFromEnv({ NEGOTIATION_RULES: '{"counterSteps":[0.6],"loads":{"302734":{"maxRate":2200}}}' });
+
+    assert.deepEqual(config.counterSteps, [0.6]);
+    assert.deepEqual(config.maxRate, { ofPostedRate: 1.1 });
+    assert.equal(config.loads['302734'].maxRate, 2200);
+});
+
+test('offers at or below the target are accepted', () => {
+    const result = negotiator.decide({ offer: offer('$1,950'), loadData: load });
+
+    assert.equal(result.decision, 'accept');
+    assert.equal(result.round, 1);
+});
+
+test('offers above the target get one counter per step, then accept or escalate', () => {
+    const history = [];
+    const step = text => {
+        const result = negotiator.decide({ offer: offer(text), loadData: load, history });
+        history.push(result);
+        return result;
+    };
+
+    assert.deepEqual([step('$2,600').decision, history[0].counterRate], ['counter', 2200]);
+    assert.deepEqual([step('$2,550').decision, history[1].counterRate], ['counter', 2300]);
+    assert.equal(step('$2,500').decision, 'escalate');
+    assert.equal(history[2].round, 3);
+});
+
+test('after the last counter an offer within the maximum is accepted', () => {
+    const history = [{ decision: 'counter', counterRate: 2200 }, { decision: 'counter', counterRate: 2300 }];
+
+    assert.equal(negotiator.decide({ offer: offer('$2,350'), loadData: load, history }).decision, 'accept');
+});
+
+test('an offer below the next counter is accepted rather than countered upward', () => {
+    assert.equal(negotiator.decide({ offer: offer('$2,150'), loadData: load }).decision, 'accept');
+});
+
+test('offers that cannot be judged go to a person', () => {
+    assert.equal(negotiator.decide({ offer: offer('$3.10/mi'), loadData: { rate: { amount: 2000 }, distance: null } }).decision, 'escalate');
+    assert.equal(new Negotiator().decide({ offer: offer('$2,400'), loadData: null }).reason, 'no negotiation rules or posted rate for this load');
+    assert.equal(negotiator.decide({ offer: null, loadData: load }).decision, 'escalate');
+});
+
+test('the store keeps every step per load and filters by carrier', async () => {
+    const store = new NegotiationStore();
+    await store.record('302734', { decision: 'counter', carrier: 'a@example.com' });
+    await store.record('302734', { decision: 'accept', carrier: 'b@example.com' });
+
+    const record = await store.get('302734');
+    assert.equal(record.steps.length, 2);
+    assert.ok(record.steps[0].at);
+    assert.deepEqual((await store.history('302734', 'a@example.com')).map(step => step.decision), ['counter']);
+    assert.equal(await store.get('550913'), null);
+});
+
+test('concurrent steps on one load are all kept', async () => {
+    // A backend slow enough that both reads happen before either write
+    const entries = new Map();
+    const later = value => new Promise(resolve => setTimeout(() => resolve(value), 10));
+    const store = new NegotiationStore({
+        backend: {
+            get: key => later(entries.get(key) || null),
+            set: async (key, value) => { await later(); entries.set(key, value); }
+        }
+    });
+
+    await Promise.all([
+        store.record('302734', { decision: 'counter', carrier: 'a@example.com' }),
+        store.record('302734', { decision: 'counter', carrier: 'b@example.com' })
+    ]);
+
+    assert.deepEqual((await store.history('302734')).map(step => step.carrier), ['a@example.com', 'b@example.com']);
+});
+
+const mock = await createMockQuoteFactory({ delayMs: 200, logger: { error() {} } });
+Object.assign(process.env, mockLookupEnv(mock.url), {
+    NEGOTIATION_RULES: JSON.stringify({ loads: { 302734: { targetRate: 1850, maxRate: 2050, counterSteps: [0.5] } } })
+});
+const { default: handler } = await import('../api/webhook.js');
+
+after(() => mock.close());
+
+test('NEGOTIATION_RETENTION_DAYS falls back to 30 days when it is not a non-negative number', () => {
+    const day = 24 * 60 * 60 * 1000;
+    assert.equal(createNegotiationStore({}).ttlMs, 30 * day);
+    assert.equal(createNegotiationStore({ NEGOTIATION_RETENTION_DAYS: '30d' }).ttlMs, 30 * day);
+    assert.equal(createNegotiationStore({ NEGOTIATION_RETENTION_DAYS: '' }).ttlMs, 30 * day);
+    assert.equal(createNegotiationStore({ NEGOTIATION_RETENTION_DAYS: '-1' }).ttlMs, 30 * day);
+    assert.equal(createNegotiationStore({ NEGOTIATION_RETENTION_DAYS: '7' }).ttlMs, 7 * day);
+});
+
+test('the webhook counters, then escalates, and records both rounds for the carrier', async () => {
+    const email = (id, text) => ({
+        request: {
+            id,
+            subject: 'Re: Load 302734',
+            from: { emailAddress: { address: 'dana@rapidhaul.example.com' } },
+            JSON: text
+        },
+        expected: {}
+    });
+
+    const first = await runCorpusEntry(email('negotiation-1', 'Can you do $2,400 all in?'), { handler, mock });
+    assert.equal(first.reply.responseScenario, 'counter_offer');
+    assert.equal(first.reply.negotiation.decision, 'counter');
+    assert.equal(first.reply.negotiation.counterRate, 1950);
+    assert.match(first.reply.responseBody, /We can do \$1,950\.00 all in/);
+
+    const second = await runCorpusEntry(email('negotiation-2', 'Best we can do is $2,300'), { handler, mock });
+    assert.equal(second.reply.negotiation.decision, 'escalate');
+    assert.equal(second.reply.negotiation.round, 2);
+    assert.match(second.reply.responseBody, /A member of our team is reviewing it/);
+});
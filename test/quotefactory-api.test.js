@@ -0,0 +1,66 @@
+// QuoteFactory API mapping: stop windows keep the API's wall-clock time
+// whatever zone the host runs in.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+// A zone far from the stops' own, so host-local date getters would show
+process.env.TZ = 'Asia/Tokyo';
+
+const require = createRequire(import.meta.url);
+const QuoteFactoryAPI = require('../zapier-modules/api/quotefactory-api.js');
+
+const api = new QuoteFactoryAPI({ logger: { log() {}, error() {} } });
+
+test('dates without an offset become wall-clock timestamps', () => {
+    assert.equal(api.toTimestamp('2025-10-21'), '2025-10-21T00:00:00');
+    assert.equal(api.toTimestamp('2025-10-21', '14:30'), '2025-10-21T14:30:00');
+    assert.equal(api.toTimestamp('2025-10-21', '2:30 PM'), '2025-10-21T14:30:00');
+    assert.equal(api.toTimestamp('2025-10-21', '12am'), '2025-10-21T00:00:00');
+    assert.equal(api.toTimestamp('2025-10-21T07:00'), '2025-10-21T07:00:00');
+    assert.equal(api.toTimestamp('10/21/2025', '7:05:30'), '2025-10-21T07:05:30');
+});
+
+test('timestamps with an offset are kept as sent', () => {
+    assert.equal(api.toTimestamp('2025-10-21T07:00:00-05:00'), '2025-10-21T07:00:00-05:00');
+    assert.equal(api.toTimestamp('2025-10-21T12:00:00Z'), '2025-10-21T12:00:00Z');
+});
+
+test('unreadable dates and times are null', () => {
+    assert.equal(api.toTimestamp(null), null);
+    assert.equal(api.toTimestamp('next Tuesday'), null);
+    assert.equal(api.toTimestamp('2025-13-01'), null);
+    assert.equal(api.toTimestamp('2025-10-21', '25:00'), null);
+    assert.equal(api.toTimestamp('2025-10-21', 'noonish'), null);
+});
+
+test('a date-only pickup stays on its day in the stop\'s zone', () => {
+    const load = api.transformLoadData({
+        referenceNumber: '550913',
+        pickupLocation: { city: 'Dallas', state: 'TX', zip: '75201' },
+        pickupDate: '2025-10-21',
+        deliveryLocation: { city: 'Memphis', state: 'TN', zip: '38103' },
+        deliveryDate: '2025-10-22',
+        deliveryTime: '08:00'
+    });
+
+    const [pickup, delivery] = load.stops;
+    assert.equal(pickup.window.start, '2025-10-21T00:00:00-05:00');
+    assert.equal(pickup.window.startUtc, '2025-10-21T05:00:00.000Z');
+    assert.equal(delivery.window.start, '2025-10-22T08:00:00-05:00');
+});
+
+test('stop appointment windows keep the API wall-clock time', () => {
+    const load = api.transformLoadData({
+        referenceNumber: '550913',
+        stops: [
+            { type: 'Pickup', location: { city: 'Dallas', state: 'TX', zip: '75201' }, appointmentStart: '2025-10-21T07:00:00', appointmentEnd: '2025-10-21T09:00:00' },
+            { type: 'Delivery', location: { city: 'Memphis', state: 'TN', zip: '38103' }, windowStart: '2025-10-22' }
+        ]
+    });
+
+    const [pickup, delivery] = load.stops;
+    assert.equal(pickup.window.start, '2025-10-21T07:00:00-05:00');
+    assert.equal(pickup.window.end, '2025-10-21T09:00:00-05:00');
+    assert.equal(delivery.window.start, '2025-10-22T00:00:00-05:00');
+});
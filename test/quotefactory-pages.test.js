@@ -0,0 +1,82 @@
+// Dashboard search: the search XHR decides whether there is anything to
+// wait for before the result list is.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { createDomPage } from '../scripts/lib/dom-page.js';
+import { dashboardPage } from '../scripts/lib/mock-quotefactory/pages.js';
+import { DashboardPage } from '../lib/quotefactory/pages.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+const require = createRequire(import.meta.url);
+const { LookupError, LOOKUP_ERROR_CODES } = require('../zapier-modules/lookup/load-lookup-provider.js');
+
+silenceConsole();
+
+// The mock dashboard in jsdom; pressing Enter "answers" the search XHR with
+// the given status and body and renders one result link per hit
+function searchPage({ status = 200, body = { results: [] }, respond = true } = {}) {
+    const page = createDomPage(dashboardPage(), 'https://app.quotefactory.com/broker/dashboard');
+    const { document } = page.window;
+    let answer;
+
+    return Object.assign(page, {
+        async click() {},
+        async type(selector, text) {
+            document.querySelector(selector).value = text;
+        },
+        keyboard: {
+            async press() {
+                const hits = (body && body.results) || [];
+                document.getElementById('results').innerHTML = hits
+                    .map(hit => `<div class="@container"><a href="/broker/shipments/${hit.id}">${hit.referenceNumber}</a></div>`)
+                    .join('');
+                if (respond) answer();
+            }
+        },
+        waitForResponse(predicate, { timeout }) {
+            const response = {
+                url: () => 'https://app.quotefactory.com/api/shipment/search?q=302734',
+                status: () => status,
+                json: async () => body,
+                request: () => ({ method: () => 'GET' })
+            };
+            return new Promise((resolve, reject) => {
+                answer = () => (predicate(response) ? resolve(response) : null);
+                setTimeout(() => reject(Object.assign(new Error('Timed out'), { name: 'TimeoutError' })), timeout);
+            });
+        },
+        async waitForFunction(pageFunction, options, ...args) {
+            if (!await page.evaluate(pageFunction, ...args)) {
+                throw Object.assign(new Error('Timed out'), { name: 'TimeoutError' });
+            }
+        }
+    });
+}
+
+const rejectsWith = code => error => error instanceof LookupError && error.code === code;
+
+test('a search that lists a shipment waits for the result list', async () => {
+    const page = searchPage({ body: { results: [{ id: 'SHP-1', referenceNumber: '302734' }] } });
+    const dashboard = new DashboardPage(page);
+
+    await dashboard.submitSearch('302734', 200);
+    assert.equal((await dashboard.readSearchResults())[0].shipmentId, 'SHP-1');
+});
+
+test('an empty search is a not-found LookupError before the result list is awaited', async () => {
+    const dashboard = new DashboardPage(searchPage({ body: { results: [] } }));
+
+    await assert.rejects(dashboard.submitSearch('302734', 200), rejectsWith(LOOKUP_ERROR_CODES.NOT_FOUND));
+});
+
+test('a failed search is an upstream LookupError, a refused one an auth failure', async () => {
+    await assert.rejects(new DashboardPage(searchPage({ status: 500 })).submitSearch('302734', 200), rejectsWith(LOOKUP_ERROR_CODES.UPSTREAM_ERROR));
+    await assert.rejects(new DashboardPage(searchPage({ status: 401 })).submitSearch('302734', 200), rejectsWith(LOOKUP_ERROR_CODES.AUTH_FAILED));
+});
+
+test('a search that never answers is an upstream LookupError within the timeout', async () => {
+    const dashboard = new DashboardPage(searchPage({ respond: false }));
+
+    await assert.rejects(dashboard.submitSearch('302734', 50), rejectsWith(LOOKUP_ERROR_CODES.UPSTREAM_ERROR));
+});
@@ -0,0 +1,53 @@
+// Parity between the three load reference entry points: the webhook, the
+// EmailParser module and the generated Zapier extract step must read the
+// same reference from the same text, since they share one rule set.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import { loadEmailCorpus } from '../scripts/lib/email-corpus.js';
+
+process.env.QF_SESSION_BACKEND = 'none';
+
+const require = createRequire(import.meta.url);
+const EmailParser = require('../zapier-modules/parsers/email-parser.js');
+const { LoadAutomationEnhanced, readEmailContent } = await import('../api/webhook.js');
+
+const stepSource = await fs.readFile(new URL('../zapier-modules/zapier-code-steps/extract-load-reference.js', import.meta.url), 'utf8');
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const runExtractStep = new AsyncFunction('inputData', `let output;\n${stepSource}\nreturn output;`);
+
+// Texts the entry points used to disagree on, on top of the email corpus
+const EXTRA_SAMPLES = [
+    'Reference: TX-55123 for Monday',
+    'Is load 302734 still open?',
+    'Load # QF-884213, call me at phone: 5551234567',
+    'Quote ref 77123456 from last week',
+    'Invoice #123456 paid, looking for another load like 418822',
+    'ABC12345 is our trailer'
+];
+
+const corpus = await loadEmailCorpus();
+const samples = [
+    ...corpus.map(entry => ({ name: entry.name, subject: entry.request.subject || '', text: readEmailContent(entry.request) })),
+    ...EXTRA_SAMPLES.map((text, index) => ({ name: `sample ${index + 1}`, subject: '', text }))
+];
+
+for (const { name, subject, text } of samples) {
+    test(`every entry point reads the same reference from ${name}`, async () => {
+        const automation = new LoadAutomationEnhanced({ sessionStore: null });
+        const step = await runExtractStep({ email_subject: subject, email_body: text });
+
+        const references = {
+            webhook: automation.extractLoadReference(text, subject),
+            emailParser: new EmailParser().extractLoadReference(text, { subject }).reference,
+            zapierStep: step.load_reference
+        };
+
+        assert.deepEqual(references, {
+            webhook: references.emailParser,
+            emailParser: references.emailParser,
+            zapierStep: references.emailParser
+        });
+    });
+}
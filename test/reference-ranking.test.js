@@ -0,0 +1,117 @@
+// Candidate ranking in EmailParser: every match is scored on its context,
+// and the best one is used only when it clears the threshold.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const EmailParser = require('../zapier-modules/parsers/email-parser.js');
+const { REFERENCE_RULES } = require('../zapier-modules/parsers/reference-rules.js');
+
+const parser = new EmailParser();
+
+test('a labelled load reference beats an earlier unlabelled number', () => {
+    const result = parser.extractLoadReference('Our truck #704512 is empty in Memphis tomorrow, can we get load 418822?');
+
+    assert.equal(result.reference, '418822');
+    assert.deepEqual(result.candidates.map(candidate => candidate.reference), ['418822', '704512']);
+});
+
+test('an unlabelled colour code ahead of a labelled reference stays below the threshold', () => {
+    const result = parser.extractLoadReference('p{color:#333333} Can you send details on load # 550913?');
+    const colour = result.candidates.find(candidate => candidate.reference === '333333');
+
+    assert.equal(result.reference, '550913');
+    assert.ok(colour.score < REFERENCE_RULES.scoring.threshold);
+});
+
+test('a number after a truck label is marked down', () => {
+    const [truck] = parser.rankCandidates('truck #704512');
+
+    assert.equal(truck.score, 0);
+    assert.ok(truck.explanations.some(reason => reason.startsWith('follows "truck #"')));
+});
+
+test('a reference in the newest reply beats one in the quoted thread', () => {
+    const result = parser.extractLoadReference('load 418822 works for us\n\n> On Mon, dispatch wrote:\n> load 302734 is covered');
+    const quoted = result.candidates.find(candidate => candidate.reference === '302734');
+
+    assert.equal(result.reference, '418822');
+    assert.deepEqual(quoted.segment, { index: 1, type: 'quoted', depth: 1 });
+    assert.ok(quoted.score < result.confidence);
+});
+
+test('the subject is scored as its own source', () => {
+    const [candidate] = parser.rankCandidates('Still available?', { subject: 'Re: load 302734' });
+
+    assert.equal(candidate.source, 'subject');
+    assert.ok(candidate.explanations.includes(`in the subject (+${REFERENCE_RULES.scoring.subject.points})`));
+});
+
+test('repeated mentions add to the score', () => {
+    const [once] = parser.rankCandidates('load 302734');
+    const [twice] = parser.rankCandidates('load 302734, again load 302734');
+
+    assert.equal(twice.occurrences, 2);
+    assert.equal(twice.score, once.score + REFERENCE_RULES.scoring.repetition.points);
+});
+
+test('a bare number without context stays below the threshold', () => {
+    const result = parser.extractLoadReference('302734');
+
+    assert.equal(result.found, false);
+    assert.equal(result.reference, null);
+    assert.equal(result.candidates[0].reference, '302734');
+    assert.ok(result.confidence < REFERENCE_RULES.scoring.threshold);
+    assert.match(result.message, /below the threshold/);
+});
+
+test('the winning candidate explains its score', () => {
+    const result = parser.extractLoadReference('Load # QF-884213');
+
+    assert.equal(result.reference, 'QF-884213');
+    assert.equal(result.rule, 'load-label');
+    assert.deepEqual(result.candidates[0].explanations, [
+        'load-label match (+60)',
+        'label "load" nearby (+30)',
+        'quotefactory-prefixed shape (+10)'
+    ]);
+});
+
+test('load-board subjects give their reference, board and lane', () => {
+    const result = parser.extractLoadReference('Is this one still available?', {
+        subject: 'RE: FW: Truckstop Load #559010 Houston, TX to Denver, CO'
+    });
+
+    assert.equal(result.reference, '559010');
+    assert.equal(result.crossCheck.status, 'subject_only');
+    assert.deepEqual(result.subject, {
+        text: 'Truckstop Load #559010 Houston, TX to Denver, CO',
+        isReply: true,
+        board: 'truckstop',
+        lane: { origin: { city: 'Houston', state: 'TX' }, destination: { city: 'Denver', state: 'CO' } }
+    });
+    assert.ok(result.candidates[0].explanations.includes(`truckstop reply subject (+${REFERENCE_RULES.scoring.subject.boardPoints})`));
+});
+
+test('multi-word cities are read from a DAT lane', () => {
+    const { lane } = parser.parseSubject('Re: DAT Load 302734 St. Louis MO - Kansas City KS');
+
+    assert.deepEqual(lane, { origin: { city: 'St. Louis', state: 'MO' }, destination: { city: 'Kansas City', state: 'KS' } });
+});
+
+test('subject and body naming the same load agree', () => {
+    const result = parser.extractLoadReference('load 302734 please', { subject: 'Re: DAT Load 302734 Dallas TX -> Atlanta GA' });
+
+    assert.deepEqual(result.crossCheck, { status: 'agree', subjectReference: '302734', bodyReference: '302734' });
+});
+
+test('the body wins, with less confidence, when the subject names another load', () => {
+    const result = parser.extractLoadReference('what about load 418822 instead?', { subject: 'Re: DAT Load 302734 Dallas TX -> Atlanta GA' });
+    const body = result.candidates.find(candidate => candidate.reference === '418822');
+
+    assert.equal(result.reference, '418822');
+    assert.equal(result.crossCheck.status, 'conflict');
+    assert.equal(result.confidence, body.score + REFERENCE_RULES.scoring.conflict.points);
+    assert.match(result.message, /the subject names 302734/);
+});
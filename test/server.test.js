@@ -0,0 +1,59 @@
+// Standalone server: request parsing and errors that must come back as
+// HTTP responses rather than unhandled rejections.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createServer, parseBody } from '../server.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+const server = createServer();
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a malformed escape in a path parameter is a 400', async () => {
+    const response = await fetch(`${base}/api/jobs/%E0`);
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /URI malformed/);
+});
+
+test('a body without a content type is read as JSON', async () => {
+    assert.deepEqual(parseBody('{"id":"abc"}'), { id: 'abc' });
+    assert.deepEqual(parseBody('id=abc', 'application/x-www-form-urlencoded'), { id: 'abc' });
+    assert.throws(() => parseBody('hello'), { statusCode: 400 });
+});
+
+test('a body that is neither JSON nor a form is refused rather than passed on as text', async () => {
+    const untyped = await fetch(`${base}/api/webhook`, { method: 'POST', body: Buffer.from('hello') });
+    const text = await fetch(`${base}/api/webhook`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+
+    assert.equal(untyped.status, 400);
+    assert.equal(text.status, 415);
+});
+
+test('a chunked body over the limit gets a 413 rather than a dropped connection', async () => {
+    const status = await new Promise((resolve, reject) => {
+        const request = http.request(`${base}/api/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+
+        const chunk = Buffer.alloc(64 * 1024, 'a');
+        for (let i = 0; i < 20; i++) request.write(chunk);
+        request.end();
+    });
+
+    assert.equal(status, 413);
+});
+
+test('unknown paths are a 404', async () => {
+    assert.equal((await fetch(`${base}/nope`)).status, 404);
+});
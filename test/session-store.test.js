@@ -0,0 +1,128 @@
+// Saved QuoteFactory sessions: the file and encrypted key/value backends,
+// expiry, and when a restore attempt discards the saved session.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SessionStore, FileSessionBackend, EncryptedKvSessionBackend, createSessionStore } from '../lib/session-store.js';
+import { MemoryBackend } from '../lib/storage/index.js';
+import { LoadAutomationEnhanced } from '../api/webhook.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qf-session-'));
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+const inAnHour = Date.now() / 1000 + 3600;
+const savedState = () => ({
+    cookies: [{ name: 'auth0.is.authenticated', value: 'true', expires: inAnHour }],
+    localStorage: { '@@auth0spajs@@': '{"token":"abc"}' },
+    origin: 'https://app.quotefactory.com',
+    savedAt: new Date().toISOString()
+});
+
+test('the file backend saves, loads, reads the legacy cookie array and clears', async () => {
+    const backend = new FileSessionBackend({ filePath: path.join(tmpDir, 'session.json') });
+    assert.equal(await backend.load(), null);
+
+    await backend.save(savedState());
+    assert.deepEqual((await backend.load()).localStorage, savedState().localStorage);
+    assert.equal((await fs.stat(backend.filePath)).mode & 0o777, 0o600);
+
+    await fs.writeFile(backend.filePath, JSON.stringify([{ name: 'session', value: 'x' }]));
+    assert.deepEqual(await backend.load(), { cookies: [{ name: 'session', value: 'x' }], localStorage: {}, savedAt: null });
+
+    await backend.clear();
+    assert.equal(await backend.load(), null);
+});
+
+test('the encrypted backend round-trips through AES-GCM and stores no plaintext', async () => {
+    const kv = new MemoryBackend();
+    const backend = new EncryptedKvSessionBackend({ secret: 'correct horse', kv });
+    const state = savedState();
+
+    await backend.save(state);
+    const blob = await kv.get('qf-session');
+    assert.deepEqual(Object.keys(blob).sort(), ['data', 'iv', 'tag']);
+    assert.ok(!JSON.stringify(blob).includes('auth0'));
+    assert.deepEqual(await backend.load(), state);
+
+    await backend.save(state);
+    assert.notEqual((await kv.get('qf-session')).iv, blob.iv);
+});
+
+test('an encrypted session is ignored with the wrong secret or a tampered blob', async () => {
+    const kv = new MemoryBackend();
+    await new EncryptedKvSessionBackend({ secret: 'correct horse', kv }).save(savedState());
+
+    assert.equal(await new EncryptedKvSessionBackend({ secret: 'battery staple', kv }).load(), null);
+
+    const blob = await kv.get('qf-session');
+    const data = Buffer.from(blob.data, 'base64');
+    data[0] ^= 1;
+    await kv.set('qf-session', { ...blob, data: data.toString('base64') });
+    assert.equal(await new EncryptedKvSessionBackend({ secret: 'correct horse', kv }).load(), null);
+
+    assert.throws(() => new EncryptedKvSessionBackend({ kv }), /requires a secret/);
+});
+
+test('sessions past the max age or with expired auth cookies are discarded', async () => {
+    const backend = new EncryptedKvSessionBackend({ secret: 's', kv: new MemoryBackend() });
+    const store = new SessionStore({ backend, maxAgeMs: 60000 });
+
+    await backend.save({ ...savedState(), savedAt: new Date(Date.now() - 120000).toISOString() });
+    assert.equal(await store.load(), null);
+    assert.equal(await backend.load(), null);
+
+    await backend.save({ ...savedState(), cookies: [{ name: 'auth0.session', value: 'x', expires: Date.now() / 1000 - 60 }] });
+    assert.equal(await store.load(), null);
+
+    await backend.save(savedState());
+    assert.ok(await store.load());
+});
+
+test('createSessionStore picks the backend from the environment', () => {
+    assert.equal(createSessionStore({ QF_SESSION_BACKEND: 'none' }), null);
+    assert.ok(createSessionStore({ QF_SESSION_FILE: path.join(tmpDir, 'env.json') }).backend instanceof FileSessionBackend);
+    assert.ok(createSessionStore({ QF_SESSION_BACKEND: 'kv', QF_SESSION_SECRET: 's' }).backend instanceof EncryptedKvSessionBackend);
+    assert.throws(() => createSessionStore({ QF_SESSION_BACKEND: 'redis' }), /Unknown session backend/);
+});
+
+// A page that ends up on url; outcome is what the session check sees, or
+// null when neither the dashboard nor the login page shows up in time
+function fakePage(url, outcome) {
+    return {
+        setCookie: async () => {},
+        evaluateOnNewDocument: async () => {},
+        goto: async () => {},
+        waitForFunction: async () => {
+            if (!outcome) throw Object.assign(new Error('Waiting failed: 10000ms exceeded'), { name: 'TimeoutError' });
+            return { jsonValue: async () => outcome };
+        },
+        url: () => url
+    };
+}
+
+async function restore(url, outcome) {
+    const backend = new EncryptedKvSessionBackend({ secret: 's', kv: new MemoryBackend() });
+    await backend.save(savedState());
+
+    const automation = new LoadAutomationEnhanced({ sessionStore: new SessionStore({ backend }) });
+    automation.attachPage(fakePage(url, outcome));
+    return { restored: await automation.restoreSession(), kept: !!(await backend.load()) };
+}
+
+test('a restore that reaches the dashboard keeps the session', async () => {
+    assert.deepEqual(await restore('https://app.quotefactory.com/broker/dashboard', 'dashboard'), { restored: true, kept: true });
+});
+
+test('a restore that lands on the login page discards the session', async () => {
+    assert.deepEqual(await restore('https://auth.quotefactory.com/u/login', 'login'), { restored: false, kept: false });
+});
+
+test('a slow boot or redirect falls back to login without discarding the session', async () => {
+    assert.deepEqual(await restore('https://app.quotefactory.com/', null), { restored: false, kept: true });
+    assert.deepEqual(await restore('https://app.quotefactory.com/broker/loading', null), { restored: false, kept: true });
+});
@@ -0,0 +1,140 @@
+// Reference -> shipment id resolution: not found, ambiguous, the cache, and
+// the lookup's retry when a cached shipment no longer loads.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShipmentResolver, createShipmentResolver } from '../lib/quotefactory/shipment-resolver.js';
+import { ShipmentNotFoundError, AmbiguousShipmentError } from '../lib/quotefactory/errors.js';
+import { LoadAutomationEnhanced } from '../api/webhook.js';
+import { silenceConsole } from './helpers/silence-console.js';
+
+silenceConsole();
+
+const shipment = (shipmentId, label = `Order ${shipmentId}`) => ({ shipmentId, label, href: `/broker/shipments/${shipmentId}` });
+
+function searchReturning(...results) {
+    const search = async reference => {
+        search.calls.push(reference);
+        return results.length > 1 ? results.shift() : results[0];
+    };
+    search.calls = [];
+    return search;
+}
+
+test('no search result throws ShipmentNotFoundError and caches nothing', async () => {
+    const resolver = new ShipmentResolver();
+    const search = searchReturning([]);
+
+    await assert.rejects(resolver.resolve('302734', search), error => {
+        assert.ok(error instanceof ShipmentNotFoundError);
+        assert.equal(error.code, 'SHIPMENT_NOT_FOUND');
+        return true;
+    });
+    await assert.rejects(resolver.resolve('302734', search), ShipmentNotFoundError);
+    assert.equal(search.calls.length, 2);
+});
+
+test('several search results throw AmbiguousShipmentError with every candidate', async () => {
+    const resolver = new ShipmentResolver();
+    const candidates = [shipment('SHP-1'), shipment('SHP-2')];
+
+    await assert.rejects(resolver.resolve('302734', searchReturning(candidates)), error => {
+        assert.ok(error instanceof AmbiguousShipmentError);
+        assert.equal(error.code, 'SHIPMENT_AMBIGUOUS');
+        assert.deepEqual(error.candidates, candidates);
+        return true;
+    });
+});
+
+test('one result is cached per reference, ignoring case and spaces', async () => {
+    const resolver = new ShipmentResolver();
+    const search = searchReturning([shipment('SHP-1')]);
+
+    assert.deepEqual(await resolver.resolve('ab302734', search), { ...shipment('SHP-1'), cached: false });
+    assert.deepEqual(await resolver.resolve(' AB302734 ', search), { ...shipment('SHP-1'), cached: true });
+    assert.equal(search.calls.length, 1);
+
+    await resolver.forget('AB302734');
+    assert.equal((await resolver.resolve('ab302734', search)).cached, false);
+    assert.equal(search.calls.length, 2);
+});
+
+test('a zero TTL searches every time', async () => {
+    const resolver = createShipmentResolver({ QF_SHIPMENT_CACHE_TTL_SECONDS: '0' });
+    const search = searchReturning([shipment('SHP-1')]);
+
+    await resolver.resolve('302734', search);
+    assert.equal((await resolver.resolve('302734', search)).cached, false);
+    assert.equal(search.calls.length, 2);
+});
+
+test('QF_SHIPMENT_CACHE_TTL_SECONDS falls back to a day when it is not a non-negative number', () => {
+    assert.equal(createShipmentResolver({}).ttlMs, 86400000);
+    assert.equal(createShipmentResolver({ QF_SHIPMENT_CACHE_TTL_SECONDS: '1 day' }).ttlMs, 86400000);
+    assert.equal(createShipmentResolver({ QF_SHIPMENT_CACHE_TTL_SECONDS: '' }).ttlMs, 86400000);
+    assert.equal(createShipmentResolver({ QF_SHIPMENT_CACHE_TTL_SECONDS: '3600' }).ttlMs, 3600000);
+});
+
+// A lookup whose browser steps are stubbed: search lists results in turn,
+// and opening any shipment in broken fails
+function stubbedLookup(resolver, { results, broken = [], resetWorks = true }) {
+    const automation = new LoadAutomationEnhanced({ sessionStore: null, shipmentResolver: resolver });
+    const calls = { searches: 0, opened: [], resets: 0 };
+
+    automation.searchShipmentCandidates = async () => {
+        calls.searches++;
+        return results.shift();
+    };
+    automation.openShipment = async shipmentId => {
+        calls.opened.push(shipmentId);
+        if (broken.includes(shipmentId)) throw new Error(`Shipment ${shipmentId} did not render`);
+    };
+    automation.resetPage = async () => {
+        calls.resets++;
+        return resetWorks;
+    };
+    automation.extractLoadDetailsFromPage = async () => ({ loadReference: '302734', stops: [{ type: 'pickup' }] });
+
+    return { automation, calls };
+}
+
+test('a cached shipment that no longer loads is forgotten and searched again', async () => {
+    const resolver = new ShipmentResolver();
+    await resolver.resolve('302734', searchReturning([shipment('SHP-OLD')]));
+    const { automation, calls } = stubbedLookup(resolver, { results: [[shipment('SHP-NEW')]], broken: ['SHP-OLD'] });
+
+    const loadInfo = await automation.searchLoadInfo('302734');
+
+    assert.equal(loadInfo.loadReference, '302734');
+    assert.deepEqual(calls, { searches: 1, opened: ['SHP-OLD', 'SHP-NEW'], resets: 1 });
+    assert.equal(automation.shipmentId, 'SHP-NEW');
+    assert.deepEqual(await resolver.resolve('302734', searchReturning([])), { ...shipment('SHP-NEW'), cached: true });
+});
+
+test('a freshly searched shipment that fails to load is not retried', async () => {
+    const resolver = new ShipmentResolver();
+    const { automation, calls } = stubbedLookup(resolver, { results: [[shipment('SHP-1')]], broken: ['SHP-1'] });
+
+    assert.equal(await automation.searchLoadInfo('302734'), null);
+    assert.deepEqual(calls, { searches: 1, opened: ['SHP-1'], resets: 0 });
+    assert.match(automation.lastError.message, /did not render/);
+});
+
+test('the retry gives up with the original error when the page cannot be reset', async () => {
+    const resolver = new ShipmentResolver();
+    await resolver.resolve('302734', searchReturning([shipment('SHP-OLD')]));
+    const { automation, calls } = stubbedLookup(resolver, { results: [], broken: ['SHP-OLD'], resetWorks: false });
+
+    assert.equal(await automation.searchLoadInfo('302734'), null);
+    assert.equal(calls.searches, 0);
+    assert.match(automation.lastError.message, /SHP-OLD did not render/);
+    assert.equal((await resolver.resolve('302734', searchReturning([shipment('SHP-NEW')]))).cached, false);
+});
+
+test('a retried search that finds nothing reports the reference as not found', async () => {
+    const resolver = new ShipmentResolver();
+    await resolver.resolve('302734', searchReturning([shipment('SHP-OLD')]));
+    const { automation } = stubbedLookup(resolver, { results: [[]], broken: ['SHP-OLD'] });
+
+    assert.equal(await automation.searchLoadInfo('302734'), null);
+    assert.equal(automation.lastError.code, 'SHIPMENT_NOT_FOUND');
+});
@@ -0,0 +1,93 @@
+// Which load board an email came through, and the per-source profile the
+// parser reads it with.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { SourceDetector } = require('../zapier-modules/parsers/source-detector.js');
+const { SOURCE_PROFILES, ID_TYPES, findSourceProfile } = require('../zapier-modules/parsers/source-profiles.js');
+const EmailParser = require('../zapier-modules/parsers/email-parser.js');
+
+const detector = new SourceDetector();
+
+test('sender domain, header and footer all count as evidence', () => {
+    const source = detector.detect({
+        sender: 'DAT Load Board <alerts@email.dat.com>',
+        headers: [{ name: 'X-Mailer', value: 'DAT Notifications 4.2' }],
+        body: 'Reference ID: 559010\n\nDAT Solutions, LLC | Beaverton, OR'
+    });
+
+    assert.equal(source.id, 'dat');
+    assert.equal(source.name, 'DAT');
+    assert.deepEqual(source.evidence, ['sender domain email.dat.com', 'x-mailer header', 'footer "DAT Solutions"']);
+});
+
+test('a footer in an HTML body is enough on its own', () => {
+    const source = detector.detect({
+        sender: 'dispatch@rapidhaul.example.com',
+        body: '<div>Interested in load #302734</div><p style="font-size:10px">Sent via Truckstop Load Board</p>'
+    });
+
+    assert.equal(source.id, 'truckstop');
+});
+
+test('a load-board reply subject identifies the board', () => {
+    const source = detector.detect({ subject: 'Re: DAT Load 302734 Dallas TX -> Atlanta GA', body: 'still open?' });
+
+    assert.equal(source.id, 'dat');
+    assert.deepEqual(source.evidence, ['load-board reply subject']);
+});
+
+test('the sender domain outweighs another board named in the body', () => {
+    const source = detector.detect({
+        sender: 'noreply@truckstop.com',
+        body: 'Also posted on DAT One'
+    });
+
+    assert.equal(source.id, 'truckstop');
+});
+
+test('unknown senders fall back to a direct contact', () => {
+    const source = detector.detect({ sender: 'mike@rapidhaul.example.com', body: 'Load #302734 still open?' });
+
+    assert.equal(source.id, 'direct');
+    assert.equal(source.idType, 'quotefactory_order');
+    assert.deepEqual(source.evidence, []);
+});
+
+test('lookalike domains do not match', () => {
+    assert.equal(detector.detect({ sender: 'someone@notdat.com' }).id, 'direct');
+});
+
+test('every profile uses a known ID type and unknown ids fall back to direct', () => {
+    for (const profile of SOURCE_PROFILES) {
+        assert.ok(ID_TYPES[profile.idType], profile.id);
+        for (const pattern of profile.rules.patterns) {
+            if (pattern.idType) assert.ok(ID_TYPES[pattern.idType], pattern.id);
+        }
+    }
+    assert.equal(findSourceProfile('nope').id, 'direct');
+});
+
+test('the DAT profile prefers the broker reference over the board posting id', () => {
+    const result = EmailParser.forSource('dat').extractLoadReference('Posting ID: 88412207\nReference ID: 559010');
+
+    assert.equal(result.reference, '559010');
+    assert.equal(result.rule, 'dat-reference-id');
+    assert.equal(result.idType, 'quotefactory_order');
+});
+
+test('a DAT posting id alone is looked up as a posting id', () => {
+    const result = EmailParser.forSource('dat').extractLoadReference('Is this still open?\n\nPosting ID: 88412207');
+
+    assert.equal(result.reference, '88412207');
+    assert.equal(result.idType, 'dat_posting_id');
+});
+
+test('profiles do not leak into the default parser', () => {
+    const result = EmailParser.forSource('direct').extractLoadReference('Posting ID: 88412207');
+
+    assert.notEqual(result.rule, 'dat-posting-id');
+    assert.equal(EmailParser.forSource('dat'), EmailParser.forSource('dat'));
+});
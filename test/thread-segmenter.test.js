@@ -0,0 +1,91 @@
+// Thread segmentation of plain-text email bodies, and how EmailParser uses
+// the segments to prefer the newest reply.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { ThreadSegmenter } = require('../zapier-modules/parsers/thread-segmenter.js');
+const EmailParser = require('../zapier-modules/parsers/email-parser.js');
+
+const segmenter = new ThreadSegmenter();
+const shape = segments => segments.map(({ type, depth }) => `${type}:${depth}`);
+
+test('a Gmail reply splits into the newest reply, its signature and nested quotes', () => {
+    const segments = segmenter.segment([
+        'Load 418822 works for us.',
+        '',
+        'Thanks,',
+        'Jordan',
+        'Example Carrier LLC',
+        '',
+        'On Mon, Oct 6, 2025 at 9:14 AM Dispatch <dispatch@example.com>',
+        'wrote:',
+        '> Load 302734 is covered, anything else?',
+        '>> On Sun, Oct 5, 2025 Jordan wrote:',
+        '>> Need something out of Dallas'
+    ].join('\n'));
+
+    assert.deepEqual(shape(segments), ['newest:0', 'signature:0', 'quoted:1', 'quoted:2']);
+    assert.equal(segments[0].text, 'Load 418822 works for us.');
+    assert.match(segments[2].text, /^On Mon[\s\S]*\nLoad 302734 is covered/);
+});
+
+test('an Outlook reply header starts the quoted history', () => {
+    const segments = segmenter.segment([
+        'yes we can take it',
+        '',
+        'From: Dispatch <dispatch@example.com>',
+        'Sent: Monday, October 6, 2025 9:14 AM',
+        'To: Carrier <ops@carrier.example>',
+        'Subject: RE: Load 302734',
+        '',
+        'Load 302734 is ready',
+        '',
+        'Sent from my iPhone'
+    ].join('\n'));
+
+    assert.deepEqual(shape(segments), ['newest:0', 'quoted:1', 'signature:1']);
+    assert.match(segments[1].text, /Subject: RE: Load 302734\n\nLoad 302734 is ready$/);
+});
+
+test('a forwarded message keeps its header block', () => {
+    const segments = segmenter.segment([
+        'Can you cover this?',
+        '',
+        '---------- Forwarded message ---------',
+        'From: DAT <noreply@dat.example>',
+        'Date: Mon, Oct 6, 2025',
+        'Subject: Load 559010',
+        '',
+        'Load 559010 Houston TX to Denver CO'
+    ].join('\n'));
+
+    assert.deepEqual(shape(segments), ['newest:0', 'forwarded:1']);
+});
+
+test('a sign-off at the top of a reply is not a signature', () => {
+    const segments = segmenter.segment('Thanks!\n\nload 418822 is what we want');
+
+    assert.deepEqual(shape(segments), ['newest:0']);
+});
+
+test('the newest reply wins over a better-labelled reference in the quoted history', () => {
+    const result = new EmailParser().extractLoadReference('can we get load 418822?\n\n> On Mon, Dispatch wrote:\n> Load # 302734');
+    const quoted = result.candidates.find(candidate => candidate.reference === '302734');
+
+    assert.equal(result.reference, '418822');
+    assert.deepEqual(result.segment, { index: 0, type: 'newest', depth: 0 });
+    assert.ok(quoted.score > result.confidence);
+});
+
+test('a reference after a long quoted history is still found', () => {
+    const history = Array.from({ length: 120 }, (_, index) => `> line ${index} of an old conversation about capacity`).join('\n');
+    const body = `Can you cover this?\n\nOn Mon, Dispatch wrote:\n${history}\n\n---------- Forwarded message ---------\nLoad # 559010 Houston TX to Denver CO`;
+
+    const result = new EmailParser().extractLoadReference(body);
+
+    assert.ok(body.length > 5000);
+    assert.equal(result.reference, '559010');
+    assert.equal(result.segment.type, 'forwarded');
+});
@@ -0,0 +1,25 @@
+// End-to-end webhook suite: posts each email in test/fixtures/emails to the
+// handler, with lookups answered by the mock QuoteFactory server, and checks
+// the reference, reply scenario and reply text. For a readable per-email
+// report run: npm run test:emails
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockQuoteFactory } from '../scripts/lib/mock-quotefactory/server.js';
+import { mockLookupEnv, loadEmailCorpus, runCorpusEntry } from '../scripts/lib/email-corpus.js';
+
+process.env.TZ = 'UTC';
+
+const mock = await createMockQuoteFactory({ delayMs: 200, logger: { error() {} } });
+Object.assign(process.env, mockLookupEnv(mock.url));
+
+const { default: handler } = await import('../api/webhook.js');
+const corpus = await loadEmailCorpus();
+
+after(() => mock.close());
+
+for (const entry of corpus) {
+    test(`replies to ${entry.name}`, { todo: entry.pending || false }, async () => {
+        const result = await runCorpusEntry(entry, { handler, mock });
+        assert.deepEqual(result.diffs, [], `${entry.name}: ${entry.description}`);
+    });
+}
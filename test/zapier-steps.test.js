@@ -0,0 +1,179 @@
+// Generated Zapier Code steps: the committed files must match a fresh
+// build, and each step must run the way Zapier runs it - as the body of an
+// async function with inputData in scope and output assigned at the end.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildZapierSteps, findStaleFiles } from '../lib/zapier/step-bundler.js';
+import { createMockQuoteFactory } from '../scripts/lib/mock-quotefactory/server.js';
+
+process.env.TZ = 'UTC';
+
+const files = await buildZapierSteps();
+const manifest = JSON.parse(files.find(file => file.path.endsWith('manifest.json')).content);
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+function loadStep(name) {
+    const file = files.find(candidate => candidate.path.endsWith(`/${name}.js`));
+    return new AsyncFunction('inputData', `let output;\n${file.content}\nreturn output;`);
+}
+
+const mock = await createMockQuoteFactory({ delayMs: 200, logger: { error() {} } });
+Object.assign(process.env, {
+    AUTH0_DOMAIN: 'mock-tenant.auth0.com',
+    AUTH0_CLIENT_ID: 'mock-client',
+    AUTH0_CLIENT_SECRET: 'mock-secret',
+    AUTH0_BASE_URL: mock.url,
+    QUOTEFACTORY_API_BASE: mock.url,
+    QUOTEFACTORY_USERNAME: 'dispatch@example.com',
+    QUOTEFACTORY_PASSWORD: 'mock-password'
+});
+
+after(() => mock.close());
+
+const extractStep = loadStep('extract-load-reference');
+const lookupStep = loadStep('lookup-load-details');
+const formatStep = loadStep('format-email-response');
+
+test('the committed Zapier steps and manifest match a fresh build', async () => {
+    assert.deepEqual(await findStaleFiles(files), [], 'run npm run build:zapier');
+});
+
+test('the manifest lists every input and output of each step', () => {
+    assert.deepEqual(manifest.steps.map(step => step.name), ['extract-load-reference', 'lookup-load-details', 'format-email-response']);
+    const lookup = manifest.steps[1];
+    assert.deepEqual(lookup.inputs.map(input => input.key), ['load_reference', 'found', 'id_type', 'request_id', 'original_subject', 'original_body']);
+    assert.ok(lookup.outputs.some(output => output.key === 'error_code'));
+    assert.ok(lookup.env.find(variable => variable.name === 'AUTH0_CLIENT_SECRET').required);
+});
+
+test('the extract step only outputs its declared fields', async () => {
+    const output = await extractStep({ email_subject: 'Load #302734', email_body: 'Is this one still open?' });
+
+    assert.deepEqual(Object.keys(output), manifest.steps[0].outputs.map(field => field.key));
+    assert.equal(output.load_reference, '302734');
+    assert.equal(output.found, true);
+    assert.equal(output.matched_rule, 'load-label');
+    assert.equal(output.error, null);
+});
+
+test('Zapier string inputs are coerced to the declared types', async () => {
+    const output = await lookupStep({ load_reference: '302734', found: 'false' });
+
+    assert.equal(output.lookup_attempted, false);
+    assert.equal(output.scenario, 'no_reference');
+    assert.equal(output.original_subject, '');
+});
+
+test('the lookup step finds a load on the mock QuoteFactory API', async () => {
+    const output = await lookupStep({ load_reference: '302734', found: 'true' });
+
+    assert.equal(output.scenario, 'load_found');
+    assert.equal(output.lookup_success, true);
+    assert.equal(output.load_data.loadReference, '302734');
+});
+
+test('the lookup step reports an unknown load as pending', async () => {
+    const output = await lookupStep({ load_reference: '999001', found: 'true' });
+
+    assert.equal(output.scenario, 'load_pending');
+    assert.equal(output.error_code, 'SHIPMENT_NOT_FOUND');
+});
+
+test('the lookup step reports rejected credentials as an error', async () => {
+    mock.setScenario('unauthorized');
+    try {
+        const output = await lookupStep({ load_reference: '302734', found: 'true' });
+
+        assert.equal(output.scenario, 'error');
+        assert.equal(output.error_code, 'AUTH_FAILED');
+    } finally {
+        mock.setScenario('normal');
+    }
+});
+
+test('the format step replies with the load details from the lookup step', async () => {
+    const lookup = await lookupStep({ load_reference: '302734', found: 'true' });
+    const output = await formatStep({
+        scenario: lookup.scenario,
+        load_data: JSON.stringify(lookup.load_data),
+        load_reference: '302734',
+        original_subject: 'Load 302734'
+    });
+
+    assert.equal(output.reply_subject.includes('302734'), true);
+    assert.equal(output.response_type, 'complete_details');
+    assert.equal(output.has_load_data, true);
+    assert.match(output.reply_body_html, /<br>/);
+    assert.equal(output.error, null);
+});
+
+test('the format step replies to the intent from the extract step', async () => {
+    const extract = await extractStep({ email_subject: 'Re: Load 302734', email_body: 'Can you do $2,400 all in?' });
+    const output = await formatStep({
+        scenario: 'load_found',
+        intent_scenario: extract.intent_scenario,
+        intent_fields: JSON.stringify(extract.intent_fields),
+        load_reference: extract.load_reference,
+        original_subject: 'Re: Load 302734'
+    });
+
+    assert.equal(extract.intent, 'counter_offer');
+    assert.equal(output.original_scenario, 'counter_offer');
+    assert.equal(output.response_type, 'offer_received');
+    assert.match(output.reply_body, /offer of \$2,400 on load 302734/);
+    assert.equal(output.negotiation_decision, 'escalate');
+});
+
+test('the format step counters an offer on a looked-up load', async () => {
+    const lookup = await lookupStep({ load_reference: '302734', found: 'true' });
+    const output = await formatStep({
+        scenario: lookup.scenario,
+        intent_scenario: 'counter_offer',
+        intent_fields: JSON.stringify({ rate: { amount: 2400, currency: 'USD', unit: 'total', allIn: true, text: '$2,400' } }),
+        load_data: JSON.stringify(lookup.load_data),
+        load_reference: '302734',
+        original_subject: 'Re: Load 302734'
+    });
+
+    assert.equal(output.negotiation_decision, 'counter');
+    assert.equal(output.counter_rate, 1925);
+    assert.match(output.reply_body, /We can do \$1,925\.00 all in/);
+});
+
+test('the format step takes earlier rounds from negotiation_history and hands back the next', async () => {
+    const lookup = await lookupStep({ load_reference: '302734', found: 'true' });
+    const offer = (text, amount, history) => formatStep({
+        scenario: lookup.scenario,
+        intent_scenario: 'counter_offer',
+        intent_fields: JSON.stringify({ rate: { amount, currency: 'USD', unit: 'total', allIn: true, text } }),
+        load_data: JSON.stringify(lookup.load_data),
+        load_reference: '302734',
+        carrier_email: 'dana@rapidhaul.example.com',
+        negotiation_history: history
+    });
+
+    const first = await offer('$2,400', 2400, '');
+    assert.equal(first.negotiation_key, 'negotiation:302734:dana@rapidhaul.example.com');
+    assert.equal(JSON.parse(first.negotiation_step).carrier, 'dana@rapidhaul.example.com');
+
+    const second = await offer('$2,350', 2350, first.negotiation_history);
+    const history = JSON.parse(second.negotiation_history);
+    assert.equal(second.negotiation_decision, 'counter');
+    assert.ok(second.counter_rate > first.counter_rate);
+    assert.deepEqual(history.map(step => step.round), [1, 2]);
+});
+
+test('a malformed negotiation_history starts a fresh negotiation instead of failing the step', async () => {
+    const lookup = await lookupStep({ load_reference: '302734', found: 'true' });
+    const output = await formatStep({
+        scenario: lookup.scenario,
+        intent_scenario: 'counter_offer',
+        intent_fields: JSON.stringify({ rate: { amount: 2400, currency: 'USD', unit: 'total', allIn: true, text: '$2,400' } }),
+        load_data: JSON.stringify(lookup.load_data),
+        load_reference: '302734',
+        negotiation_history: '[{"round": 1,'
+    });
+
+    assert.equal(output.negotiation_decision, 'counter');
+    assert.deepEqual(JSON.parse(output.negotiation_history).map(step => step.round), [1]);
+});
@@ -2,6 +2,8 @@
 import "dotenv/config";
 import fs from "fs/promises";
 import puppeteer from "puppeteer";
+import { DashboardPage, ShipmentPage } from "./lib/quotefactory/pages.js";
+import LoadModel from "./zapier-modules/models/load-model.js";
 
 const CONFIG = {
   COOKIES_PATH: "./cookies.json",
@@ -86,136 +88,24 @@ async function login(page) {
 }
 
 async function searchLoad(page, ref) {
+  const dashboard = new DashboardPage(page);
+
   await page.keyboard.down('Control');
   await page.keyboard.press('KeyK');
   await page.keyboard.up('Control');
-  await wait(2000);
 
   try {
-    await page.waitForSelector('#search_field');
+    await dashboard.waitFor('searchField', 5000);
   } catch {
-    await page.evaluate(() => Array.from(document.querySelectorAll('button')).find(b => /find|anything/i.test(b.textContent))?.click());
-    await wait(2000);
-    await page.waitForSelector('#search_field');
+    await dashboard.openSearch();
   }
 
-  await page.click('#search_field', { clickCount: 3 });
-  await page.type('#search_field', ref, { delay: 100 });
-  await page.keyboard.press('Enter');
-  await wait(8000);
-
-  await page.evaluate(() => {
-    ['.\\@container a[data-current="true"]', '.\\@container a', '.\\@container'].some(sel => {
-      const el = document.querySelector(sel);
-      if (el) { el.click(); return true; }
-    });
-  });
-  await wait(5000);
-
-  return await page.evaluate(() => {
-    const text = document.body.innerText;
-    const bolMatch = text.match(/BOL[\s\n]+(\d+)/i);
-    const loadReference = bolMatch ? bolMatch[1] : "N/A";
-    
-    let rate = "N/A";
-    const priceDiv = document.querySelector('.text-right.py-2.font-bold.order-last.px-3');
-    if (priceDiv) {
-      const m = priceDiv.textContent.match(/\$[\d,]+\.?\d*/);
-      if (m) rate = m[0];
-    }
-    
-    let weight = "N/A";
-    const weightDiv = Array.from(document.querySelectorAll("div")).find(d => d.textContent.trim() === "Weight");
-    if (weightDiv) {
-      const val = weightDiv.closest(".flex")?.querySelector("div.font-semibold, .text-12, .text-15");
-      if (val) {
-        const txt = val.textContent.replace(/\u202F/g, "").trim();
-        weight = txt.match(/lb/i) ? txt : `${txt} lb`;
-      }
-    }
-    
-    let commodity = "N/A";
-    const commDiv = Array.from(document.querySelectorAll("div.text-black-100.text-12.pt-1.flex.items-baseline")).find(d => d.querySelector("div.font-semibold"));
-    if (commDiv) {
-      const strong = commDiv.querySelector("div.font-semibold")?.textContent.trim() || "";
-      commodity = strong.replace(/&nbsp;/g, '').trim();
-    }
-    
-    function toMilitaryNoColon(timeStr) {
-      const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
-      if (!match) return timeStr.replace(/:/g, '').trim();
-      let [_, hour, minute, period] = match;
-      hour = parseInt(hour, 10);
-      if (period) {
-        period = period.toLowerCase();
-        if (period === 'pm' && hour !== 12) hour += 12;
-        if (period === 'am' && hour === 12) hour = 0;
-      }
-      return `${String(hour).padStart(2, '0')}${minute}`;
-    }
-
-    const locs = Array.from(document.querySelectorAll('[id^="shipment-location-"]'));
-    const pickups = [], deliveries = [];
-    let foundPickup = false;
-
-    locs.forEach(loc => {
-      const addr = loc.querySelector('address');
-      if (!addr) return;
-
-      const lines = Array.from(addr.querySelectorAll('div')).map(d => d.textContent.trim()).filter(Boolean);
-      let cityState = lines.length > 1 ? lines[lines.length - 1].replace(/\s*\d{5}(?:-\d{4})?/, "").trim() : "";
-
-      const timeContainer = Array.from(loc.querySelectorAll('div.text-14')).find(container => container.querySelector('time'));
-      let dateTime = "N/A";
-
-      if (timeContainer) {
-        const times = timeContainer.querySelectorAll('time');
-
-        if (times.length >= 2) {
-          const startTime = toMilitaryNoColon(times[0].textContent.trim());
-          const endTime = toMilitaryNoColon(times[1].textContent.trim());
-          const datetimeAttr = times[0].getAttribute('datetime');
-          if (datetimeAttr) {
-            const d = new Date(datetimeAttr);
-            const mo = String(d.getMonth() + 1).padStart(2, '0');
-            const day = String(d.getDate()).padStart(2, '0');
-            dateTime = `${mo}/${day} ${startTime}-${endTime}`;
-          } else dateTime = `${startTime}-${endTime}`;
-        } else if (times.length === 1) {
-          const time = toMilitaryNoColon(times[0].textContent.trim());
-          const datetimeAttr = times[0].getAttribute('datetime');
-          if (datetimeAttr) {
-            const d = new Date(datetimeAttr);
-            const mo = String(d.getMonth() + 1).padStart(2, '0');
-            const day = String(d.getDate()).padStart(2, '0');
-            dateTime = `${mo}/${day} ${time}`;
-          } else dateTime = `${time}`;
-        }
-      }
-
-      const txt = loc.textContent.toLowerCase();
-      const isPickup = txt.includes('PICK UP') || (txt.includes('PICKED UP') && !txt.includes('DELIVER'));
-      const isDelivery = txt.includes('DELIVER');
+  await dashboard.submitSearch(ref, 15000);
+  await dashboard.openFirstResult(15000);
 
-      let finalPickup = isPickup, finalDelivery = isDelivery;
-      if (!finalPickup && !finalDelivery) {
-        if (!foundPickup) finalPickup = true;
-        else finalDelivery = true;
-      }
-
-      if (finalPickup) {
-        foundPickup = true;
-        pickups.push(`${cityState}, ${dateTime}`);
-      } else if (finalDelivery) {
-        deliveries.push(`${cityState}, ${dateTime}`);
-      }
-    });
-
-    const pickup = pickups.length ? pickups.map((p, i) => `Pickup ${i + 1}: ${p}`).join("\n") : "N/A";
-    const delivery = deliveries.length ? deliveries.map((d, i) => `Delivery ${i + 1}: ${d}`).join("\n") : "N/A";
-
-    return { loadReference, rate, weight, commodity, pickup, delivery };
-  });
+  const shipment = new ShipmentPage(page);
+  await shipment.waitForLoaded(15000);
+  return shipment.extract();
 }
 
 function getFormat2(ref) {
@@ -256,11 +146,12 @@ function getFormat1(data) {
 Thank you for your inquiry about load ${data.loadReference}. Here are the details:
 
 📦 LOAD DETAILS:
-${data.pickup}
-${data.delivery}
-Weight: ${data.weight}
-Commodity: ${data.commodity}
-Rate: ${data.rate}
+${LoadModel.formatStopLines(data).join('\n')}
+Equipment: ${LoadModel.formatEquipment(data) || 'N/A'}
+Miles: ${LoadModel.formatDistance(data) || 'N/A'}
+Weight: ${data.commodity.weight || 'N/A'}
+Commodity: ${data.commodity.description || 'N/A'}
+Rate: ${data.rate.formatted || 'N/A'}
 
 🚛 CAPACITY INQUIRY:
 When and where will you be empty for pickup?
@@ -337,7 +228,7 @@ Automated response - Please reply with DAT reference number`
     console.log("🔎 [2] Extracting load details...");
     const data = await searchLoad(page, ref);
     
-    const hasCompleteData = data?.loadReference !== "N/A" && data?.pickup !== "N/A" && data?.delivery !== "N/A";
+    const hasCompleteData = !!data?.loadReference && LoadModel.hasStops(data) && LoadModel.stopsOfType(data, 'delivery').length > 0;
     
     if (hasCompleteData) {
       console.log("✅ Complete data found\n");
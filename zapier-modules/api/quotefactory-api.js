@@ -3,6 +3,8 @@
  * Handles all API interactions with QuoteFactory using HTTP requests
  */
 
+const LoadModel = require('../models/load-model');
+
 class QuoteFactoryAPI {
     constructor(config) {
         this.baseUrl = config.baseUrl || 'https://api.quotefactory.com';
@@ -46,9 +48,11 @@ class QuoteFactoryAPI {
     }
 
     /**
-     * Search for a load by reference number
+     * Search for a load by reference number. idType says what kind of ID it
+     * is (parsers/source-profiles.js); anything but a QuoteFactory order #
+     * is searched as an external reference of that type.
      */
-    async searchLoad(loadReference) {
+    async searchLoad(loadReference, { idType = 'quotefactory_order' } = {}) {
         await this.ensureSession();
 
         const searchUrl = `${this.baseUrl}/api/v1/loads/search`;
@@ -63,7 +67,8 @@ class QuoteFactoryAPI {
                 },
                 body: JSON.stringify({
                     query: loadReference,
-                    searchType: 'reference',
+                    searchType: idType === 'quotefactory_order' ? 'reference' : 'external_reference',
+                    ...(idType !== 'quotefactory_order' && { referenceType: idType }),
                     includeDetails: true
                 })
             });
@@ -72,7 +77,7 @@ class QuoteFactoryAPI {
                 if (response.status === 401) {
                     // Token expired, retry once
                     await this.initialize();
-                    return this.searchLoad(loadReference);
+                    return this.searchLoad(loadReference, { idType });
                 }
                 throw new Error(`Search failed: ${response.status} ${response.statusText}`);
             }
@@ -121,92 +126,126 @@ class QuoteFactoryAPI {
     }
 
     /**
-     * Transform API response to standardized format
+     * Transform API response to the canonical load model
      */
     transformLoadData(apiData) {
         if (!apiData) return null;
 
-        return {
+        return LoadModel.createLoad({
             loadReference: apiData.referenceNumber || apiData.id,
             status: apiData.status || 'UNKNOWN',
-            pickup: {
-                location: this.formatLocation(apiData.pickupLocation),
-                date: apiData.pickupDate,
-                time: apiData.pickupTime,
-                contact: apiData.pickupContact
-            },
-            delivery: {
-                location: this.formatLocation(apiData.deliveryLocation),
-                date: apiData.deliveryDate,
-                time: apiData.deliveryTime,
-                contact: apiData.deliveryContact
-            },
+            stops: this.transformStops(apiData),
             commodity: {
                 description: apiData.commodity || 'General Freight',
-                weight: this.formatWeight(apiData.weight),
+                weight: apiData.weight,
                 pieces: apiData.pieces,
                 pallets: apiData.pallets,
                 hazmat: apiData.hazmat || false
             },
-            rate: {
-                amount: apiData.rate || apiData.customerRate,
-                currency: 'USD',
-                formatted: this.formatCurrency(apiData.rate || apiData.customerRate)
+            rate: apiData.rate || apiData.customerRate,
+            equipment: {
+                type: apiData.equipmentType || 'Dry Van',
+                length: apiData.equipmentLength || apiData.trailerLength,
+                tarps: apiData.tarps,
+                temperature: apiData.temperature
             },
-            equipment: apiData.equipmentType || 'Dry Van',
-            distance: apiData.distance,
+            distance: apiData.distance ?? apiData.miles,
+            references: apiData.references || apiData.referenceNumbers,
             notes: apiData.notes || '',
-            createdAt: apiData.createdAt,
-            updatedAt: apiData.updatedAt
-        };
+            source: 'quotefactory-api'
+        });
     }
 
     /**
-     * Format location data
+     * Ordered stops from `stops[]`, or from the flat pickup/delivery fields
      */
-    formatLocation(location) {
-        if (!location) return 'TBD';
-
-        if (typeof location === 'string') {
-            return location;
+    transformStops(apiData) {
+        if (Array.isArray(apiData.stops) && apiData.stops.length > 0) {
+            return apiData.stops.map((stop, index) => ({
+                sequence: stop.sequence || index + 1,
+                type: this.stopType(stop.type || stop.stopType),
+                handling: /hook/i.test(stop.handling || stop.type || '') ? 'drop_and_hook'
+                    : /cross/i.test(stop.handling || stop.type || '') ? 'cross_dock' : null,
+                address: stop.location || stop.address,
+                window: {
+                    start: this.toTimestamp(stop.appointmentStart || stop.windowStart || stop.scheduledAt),
+                    end: this.toTimestamp(stop.appointmentEnd || stop.windowEnd)
+                },
+                scheduling: stop.fcfs ? 'fcfs' : (stop.appointmentType || '').toLowerCase() || null,
+                notes: stop.notes || stop.instructions
+            }));
         }
 
-        const parts = [
-            location.city,
-            location.state || location.province,
-            location.postalCode
-        ].filter(Boolean);
+        return ['pickup', 'delivery']
+            .filter(type => apiData[`${type}Location`])
+            .map((type, index) => ({
+                sequence: index + 1,
+                type,
+                address: apiData[`${type}Location`],
+                window: {
+                    start: this.toTimestamp(apiData[`${type}Date`], apiData[`${type}Time`]),
+                    end: null
+                },
+                notes: apiData[`${type}Contact`] ? `Contact: ${apiData[`${type}Contact`]}` : null
+            }));
+    }
 
-        return parts.join(', ') || 'TBD';
+    /**
+     * Canonical stop type from the API's stop type label
+     */
+    stopType(type) {
+        const value = type || '';
+        if (/pick.*deliver|both/i.test(value)) return 'pickup_and_delivery';
+        return /deliver|drop(?!.*hook)|consignee/i.test(value) ? 'delivery' : 'pickup';
     }
 
     /**
-     * Format weight
+     * ISO timestamp from an API date (and optional time); values that
+     * already carry an offset are kept as sent, others stay wall-clock.
+     * The text is read field by field so the host's timezone never applies.
      */
-    formatWeight(weight) {
-        if (!weight) return 'TBD';
-        
-        if (typeof weight === 'number') {
-            return `${weight.toLocaleString()} lbs`;
+    toTimestamp(date, time) {
+        if (!date) return null;
+
+        const value = time ? `${date} ${time}` : String(date).trim();
+        if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+            return value;
         }
-        
-        return weight.toString();
+
+        // No offset: keep the wall-clock time, which LoadModel reads in the stop's zone
+        const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/);
+        const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(.*))?$/);
+        const [year, month, day, clock] = iso
+            ? [iso[1], iso[2], iso[3], iso[4]]
+            : us ? [us[3], us[1], us[2], us[4]] : [];
+        if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        const wallClock = this.parseClock(clock || '00:00');
+        if (!wallClock) return null;
+
+        const pad = n => String(n).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}T${wallClock}`;
     }
 
     /**
-     * Format currency
+     * "HH:mm:ss" from "14:30", "14:30:15", "2:30 PM" or "7am"; null otherwise
      */
-    formatCurrency(amount) {
-        if (!amount) return 'TBD';
-        
-        if (typeof amount === 'number') {
-            return `$${amount.toLocaleString('en-US', {
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
-            })}`;
+    parseClock(text) {
+        const match = String(text).trim()
+            .match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?(?:\.\d+)?\s*(?:([ap])\.?m\.?)?$/i);
+        if (!match || (!match[2] && !match[4])) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const seconds = Number(match[3] || 0);
+        if (match[4]) {
+            if (hours < 1 || hours > 12) return null;
+            hours = hours % 12 + (/p/i.test(match[4]) ? 12 : 0);
         }
-        
-        return amount.toString();
+        if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
     }
 
     /**
@@ -5,10 +5,12 @@
 
 class Auth0Client {
     constructor(config) {
-        this.domain = config.auth0Domain;
+        this.domain = config.auth0Domain || config.domain;
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
-        this.audience = config.audience || `https://${config.auth0Domain}/api/v2/`;
+        this.audience = config.audience || `https://${this.domain}/api/v2/`;
+        // Token endpoint origin; defaults to the tenant domain, overridable for a mock server
+        this.baseUrl = (config.baseUrl || `https://${this.domain}`).replace(/\/$/, '');
         this.tokenCache = null;
         this.tokenExpiry = null;
     }
@@ -23,7 +25,7 @@ class Auth0Client {
             return this.tokenCache;
         }
 
-        const tokenUrl = `https://${this.domain}/oauth/token`;
+        const tokenUrl = `${this.baseUrl}/oauth/token`;
         
         const payload = {
             grant_type: 'client_credentials',
@@ -64,7 +66,7 @@ class Auth0Client {
      * Note: This flow should only be used for trusted applications
      */
     async getUserToken(username, password) {
-        const tokenUrl = `https://${this.domain}/oauth/token`;
+        const tokenUrl = `${this.baseUrl}/oauth/token`;
         
         const payload = {
             grant_type: 'password',
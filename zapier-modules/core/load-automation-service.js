@@ -4,9 +4,17 @@
  */
 
 const EmailParser = require('../parsers/email-parser');
+const { SourceDetector } = require('../parsers/source-detector');
+const { IntentClassifier } = require('../parsers/intent-classifier');
+const { Negotiator } = require('../negotiation/negotiator');
+const { NegotiationStore } = require('../negotiation/negotiation-store');
 const Auth0Client = require('../auth/auth0-client');
 const QuoteFactoryAPI = require('../api/quotefactory-api');
 const ResponseFormatter = require('../formatters/response-formatter');
+const { createLookupChain } = require('../lookup/lookup-chain');
+const { LOOKUP_ERROR_CODES } = require('../lookup/load-lookup-provider');
+const QuoteFactoryApiProvider = require('../lookup/api-provider');
+const QuoteFactoryHttpSearchProvider = require('../lookup/http-search-provider');
 
 class LoadAutomationService {
     constructor(config) {
@@ -14,14 +22,21 @@ class LoadAutomationService {
         this.logger = this.createLogger();
         
         // Initialize modules
-        this.emailParser = new EmailParser();
+        this.sourceDetector = new SourceDetector();
+        this.intentClassifier = new IntentClassifier();
         this.auth0Client = new Auth0Client(this.config.auth0);
         this.quoteFactoryAPI = new QuoteFactoryAPI({
             ...this.config.quoteFactory,
             auth0Client: this.auth0Client,
             logger: this.logger
         });
+        this.lookupChain = createLookupChain(this.config.lookupProviders, {
+            api: () => new QuoteFactoryApiProvider(this.quoteFactoryAPI),
+            'http-search': () => new QuoteFactoryHttpSearchProvider(this.config.httpSearch)
+        }, { logger: this.logger });
         this.responseFormatter = new ResponseFormatter(this.config.formatting);
+        this.negotiator = new Negotiator(this.config.negotiation);
+        this.negotiationStore = this.config.negotiationStore || new NegotiationStore();
         
         // Metrics tracking
         this.metrics = {
@@ -48,18 +63,45 @@ class LoadAutomationService {
         try {
             this.metrics.processedEmails++;
 
-            // Step 1: Parse email for load reference
-            const extractionResult = this.emailParser.extractLoadReference(emailData.body);
+            // Step 1: Parse email for load reference, with the parser for the board it came through
+            const source = this.sourceDetector.detect({
+                sender: emailData.from,
+                headers: emailData.headers,
+                body: emailData.body,
+                subject: emailData.subject
+            });
+            const extractionResult = EmailParser.forSource(source.id).extractLoadReference(emailData.body, { subject: emailData.subject });
             
             this.logger.log(`[${requestId}] Extraction result:`, {
+                source: source.id,
                 found: extractionResult.found,
                 reference: extractionResult.reference,
                 confidence: extractionResult.confidence
             });
 
-            let response;
+            const intent = this.intentClassifier.classify({
+                subject: emailData.subject,
+                body: emailData.body,
+                reference: extractionResult.found ? extractionResult.reference : null
+            });
+            this.logger.log(`[${requestId}] Intent: ${intent.intent}`, { score: intent.score, evidence: intent.evidence });
 
-            if (!extractionResult.found) {
+            let response;
+            let loadData = null;
+            let lookup = null;
+            let negotiation = null;
+
+            if (intent.scenario && !(extractionResult.found && intent.needsLookup)) {
+                // Not a load details request, and nothing to look up
+                const loadReference = extractionResult.found ? extractionResult.reference : null;
+                negotiation = await this.negotiate(requestId, intent, loadReference, null, emailData);
+                response = this.responseFormatter.formatResponse(intent.scenario, {
+                    originalSubject: emailData.subject,
+                    loadReference,
+                    fields: intent.fields,
+                    negotiation
+                });
+            } else if (!extractionResult.found) {
                 // No reference found - request it from sender
                 response = this.responseFormatter.formatResponse('no_reference', {
                     originalSubject: emailData.subject
@@ -68,29 +110,36 @@ class LoadAutomationService {
                 this.metrics.successfulExtractions++;
                 const loadReference = extractionResult.reference;
 
-                // Step 2: Look up load details
-                let loadData = null;
+                // Step 2: Look up load details through the provider chain
                 let lookupError = null;
 
-                try {
-                    if (this.config.enableQuoteFactoryLookup) {
-                        this.logger.log(`[${requestId}] Looking up load: ${loadReference}`);
-                        loadData = await this.quoteFactoryAPI.searchLoad(loadReference);
-                        
-                        if (loadData) {
-                            this.metrics.successfulLookups++;
-                            this.logger.log(`[${requestId}] Load data retrieved successfully`);
-                        } else {
-                            this.logger.log(`[${requestId}] Load not found in QuoteFactory`);
-                        }
+                if (this.config.enableQuoteFactoryLookup) {
+                    this.logger.log(`[${requestId}] Looking up load: ${loadReference}`);
+                    lookup = await this.lookupChain.lookup(loadReference, { idType: extractionResult.idType });
+                    loadData = lookup.load;
+                    
+                    if (loadData) {
+                        this.metrics.successfulLookups++;
+                        this.logger.log(`[${requestId}] Load data retrieved by ${lookup.provider}`);
+                    } else if (lookup.error.code === LOOKUP_ERROR_CODES.NOT_FOUND) {
+                        this.logger.log(`[${requestId}] Load not found in QuoteFactory`);
+                    } else {
+                        lookupError = lookup.error;
+                        this.logger.error(`[${requestId}] QuoteFactory lookup failed (${lookup.error.code}):`, lookup.error.message);
                     }
-                } catch (error) {
-                    lookupError = error;
-                    this.logger.error(`[${requestId}] QuoteFactory lookup failed:`, error.message);
                 }
 
                 // Step 3: Format response based on results
-                if (loadData) {
+                if (intent.scenario) {
+                    negotiation = await this.negotiate(requestId, intent, loadReference, loadData, emailData);
+                    response = this.responseFormatter.formatResponse(intent.scenario, {
+                        loadData,
+                        loadReference,
+                        originalSubject: emailData.subject,
+                        fields: intent.fields,
+                        negotiation
+                    });
+                } else if (loadData) {
                     response = this.responseFormatter.formatResponse('load_found', {
                         loadData,
                         loadReference,
@@ -116,8 +165,16 @@ class LoadAutomationService {
                 success: true,
                 requestId,
                 processingTimeMs: processingTime,
+                source,
+                intent,
+                negotiation,
                 extraction: extractionResult,
                 loadData: loadData || null,
+                lookup: lookup && {
+                    provider: lookup.provider,
+                    errorCode: lookup.error ? lookup.error.code : null,
+                    attempts: lookup.attempts
+                },
                 response,
                 metrics: this.getMetricsSummary(),
                 timestamp: new Date().toISOString()
@@ -154,6 +211,24 @@ class LoadAutomationService {
         }
     }
 
+    /**
+     * Decide on a counter-offer and record the step on the load; null for other intents
+     */
+    async negotiate(requestId, intent, loadReference, loadData, emailData) {
+        if (intent.intent !== 'counter_offer') return null;
+
+        const carrier = emailData.from || null;
+        const history = loadReference ? await this.negotiationStore.history(loadReference, carrier) : [];
+        const negotiation = this.negotiator.decide({ offer: intent.fields.rate, loadReference, loadData, history });
+
+        if (loadReference) {
+            await this.negotiationStore.record(loadReference, { ...negotiation, carrier, emailId: emailData.id || null });
+        }
+
+        this.logger.log(`[${requestId}] Counter-offer: ${negotiation.decision}`, { reason: negotiation.reason, counterRate: negotiation.counterRate });
+        return negotiation;
+    }
+
     /**
      * Batch process multiple emails
      */
@@ -235,11 +310,18 @@ class LoadAutomationService {
 
         return {
             enableQuoteFactoryLookup: config.enableQuoteFactoryLookup !== false,
+            // Provider names (api, http-search) or provider instances, tried in order
+            lookupProviders: config.lookupProviders || ['api'],
+            httpSearch: config.httpSearch || {},
+            // Counter-offer rules (see negotiation/negotiation-rules.js) and where negotiations are recorded
+            negotiation: config.negotiation,
+            negotiationStore: config.negotiationStore,
             auth0: {
                 domain: config.auth0.domain,
                 clientId: config.auth0.clientId,
                 clientSecret: config.auth0.clientSecret,
-                audience: config.auth0.audience
+                audience: config.auth0.audience,
+                baseUrl: config.auth0.baseUrl
             },
             quoteFactory: {
                 baseUrl: config.quoteFactory.baseUrl || 'https://api.quotefactory.com',
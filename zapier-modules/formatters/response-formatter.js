@@ -3,6 +3,36 @@
  * Generates professional email responses based on load data
  */
 
+const LoadModel = require('../models/load-model');
+
+const STOP_HEADINGS = {
+    pickup: 'PICKUP',
+    delivery: 'DELIVERY',
+    pickup_and_delivery: 'PICKUP & DELIVERY'
+};
+
+// responseType reported to Zapier for each scenario
+const RESPONSE_TYPES = {
+    load_found: 'complete_details',
+    load_pending: 'pending_details',
+    no_reference: 'reference_request',
+    error: 'error_response',
+    counter_offer: 'offer_received',
+    truck_availability: 'capacity_acknowledged',
+    booking_confirmation: 'booking_acknowledged',
+    rate_confirmation: 'rate_confirmation_pending',
+    unsubscribe: 'unsubscribe_confirmation'
+};
+
+const EQUIPMENT_NAMES = {
+    van: 'van',
+    reefer: 'reefer',
+    flatbed: 'flatbed',
+    step_deck: 'step deck',
+    power_only: 'power-only unit',
+    hotshot: 'hotshot'
+};
+
 class ResponseFormatter {
     constructor(config = {}) {
         this.companyName = config.companyName || 'Balto Booking';
@@ -10,7 +40,16 @@ class ResponseFormatter {
             loadFound: config.loadFoundTemplate || this.getDefaultLoadFoundTemplate(),
             loadPending: config.loadPendingTemplate || this.getDefaultLoadPendingTemplate(),
             noReference: config.noReferenceTemplate || this.getDefaultNoReferenceTemplate(),
-            error: config.errorTemplate || this.getDefaultErrorTemplate()
+            error: config.errorTemplate || this.getDefaultErrorTemplate(),
+            counterOffer: {
+                accept: config.counterOfferAcceptTemplate || this.getDefaultCounterOfferAcceptTemplate(),
+                counter: config.counterOfferCounterTemplate || this.getDefaultCounterOfferCounterTemplate(),
+                escalate: config.counterOfferEscalateTemplate || this.getDefaultCounterOfferEscalateTemplate()
+            },
+            truckAvailability: config.truckAvailabilityTemplate || this.getDefaultTruckAvailabilityTemplate(),
+            bookingConfirmation: config.bookingConfirmationTemplate || this.getDefaultBookingConfirmationTemplate(),
+            rateConfirmation: config.rateConfirmationTemplate || this.getDefaultRateConfirmationTemplate(),
+            unsubscribe: config.unsubscribeTemplate || this.getDefaultUnsubscribeTemplate()
         };
         this.signatureTemplate = config.signatureTemplate || this.getDefaultSignature();
     }
@@ -23,7 +62,12 @@ class ResponseFormatter {
             'load_found': () => this.formatLoadFoundResponse(data),
             'load_pending': () => this.formatLoadPendingResponse(data),
             'no_reference': () => this.formatNoReferenceResponse(data),
-            'error': () => this.formatErrorResponse(data)
+            'error': () => this.formatErrorResponse(data),
+            'counter_offer': () => this.formatCounterOfferResponse(data),
+            'truck_availability': () => this.formatTruckAvailabilityResponse(data),
+            'booking_confirmation': () => this.formatBookingConfirmationResponse(data),
+            'rate_confirmation': () => this.formatRateConfirmationResponse(data),
+            'unsubscribe': () => this.formatUnsubscribeResponse(data)
         };
 
         const formatter = formatters[scenario];
@@ -31,7 +75,13 @@ class ResponseFormatter {
             throw new Error(`Unknown scenario: ${scenario}`);
         }
 
-        return formatter();
+        const response = formatter();
+        return {
+            ...response,
+            bodyHtml: this.plainTextToHtml(response.body),
+            responseType: RESPONSE_TYPES[scenario],
+            hasLoadData: scenario === 'load_found'
+        };
     }
 
     /**
@@ -44,21 +94,35 @@ class ResponseFormatter {
         
         let body = this.responseTemplates.loadFound;
         
+        // First pickup and final delivery, for templates without {{STOPS}}
+        const pickups = LoadModel.stopsOfType(loadData, 'pickup');
+        const deliveries = LoadModel.stopsOfType(loadData, 'delivery');
+        const firstPickup = pickups[0];
+        const lastDelivery = deliveries[deliveries.length - 1];
+        
         // Replace placeholders
-        body = body.replace('{{LOAD_REFERENCE}}', loadReference);
-        body = body.replace('{{PICKUP_LOCATION}}', loadData.pickup.location);
-        body = body.replace('{{PICKUP_DATE}}', loadData.pickup.date || 'TBD');
-        body = body.replace('{{DELIVERY_LOCATION}}', loadData.delivery.location);
-        body = body.replace('{{DELIVERY_DATE}}', loadData.delivery.date || 'TBD');
-        body = body.replace('{{COMMODITY}}', loadData.commodity.description);
-        body = body.replace('{{WEIGHT}}', loadData.commodity.weight);
-        body = body.replace('{{EQUIPMENT}}', loadData.equipment);
-        body = body.replace('{{RATE}}', loadData.rate.formatted);
-        body = body.replace('{{DISTANCE}}', loadData.distance || 'TBD');
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body = body.replace('{{STOPS}}', this.formatStops(loadData));
+        body = body.replace('{{PICKUP_LOCATION}}', firstPickup ? LoadModel.formatStopLocation(firstPickup) : 'TBD');
+        body = body.replace('{{PICKUP_DATE}}', (firstPickup && LoadModel.formatStopWindow(firstPickup)) || 'TBD');
+        body = body.replace('{{DELIVERY_LOCATION}}', lastDelivery ? LoadModel.formatStopLocation(lastDelivery) : 'TBD');
+        body = body.replace('{{DELIVERY_DATE}}', (lastDelivery && LoadModel.formatStopWindow(lastDelivery)) || 'TBD');
+        body = body.replace('{{COMMODITY}}', loadData.commodity.description || 'TBD');
+        body = body.replace('{{WEIGHT}}', loadData.commodity.weight || 'TBD');
+        body = body.replace('{{EQUIPMENT}}', LoadModel.formatEquipment(loadData) || 'TBD');
+        body = body.replace('{{RATE}}', loadData.rate.formatted || 'TBD');
+        body = body.replace('{{DISTANCE}}', LoadModel.formatDistance(loadData) || 'TBD');
+        
+        // Optional lines, left out when the load has nothing to show
+        const handlingUnits = LoadModel.formatHandlingUnits(loadData);
+        const references = LoadModel.formatReferences(loadData);
+        body = body.replace('{{HANDLING_UNITS}}', handlingUnits ? `\n• Handling units: ${handlingUnits}` : '');
+        body = body.replace('{{REFERENCES}}', references ? `\n• References: ${references}` : '');
         
         // Add any special notes
         if (loadData.commodity.hazmat) {
-            body = body.replace('{{SPECIAL_NOTES}}', '\n⚠️ HAZMAT: This load contains hazardous materials.');
+            const details = loadData.commodity.hazmatDetails ? ` (${loadData.commodity.hazmatDetails})` : '';
+            body = body.replace('{{SPECIAL_NOTES}}', `\n⚠️ HAZMAT${details}: This load contains hazardous materials.`);
         } else {
             body = body.replace('{{SPECIAL_NOTES}}', '');
         }
@@ -76,6 +140,32 @@ class ResponseFormatter {
         };
     }
 
+    /**
+     * One block per stop in route order, numbered within each stop type
+     */
+    formatStops(loadData) {
+        const counters = {};
+        
+        return loadData.stops.map(stop => {
+            counters[stop.type] = (counters[stop.type] || 0) + 1;
+            const scheduling = stop.scheduling === 'fcfs' ? ' (FCFS)' : stop.scheduling === 'appointment' ? ' (appointment)' : '';
+            
+            let block = `📍 ${STOP_HEADINGS[stop.type]} ${counters[stop.type]}:
+• Location: ${stop.address.full || LoadModel.formatStopLocation(stop)}
+• Date: ${LoadModel.formatStopWindow(stop) || 'TBD'}${scheduling}`;
+            
+            if (stop.handling) {
+                block += `\n• Handling: ${LoadModel.formatHandling(stop)}`;
+            }
+            
+            if (stop.notes) {
+                block += `\n• Notes: ${stop.notes}`;
+            }
+            
+            return block;
+        }).join('\n\n') || '📍 STOPS: TBD';
+    }
+
     /**
      * Format response when load reference found but details pending
      */
@@ -85,7 +175,7 @@ class ResponseFormatter {
         const subject = this.formatSubject(originalSubject, loadReference);
         
         let body = this.responseTemplates.loadPending;
-        body = body.replace('{{LOAD_REFERENCE}}', loadReference);
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
         body += this.signatureTemplate;
         
         return {
@@ -140,6 +230,133 @@ class ResponseFormatter {
         };
     }
 
+    /**
+     * Format response to a carrier's counter-offer: accept, counter or
+     * escalate, as the negotiator decided. Without a decision the offer
+     * goes to a person.
+     */
+    formatCounterOfferResponse(data) {
+        const { originalSubject, loadReference, fields = {}, negotiation = null } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        const decision = negotiation ? negotiation.decision : 'escalate';
+        const offerText = fields.rate ? fields.rate.text : 'your rate';
+        const offerTotal = negotiation && negotiation.offerTotal !== null ? LoadModel.createRate(negotiation.offerTotal).formatted : null;
+        
+        let body = this.responseTemplates.counterOffer[decision];
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'this load');
+        body = body.replace(/{{OFFER}}/g, offerText);
+        body = body.replace('{{OFFER_TOTAL}}', offerTotal && fields.rate?.unit === 'per_mile' ? ` (${offerTotal} total)` : '');
+        body = body.replace('{{COUNTER_RATE}}', negotiation?.counterRate ? LoadModel.createRate(negotiation.counterRate).formatted : '');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'counter_offer',
+                loadReference,
+                offer: fields.rate || null,
+                decision,
+                counterRate: negotiation ? negotiation.counterRate : null
+            }
+        };
+    }
+
+    /**
+     * Format response to a carrier reporting an empty truck
+     */
+    formatTruckAvailabilityResponse(data) {
+        const { originalSubject, fields = {} } = data;
+        
+        const subject = this.formatSubject(originalSubject, null);
+        const location = fields.location ? [fields.location.city, fields.location.state].filter(Boolean).join(', ') : null;
+        const truck = fields.equipment ? (EQUIPMENT_NAMES[fields.equipment] || fields.equipment) : 'truck';
+        const details = [location && `in ${location}`, fields.availableWhen].filter(Boolean).join(' ');
+        
+        let body = this.responseTemplates.truckAvailability;
+        body = body.replace('{{TRUCK}}', details ? `${truck} ${details}` : truck);
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'truck_availability',
+                location: fields.location || null,
+                availableWhen: fields.availableWhen || null,
+                equipment: fields.equipment || null
+            }
+        };
+    }
+
+    /**
+     * Format response to a carrier booking a load
+     */
+    formatBookingConfirmationResponse(data) {
+        const { originalSubject, loadReference, fields = {} } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.bookingConfirmation;
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'this load');
+        body = body.replace('{{MC_NOTE}}', fields.mcNumber ? ` We have MC ${fields.mcNumber} for this booking.` : '');
+        body = body.replace('{{MC_REQUEST}}', fields.mcNumber ? '' : '\n• Your MC number');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'booking_confirmation',
+                loadReference,
+                mcNumber: fields.mcNumber || null
+            }
+        };
+    }
+
+    /**
+     * Format response to a rate confirmation request
+     */
+    formatRateConfirmationResponse(data) {
+        const { originalSubject, loadReference } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.rateConfirmation;
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'your load');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'rate_confirmation',
+                loadReference
+            }
+        };
+    }
+
+    /**
+     * Format response to an unsubscribe request
+     */
+    formatUnsubscribeResponse(data) {
+        const { originalSubject } = data;
+        
+        const subject = originalSubject ? `Re: ${originalSubject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim()}` : 'Unsubscribe Request';
+        
+        let body = this.responseTemplates.unsubscribe;
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'unsubscribe'
+            }
+        };
+    }
+
     /**
      * Format email subject line
      */
@@ -164,14 +381,10 @@ class ResponseFormatter {
      * Check if load data is complete
      */
     isCompleteData(loadData) {
-        const requiredFields = [
-            loadData.pickup?.location,
-            loadData.delivery?.location,
-            loadData.commodity?.weight,
-            loadData.rate?.amount
-        ];
-        
-        return requiredFields.every(field => field && field !== 'TBD');
+        const hasRoute = LoadModel.stopsOfType(loadData, 'pickup').length > 0 &&
+            LoadModel.stopsOfType(loadData, 'delivery').length > 0;
+        
+        return hasRoute && !!loadData.commodity?.weight && !!loadData.rate?.amount;
     }
 
     /**
@@ -186,16 +399,10 @@ Thank you for your inquiry about load {{LOAD_REFERENCE}}. Here are the complete
 • Reference: {{LOAD_REFERENCE}}
 • Equipment: {{EQUIPMENT}}
 • Commodity: {{COMMODITY}}
-• Weight: {{WEIGHT}}
-• Distance: {{DISTANCE}}{{SPECIAL_NOTES}}
+• Weight: {{WEIGHT}}{{HANDLING_UNITS}}
+• Distance: {{DISTANCE}}{{REFERENCES}}{{SPECIAL_NOTES}}
 
-📍 PICKUP:
-• Location: {{PICKUP_LOCATION}}
-• Date: {{PICKUP_DATE}}
-
-📍 DELIVERY:
-• Location: {{DELIVERY_LOCATION}}
-• Date: {{DELIVERY_DATE}}
+{{STOPS}}
 
 💰 RATE: {{RATE}}
 
@@ -261,6 +468,78 @@ Our team has been notified and we're working to resolve this quickly. In the mea
 
 We apologize for any inconvenience and look forward to assisting you with this load opportunity.
 
+`;
+    }
+
+    getDefaultCounterOfferAcceptTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}. We accept.
+
+We're preparing the rate confirmation now. Please reply with your MC number, driver name and cell phone, and truck and trailer numbers.
+
+`;
+    }
+
+    getDefaultCounterOfferCounterTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}.
+
+We can do {{COUNTER_RATE}} all in. If that works for you, reply to confirm and we'll send the rate confirmation.
+
+`;
+    }
+
+    getDefaultCounterOfferEscalateTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}.
+
+A member of our team is reviewing it and will get back to you shortly.
+
+`;
+    }
+
+    getDefaultTruckAvailabilityTemplate() {
+        return `Hello,
+
+Thanks for letting us know you have a {{TRUCK}}.
+
+We're checking our loads for a match and will reach out if we have something that fits. If you have preferred lanes or a target rate, reply and let us know.
+
+`;
+    }
+
+    getDefaultBookingConfirmationTemplate() {
+        return `Hello,
+
+Thank you for confirming {{LOAD_LABEL}}.{{MC_NOTE}}
+
+We're preparing the rate confirmation now. To finish the booking, please reply with:{{MC_REQUEST}}
+• Driver name and cell phone
+• Truck and trailer numbers
+
+`;
+    }
+
+    getDefaultRateConfirmationTemplate() {
+        return `Hello,
+
+Thank you for your email. We're preparing the rate confirmation for {{LOAD_LABEL}} and will send it over shortly.
+
+If anything on the booking has changed, please reply and let us know.
+
+`;
+    }
+
+    getDefaultUnsubscribeTemplate() {
+        return `Hello,
+
+We've received your request and will stop sending you load emails.
+
+If this was a mistake, just reply to this email.
+
 `;
     }
 
@@ -273,6 +552,21 @@ This is an automated response with real-time load data.
 For immediate assistance, please reply to this email.`;
     }
 
+    /**
+     * HTML version of a plain text reply, with the bullet and section markers in bold
+     */
+    plainTextToHtml(plainText) {
+        return plainText
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/\n/g, '<br>\n')
+            .replace(/^(•|✓|⚠️)/gm, '<strong>$1</strong>')
+            .replace(/^(📦|📍|💰|🚛)/gm, '<strong>$1</strong>');
+    }
+
     /**
      * Generate plain text version from HTML
      */
@@ -0,0 +1,73 @@
+/**
+ * QuoteFactory API Lookup Provider
+ * Looks loads up through the REST client in api/quotefactory-api.js
+ */
+
+const Auth0Client = require('../auth/auth0-client');
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+const { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES } = require('./load-lookup-provider');
+
+class QuoteFactoryApiProvider extends LoadLookupProvider {
+    constructor(api) {
+        super('api');
+        this.api = api;
+    }
+
+    /**
+     * Build from environment variables; without Auth0 and QuoteFactory
+     * credentials the provider reports itself unconfigured
+     *
+     * AUTH0_DOMAIN, AUTH0_CLIENT_ID, AUTH0_CLIENT_SECRET, AUTH0_AUDIENCE (optional)
+     * AUTH0_BASE_URL (optional, token endpoint origin)
+     * QUOTEFACTORY_USERNAME / QF_USERNAME, QUOTEFACTORY_PASSWORD / QF_PASSWORD
+     * QUOTEFACTORY_API_BASE (optional)
+     */
+    static fromEnv(env = process.env) {
+        const username = env.QUOTEFACTORY_USERNAME || env.QF_USERNAME;
+        const password = env.QUOTEFACTORY_PASSWORD || env.QF_PASSWORD;
+        if (!env.AUTH0_DOMAIN || !env.AUTH0_CLIENT_ID || !env.AUTH0_CLIENT_SECRET || !username || !password) {
+            return new QuoteFactoryApiProvider(null);
+        }
+
+        const auth0Client = new Auth0Client({
+            auth0Domain: env.AUTH0_DOMAIN,
+            clientId: env.AUTH0_CLIENT_ID,
+            clientSecret: env.AUTH0_CLIENT_SECRET,
+            audience: env.AUTH0_AUDIENCE,
+            baseUrl: env.AUTH0_BASE_URL
+        });
+
+        return new QuoteFactoryApiProvider(new QuoteFactoryAPI({
+            baseUrl: env.QUOTEFACTORY_API_BASE,
+            auth0Client,
+            username,
+            password
+        }));
+    }
+
+    isConfigured() {
+        return !!this.api;
+    }
+
+    async lookup(reference, context = {}) {
+        try {
+            await this.api.ensureSession();
+        } catch (error) {
+            throw LookupError.from(error, this.name, LOOKUP_ERROR_CODES.AUTH_FAILED);
+        }
+
+        let load;
+        try {
+            load = await this.api.searchLoad(reference, { idType: context.idType });
+        } catch (error) {
+            throw LookupError.from(error, this.name);
+        }
+
+        if (!load) {
+            throw new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, `No QuoteFactory load found for reference ${reference}`, { provider: this.name });
+        }
+        return load;
+    }
+}
+
+module.exports = QuoteFactoryApiProvider;
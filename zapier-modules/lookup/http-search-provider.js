@@ -0,0 +1,76 @@
+/**
+ * QuoteFactory HTTP Search Provider
+ * Calls the web app's shipment search endpoint directly, without a browser.
+ * It is only useful where that endpoint accepts the request (a session
+ * cookie or token in QF_HTTP_SEARCH_AUTH). Without one it is skipped as
+ * not configured; when the endpoint rejects it, it fails with AUTH_FAILED
+ * and the chain moves on.
+ */
+
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+const { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES } = require('./load-lookup-provider');
+
+class QuoteFactoryHttpSearchProvider extends LoadLookupProvider {
+    constructor(options = {}) {
+        super('http-search');
+        this.searchUrl = options.searchUrl || 'https://app.quotefactory.com/api/shipment/search';
+        this.authorization = options.authorization || null;
+        this.timeoutMs = options.timeoutMs || 5000;
+        // Only used for its API -> canonical load mapping
+        this.transformer = new QuoteFactoryAPI({});
+    }
+
+    /**
+     * Needs a search URL and the session cookie or token the endpoint accepts
+     */
+    isConfigured() {
+        return !!(this.searchUrl && this.authorization);
+    }
+
+    async lookup(reference) {
+        const headers = {
+            'Accept': 'application/json',
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        };
+        if (this.authorization) {
+            headers[/^bearer\s/i.test(this.authorization) ? 'Authorization' : 'Cookie'] = this.authorization;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.searchUrl}?q=${encodeURIComponent(reference)}`, {
+                headers,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw LookupError.from(error, this.name, LOOKUP_ERROR_CODES.UNAVAILABLE);
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new LookupError(LOOKUP_ERROR_CODES.AUTH_FAILED, `Shipment search rejected the request: ${response.status}`, { provider: this.name });
+        }
+        if (!response.ok) {
+            throw new LookupError(LOOKUP_ERROR_CODES.UPSTREAM_ERROR, `Shipment search failed: ${response.status}`, { provider: this.name });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new LookupError(LOOKUP_ERROR_CODES.UPSTREAM_ERROR, 'Shipment search did not return JSON', { provider: this.name, cause: error });
+        }
+
+        const results = Array.isArray(data) ? data : data.results || data.shipments || [];
+        if (results.length === 0) {
+            throw new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, `No QuoteFactory shipment found for reference ${reference}`, { provider: this.name });
+        }
+        if (results.length > 1) {
+            const candidates = results.map(result => ({ shipmentId: String(result.id), label: result.referenceNumber || String(result.id), href: null }));
+            throw new LookupError(LOOKUP_ERROR_CODES.AMBIGUOUS, `Reference ${reference} matches ${results.length} QuoteFactory shipments`, { provider: this.name, candidates });
+        }
+
+        return this.transformer.transformLoadData(results[0]);
+    }
+}
+
+module.exports = QuoteFactoryHttpSearchProvider;
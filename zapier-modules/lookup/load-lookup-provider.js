@@ -0,0 +1,87 @@
+/**
+ * Load Lookup Provider
+ * The interface every way of looking up a load implements (browser scrape,
+ * REST API, HTTP search), so callers can chain them without knowing which
+ * one answered
+ *
+ * A provider has a `name`, reports whether the deployment gave it what it
+ * needs through isConfigured(), and resolves lookup(reference) to a
+ * canonical load (models/load-model.js) or rejects with a LookupError.
+ *
+ * context.idType says what kind of ID the reference is (ID_TYPES in
+ * parsers/source-profiles.js); providers that can only search one way
+ * treat every reference as a QuoteFactory order #.
+ */
+
+// Structured failure codes shared by every provider
+const LOOKUP_ERROR_CODES = {
+    NOT_CONFIGURED: 'NOT_CONFIGURED',           // credentials or settings missing for this provider
+    UNAVAILABLE: 'UNAVAILABLE',                 // the provider could not start (no browser, no network)
+    AUTH_FAILED: 'AUTH_FAILED',                 // login or token request rejected
+    NOT_FOUND: 'SHIPMENT_NOT_FOUND',            // the reference matched no load
+    AMBIGUOUS: 'SHIPMENT_AMBIGUOUS',            // the reference matched several loads
+    SELECTOR_BROKEN: 'SELECTOR_BROKEN',         // the QuoteFactory page changed under the scraper
+    DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED',     // the request's time budget ran out
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR'            // anything else QuoteFactory or the provider threw
+};
+
+// A match that needs a person to choose; trying another provider will not help
+const FINAL_CODES = [LOOKUP_ERROR_CODES.AMBIGUOUS];
+
+class LookupError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'LookupError';
+        this.code = code;
+        this.provider = details.provider || null;
+        this.candidates = details.candidates || null;
+        this.cause = details.cause || null;
+    }
+
+    /**
+     * Wrap any error as a LookupError, keeping a known code (scraper errors
+     * already carry one) and falling back to the given code otherwise
+     */
+    static from(error, provider, fallbackCode = LOOKUP_ERROR_CODES.UPSTREAM_ERROR) {
+        if (error instanceof LookupError) {
+            error.provider = error.provider || provider;
+            return error;
+        }
+
+        const known = Object.values(LOOKUP_ERROR_CODES).includes(error?.code);
+        return new LookupError(known ? error.code : fallbackCode, error?.message || String(error), {
+            provider,
+            candidates: error?.candidates,
+            cause: error
+        });
+    }
+
+    /**
+     * Whether the chain should stop here instead of asking the next provider
+     */
+    get final() {
+        return FINAL_CODES.includes(this.code);
+    }
+}
+
+class LoadLookupProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * True when the deployment supplied what this provider needs
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Canonical load for a reference; rejects with a LookupError
+     */
+    async lookup(reference, context = {}) {
+        throw new LookupError(LOOKUP_ERROR_CODES.NOT_CONFIGURED, `${this.name} does not implement lookup()`, { provider: this.name });
+    }
+}
+
+module.exports = { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES };
@@ -0,0 +1,105 @@
+/**
+ * Load Lookup Chain
+ * Tries lookup providers in priority order until one returns a load. A
+ * provider that is not configured is skipped, one that fails hands over to
+ * the next, and an ambiguous match stops the chain.
+ *
+ * The order is set per deployment, e.g. LOOKUP_PROVIDERS=api,puppeteer
+ */
+
+const { LookupError, LOOKUP_ERROR_CODES } = require('./load-lookup-provider');
+
+// Codes that say the most about why nothing was found, most telling first
+const ERROR_PRIORITY = [
+    LOOKUP_ERROR_CODES.AMBIGUOUS,
+    LOOKUP_ERROR_CODES.NOT_FOUND,
+    LOOKUP_ERROR_CODES.SELECTOR_BROKEN,
+    LOOKUP_ERROR_CODES.AUTH_FAILED,
+    LOOKUP_ERROR_CODES.DEADLINE_EXCEEDED,
+    LOOKUP_ERROR_CODES.UPSTREAM_ERROR,
+    LOOKUP_ERROR_CODES.UNAVAILABLE,
+    LOOKUP_ERROR_CODES.NOT_CONFIGURED
+];
+
+class LoadLookupChain {
+    constructor(providers = [], options = {}) {
+        this.providers = providers;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * { load, provider, error, attempts } for a reference. error is the most
+     * telling LookupError when no provider returned a load; attempts lists
+     * { provider, code, ms } for every provider in order.
+     */
+    async lookup(reference, context = {}) {
+        const attempts = [];
+        const errors = [];
+
+        for (const provider of this.providers) {
+            if (!provider.isConfigured()) {
+                attempts.push({ provider: provider.name, code: LOOKUP_ERROR_CODES.NOT_CONFIGURED, ms: 0 });
+                continue;
+            }
+
+            const started = Date.now();
+            try {
+                const load = await provider.lookup(reference, context);
+                if (!load) {
+                    throw new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, `${provider.name} returned no load for ${reference}`);
+                }
+
+                attempts.push({ provider: provider.name, code: null, ms: Date.now() - started });
+                this.logger.log(`🔗 Load ${reference} found by ${provider.name}`);
+                return { load, provider: provider.name, error: null, attempts };
+            } catch (thrown) {
+                const error = LookupError.from(thrown, provider.name);
+                attempts.push({ provider: provider.name, code: error.code, ms: Date.now() - started });
+                errors.push(error);
+                this.logger.log(`⚠️ ${provider.name} lookup failed (${error.code}): ${error.message}`);
+
+                if (error.final) break;
+            }
+        }
+
+        return { load: null, provider: null, error: LoadLookupChain.mostTelling(errors, reference), attempts };
+    }
+
+    /**
+     * True when at least one provider can run in this deployment
+     */
+    isConfigured() {
+        return this.providers.some(provider => provider.isConfigured());
+    }
+
+    static mostTelling(errors, reference) {
+        if (errors.length === 0) {
+            return new LookupError(LOOKUP_ERROR_CODES.NOT_CONFIGURED, `No lookup provider is configured for ${reference}`);
+        }
+        return errors.slice().sort((a, b) => ERROR_PRIORITY.indexOf(a.code) - ERROR_PRIORITY.indexOf(b.code))[0];
+    }
+}
+
+/**
+ * Build a chain from provider names in priority order (a comma-separated
+ * string or an array, which may also hold provider instances) and a map of
+ * name -> () => provider. Unknown names are an error, so a typo in the
+ * deployment config fails loudly.
+ */
+function createLookupChain(order, factories, options = {}) {
+    const entries = (Array.isArray(order) ? order : String(order || '').split(','))
+        .map(entry => typeof entry === 'string' ? entry.trim() : entry)
+        .filter(Boolean);
+
+    const providers = entries.map(name => {
+        if (typeof name !== 'string') return name;
+        if (!factories[name]) {
+            throw new Error(`Unknown load lookup provider "${name}" (known: ${Object.keys(factories).join(', ')})`);
+        }
+        return factories[name]();
+    });
+
+    return new LoadLookupChain(providers, options);
+}
+
+module.exports = { LoadLookupChain, createLookupChain };
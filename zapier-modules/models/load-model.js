@@ -0,0 +1,504 @@
+/**
+ * Load Model
+ * The canonical load shape every lookup path returns and every formatter
+ * renders from, whether the data came from the QuoteFactory API or the
+ * Puppeteer scraper
+ *
+ * Load:
+ *   { loadReference, status, stops[], commodity: { description, weight, pieces,
+ *     pallets, hazmat, hazmatDetails }, rate: { amount, currency, formatted },
+ *     equipment: { type, length, tarps, temperature: { min, max, unit } },
+ *     distance, references: [{ type, label, value }], notes, source }
+ *
+ * equipment.length is trailer feet and distance is miles, both numbers.
+ * references are the customer's numbers for the load; type is one of
+ * REFERENCE_TYPES, judged from the label ("PO #", "Pickup #").
+ *
+ * Stop (ordered by sequence):
+ *   { sequence, type: 'pickup' | 'delivery' | 'pickup_and_delivery',
+ *     handling: 'drop_and_hook' | 'cross_dock' | null, address: { full,
+ *     lines, city, state, zip }, timezone: { id, abbreviation, source },
+ *     window: { start, end, startUtc, endUtc }, scheduling: 'appointment' |
+ *     'fcfs' | null, notes, classification }
+ *
+ * classification is { source, confidence } on scraped stops: which signal
+ * gave the type (badge, icon, text or position) and how far to trust it.
+ * It is null when the type came straight from the API.
+ *
+ * window.start/end are ISO 8601 timestamps in the stop's own zone carrying
+ * its UTC offset (e.g. 2025-11-03T07:00:00-06:00), so the local wall-clock
+ * time can be read straight from the string; startUtc/endUtc are the same
+ * instants in UTC. timezone is resolved from the page, zip or state (see
+ * stop-timezone.js) and is null when none of them identify the zone.
+ * Unknown values are null, never 'TBD' or 'N/A'.
+ */
+
+const StopTimezone = require('./stop-timezone');
+
+const STOP_TYPES = ['pickup', 'delivery', 'pickup_and_delivery'];
+
+const STOP_LABELS = {
+    pickup: 'Pickup',
+    delivery: 'Delivery',
+    pickup_and_delivery: 'Pickup & Delivery'
+};
+
+const HANDLING_LABELS = {
+    drop_and_hook: 'Drop & hook',
+    cross_dock: 'Cross-dock'
+};
+
+const REFERENCE_TYPES = [
+    ['po', /\bP\.?\s?O\b|purchase\s+order/i],
+    ['bol', /\bB\.?\s?O\.?\s?L\b|bill\s+of\s+lading/i],
+    ['pickup', /\bpick[\s-]?up\b|\bPU\b/i],
+    ['delivery', /\bdeliver(?:y)?\b|\bDEL\b/i],
+    ['order', /\border\b|\bSO\b/i],
+    ['customer', /\bcustomer\b|\bshipper\b|\bref(?:erence)?\b/i]
+];
+
+class LoadModel {
+    /**
+     * Build a load, filling every canonical field
+     */
+    static createLoad(fields = {}) {
+        const stops = (fields.stops || [])
+            .map((stop, index) => LoadModel.createStop({ sequence: index + 1, ...stop }))
+            .sort((a, b) => a.sequence - b.sequence);
+
+        const commodity = fields.commodity || {};
+
+        return {
+            loadReference: fields.loadReference || null,
+            status: fields.status || null,
+            stops,
+            commodity: {
+                description: commodity.description || null,
+                weight: LoadModel.formatWeight(commodity.weight),
+                pieces: LoadModel.parseNumber(commodity.pieces),
+                pallets: LoadModel.parseNumber(commodity.pallets),
+                hazmat: LoadModel.isHazmat(commodity.hazmat),
+                hazmatDetails: LoadModel.hazmatDetails(commodity.hazmat)
+            },
+            rate: LoadModel.createRate(fields.rate),
+            equipment: LoadModel.createEquipment(fields.equipment),
+            distance: LoadModel.parseNumber(fields.distance),
+            references: LoadModel.createReferences(fields.references),
+            notes: fields.notes || null,
+            source: fields.source || null
+        };
+    }
+
+    /**
+     * Build one stop; address may be an object, an array of lines or a string
+     */
+    static createStop(fields = {}) {
+        const address = LoadModel.createAddress(fields.address);
+        const timezone = fields.timezone !== undefined
+            ? fields.timezone
+            : StopTimezone.resolve({ state: address.state, zip: address.zip });
+
+        return {
+            sequence: fields.sequence,
+            type: STOP_TYPES.includes(fields.type) ? fields.type : 'pickup',
+            handling: HANDLING_LABELS[fields.handling] ? fields.handling : null,
+            address,
+            timezone,
+            window: LoadModel.createWindow(fields.window, timezone),
+            scheduling: ['appointment', 'fcfs'].includes(fields.scheduling) ? fields.scheduling : null,
+            notes: fields.notes || null,
+            classification: fields.classification || null
+        };
+    }
+
+    /**
+     * Window in the stop's zone plus UTC. Timestamps with an offset are
+     * instants; ones without ("2025-10-21T07:00") are wall-clock times in
+     * the stop's zone.
+     */
+    static createWindow(window, timezone = null) {
+        const zone = timezone && timezone.id;
+
+        const convert = value => {
+            if (!value) return { local: null, utc: null };
+
+            const hasOffset = /(?:Z|[+-]\d{2}:?\d{2})$/.test(value);
+            const instant = hasOffset
+                ? new Date(value)
+                : zone ? StopTimezone.fromLocal(value, zone) : null;
+
+            if (!instant || isNaN(instant.getTime())) {
+                return { local: hasOffset ? null : value, utc: null };
+            }
+            return {
+                local: zone ? StopTimezone.toLocalIso(instant, zone) : value,
+                utc: instant.toISOString()
+            };
+        };
+
+        const start = convert(window && window.start);
+        const end = convert(window && window.end);
+        return { start: start.local, end: end.local, startUtc: start.utc, endUtc: end.utc };
+    }
+
+    /**
+     * Normalize an address into { full, lines, city, state, zip }
+     */
+    static createAddress(address) {
+        if (!address) {
+            return { full: null, lines: [], city: null, state: null, zip: null };
+        }
+
+        if (typeof address === 'string' || Array.isArray(address)) {
+            const lines = (Array.isArray(address) ? address : address.split(/\n/))
+                .map(line => String(line).trim())
+                .filter(Boolean);
+            const parsed = LoadModel.parseCityStateZip(lines[lines.length - 1] || '');
+
+            return {
+                full: lines.join(', ') || null,
+                lines,
+                city: parsed.city,
+                state: parsed.state,
+                zip: parsed.zip
+            };
+        }
+
+        const street = [address.address1 || address.street, address.address2].filter(Boolean);
+        const state = address.state || address.province || null;
+        const zip = address.zip || address.postalCode || null;
+        const cityLine = [address.city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        const lines = [address.name, ...street, cityLine].filter(Boolean);
+
+        return {
+            full: lines.join(', ') || null,
+            lines,
+            city: address.city || null,
+            state,
+            zip
+        };
+    }
+
+    /**
+     * Split "Memphis, TN 38103" into its parts; unmatched parts are null
+     */
+    static parseCityStateZip(line) {
+        const match = line.match(/^(.+?),\s*([A-Z]{2})\b\.?\s*(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)?\s*$/i);
+        if (!match) {
+            return { city: null, state: null, zip: null };
+        }
+        return {
+            city: match[1].trim(),
+            state: match[2].toUpperCase(),
+            zip: match[3] ? match[3].toUpperCase() : null
+        };
+    }
+
+    /**
+     * Combine a UTC instant with the local time QuoteFactory displayed for it
+     * ("7:00am") into an ISO timestamp with the stop's offset. Used when the
+     * stop's zone cannot be resolved; without a displayed time the instant
+     * is returned in UTC.
+     */
+    static zonedTimestamp(instant, displayedTime) {
+        const date = new Date(instant);
+        if (!instant || isNaN(date.getTime())) return null;
+
+        const shown = String(displayedTime || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+        if (!shown) return date.toISOString();
+
+        let hour = parseInt(shown[1], 10) % (shown[3] ? 12 : 24);
+        if (shown[3] && shown[3].toLowerCase() === 'pm') hour += 12;
+
+        // Offset is whatever separates the shown wall clock from UTC, to the quarter hour
+        let offset = (hour * 60 + parseInt(shown[2], 10)) - (date.getUTCHours() * 60 + date.getUTCMinutes());
+        if (offset > 14 * 60) offset -= 24 * 60;
+        if (offset < -12 * 60) offset += 24 * 60;
+        offset = Math.round(offset / 15) * 15;
+
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Equipment as { type, length, tarps, temperature }; a plain string is the
+     * type, and a length inside it ("Flatbed 48'") is split out
+     */
+    static createEquipment(equipment) {
+        const fields = typeof equipment === 'string' ? { type: equipment } : equipment || {};
+
+        let type = fields.type ? String(fields.type).trim() : null;
+        let length = LoadModel.parseNumber(fields.length);
+        const inType = type && type.match(/\s*\b(\d{2})\s*(?:'|ft\b|foot\b|feet\b)\s*/i);
+        if (inType) {
+            length = length ?? parseInt(inType[1], 10);
+            type = type.replace(inType[0], ' ').trim() || null;
+        }
+
+        return {
+            type,
+            length,
+            tarps: LoadModel.parseTarps(fields.tarps),
+            temperature: LoadModel.parseTemperature(fields.temperature)
+        };
+    }
+
+    /**
+     * Tarp requirement as display text ("6 ft"); null when none are needed
+     */
+    static parseTarps(tarps) {
+        if (tarps === true) return 'Required';
+        if (!tarps || /^(?:no|none|n\/a|false|0)$/i.test(String(tarps).trim())) return null;
+        return String(tarps).trim();
+    }
+
+    /**
+     * Setpoint or range as { min, max, unit } from a number, an object or
+     * text such as "34°F - 38°F", "34-38°F", "-10 to 0 F" or "-10 F". A
+     * minus sign only counts at the start or after a space, so the hyphen
+     * in "34-38" is read as a range.
+     */
+    static parseTemperature(temperature) {
+        if (temperature === null || temperature === undefined || temperature === '') return null;
+
+        if (typeof temperature === 'number') {
+            return { min: temperature, max: temperature, unit: 'F' };
+        }
+        if (typeof temperature === 'object') {
+            const min = LoadModel.parseNumber(temperature.min ?? temperature.setpoint);
+            const max = LoadModel.parseNumber(temperature.max ?? temperature.setpoint) ?? min;
+            return min === null ? null : { min, max, unit: (temperature.unit || 'F').toUpperCase() };
+        }
+
+        const text = String(temperature);
+        const values = (text.match(/(?:(?<=^|[\s(])-)?\d+(?:\.\d+)?/g) || []).map(Number);
+        if (values.length === 0) return null;
+
+        const unit = /°?\s*C\b/.test(text) && !/°?\s*F\b/.test(text) ? 'C' : 'F';
+        return { min: Math.min(...values), max: Math.max(...values), unit };
+    }
+
+    /**
+     * Whether the hazmat field means yes: true, "Yes", "Class 3", "UN1203"
+     */
+    static isHazmat(hazmat) {
+        if (typeof hazmat === 'string') {
+            return hazmat.trim() !== '' && !/^(?:no|none|n\/a|false|non[\s-]?haz(?:mat|ardous)?)$/i.test(hazmat.trim());
+        }
+        return !!hazmat;
+    }
+
+    /**
+     * Class or UN number text when the hazmat field carries more than yes/no
+     */
+    static hazmatDetails(hazmat) {
+        if (!LoadModel.isHazmat(hazmat) || typeof hazmat !== 'string') return null;
+        return /^(?:yes|y|true|hazmat)$/i.test(hazmat.trim()) ? null : hazmat.trim();
+    }
+
+    /**
+     * References as [{ type, label, value }] from objects ({ label, value })
+     * or "PO # 4500123" strings; duplicates of the same value are dropped
+     */
+    static createReferences(references) {
+        const result = [];
+
+        (references || []).forEach(reference => {
+            let label = null;
+            let value = null;
+
+            if (reference && typeof reference === 'object') {
+                label = reference.label || reference.type || null;
+                value = reference.value || reference.number || null;
+            } else if (reference) {
+                const match = String(reference).match(/^(.*?)[\s:#]*([A-Z0-9][\w-]*)$/i);
+                label = match ? match[1].trim() || null : null;
+                value = match ? match[2] : String(reference).trim();
+            }
+
+            value = value ? String(value).trim() : null;
+            if (!value || result.some(existing => existing.value === value)) return;
+
+            label = label ? String(label).replace(/[\s:#]+$/, '').trim() || null : null;
+            const type = (REFERENCE_TYPES.find(([, pattern]) => pattern.test(label || '')) || ['other'])[0];
+            result.push({ type, label, value });
+        });
+
+        return result;
+    }
+
+    /**
+     * A count or measure from a number or text ("1,284 mi", "24"); null otherwise
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        if (value === null || value === undefined) return null;
+
+        const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+
+    /**
+     * Rate as { amount, currency, formatted } from a number or "$3,275.50"
+     */
+    static createRate(rate) {
+        if (rate && typeof rate === 'object') {
+            return LoadModel.createRate(rate.amount ?? rate.formatted);
+        }
+
+        let amount = null;
+        if (typeof rate === 'number') {
+            amount = rate;
+        } else if (typeof rate === 'string' && /\d/.test(rate)) {
+            amount = parseFloat(rate.replace(/[^\d.]/g, ''));
+        }
+
+        if (amount === null || isNaN(amount)) {
+            return { amount: null, currency: 'USD', formatted: null };
+        }
+
+        return {
+            amount,
+            currency: 'USD',
+            formatted: `$${amount.toLocaleString('en-US', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            })}`
+        };
+    }
+
+    /**
+     * Weight as display text, e.g. 41200 -> "41,200 lbs"
+     */
+    static formatWeight(weight) {
+        if (weight === null || weight === undefined || weight === '') return null;
+
+        if (typeof weight === 'number') {
+            return `${weight.toLocaleString('en-US')} lbs`;
+        }
+
+        const text = String(weight).trim();
+        return /^[\d,.]+$/.test(text) ? `${text} lbs` : text;
+    }
+
+    /**
+     * Stops of one type, in sequence order; pickup-and-deliver stops count as both
+     */
+    static stopsOfType(load, type) {
+        return (load?.stops || []).filter(stop => stop.type === type || stop.type === 'pickup_and_delivery');
+    }
+
+    /**
+     * True when the load has at least one pickup to show
+     */
+    static hasStops(load) {
+        return LoadModel.stopsOfType(load, 'pickup').length > 0;
+    }
+
+    /**
+     * "Memphis, TN" or the full address when it could not be parsed
+     */
+    static formatStopLocation(stop) {
+        const { city, state, full } = stop.address;
+        if (city && state) return `${city}, ${state}`;
+        return full || 'TBD';
+    }
+
+    /**
+     * Local date and time range read from the ISO strings, with the zone
+     * abbreviation when known, e.g. "10/21 0700-1500 PT"
+     */
+    static formatStopWindow(stop) {
+        const { start, end } = stop.window;
+        const parts = value => {
+            const match = value && value.match(/^\d{4}-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+            return match ? { date: `${match[1]}/${match[2]}`, time: `${match[3]}${match[4]}` } : null;
+        };
+
+        const from = parts(start);
+        if (!from) return null;
+
+        const to = parts(end);
+        const zone = stop.timezone && stop.timezone.abbreviation ? ` ${stop.timezone.abbreviation}` : '';
+        if (!to || to.time === from.time && to.date === from.date) {
+            return `${from.date} ${from.time}${zone}`;
+        }
+        return to.date === from.date
+            ? `${from.date} ${from.time}-${to.time}${zone}`
+            : `${from.date} ${from.time}-${to.date} ${to.time}${zone}`;
+    }
+
+    /**
+     * "Flatbed 48' (tarps: 6 ft)", "Reefer 53' at 34-38°F"; null when unknown
+     */
+    static formatEquipment(load) {
+        const equipment = load?.equipment;
+        if (!equipment || !equipment.type && !equipment.length) return null;
+
+        let text = [equipment.type, equipment.length ? `${equipment.length}'` : null].filter(Boolean).join(' ');
+        const { temperature } = equipment;
+        if (temperature) {
+            const range = temperature.min === temperature.max ? `${temperature.min}` : `${temperature.min}-${temperature.max}`;
+            text += ` at ${range}°${temperature.unit}`;
+        }
+        if (equipment.tarps) {
+            text += ` (tarps: ${equipment.tarps})`;
+        }
+        return text;
+    }
+
+    /**
+     * Miles as "1,284 mi", or null when unknown
+     */
+    static formatDistance(load) {
+        return typeof load?.distance === 'number' ? `${load.distance.toLocaleString('en-US')} mi` : null;
+    }
+
+    /**
+     * "24 pallets, 480 pieces", or null when neither is known
+     */
+    static formatHandlingUnits(load) {
+        const { pallets, pieces } = load?.commodity || {};
+        const parts = [];
+        if (typeof pallets === 'number') parts.push(`${pallets} pallet${pallets === 1 ? '' : 's'}`);
+        if (typeof pieces === 'number') parts.push(`${pieces} piece${pieces === 1 ? '' : 's'}`);
+        return parts.join(', ') || null;
+    }
+
+    /**
+     * "PO 4500123, Pickup PU-88", or null without references
+     */
+    static formatReferences(load) {
+        const references = load?.references || [];
+        return references.map(ref => ref.label ? `${ref.label} ${ref.value}` : ref.value).join(', ') || null;
+    }
+
+    /**
+     * "Drop & hook" / "Cross-dock", or null for a live stop
+     */
+    static formatHandling(stop) {
+        return HANDLING_LABELS[stop.handling] || null;
+    }
+
+    /**
+     * Display label for a stop type, e.g. "Pickup & Delivery"
+     */
+    static stopLabel(stop) {
+        return STOP_LABELS[stop.type];
+    }
+
+    /**
+     * One line per stop: "Pickup 1: Memphis, TN, 11/03 0700-1100"
+     */
+    static formatStopLines(load) {
+        const counters = {};
+        return (load?.stops || []).map(stop => {
+            counters[stop.type] = (counters[stop.type] || 0) + 1;
+            const window = LoadModel.formatStopWindow(stop) || 'N/A';
+            const handling = stop.handling ? ` (${LoadModel.formatHandling(stop)})` : '';
+            return `${STOP_LABELS[stop.type]} ${counters[stop.type]}: ${LoadModel.formatStopLocation(stop)}, ${window}${handling}`;
+        });
+    }
+}
+
+module.exports = LoadModel;
@@ -0,0 +1,188 @@
+/**
+ * Stop Timezone
+ * Works out which IANA zone a stop's appointment times are in and converts
+ * between UTC instants and that zone's wall clock, so dates never depend on
+ * the timezone of the machine doing the scraping or formatting
+ *
+ * Resolution order: a zone QuoteFactory put on the page, then the zip code
+ * (for states split across zones), then the state or province.
+ */
+
+const STATE_ZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+    DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+    IA: 'America/Chicago', ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis',
+    KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', MA: 'America/New_York',
+    MD: 'America/New_York', ME: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+    MO: 'America/Chicago', MS: 'America/Chicago', MT: 'America/Denver', NC: 'America/New_York',
+    ND: 'America/Chicago', NE: 'America/Chicago', NH: 'America/New_York', NJ: 'America/New_York',
+    NM: 'America/Denver', NV: 'America/Los_Angeles', NY: 'America/New_York', OH: 'America/New_York',
+    OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', PR: 'America/Puerto_Rico',
+    RI: 'America/New_York', SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago',
+    TX: 'America/Chicago', UT: 'America/Denver', VA: 'America/New_York', VT: 'America/New_York',
+    WA: 'America/Los_Angeles', WI: 'America/Chicago', WV: 'America/New_York', WY: 'America/Denver',
+    // Canadian provinces and territories
+    AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+    NL: 'America/St_Johns', NS: 'America/Halifax', NT: 'America/Yellowknife', NU: 'America/Iqaluit',
+    ON: 'America/Toronto', PE: 'America/Halifax', QC: 'America/Toronto', SK: 'America/Regina',
+    YT: 'America/Whitehorse'
+};
+
+// 3-digit zip prefixes whose zone differs from their state's
+const ZIP_PREFIX_ZONES = {
+    // West Texas (El Paso)
+    798: 'America/Denver', 799: 'America/Denver', 885: 'America/Denver',
+    // Florida panhandle
+    324: 'America/Chicago', 325: 'America/Chicago',
+    // East Tennessee
+    373: 'America/New_York', 374: 'America/New_York', 376: 'America/New_York',
+    377: 'America/New_York', 378: 'America/New_York', 379: 'America/New_York',
+    // Western Kentucky
+    420: 'America/Chicago', 421: 'America/Chicago', 422: 'America/Chicago',
+    423: 'America/Chicago', 424: 'America/Chicago',
+    // Northwest and southwest Indiana
+    463: 'America/Chicago', 464: 'America/Chicago', 476: 'America/Chicago', 477: 'America/Chicago',
+    // Michigan Upper Peninsula (Wisconsin border)
+    498: 'America/Chicago', 499: 'America/Chicago',
+    // Western Dakotas and Nebraska panhandle
+    577: 'America/Denver', 586: 'America/Denver', 693: 'America/Denver',
+    // Eastern Oregon and northern Idaho
+    979: 'America/Boise', 835: 'America/Los_Angeles', 838: 'America/Los_Angeles'
+};
+
+// Generic abbreviations used in outgoing email, e.g. "10/21 0700-1500 PT"
+const ZONE_ABBREVIATIONS = {
+    'America/Los_Angeles': 'PT', 'America/Vancouver': 'PT', 'America/Whitehorse': 'MST',
+    'America/Denver': 'MT', 'America/Boise': 'MT', 'America/Edmonton': 'MT', 'America/Yellowknife': 'MT',
+    'America/Phoenix': 'MST', 'America/Chicago': 'CT', 'America/Winnipeg': 'CT', 'America/Regina': 'CST',
+    'America/New_York': 'ET', 'America/Detroit': 'ET', 'America/Indiana/Indianapolis': 'ET',
+    'America/Toronto': 'ET', 'America/Iqaluit': 'ET', 'America/Halifax': 'AT', 'America/Moncton': 'AT',
+    'America/Puerto_Rico': 'AST', 'America/St_Johns': 'NT', 'America/Anchorage': 'AKT',
+    'Pacific/Honolulu': 'HT'
+};
+
+// Abbreviations QuoteFactory may print next to a time
+const ABBREVIATION_ZONES = {
+    P: 'America/Los_Angeles',
+    M: 'America/Denver',
+    C: 'America/Chicago',
+    E: 'America/New_York',
+    AK: 'America/Anchorage',
+    H: 'Pacific/Honolulu'
+};
+
+class StopTimezone {
+    /**
+     * { id, abbreviation, source } for a stop, or null when nothing identifies
+     * its zone. hint is a zone name or abbreviation read from the page.
+     */
+    static resolve({ hint, state, zip } = {}) {
+        const stateZone = STATE_ZONES[(state || '').toUpperCase()] || null;
+
+        const fromHint = StopTimezone.zoneFromHint(hint, stateZone);
+        if (fromHint) return StopTimezone.describe(fromHint, 'page');
+
+        const prefix = String(zip || '').match(/^(\d{3})\d{2}/);
+        if (prefix && ZIP_PREFIX_ZONES[prefix[1]]) {
+            return StopTimezone.describe(ZIP_PREFIX_ZONES[prefix[1]], 'zip');
+        }
+
+        return stateZone ? StopTimezone.describe(stateZone, 'state') : null;
+    }
+
+    /**
+     * IANA zone from a page hint: a zone name as-is, or an abbreviation such
+     * as "CDT". The state's own zone wins when it shares the abbreviation's
+     * family, so "MST" in Arizona stays America/Phoenix.
+     */
+    static zoneFromHint(hint, stateZone) {
+        if (!hint) return null;
+        const value = String(hint).trim();
+
+        if (/^[A-Za-z]+\/[A-Za-z_\/-]+$/.test(value) && StopTimezone.isValidZone(value)) {
+            return value;
+        }
+
+        const abbreviation = value.toUpperCase().match(/^(AK|[PMCEH])[SD]?T$/);
+        if (!abbreviation) return null;
+
+        const family = abbreviation[1];
+        if (stateZone && (ZONE_ABBREVIATIONS[stateZone] || '').startsWith(family)) {
+            return stateZone;
+        }
+        return ABBREVIATION_ZONES[family];
+    }
+
+    static isValidZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static describe(id, source) {
+        return { id, abbreviation: StopTimezone.abbreviation(id), source };
+    }
+
+    /**
+     * "PT", "CT", ... or the zone's short name from Intl for anything else
+     */
+    static abbreviation(zone) {
+        if (ZONE_ABBREVIATIONS[zone]) return ZONE_ABBREVIATIONS[zone];
+
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+            .formatToParts(new Date())
+            .find(p => p.type === 'timeZoneName');
+        return part ? part.value : null;
+    }
+
+    /**
+     * Minutes the zone is ahead of UTC at an instant
+     */
+    static offsetMinutes(date, zone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * ISO timestamp of an instant in the zone, e.g. 2025-10-21T07:00:00-07:00
+     */
+    static toLocalIso(date, zone) {
+        const offset = StopTimezone.offsetMinutes(date, zone);
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Instant for a wall-clock time ("2025-10-21T07:00") in the zone
+     */
+    static fromLocal(wallClock, zone) {
+        const guess = new Date(`${wallClock.length === 16 ? `${wallClock}:00` : wallClock.slice(0, 19)}Z`);
+        if (isNaN(guess.getTime())) return null;
+
+        // Twice, so a guess on the far side of a DST change settles on the right offset
+        let instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(guess, zone) * 60000);
+        instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(instant, zone) * 60000);
+        return instant;
+    }
+
+    static formatOffset(offset) {
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${sign}${hours}:${minutes}`;
+    }
+}
+
+module.exports = StopTimezone;
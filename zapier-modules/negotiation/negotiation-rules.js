@@ -0,0 +1,75 @@
+/**
+ * Negotiation Rules
+ * How far we go on a carrier's counter-offer, by default and per load.
+ *
+ * targetRate    what we want to pay; offers at or below it are accepted
+ * maxRate       the most we pay; offers above it after the last counter
+ *               go to a person
+ * counterSteps  one counter per step, each a fraction of the way from
+ *               targetRate to maxRate; when they run out we accept an
+ *               offer up to maxRate or escalate
+ * roundTo       counters are rounded to this many dollars
+ * loads         per-load overrides, keyed by load reference
+ *
+ * targetRate and maxRate are a dollar total (2200), a share of the load's
+ * posted rate ({ ofPostedRate: 1.1 }) or a rate per loaded mile
+ * ({ perMile: 2.75 }). Set NEGOTIATION_RULES to JSON of the same shape to
+ * change them; it is merged over these defaults.
+ */
+
+const DEFAULT_NEGOTIATION_RULES = {
+    targetRate: { ofPostedRate: 1 },
+    maxRate: { ofPostedRate: 1.1 },
+    counterSteps: [0.5, 0.8],
+    roundTo: 25,
+    loads: {}
+};
+
+/**
+ * Dollar amount for a targetRate / maxRate setting, or null when the load
+ * lacks what it is based on
+ */
+function resolveRate(setting, loadData) {
+    if (typeof setting === 'number') return setting;
+    if (!setting || typeof setting !== 'object') return null;
+
+    const posted = loadData?.rate?.amount;
+    const miles = loadData?.distance;
+    if (setting.ofPostedRate !== undefined) return typeof posted === 'number' ? posted * setting.ofPostedRate : null;
+    if (setting.perMile !== undefined) return typeof miles === 'number' && miles > 0 ? miles * setting.perMile : null;
+    return null;
+}
+
+/**
+ * Rules for one load in dollars: { targetRate, maxRate, counterSteps, roundTo }.
+ * targetRate and maxRate are null when they cannot be worked out.
+ */
+function resolveNegotiationRules(config = DEFAULT_NEGOTIATION_RULES, loadReference, loadData) {
+    const merged = {
+        ...DEFAULT_NEGOTIATION_RULES,
+        ...config,
+        ...((config.loads || {})[loadReference] || {})
+    };
+
+    const targetRate = resolveRate(merged.targetRate, loadData);
+    const maxRate = resolveRate(merged.maxRate, loadData);
+
+    return {
+        targetRate,
+        maxRate: targetRate !== null && maxRate !== null ? Math.max(maxRate, targetRate) : maxRate,
+        counterSteps: [...merged.counterSteps].sort((a, b) => a - b),
+        roundTo: merged.roundTo
+    };
+}
+
+/**
+ * Negotiation settings from NEGOTIATION_RULES (JSON), merged over the defaults
+ */
+function negotiationRulesFromEnv(env = process.env) {
+    if (!env.NEGOTIATION_RULES) return DEFAULT_NEGOTIATION_RULES;
+
+    const config = typeof env.NEGOTIATION_RULES === 'string' ? JSON.parse(env.NEGOTIATION_RULES) : env.NEGOTIATION_RULES;
+    return { ...DEFAULT_NEGOTIATION_RULES, ...config };
+}
+
+module.exports = { DEFAULT_NEGOTIATION_RULES, resolveNegotiationRules, negotiationRulesFromEnv };
@@ -0,0 +1,79 @@
+/**
+ * Negotiation Store
+ * Every step of every negotiation, kept per load:
+ *   { loadReference, steps: [{ round, carrier, emailId, at, offer, offerTotal,
+ *     decision, reason, counterRate, targetRate, maxRate }] }
+ * Any key/value backend with async get/set works (see lib/storage); without
+ * one, records last for the life of the process.
+ */
+
+class NegotiationStore {
+    constructor(config = {}) {
+        this.backend = config.backend || new ProcessBackend();
+        this.keyPrefix = config.keyPrefix || 'negotiation:';
+        this.ttlMs = config.ttlMs ?? 30 * 24 * 60 * 60 * 1000;
+        this.pending = new Map();
+    }
+
+    /**
+     * The load's negotiation record, or null before the first offer
+     */
+    async get(loadReference) {
+        return this.backend.get(this.keyPrefix + loadReference);
+    }
+
+    /**
+     * Earlier steps on the load, only the given carrier's when one is named
+     */
+    async history(loadReference, carrier = null) {
+        const record = await this.get(loadReference);
+        const steps = record ? record.steps : [];
+        return carrier ? steps.filter(step => step.carrier === carrier) : steps;
+    }
+
+    /**
+     * Append a step to the load's record and return the record. Appends to
+     * one load run one after another in this process, so concurrent offers
+     * on the same load never drop each other's step.
+     */
+    async record(loadReference, step) {
+        const previous = this.pending.get(loadReference) || Promise.resolve();
+        const appended = previous.catch(() => {}).then(() => this.append(loadReference, step));
+        this.pending.set(loadReference, appended);
+
+        try {
+            return await appended;
+        } finally {
+            if (this.pending.get(loadReference) === appended) this.pending.delete(loadReference);
+        }
+    }
+
+    async append(loadReference, step) {
+        const record = (await this.get(loadReference)) || { loadReference, steps: [] };
+        const updated = {
+            ...record,
+            steps: [...record.steps, { ...step, at: step.at || new Date().toISOString() }]
+        };
+        await this.backend.set(this.keyPrefix + loadReference, updated, this.ttlMs);
+        return updated;
+    }
+}
+
+/**
+ * Map with the storage backend interface, for when no backend is configured
+ */
+class ProcessBackend {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, value) {
+        this.entries.set(key, value);
+    }
+}
+
+module.exports = { NegotiationStore };
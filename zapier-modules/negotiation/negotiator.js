@@ -0,0 +1,81 @@
+/**
+ * Negotiator Module
+ * Decides what to do with a carrier's counter-offer - accept, counter or
+ * escalate to a person - from the load's negotiation rules and the
+ * counters already sent to that carrier on the load
+ */
+
+const { MoneyParser } = require('../parsers/money-parser');
+const { DEFAULT_NEGOTIATION_RULES, resolveNegotiationRules, negotiationRulesFromEnv } = require('./negotiation-rules');
+
+const NEGOTIATION_DECISIONS = {
+    ACCEPT: 'accept',
+    COUNTER: 'counter',
+    ESCALATE: 'escalate'
+};
+
+class Negotiator {
+    constructor(rules = DEFAULT_NEGOTIATION_RULES) {
+        this.rules = rules;
+        this.moneyParser = new MoneyParser();
+    }
+
+    static fromEnv(env = process.env) {
+        return new Negotiator(negotiationRulesFromEnv(env));
+    }
+
+    /**
+     * { decision, reason, round, offer, offerTotal, counterRate, targetRate, maxRate }
+     * @param {Object} negotiation
+     * @param {Object} negotiation.offer - MoneyParser amount the carrier asked for
+     * @param {string} [negotiation.loadReference]
+     * @param {Object} [negotiation.loadData] - LoadModel load, for the posted rate and miles
+     * @param {Array} [negotiation.history] - Earlier steps with this carrier on this load
+     */
+    decide({ offer, loadReference = null, loadData = null, history = [] }) {
+        const rules = resolveNegotiationRules(this.rules, loadReference, loadData);
+        const countersSent = history.filter(step => step.decision === NEGOTIATION_DECISIONS.COUNTER);
+        const offerTotal = this.moneyParser.toTotal(offer, loadData?.distance);
+        const result = (decision, reason, counterRate = null) => ({
+            decision,
+            reason,
+            round: history.length + 1,
+            offer: offer || null,
+            offerTotal,
+            counterRate,
+            targetRate: rules.targetRate,
+            maxRate: rules.maxRate
+        });
+
+        if (!offer) return result(NEGOTIATION_DECISIONS.ESCALATE, 'no rate found in the offer');
+        if (offerTotal === null) return result(NEGOTIATION_DECISIONS.ESCALATE, 'per-mile offer on a load without miles');
+        if (rules.targetRate === null || rules.maxRate === null) {
+            return result(NEGOTIATION_DECISIONS.ESCALATE, 'no negotiation rules or posted rate for this load');
+        }
+
+        if (offerTotal <= rules.targetRate) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer at or below the target rate');
+
+        const step = rules.counterSteps[countersSent.length];
+        if (step !== undefined) {
+            const counterRate = this.roundRate(rules.targetRate + step * (rules.maxRate - rules.targetRate), rules.roundTo);
+            const lastCounter = countersSent.length ? countersSent[countersSent.length - 1].counterRate : null;
+            if (counterRate >= offerTotal) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer at or below our next counter');
+            if (lastCounter === null || counterRate > lastCounter) {
+                return result(NEGOTIATION_DECISIONS.COUNTER, `counter ${countersSent.length + 1} of ${rules.counterSteps.length}`, counterRate);
+            }
+        }
+
+        if (offerTotal <= rules.maxRate) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer within the maximum rate after our last counter');
+        return result(NEGOTIATION_DECISIONS.ESCALATE, 'offer above the maximum rate after our last counter');
+    }
+
+    /**
+     * Round a rate down to the rounding step so a counter never passes the max
+     */
+    roundRate(rate, roundTo) {
+        if (!roundTo || roundTo <= 0) return Math.round(rate * 100) / 100;
+        return Math.floor(rate / roundTo) * roundTo;
+    }
+}
+
+module.exports = { Negotiator, NEGOTIATION_DECISIONS };
@@ -1,113 +1,339 @@
 /**
  * Email Parser Module
- * Extracts load reference numbers from email content with validation
+ * Extracts load reference numbers from email content with validation,
+ * driven by the shared rule set in reference-rules.js
  */
 
-class EmailParser {
-    constructor() {
-        // Patterns to exclude (false positives)
-        this.exclusionPatterns = [
-            /MC\s*\d+/i,
-            /DOT\s*\d+/i,
-            /USDOT\s*\d+/i,
-            /invoice\s*#?\s*\d+/i,
-            /bill\s*#?\s*\d+/i,
-            /po\s*#?\s*\d+/i,
-            /phone:?\s*\d+/i,
-            /tel:?\s*\d+/i,
-            /fax:?\s*\d+/i
-        ];
+const { REFERENCE_RULES } = require('./reference-rules');
+const { ThreadSegmenter } = require('./thread-segmenter');
+const { HtmlNormalizer } = require('./html-normalizer');
+const { DEFAULT_SOURCE_ID, profileRules, findSourceProfile } = require('./source-profiles');
 
-        // Patterns to match load references
-        this.loadPatterns = [
-            // Explicit load references
-            /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
-            /(?:quote\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
-            /(?:order\s*#?\s*)(\d{6,8})/i,
-            /(?:reference\s+number\s+)(\d{6,8})/i,
-            /(?:ref[:\s]+)(\d{6,8})/i,
-            
-            // QuoteFactory specific patterns
-            /(?:QF[-\s]?)(\d{6,8})/i,
-            /(?:QUOTE[-\s]?)(\d{6,8})/i,
-            
-            // Alphanumeric patterns (company prefix + numbers)
-            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*)/,
-            /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/,
-            
-            // Standalone numbers (last resort)
-            /\b(\d{6})\b/
-        ];
+// Per thread segment, so a long quoted history never pushes out the newest reply
+const MAX_SEGMENT_LENGTH = 5000;
 
-        // Validation rules
-        this.validationRules = {
-            minLength: 4,
-            maxLength: 20,
-            mustContainNumbers: true,
-            bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
-        };
+// One parser per source profile, built on first use
+const sourceParsers = new Map();
+
+class EmailParser {
+    constructor(rules = REFERENCE_RULES, segmenter = new ThreadSegmenter()) {
+        this.rules = rules;
+        this.segmenter = segmenter;
+        this.htmlNormalizer = new HtmlNormalizer();
+        this.exclusionPatterns = rules.exclusions.map(rule => rule.pattern);
+        this.loadPatterns = rules.patterns.map(rule => rule.pattern);
+        this.validationRules = rules.validation;
+    }
+
+    /**
+     * Parser with the shared rules plus a source profile's patterns and
+     * exclusions (source-profiles.js)
+     */
+    static forSource(sourceId = DEFAULT_SOURCE_ID) {
+        const profile = findSourceProfile(sourceId);
+        if (!sourceParsers.has(profile.id)) {
+            sourceParsers.set(profile.id, new EmailParser(profileRules(profile, REFERENCE_RULES)));
+        }
+        return sourceParsers.get(profile.id);
     }
 
     /**
      * Extract load reference from email content
      * @param {string} emailContent - The email body content
-     * @returns {Object} - Extraction result with reference and confidence
+     * @param {Object} [options]
+     * @param {string} [options.subject] - Subject line, scored separately from the body
+     * @returns {Object} - Extraction result with reference, confidence, its ID
+     *   type, the source and thread segment it came from, ranked candidates, the thread
+     *   segments, the parsed subject and the subject/body cross-check
      */
-    extractLoadReference(emailContent) {
-        if (!emailContent || typeof emailContent !== 'string') {
+    extractLoadReference(emailContent, { subject = '' } = {}) {
+        if ((!emailContent || typeof emailContent !== 'string') && !subject) {
             return {
                 found: false,
                 reference: null,
                 confidence: 0,
+                candidates: [],
+                segments: [],
+                subject: this.parseSubject(''),
+                crossCheck: this.crossCheckSubject('', ''),
                 message: 'No email content provided'
             };
         }
 
-        // Sanitize input
-        let sanitizedContent = this.sanitizeContent(emailContent);
-
-        // Remove exclusion patterns
-        sanitizedContent = this.removeExclusions(sanitizedContent);
-
-        // Try each pattern in order of specificity
-        for (let i = 0; i < this.loadPatterns.length; i++) {
-            const pattern = this.loadPatterns[i];
-            const matches = sanitizedContent.matchAll(new RegExp(pattern, 'gi'));
-            
-            for (const match of matches) {
-                if (match[1]) {
-                    const candidate = this.normalizeReference(match[1]);
-                    const validation = this.validateReference(candidate);
-                    
-                    if (validation.isValid) {
-                        return {
-                            found: true,
-                            reference: candidate,
-                            confidence: this.calculateConfidence(i, match[0], emailContent),
-                            matchedPattern: pattern.toString(),
-                            message: 'Load reference successfully extracted'
-                        };
-                    }
+        const body = typeof emailContent === 'string' ? emailContent : '';
+        const candidates = this.rankCandidates(body, { subject });
+        const crossCheck = this.crossCheckSubject(body, subject);
+        const { threshold, conflict } = this.rules.scoring;
+
+        // When subject and body disagree the body wins - a reply keeps the
+        // subject of the post it answers - but with less confidence
+        const isConflict = crossCheck.status === 'conflict';
+        const best = isConflict
+            ? candidates.find(candidate => candidate.reference === crossCheck.bodyReference)
+            : this.pickBest(candidates);
+        const confidence = best ? Math.max(0, best.score + (isConflict ? conflict.points : 0)) : 0;
+        const details = {
+            candidates,
+            segments: this.segmentBody(body).map(({ index, type, depth, text }) => ({ index, type, depth, length: text.length })),
+            subject: this.parseSubject(subject),
+            crossCheck
+        };
+
+        if (!best || confidence < threshold) {
+            return {
+                found: false,
+                reference: null,
+                confidence,
+                ...details,
+                message: best
+                    ? `Best candidate ${best.reference} scored ${confidence}, below the threshold of ${threshold}` +
+                        (isConflict ? ` (the subject names ${crossCheck.subjectReference})` : '')
+                    : 'No valid load reference found in email'
+            };
+        }
+
+        return {
+            found: true,
+            reference: best.reference,
+            confidence,
+            matchedPattern: best.matchedPattern,
+            rule: best.rule,
+            idType: best.idType,
+            source: best.source,
+            segment: best.segment,
+            ...details,
+            message: isConflict
+                ? `Load reference extracted from the body; the subject names ${crossCheck.subjectReference} instead`
+                : 'Load reference successfully extracted'
+        };
+    }
+
+    /**
+     * Reply prefix, load board and lane of a subject line:
+     *   { text, isReply, board, lane: { origin: { city, state }, destination: { city, state } } | null }
+     */
+    parseSubject(subject) {
+        const rules = this.rules.subject;
+        const raw = typeof subject === 'string' ? subject : '';
+        const text = raw.replace(rules.replyPrefix, '').trim();
+        const board = rules.boards.find(candidate => candidate.pattern.test(text));
+        const lane = text.match(rules.lane);
+
+        return {
+            text,
+            isReply: text.length !== raw.trim().length,
+            board: board ? board.id : null,
+            lane: lane
+                ? {
+                    origin: { city: lane[1].trim(), state: lane[2] },
+                    destination: { city: lane[3].trim(), state: lane[4] }
+                }
+                : null
+        };
+    }
+
+    /**
+     * Whether the subject's best reference agrees with the body's. Each side
+     * is ranked on its own and counts only when it clears the threshold.
+     *   status: agree | conflict | subject_only | body_only | none
+     */
+    crossCheckSubject(emailContent, subject) {
+        const { threshold } = this.rules.scoring;
+        const bestReference = candidates => {
+            const best = this.pickBest(candidates);
+            return best && best.score >= threshold ? best.reference : null;
+        };
+
+        const subjectReference = bestReference(this.rankCandidates('', { subject }));
+        const bodyReference = bestReference(this.rankCandidates(emailContent));
+
+        let status = 'none';
+        if (subjectReference && bodyReference) status = subjectReference === bodyReference ? 'agree' : 'conflict';
+        else if (subjectReference) status = 'subject_only';
+        else if (bodyReference) status = 'body_only';
+
+        return { status, subjectReference, bodyReference };
+    }
+
+    /**
+     * The candidate to use from a ranked list: the best one from what the
+     * sender just wrote (subject or newest reply) when it clears the
+     * threshold, else the best overall
+     */
+    pickBest(candidates) {
+        const current = candidates.find(candidate =>
+            candidate.score >= this.rules.scoring.threshold &&
+            (candidate.source === 'subject' || candidate.segment.type === 'newest'));
+        return current || candidates[0];
+    }
+
+    /**
+     * Thread segments of a body (see thread-segmenter.js), newest reply first
+     */
+    segmentBody(emailContent) {
+        if (!emailContent || typeof emailContent !== 'string') return [];
+        return this.segmenter.segment(this.sanitizeContent(emailContent));
+    }
+
+    /**
+     * Every valid candidate in the subject and body, best first. Each one
+     * carries its score, the reasons for it and the thread segment it came
+     * from (null for the subject):
+     *   { reference, score, rule, idType, matchedPattern, source, segment: { index, type, depth }, occurrences, explanations }
+     */
+    rankCandidates(emailContent, { subject = '' } = {}) {
+        const occurrences = [
+            ...this.findOccurrences(subject ? this.sanitizeContent(subject) : '', 'subject'),
+            ...this.segmentBody(emailContent).flatMap(segment => this.findOccurrences(segment.text, 'body', segment))
+        ];
+        const { board } = this.parseSubject(subject);
+
+        const byReference = new Map();
+        for (const occurrence of occurrences) {
+            const scored = this.scoreOccurrence(occurrence, { board });
+            const current = byReference.get(occurrence.reference);
+
+            if (!current) {
+                byReference.set(occurrence.reference, { best: scored, count: 1 });
+            } else {
+                current.count++;
+                if (scored.score > current.best.score) current.best = scored;
+            }
+        }
+
+        const { repetition } = this.rules.scoring;
+        return [...byReference.values()]
+            .map(({ best, count }) => {
+                const explanations = [...best.explanations];
+                let score = best.score;
+
+                if (count > 1) {
+                    const points = Math.min(repetition.maxPoints, (count - 1) * repetition.points);
+                    score += points;
+                    explanations.push(`mentioned ${count} times (+${points})`);
+                }
+
+                return {
+                    reference: best.reference,
+                    score: Math.max(0, Math.min(100, score)),
+                    rule: best.rule,
+                    idType: best.idType,
+                    matchedPattern: best.matchedPattern,
+                    source: best.source,
+                    segment: best.segment,
+                    occurrences: count,
+                    explanations
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Valid matches of every pattern in one sanitized text. A spot matched
+     * by several patterns ("Load #302734" is also a six-digit number) keeps
+     * the heaviest one.
+     */
+    findOccurrences(text, source, segment = null) {
+        if (!text || typeof text !== 'string') return [];
+
+        const content = this.removeExclusions(text.substring(0, MAX_SEGMENT_LENGTH));
+        const segmentInfo = segment ? { index: segment.index, type: segment.type, depth: segment.depth } : null;
+        const bySpot = new Map();
+
+        this.rules.patterns.forEach(rule => {
+            for (const match of content.matchAll(new RegExp(rule.pattern, 'gi'))) {
+                if (!match[1]) continue;
+
+                const reference = this.normalizeReference(match[1]);
+                if (!this.validateReference(reference).isValid) continue;
+
+                const index = match.index + match[0].lastIndexOf(match[1]);
+                const spot = `${reference}@${index}`;
+                const current = bySpot.get(spot);
+                if (!current || rule.weight > current.rule.weight) {
+                    bySpot.set(spot, { reference, rule, index, content, source, segment: segmentInfo });
                 }
             }
+        });
+
+        return [...bySpot.values()];
+    }
+
+    /**
+     * Base weight of the pattern plus the context features from the rules.
+     * board is the load board the subject line comes from, if any.
+     */
+    scoreOccurrence({ reference, rule, index, content, source, segment }, { board = null } = {}) {
+        const { scoring } = this.rules;
+        const explanations = [`${rule.id} match (+${rule.weight})`];
+        let score = rule.weight;
+
+        const before = content.slice(Math.max(0, index - scoring.label.window), index);
+        const label = before.match(new RegExp(scoring.label.pattern, 'gi'));
+        if (label) {
+            score += scoring.label.points;
+            explanations.push(`label "${label[label.length - 1].toLowerCase()}" nearby (+${scoring.label.points})`);
+        }
+
+        const distractor = before.match(scoring.distractor.pattern);
+        if (distractor) {
+            score += scoring.distractor.points;
+            explanations.push(`follows "${distractor[0].trim()}" (${scoring.distractor.points})`);
+        }
+
+        if (source === 'subject') {
+            score += scoring.subject.points;
+            explanations.push(`in the subject (+${scoring.subject.points})`);
+
+            if (board) {
+                score += scoring.subject.boardPoints;
+                explanations.push(`${board} reply subject (+${scoring.subject.boardPoints})`);
+            }
+        }
+
+        if (segment && segment.type === 'quoted') {
+            const points = segment.depth * scoring.quoteDepth.points;
+            score += points;
+            explanations.push(`quoted ${segment.depth} level${segment.depth > 1 ? 's' : ''} deep (${points})`);
+        } else if (segment && segment.type === 'forwarded') {
+            score += scoring.forwarded.points;
+            explanations.push(`in a forwarded message (${scoring.forwarded.points})`);
+        } else if (segment && segment.type === 'signature') {
+            score += scoring.signature.points;
+            explanations.push(`in a signature (${scoring.signature.points})`);
+        }
+
+        const shape = scoring.shape.shapes.find(candidate => candidate.pattern.test(reference));
+        if (shape) {
+            score += scoring.shape.points;
+            explanations.push(`${shape.id} shape (+${scoring.shape.points})`);
         }
 
         return {
-            found: false,
-            reference: null,
-            confidence: 0,
-            message: 'No valid load reference found in email'
+            reference,
+            score,
+            rule: rule.id,
+            idType: rule.idType || this.rules.idType,
+            matchedPattern: rule.pattern.toString(),
+            source,
+            segment,
+            explanations
         };
     }
 
     /**
-     * Sanitize email content for safe processing
+     * Sanitize email content for safe processing. HTML bodies go through
+     * the HTML normalizer so entities, hidden text and cell boundaries do
+     * not leak into the text.
      */
     sanitizeContent(content) {
-        return content
-            .replace(/<[^>]*>/g, ' ') // Remove HTML tags
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .substring(0, 5000); // Limit length for performance
+        const text = this.htmlNormalizer.isHtml(content)
+            ? this.htmlNormalizer.normalize(content)
+            : content.replace(/<[^>]*>/g, ' '); // Stray tags in plain text
+
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[^\S\n]+/g, ' '); // Normalize whitespace, keeping line breaks for the thread segmenter
     }
 
     /**
@@ -163,64 +389,13 @@ class EmailParser {
         };
     }
 
-    /**
-     * Calculate confidence score for extraction
-     */
-    calculateConfidence(patternIndex, matchedText, originalContent) {
-        let confidence = 100 - (patternIndex * 10); // Earlier patterns = higher confidence
-
-        // Boost confidence for explicit mentions
-        if (matchedText.toLowerCase().includes('load') || 
-            matchedText.toLowerCase().includes('quote') ||
-            matchedText.toLowerCase().includes('reference')) {
-            confidence = Math.min(100, confidence + 20);
-        }
-
-        // Reduce confidence for standalone numbers
-        if (patternIndex >= this.loadPatterns.length - 2) {
-            confidence = Math.max(50, confidence - 30);
-        }
-
-        return confidence;
-    }
-
     /**
      * Extract multiple load references (for batch processing)
      */
     extractMultipleReferences(emailContent, maxReferences = 5) {
-        const references = [];
-        let content = this.sanitizeContent(emailContent);
-        content = this.removeExclusions(content);
-
-        const foundReferences = new Set();
-
-        for (const pattern of this.loadPatterns) {
-            const matches = content.matchAll(new RegExp(pattern, 'gi'));
-            
-            for (const match of matches) {
-                if (match[1] && references.length < maxReferences) {
-                    const candidate = this.normalizeReference(match[1]);
-                    
-                    if (!foundReferences.has(candidate)) {
-                        const validation = this.validateReference(candidate);
-                        
-                        if (validation.isValid) {
-                            foundReferences.add(candidate);
-                            references.push({
-                                reference: candidate,
-                                confidence: this.calculateConfidence(
-                                    this.loadPatterns.indexOf(pattern),
-                                    match[0],
-                                    emailContent
-                                )
-                            });
-                        }
-                    }
-                }
-            }
-        }
-
-        return references.sort((a, b) => b.confidence - a.confidence);
+        return this.rankCandidates(emailContent)
+            .slice(0, maxReferences)
+            .map(candidate => ({ reference: candidate.reference, confidence: candidate.score }));
     }
 }
 
@@ -0,0 +1,174 @@
+/**
+ * HTML Normalizer Module
+ * Turns Outlook / Graph HTML message bodies into plain text for the
+ * parser and the thread segmenter: drops style, script and hidden
+ * elements, decodes entities, keeps line and table cell boundaries,
+ * writes blockquotes as "> " lines and unwraps Outlook safelinks.
+ */
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'ul'
+]);
+const CELL_TAGS = new Set(['td', 'th']);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+// Dropped with everything inside them
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'title', 'noscript', 'template', 'xml']);
+
+const HIDDEN_STYLE = /display\s*:\s*none|visibility\s*:\s*hidden|mso-hide\s*:\s*all|max-height\s*:\s*0(?![.\d]*[1-9])/i;
+
+const NAMED_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    rarr: '→', larr: '←', harr: '↔', rArr: '⇒',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', zwnj: '', zwj: '', shy: ''
+};
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const SAFELINK_PATTERN = /https?:\/\/[\w.-]*safelinks\.protection\.outlook\.com\/[^\s"'<>]*/gi;
+
+class HtmlNormalizer {
+    /**
+     * Whether a body is HTML rather than plain text
+     */
+    isHtml(content) {
+        return typeof content === 'string' && /<(?:html|body|head|div|p|br|table|span|td|font|blockquote)\b[^>]*>/i.test(content);
+    }
+
+    /**
+     * Plain text of an HTML body; table cells are separated by tabs and
+     * blockquote lines start with one ">" per level
+     */
+    normalize(html) {
+        const lines = [];
+        let line = { depth: 0, text: '' };
+        const stack = [];
+        let skipUntil = null; // stack length to get back to before output resumes
+        let quoteDepth = 0;
+        let preDepth = 0;
+
+        const breakLine = () => {
+            lines.push(line);
+            line = { depth: quoteDepth, text: '' };
+        };
+        // Blocks start on a fresh line without adding blank ones; <br> always breaks
+        const endBlock = () => {
+            if (line.text) breakLine();
+        };
+        const write = text => {
+            if (!line.text) line.depth = quoteDepth;
+            line.text += text;
+        };
+
+        for (const match of String(html || '').matchAll(TOKEN_PATTERN)) {
+            const [token, rawName, attributes = ''] = match;
+
+            if (token.startsWith('<!') || (token === '<' && !rawName)) continue;
+
+            if (!rawName) {
+                if (skipUntil !== null) continue;
+                const text = this.decodeEntities(preDepth > 0 ? token : token.replace(/\s+/g, ' '));
+                if (preDepth > 0) {
+                    text.split('\n').forEach((part, index) => {
+                        if (index > 0) breakLine();
+                        write(part);
+                    });
+                } else if (text.trim() || (line.text && !line.text.endsWith(' '))) {
+                    write(line.text ? text : text.trimStart());
+                }
+                continue;
+            }
+
+            const name = rawName.toLowerCase();
+            const isClose = token.startsWith('</');
+
+            if (isClose) {
+                const open = stack.lastIndexOf(name);
+                if (open === -1) continue;
+                stack.length = open;
+                if (skipUntil !== null && stack.length <= skipUntil) skipUntil = null;
+                if (skipUntil !== null) continue;
+
+                if (name === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+                if (name === 'pre') preDepth = Math.max(0, preDepth - 1);
+                if (BLOCK_TAGS.has(name)) endBlock();
+                continue;
+            }
+
+            if (skipUntil !== null) {
+                if (!VOID_TAGS.has(name) && !token.endsWith('/>')) stack.push(name);
+                continue;
+            }
+
+            if (name === 'br') {
+                breakLine();
+                continue;
+            }
+            if (VOID_TAGS.has(name) || token.endsWith('/>')) {
+                if (name === 'hr') endBlock();
+                continue;
+            }
+
+            stack.push(name);
+            if (SKIPPED_TAGS.has(name) || this.isHiddenElement(attributes)) {
+                skipUntil = stack.length - 1;
+                continue;
+            }
+
+            if (BLOCK_TAGS.has(name)) endBlock();
+            if (CELL_TAGS.has(name) && line.text.trim()) write('\t');
+            if (name === 'blockquote') quoteDepth++;
+            if (name === 'pre') preDepth++;
+        }
+        lines.push(line);
+
+        return this.unwrapSafeLinks(lines
+            .map(({ depth, text }) => {
+                const trimmed = text.replace(/[  ]+\t/g, '\t').replace(/\t[  ]+/g, '\t').trim();
+                return depth > 0 && trimmed ? `${'>'.repeat(depth)} ${trimmed}` : trimmed;
+            })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim());
+    }
+
+    /**
+     * hidden attribute, or an inline style that hides the element (preheaders)
+     */
+    isHiddenElement(attributes) {
+        if (/(?:^|\s)hidden(?:\s|=|$)/i.test(attributes)) return true;
+        const style = attributes.match(/\bstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+        return !!style && HIDDEN_STYLE.test(style[1] || style[2] || '');
+    }
+
+    /**
+     * Named, decimal and hex character references
+     */
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                if (point === 160) return ' ';
+                return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+            }
+            return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, code) ? NAMED_ENTITIES[code] : entity;
+        });
+    }
+
+    /**
+     * Replace Outlook safelinks with the address they wrap
+     */
+    unwrapSafeLinks(text) {
+        return text.replace(SAFELINK_PATTERN, link => {
+            try {
+                return new URL(link).searchParams.get('url') || link;
+            } catch (error) {
+                return link;
+            }
+        });
+    }
+}
+
+module.exports = { HtmlNormalizer };
@@ -0,0 +1,131 @@
+/**
+ * Intent Classifier Module
+ * Offline, rules-plus-lexicon classification of what a carrier wants:
+ * load details, a counter-offer, to report an empty truck, to book, a rate
+ * confirmation, or to unsubscribe. Cues and field patterns live in
+ * intent-rules.js.
+ */
+
+const { INTENT_RULES } = require('./intent-rules');
+const { ThreadSegmenter } = require('./thread-segmenter');
+const { HtmlNormalizer } = require('./html-normalizer');
+const { REFERENCE_RULES } = require('./reference-rules');
+const { MoneyParser } = require('./money-parser');
+
+// Cues are case-insensitive whatever flags they were written with
+const insensitive = pattern => new RegExp(pattern.source, pattern.flags.includes('i') ? pattern.flags : `${pattern.flags}i`);
+
+class IntentClassifier {
+    constructor(rules = INTENT_RULES, segmenter = new ThreadSegmenter()) {
+        this.rules = rules;
+        this.segmenter = segmenter;
+        this.htmlNormalizer = new HtmlNormalizer();
+        this.moneyParser = new MoneyParser();
+    }
+
+    /**
+     * { intent, scenario, needsLookup, score, evidence, fields, scores }
+     * for an email. Falls back to the default intent (load details) when
+     * no other intent reaches the threshold.
+     * @param {Object} email
+     * @param {string} [email.subject]
+     * @param {string} [email.body] - Plain text or HTML body
+     * @param {string} [email.reference] - Load reference extracted from the email, if any
+     */
+    classify({ subject = '', body = '', reference = null } = {}) {
+        const text = this.intentText(subject, body);
+        const fields = {};
+        const extract = name => {
+            if (!(name in fields)) fields[name] = this.extractField(name, text, reference);
+            return fields[name];
+        };
+
+        const scored = this.rules.intents.map(intent => {
+            const evidence = intent.cues.filter(cue => insensitive(cue.pattern).test(text)).map(cue => cue.id);
+            let score = intent.cues
+                .filter(cue => evidence.includes(cue.id))
+                .reduce((total, cue) => total + cue.weight, 0);
+            if (reference && intent.referencePoints) {
+                score += intent.referencePoints;
+                evidence.push('reference');
+            }
+            const eligible = (intent.requires || []).every(name => extract(name) !== null);
+            return { intent, score: eligible ? score : 0, evidence };
+        });
+
+        const scores = Object.fromEntries(scored.map(({ intent, score }) => [intent.id, score]));
+        const best = scored
+            .filter(({ score }) => score >= this.rules.threshold)
+            .reduce((winner, entry) => (!winner || entry.score > winner.score ? entry : winner), null)
+            || scored.find(({ intent }) => intent.id === this.rules.defaultIntent);
+
+        return {
+            intent: best.intent.id,
+            scenario: best.intent.scenario,
+            needsLookup: best.intent.needsLookup,
+            score: best.score,
+            evidence: best.evidence,
+            fields: Object.fromEntries((best.intent.fields || []).map(name => [name, extract(name)])),
+            scores
+        };
+    }
+
+    /**
+     * Subject (without reply prefixes) and the newest reply; quoted history,
+     * forwards and signatures say what someone wanted earlier, not now
+     */
+    intentText(subject, body) {
+        const plain = this.htmlNormalizer.isHtml(body) ? this.htmlNormalizer.normalize(body) : String(body || '');
+        const segments = this.segmenter.segment(plain);
+        const newest = segments.filter(segment => segment.type === 'newest');
+        const bodyText = (newest.length ? newest : segments.filter(segment => segment.type !== 'signature'))
+            .map(segment => segment.text)
+            .join('\n');
+
+        return [String(subject || '').replace(REFERENCE_RULES.subject.replyPrefix, ''), bodyText]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * One field from the intent text, or null when the email does not say
+     */
+    extractField(name, text, reference) {
+        const patterns = this.rules.fields;
+
+        switch (name) {
+            case 'reference':
+                return reference || null;
+
+            case 'rate':
+                // The load number is never the offer, whatever comes before it
+                return this.moneyParser.parseOffer(text, { ignore: [reference] });
+
+            case 'location': {
+                const lead = text.match(patterns.locationLead);
+                const place = lead && text.slice(lead.index + lead[0].length).match(patterns.location);
+                return place ? { city: place[1], state: place[2] || null } : null;
+            }
+
+            case 'availableWhen': {
+                const match = text.match(patterns.availableWhen);
+                return match ? match[1].toLowerCase().replace(/\s+/g, ' ') : null;
+            }
+
+            case 'equipment': {
+                const equipment = patterns.equipment.find(type => type.pattern.test(text));
+                return equipment ? equipment.id : null;
+            }
+
+            case 'mcNumber': {
+                const match = text.match(patterns.mcNumber);
+                return match ? match[1] : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = { IntentClassifier };
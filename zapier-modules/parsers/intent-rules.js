@@ -0,0 +1,132 @@
+/**
+ * Intent Rules
+ * What a carrier wants from an email, and the lexicon that tells. Edit
+ * this file to tune intent classification; intent-classifier.js and the
+ * Zapier extract step both read it.
+ *
+ * intents      tried in order; on a tied score the earlier one wins
+ *   scenario     ResponseFormatter scenario for the reply; null keeps the
+ *                lookup-driven load_found / load_pending / no_reference reply
+ *   needsLookup  whether a reference in the email is looked up
+ *   cues         each matching cue adds its weight once
+ *   referencePoints  added when the email names a load reference
+ *   fields       what to extract for the intent (see fields below)
+ *   requires     fields the intent cannot do without
+ * threshold    score an intent needs to beat the default
+ * fields       patterns the field extractors use; the offered rate is read
+ *              by money-parser.js
+ *
+ * Cues run case-insensitively against the subject and the newest reply;
+ * quoted history and signatures are ignored.
+ */
+
+const INTENT_RULES = {
+    defaultIntent: 'load_inquiry',
+    threshold: 40,
+
+    intents: [
+        {
+            id: 'unsubscribe',
+            scenario: 'unsubscribe',
+            needsLookup: false,
+            cues: [
+                // First person only: board footers carry "click here to unsubscribe"
+                { id: 'unsubscribe-me', weight: 100, pattern: /\bunsubscribe\s+(?:me|us)\b/ },
+                { id: 'unsubscribe-line', weight: 100, pattern: /^\s*(?:please\s+)?unsubscribe\s*[.!]*\s*$/m },
+                { id: 'remove-me', weight: 100, pattern: /\b(?:remove|take)\s+(?:me|us|my (?:email|address))\s+(?:off|from)\b/ },
+                { id: 'stop-emailing', weight: 100, pattern: /\bstop\s+(?:sending|emailing)\b/ },
+                { id: 'opt-out', weight: 80, pattern: /\bopt[\s-]?out\b/ }
+            ],
+            fields: []
+        },
+        {
+            id: 'rate_confirmation_request',
+            scenario: 'rate_confirmation',
+            needsLookup: true,
+            cues: [
+                { id: 'send-rate-con', weight: 60, pattern: /\bsend\s+(?:over\s+|me\s+|us\s+)?(?:the\s+|a\s+)?(?:rc|rate\s*con(?:firmation)?)\b/ },
+                { id: 'rate-con', weight: 50, pattern: /\brate\s*con(?:firmation)?s?\b/ }
+            ],
+            referencePoints: 10,
+            fields: ['reference', 'mcNumber']
+        },
+        {
+            id: 'booking_confirmation',
+            scenario: 'booking_confirmation',
+            needsLookup: true,
+            cues: [
+                { id: 'take-it', weight: 60, pattern: /\b(?:we'?ll|i'?ll|we will|i will|let'?s)\s+(?:take|book|haul|cover)\s+(?:it|this|that|the load)\b/ },
+                { id: 'book-it', weight: 50, pattern: /\bbook\s+(?:it|me|us|this|that)\b/ },
+                { id: 'accept', weight: 50, pattern: /\b(?:we|i)\s+accept\b/ },
+                { id: 'confirm-booking', weight: 40, pattern: /\bconfirm(?:ed|ing)?\b.{0,20}\b(?:booking|booked|load|pickup)\b/ },
+                { id: 'booked', weight: 40, pattern: /\bbooked\b/ }
+            ],
+            referencePoints: 10,
+            fields: ['reference', 'mcNumber']
+        },
+        {
+            id: 'counter_offer',
+            scenario: 'counter_offer',
+            needsLookup: true,
+            cues: [
+                { id: 'can-you-do', weight: 60, pattern: /\b(?:can|could|would|will)\s+you\s+(?:do|go|take|accept|make it|work with)\b/ },
+                { id: 'we-can-do', weight: 50, pattern: /\b(?:i|we)\s+(?:can|could)\s+do\s+(?:it\s+)?(?:for|at)\b/ },
+                { id: 'best-we-can-do', weight: 50, pattern: /\b(?:best|lowest)\s+(?:i|we)\s+can\s+do\b/ },
+                { id: 'our-rate', weight: 50, pattern: /\b(?:my|our)\s+rate\s+(?:is|would be|will be)\b/ },
+                { id: 'counter', weight: 50, pattern: /\bcounter(?:\s*offer)?\b/ },
+                { id: 'need-amount', weight: 40, pattern: /\b(?:need|looking for|want)\s+(?:at least\s+)?\$/ },
+                { id: 'how-about', weight: 30, pattern: /\b(?:how|what)\s+about\b/ },
+                { id: 'all-in', weight: 10, pattern: /\ball[\s-]?in\b/ }
+            ],
+            fields: ['rate', 'reference'],
+            requires: ['rate']
+        },
+        {
+            id: 'truck_availability',
+            scenario: 'truck_availability',
+            needsLookup: false,
+            cues: [
+                { id: 'empty-in', weight: 50, pattern: /\b(?:empty|unloading|available|free|open)\s+(?:in|at|near|around|out of)\b/ },
+                { id: 'truck-available', weight: 50, pattern: /\b(?:truck|van|reefer|flatbed|driver)s?\s+(?:is\s+|are\s+)?available\b/ },
+                { id: 'have-a-truck', weight: 40, pattern: /\b(?:have|got)\s+(?:a|an|one|two|three|\d+)\s+(?:[\w']+\s+)?(?:trucks?|vans?|reefers?|flatbeds?|drivers?)\b/ },
+                { id: 'looking-for-load', weight: 40, pattern: /\b(?:looking for|need(?:s)?)\s+(?:a\s+)?(?:load|reload|freight)\b/ },
+                { id: 'capacity', weight: 20, pattern: /\bcapacity\b/ }
+            ],
+            fields: ['location', 'availableWhen', 'equipment']
+        },
+        {
+            id: 'load_inquiry',
+            scenario: null,
+            needsLookup: true,
+            cues: [
+                { id: 'still-open', weight: 40, pattern: /\bis\s+(?:this|it|that|the load)\s+(?:one\s+)?(?:still\s+)?(?:open|available|covered)\b/ },
+                { id: 'need-a-truck', weight: 60, pattern: /\b(?:do|did)\s+you\s+(?:still\s+)?need\s+(?:a\s+)?(?:truck|carrier|driver)\b/ },
+                { id: 'can-we-get', weight: 40, pattern: /\bcan\s+(?:we|i)\s+(?:get|have|grab)\s+(?:load|this|that|it)\b/ },
+                { id: 'available-question', weight: 30, pattern: /\bavailable\s*\?/ },
+                { id: 'rate-question', weight: 30, pattern: /\brate\s*\?|\bwhat(?:'s| is)\s+(?:the|your)\s+rate\b/ },
+                { id: 'interested', weight: 30, pattern: /\binterested\b/ },
+                { id: 'details', weight: 20, pattern: /\b(?:details|more info|information)\b/ }
+            ],
+            referencePoints: 20,
+            fields: ['reference']
+        }
+    ],
+
+    fields: {
+        // "empty in Memphis, TN" - city words are case-sensitive, as in the subject lane
+        locationLead: /\b(?:empty|unloading|available|free|open|delivering|sitting)\s+(?:in|at|near|around|out of)\s+/i,
+        location: /^((?:St\.|[A-Z][a-z][a-zA-Z.'-]*)(?:\s+[A-Z][a-z][a-zA-Z.'-]*){0,2})(?:,?\s+([A-Z]{2})\b)?/,
+        availableWhen: /\b(today|tonight|tomorrow|this\s+(?:morning|afternoon|evening)|(?:mon|tues|wednes|thurs|fri|satur|sun)day|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i,
+        equipment: [
+            { id: 'reefer', pattern: /\breefers?\b|\brefrigerated\b/i },
+            { id: 'flatbed', pattern: /\bflat\s?beds?\b/i },
+            { id: 'step_deck', pattern: /\bstep\s?decks?\b/i },
+            { id: 'power_only', pattern: /\bpower\s?only\b/i },
+            { id: 'hotshot', pattern: /\bhot\s?shots?\b/i },
+            { id: 'van', pattern: /\b(?:dry\s+)?vans?\b/i }
+        ],
+        mcNumber: /\bMC\s*#?:?\s*(\d{5,8})\b/i
+    }
+};
+
+module.exports = { INTENT_RULES };
@@ -0,0 +1,105 @@
+/**
+ * Money Parser Module
+ * Reads the rate a carrier is asking for out of an email: "$2,400",
+ * "2400" after an offer phrase or before "all in", "$2.4k", "$3.10/mi all in". Written amounts
+ * win over bare numbers, so a time or zip never beats "$2,400". Per-mile
+ * rates are turned into a total with the load's miles.
+ */
+
+const MONEY_PATTERNS = {
+    amount: /(\$\s?)?\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(\s?k\b)?(?!\d|,\d)/gi,
+
+    // Right after the amount
+    perMile: /^\s*(?:\/\s*(?:loaded\s+)?mi(?:le)?s?\b|per\s+(?:loaded\s+)?mile\b|a\s+mile\b|rpm\b|cpm\b)/i,
+    allIn: /^[^.\n]{0,20}?\ball[\s-]?in\b/i,
+    notMoney: /^\s*(?:miles?\b|mi\b|lbs?\b|pounds\b|ft\b|feet\b|'|pallets?\b|%|am\b|pm\b|hrs?\b|hours?\b)/i,
+
+    // A bare number counts when an offer phrase comes right before it ("can you do 2400",
+    // "Rate 2400") or "all in" right after it ("2400 all in")
+    offerLead: /\b(?:do|take|for|at|make it|need|pay|offer|is|was|be|rate)\s*:?\s*$/i,
+    allInTrail: /^\s*,?\s*all[\s-]?in\b/i,
+    // ...but never a carrier number ("MC is 123456"), a 24-hour time ("at 0800") or a zip
+    carrierNumberLead: /\b(?:MC|DOT|USDOT)\s*(?:#|no\.?|number)?\s*(?:is|:)?\s*$/i,
+    clockTime: /^(?:[01]\d|2[0-3])[0-5]\d$/,
+    clockLead: /\b(?:at|by|before|after|until|pickup|delivery|appt|appointment)\s*$/i,
+
+    // Bare numbers below minBareAmount or longer than maxBareDigits are not rates;
+    // amounts below perMileCeiling without a unit are per mile
+    minBareAmount: 100,
+    maxBareDigits: 4,
+    perMileCeiling: 10
+};
+
+class MoneyParser {
+    constructor(patterns = MONEY_PATTERNS) {
+        this.patterns = patterns;
+    }
+
+    /**
+     * Every amount in the text, in order:
+     *   { amount, currency, unit: 'total' | 'per_mile', allIn, text }
+     */
+    findAmounts(text) {
+        const content = String(text || '');
+        const amounts = [];
+
+        for (const match of content.matchAll(this.patterns.amount)) {
+            const [token, dollar, whole, decimals = '', thousands] = match;
+            const end = match.index + token.length;
+            const after = content.slice(end, end + 40);
+            const before = content.slice(Math.max(0, match.index - 20), match.index);
+
+            if (this.patterns.notMoney.test(after)) continue;
+
+            const perMileUnit = after.match(this.patterns.perMile);
+            const amount = parseFloat(`${whole.replace(/,/g, '')}${decimals}`) * (thousands ? 1000 : 1);
+            const bare = !dollar && !thousands && !perMileUnit;
+            if (!(amount > 0)) continue;
+            if (bare && !this.isBareRate(whole, decimals, amount, before, after)) continue;
+
+            const unitText = perMileUnit ? perMileUnit[0] : '';
+            amounts.push({
+                amount,
+                currency: 'USD',
+                unit: perMileUnit || amount < this.patterns.perMileCeiling ? 'per_mile' : 'total',
+                allIn: this.patterns.allIn.test(after.slice(unitText.length)),
+                text: `${token}${unitText}`.trim()
+            });
+        }
+
+        return amounts;
+    }
+
+    /**
+     * Whether a number with no "$", "k" or per-mile unit is a rate
+     */
+    isBareRate(whole, decimals, amount, before, after) {
+        if (amount < this.patterns.minBareAmount || whole.replace(/,/g, '').length > this.patterns.maxBareDigits) return false;
+        if (!this.patterns.offerLead.test(before) && !this.patterns.allInTrail.test(after)) return false;
+        if (this.patterns.carrierNumberLead.test(before)) return false;
+        if (whole.startsWith('0')) return false;
+        return !(this.patterns.clockTime.test(whole) && !decimals && this.patterns.clockLead.test(before));
+    }
+
+    /**
+     * The rate offered in an email, or null. Amounts written as money
+     * ("$2,400", "2.4k", "3.10/mi") win over bare numbers; amounts whose
+     * text contains one of ignore (the load number) are skipped.
+     */
+    parseOffer(text, { ignore = [] } = {}) {
+        const amounts = this.findAmounts(text)
+            .filter(money => !ignore.some(value => value && money.text.includes(value)));
+        return amounts.find(money => !/^[\d,.]+$/.test(money.text)) || amounts[0] || null;
+    }
+
+    /**
+     * Total for an amount; per-mile rates need the load's miles (null without them)
+     */
+    toTotal(money, miles) {
+        if (!money) return null;
+        if (money.unit !== 'per_mile') return money.amount;
+        return typeof miles === 'number' && miles > 0 ? Math.round(money.amount * miles * 100) / 100 : null;
+    }
+}
+
+module.exports = { MoneyParser, MONEY_PATTERNS };
@@ -0,0 +1,116 @@
+/**
+ * Load Reference Rules
+ * The one rule set every entry point extracts load references with: the
+ * webhook, EmailParser and the Zapier extract step. Edit rules here, not
+ * in the callers.
+ *
+ * exclusions  removed from the text before matching (false positives)
+ * patterns    every match of every pattern is a candidate (capture group 1);
+ *             weight is the base score of a candidate found by that pattern
+ * validation  checks a normalized candidate must pass
+ * scoring     context features added to the base score, and the threshold
+ *             the best candidate must reach to be used
+ * subject     load-board reply subject conventions
+ * idType      the kind of ID a match is, for the lookup
+ *
+ * Reference patterns are always run case-insensitively; subject patterns
+ * run as written.
+ */
+
+const REFERENCE_RULES = {
+    // What the shared patterns find; source profiles can override it (source-profiles.js)
+    idType: 'quotefactory_order',
+
+    exclusions: [
+        { id: 'mc-number', pattern: /MC\s*\d+/i },
+        { id: 'dot-number', pattern: /DOT\s*\d+/i },
+        { id: 'usdot-number', pattern: /USDOT\s*\d+/i },
+        { id: 'invoice-number', pattern: /invoice\s*#?\s*\d+/i },
+        { id: 'bill-number', pattern: /bill\s*#?\s*\d+/i },
+        { id: 'po-number', pattern: /po\s*#?\s*\d+/i },
+        { id: 'phone-number', pattern: /phone:?\s*\d+/i },
+        { id: 'tel-number', pattern: /tel:?\s*\d+/i },
+        { id: 'fax-number', pattern: /fax:?\s*\d+/i }
+    ],
+
+    patterns: [
+        // Explicit labels
+        { id: 'load-label', weight: 60, pattern: /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i },
+        { id: 'quote-label', weight: 55, pattern: /(?:quote\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i },
+        { id: 'order-number', weight: 50, pattern: /(?:order\s*#?\s*)(\d{6,8})/i },
+        { id: 'reference-number', weight: 50, pattern: /(?:reference\s+number\s+)(\d{6,8})/i },
+        { id: 'reference-label', weight: 45, pattern: /(?:reference[:\-\s]+)([A-Z0-9\-\_]+)/i },
+        { id: 'ref-label', weight: 45, pattern: /(?:ref[:\s]+)(\d{6,8})/i },
+
+        // QuoteFactory prefixes
+        { id: 'qf-prefix', weight: 50, pattern: /(?:QF[-\s]?)(\d{6,8})/i },
+        { id: 'quote-prefix', weight: 45, pattern: /(?:QUOTE[-\s]?)(\d{6,8})/i },
+
+        // Unlabelled shapes: they need context to clear the threshold
+        { id: 'six-digit', weight: 20, pattern: /\b(\d{6})\b/ },
+        // No spaces inside, or any word before a number ("load 302734") is a prefix
+        { id: 'prefixed-alphanumeric', weight: 25, pattern: /\b([A-Z]{2,4}[\-\_]?\d{4,8}[A-Z0-9]*)\b/ },
+        { id: 'alphanumeric', weight: 10, pattern: /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/ }
+    ],
+
+    validation: {
+        minLength: 4,
+        maxLength: 20,
+        mustContainNumbers: true,
+        bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
+    },
+
+    scoring: {
+        // Best candidate is used only from this score up (0-100)
+        threshold: 50,
+
+        // A load label shortly before the candidate: "load 418822", "order # 559010"
+        label: { points: 30, window: 25, pattern: /\b(?:load|shipment|quote|order|ref|reference)\b/i },
+
+        // Numbers that belong to something else: "truck #704512", "zip 75201"
+        distractor: { points: -40, pattern: /\b(?:truck|trailer|tractor|unit|zip|phone|cell|tel|fax|invoice|po|bol|pro)\b[\s#:.\-]*$/i },
+
+        // Found in the subject line rather than the body; more in a load-board reply subject
+        subject: { points: 10, boardPoints: 10 },
+
+        // Subject and body each name a different reference
+        conflict: { points: -10 },
+
+        // Where in the thread the candidate sits (see thread-segmenter.js): per
+        // level of quoted history, in a forwarded message, in a signature
+        quoteDepth: { points: -15 },
+        forwarded: { points: -10 },
+        signature: { points: -30 },
+
+        // Shapes QuoteFactory and DAT references take
+        shape: {
+            points: 10,
+            shapes: [
+                { id: 'quotefactory-order', pattern: /^\d{6}$/ },
+                { id: 'quotefactory-prefixed', pattern: /^QF-?\d{6,8}$/ },
+                { id: 'dat-reference', pattern: /^[A-Z]{1,4}-?\d{5,8}$/ }
+            ]
+        },
+
+        // Each further mention of the same reference, up to maxPoints
+        repetition: { points: 5, maxPoints: 10 }
+    },
+
+    subject: {
+        // "Re:", "FW:" and friends, possibly stacked
+        replyPrefix: /^\s*(?:(?:re|fwd?|aw|sv)\s*:\s*)+/i,
+
+        // Load boards whose reply subjects carry the reference and the lane
+        boards: [
+            { id: 'dat', pattern: /\bDAT\b/i },
+            { id: 'truckstop', pattern: /\btruck\s?stop(?:\.com)?\b/i },
+            { id: '123loadboard', pattern: /\b123\s?load\s?board\b/i }
+        ],
+
+        // "Dallas TX -> Atlanta GA", "Houston, TX to Denver, CO". City words
+        // start upper case and end lower case, so "DAT" or "LOAD" never join a city.
+        lane: /\b((?:[A-Z][A-Za-z.']*[a-z.'])(?:\s+[A-Z][A-Za-z.']*[a-z.'])*),?\s+([A-Z]{2})\s*(?:->|→|=>|>|–|—|-|to)\s*((?:[A-Z][A-Za-z.']*[a-z.'])(?:\s+[A-Z][A-Za-z.']*[a-z.'])*),?\s+([A-Z]{2})\b/
+    }
+};
+
+module.exports = { REFERENCE_RULES };
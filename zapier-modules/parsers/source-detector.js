@@ -0,0 +1,86 @@
+/**
+ * Source Detector Module
+ * Works out which load board (or a direct contact) an email came through
+ * from the sender domain, message headers, board footers and the subject,
+ * using the profiles in source-profiles.js
+ */
+
+const { SOURCE_PROFILES, DEFAULT_SOURCE_ID, findSourceProfile } = require('./source-profiles');
+const { REFERENCE_RULES } = require('./reference-rules');
+const { HtmlNormalizer } = require('./html-normalizer');
+
+// How much each kind of evidence counts; the profile with the most wins
+const EVIDENCE_WEIGHTS = { sender: 3, header: 2, footer: 1, subject: 1 };
+
+class SourceDetector {
+    constructor(profiles = SOURCE_PROFILES) {
+        this.profiles = profiles;
+        this.htmlNormalizer = new HtmlNormalizer();
+    }
+
+    /**
+     * { id, name, idType, evidence } for an email; evidence lists what
+     * matched. Falls back to the direct-contact profile.
+     * @param {Object} email
+     * @param {string} [email.sender] - "Name <address>" or a bare address
+     * @param {Object|Array} [email.headers] - { name: value } or Graph's [{ name, value }]
+     * @param {string} [email.body] - Plain text or HTML body
+     * @param {string} [email.subject]
+     */
+    detect({ sender = '', headers = {}, body = '', subject = '' } = {}) {
+        const domain = this.senderDomain(sender);
+        const headerValues = this.normalizeHeaders(headers);
+        const text = this.htmlNormalizer.isHtml(body) ? this.htmlNormalizer.normalize(body) : String(body || '');
+        const subjectBoard = REFERENCE_RULES.subject.boards.find(board => board.pattern.test(subject || ''));
+
+        let best = null;
+        for (const profile of this.profiles) {
+            if (!profile.detect) continue;
+
+            const evidence = [];
+            const matchedDomain = domain && profile.detect.senderDomains.find(candidate => domain === candidate || domain.endsWith(`.${candidate}`));
+            if (matchedDomain) evidence.push({ kind: 'sender', detail: `sender domain ${domain}` });
+
+            for (const header of profile.detect.headers) {
+                const value = headerValues[header.name.toLowerCase()];
+                if (value && header.pattern.test(value)) evidence.push({ kind: 'header', detail: `${header.name} header` });
+            }
+
+            const footer = profile.detect.footers.map(pattern => text.match(pattern)).find(Boolean);
+            if (footer) evidence.push({ kind: 'footer', detail: `footer "${footer[0]}"` });
+
+            if (subjectBoard && subjectBoard.id === profile.id) evidence.push({ kind: 'subject', detail: 'load-board reply subject' });
+
+            const score = evidence.reduce((total, item) => total + EVIDENCE_WEIGHTS[item.kind], 0);
+            if (score > 0 && (!best || score > best.score)) best = { profile, score, evidence };
+        }
+
+        const profile = best ? best.profile : findSourceProfile(DEFAULT_SOURCE_ID);
+        return {
+            id: profile.id,
+            name: profile.name,
+            idType: profile.idType,
+            evidence: best ? best.evidence.map(item => item.detail) : []
+        };
+    }
+
+    /**
+     * Lower-cased domain of a sender address, or null
+     */
+    senderDomain(sender) {
+        const match = String(sender || '').match(/@([\w.-]+)/);
+        return match ? match[1].toLowerCase().replace(/\.$/, '') : null;
+    }
+
+    /**
+     * { lower-cased name: value } from a header object or Graph's internetMessageHeaders
+     */
+    normalizeHeaders(headers) {
+        const entries = Array.isArray(headers)
+            ? headers.map(header => [header.name, header.value])
+            : Object.entries(headers || {});
+        return Object.fromEntries(entries.filter(([name]) => name).map(([name, value]) => [String(name).toLowerCase(), String(value)]));
+    }
+}
+
+module.exports = { SourceDetector };
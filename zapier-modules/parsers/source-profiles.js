@@ -0,0 +1,109 @@
+/**
+ * Source Profiles
+ * Where a carrier email came from - a load board or a direct contact - and
+ * how to read it. Each profile says how to recognise the source and adds
+ * its own reference patterns and exclusions on top of the shared rules in
+ * reference-rules.js.
+ *
+ * detect.senderDomains  sender address domains (subdomains match too)
+ * detect.headers        { name, pattern } tested against that header's value
+ * detect.footers        boilerplate the board puts in its emails
+ * rules.patterns        tried alongside the shared patterns; idType on a
+ *                       pattern overrides the profile's idType
+ * rules.exclusions      board boilerplate to remove before matching
+ * idType                which kind of ID a reference from this source is,
+ *                       and so how to look it up (see ID_TYPES)
+ */
+
+const ID_TYPES = {
+    quotefactory_order: { label: 'QuoteFactory order #' },
+    dat_posting_id: { label: 'DAT posting ID' },
+    truckstop_load_id: { label: 'Truckstop load ID' },
+    loadboard123_id: { label: '123Loadboard load ID' }
+};
+
+const DEFAULT_SOURCE_ID = 'direct';
+
+const SOURCE_PROFILES = [
+    {
+        id: 'dat',
+        name: 'DAT',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['dat.com', 'dat.net', 'datloadboards.com'],
+            headers: [{ name: 'x-mailer', pattern: /\bDAT\b/i }],
+            footers: [/DAT Solutions/i, /DAT Freight & Analytics/i, /\bDAT One\b/i, /sent (?:via|through|from) DAT\b/i]
+        },
+        rules: {
+            patterns: [
+                // The broker's own reference on the posting: our QuoteFactory order #
+                { id: 'dat-reference-id', weight: 55, pattern: /(?:reference\s*id)[:#\s]*([A-Z0-9\-]{4,20})/i },
+                { id: 'dat-posting-id', weight: 50, idType: 'dat_posting_id', pattern: /(?:posting\s*id|match\s*id)[:#\s]*([A-Z0-9]{6,12})/i }
+            ],
+            exclusions: [
+                { id: 'dat-footer', pattern: /DAT Solutions,?\s*LLC[^\n]*/i }
+            ]
+        }
+    },
+    {
+        id: 'truckstop',
+        name: 'Truckstop',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['truckstop.com'],
+            headers: [{ name: 'x-mailer', pattern: /truckstop/i }],
+            footers: [/Truckstop\.com/i, /Truckstop Load Board/i, /sent (?:via|through|from) Truckstop\b/i]
+        },
+        rules: {
+            patterns: [
+                { id: 'truckstop-load-id', weight: 50, idType: 'truckstop_load_id', pattern: /(?:truckstop\s*load\s*id|ts\s*load\s*#)[:#\s]*(\d{6,10})/i }
+            ],
+            exclusions: [
+                { id: 'truckstop-footer', pattern: /Truckstop\.com,?\s*LLC[^\n]*/i }
+            ]
+        }
+    },
+    {
+        id: '123loadboard',
+        name: '123Loadboard',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['123loadboard.com'],
+            headers: [],
+            footers: [/123\s?Loadboard/i]
+        },
+        rules: {
+            patterns: [
+                { id: '123loadboard-load-id', weight: 50, idType: 'loadboard123_id', pattern: /(?:123\s?LB|123\s?loadboard)\s*(?:load\s*)?(?:id|#)[:#\s]*(\d{6,10})/i }
+            ],
+            exclusions: []
+        }
+    },
+    {
+        id: DEFAULT_SOURCE_ID,
+        name: 'Direct contact',
+        idType: 'quotefactory_order',
+        detect: null,
+        rules: { patterns: [], exclusions: [] }
+    }
+];
+
+/**
+ * Shared rules with a profile's patterns and exclusions added. Profile
+ * patterns come first so they win ties with the shared ones.
+ */
+function profileRules(profile, baseRules) {
+    return {
+        ...baseRules,
+        idType: profile.idType,
+        exclusions: [...profile.rules.exclusions, ...baseRules.exclusions],
+        patterns: [...profile.rules.patterns, ...baseRules.patterns]
+    };
+}
+
+function findSourceProfile(id) {
+    return SOURCE_PROFILES.find(profile => profile.id === id) ||
+        SOURCE_PROFILES.find(profile => profile.id === DEFAULT_SOURCE_ID);
+}
+
+module.exports = { SOURCE_PROFILES, ID_TYPES, DEFAULT_SOURCE_ID, profileRules, findSourceProfile };
@@ -0,0 +1,144 @@
+/**
+ * Thread Segmenter Module
+ * Splits a plain-text email body into the newest reply, quoted history,
+ * forwarded sections and signatures, so extraction can prefer what the
+ * sender just wrote over what the thread carries along.
+ */
+
+const THREAD_MARKERS = {
+    // "On Mon, Oct 6, 2025 at 9:14 AM Dispatch <d@example.com> wrote:" (may wrap onto two lines)
+    replyHeader: /^\s*On\b.{0,300}\bwrote:\s*$/i,
+    replyHeaderStart: /^\s*On\b/i,
+
+    // Outlook: "From: ..." followed within a few lines by "Sent: ..." or "Date: ..."
+    outlookFrom: /^\s*\*?From:\*?\s+\S/i,
+    outlookSent: /^\s*\*?(?:Sent|Date):\*?\s+\S/i,
+    outlookHeaderLines: 4,
+
+    // Header lines under a reply or forward marker
+    headerLine: /^\s*\*?(?:From|Sent|Date|To|Cc|Subject):\*?\s/i,
+
+    originalMessage: /^\s*-{2,}\s*Original Message\s*-{2,}\s*$/i,
+
+    forwarded: [
+        /^\s*-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+        /^\s*Begin forwarded message:\s*$/i,
+        /^\s*-{2,}\s*Forwarded by\b.*$/i
+    ],
+
+    // "-- " delimiter, mobile footers, and the sign-off that starts most carrier signatures
+    signature: [
+        /^--\s*$/,
+        /^_{5,}\s*$/,
+        /^\s*Sent from my \w+/i,
+        /^\s*Get Outlook for \w+/i
+    ],
+    signOff: /^\s*(?:thanks|thank you|thx|regards|best regards|kind regards|best|cheers|sincerely|respectfully)\s*[,.!]?\s*$/i,
+
+    quotePrefix: /^(\s*>)+\s?/
+};
+
+class ThreadSegmenter {
+    constructor(markers = THREAD_MARKERS) {
+        this.markers = markers;
+    }
+
+    /**
+     * Segments in the order they appear, each
+     *   { index, type: 'newest' | 'quoted' | 'forwarded' | 'signature', depth, text }
+     * depth counts the quoting levels (0 for the newest reply).
+     */
+    segment(body) {
+        const lines = String(body || '').replace(/\r\n?/g, '\n').split('\n');
+        const segments = [];
+
+        let current = null;
+        // Thread state outside the ">" lines: each reply header nests one level deeper
+        let historyType = 'newest';
+        let historyDepth = 0;
+        let inSignature = false;
+        // A sign-off only starts a signature once the message has said something
+        let sectionHasText = false;
+
+        const push = (type, depth, line) => {
+            if (!current || current.type !== type || current.depth !== depth) {
+                current = { type, depth, lines: [] };
+                segments.push(current);
+            }
+            current.lines.push(line);
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const marker = this.markerAt(lines, i);
+
+            if (marker) {
+                historyType = marker.type === 'forwarded' ? 'forwarded' : 'quoted';
+                historyDepth++;
+                inSignature = false;
+                sectionHasText = false;
+
+                // The header itself belongs to the message it introduces
+                let end = i + marker.lines;
+                while (end < lines.length && this.markers.headerLine.test(lines[end])) end++;
+                for (let j = i; j < end; j++) push(historyType, historyDepth, lines[j]);
+                i = end - 1;
+                continue;
+            }
+
+            const quote = line.match(this.markers.quotePrefix);
+            if (quote) {
+                const depth = (quote[0].match(/>/g) || []).length;
+                push('quoted', Math.max(depth, historyDepth), line.slice(quote[0].length));
+                continue;
+            }
+
+            if (sectionHasText && this.isSignatureStart(line, lines, i)) inSignature = true;
+            push(inSignature ? 'signature' : historyType, historyDepth, line);
+            if (line.trim()) sectionHasText = true;
+        }
+
+        return segments
+            .map(segment => ({ type: segment.type, depth: segment.depth, text: segment.lines.join('\n').trim() }))
+            .filter(segment => segment.text.length > 0)
+            .map((segment, index) => ({ index, ...segment }));
+    }
+
+    /**
+     * Reply or forward header starting at line i: { type, lines } or null
+     */
+    markerAt(lines, i) {
+        const line = lines[i];
+        const next = lines[i + 1] || '';
+
+        if (this.markers.forwarded.some(pattern => pattern.test(line))) return { type: 'forwarded', lines: 1 };
+        if (this.markers.originalMessage.test(line)) return { type: 'quoted', lines: 1 };
+        if (this.markers.replyHeader.test(line)) return { type: 'quoted', lines: 1 };
+        if (this.markers.replyHeaderStart.test(line) && this.markers.replyHeader.test(`${line} ${next}`)) {
+            return { type: 'quoted', lines: 2 };
+        }
+
+        if (this.markers.outlookFrom.test(line)) {
+            const header = lines.slice(i + 1, i + 1 + this.markers.outlookHeaderLines);
+            if (header.some(headerLine => this.markers.outlookSent.test(headerLine))) return { type: 'quoted', lines: 1 };
+        }
+
+        return null;
+    }
+
+    /**
+     * A signature delimiter, or a sign-off followed only by a short block of name lines
+     */
+    isSignatureStart(line, lines, i) {
+        if (this.markers.signature.some(pattern => pattern.test(line))) return true;
+        if (!this.markers.signOff.test(line)) return false;
+
+        const rest = [];
+        for (let j = i + 1; j < lines.length && !this.markerAt(lines, j) && !this.markers.quotePrefix.test(lines[j]); j++) {
+            rest.push(lines[j]);
+        }
+        return rest.filter(restLine => restLine.trim()).length <= 6;
+    }
+}
+
+module.exports = { ThreadSegmenter, THREAD_MARKERS };
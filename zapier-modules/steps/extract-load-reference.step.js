@@ -0,0 +1,144 @@
+/**
+ * Zapier Step: Extract Load Reference
+ * Step definition the bundler turns into zapier-code-steps/extract-load-reference.js
+ */
+
+const EmailParser = require('../parsers/email-parser');
+const { SourceDetector } = require('../parsers/source-detector');
+const { IntentClassifier } = require('../parsers/intent-classifier');
+
+const formatPlace = place => (place ? `${place.city}, ${place.state}` : null);
+
+module.exports = {
+    name: 'extract-load-reference',
+    position: 1,
+    title: 'Zapier Code Step 1: Extract Load Reference',
+    description: 'Extracts load reference numbers from incoming emails.',
+
+    inputs: {
+        email_subject: { type: 'string', default: '', description: 'Email subject line' },
+        email_body: { type: 'string', default: '', required: true, description: 'Email body content (plain text or HTML)' },
+        email_from: { type: 'string', default: '', description: 'Sender email address (optional, used to detect the load board)' }
+    },
+
+    env: {},
+
+    outputs: {
+        load_reference: { type: 'string', description: 'Extracted load reference (null if not found)' },
+        confidence: { type: 'number', description: 'Confidence score (0-100)' },
+        found: { type: 'boolean', description: 'Boolean indicating if reference was found' },
+        message: { type: 'string', description: 'Human-readable result message' },
+        matched_pattern: { type: 'string', description: 'Pattern that matched (null if not found)' },
+        matched_rule: { type: 'string', description: 'Id of the reference rule that matched (null if not found)' },
+        candidates: { type: 'json', description: 'Every candidate, best first, with its score and the reasons for it' },
+        id_type: { type: 'string', description: 'Kind of ID the reference is, e.g. quotefactory_order or dat_posting_id; map into step 2' },
+        source: { type: 'string', description: 'Where the email came from: dat, truckstop, 123loadboard or direct' },
+        source_evidence: { type: 'string', description: 'What identified the source (sender domain, footer, subject)' },
+        intent: { type: 'string', description: 'What the carrier wants: load_inquiry, counter_offer, truck_availability, booking_confirmation, rate_confirmation_request or unsubscribe' },
+        intent_scenario: { type: 'string', description: 'Reply scenario for the intent; map into the format step (null for load inquiries)' },
+        intent_fields: { type: 'json', description: 'Fields the intent carries, e.g. the offered rate or where the truck is empty' },
+        reference_source: { type: 'string', description: 'Where the reference came from: subject, newest, quoted, forwarded or signature' },
+        cross_check: { type: 'string', description: 'Subject vs body reference: agree, conflict, subject_only, body_only or none' },
+        subject_board: { type: 'string', description: 'Load board the subject comes from, e.g. dat or truckstop (null if none)' },
+        subject_origin: { type: 'string', description: 'Origin from a load-board subject, e.g. "Dallas, TX" (null if none)' },
+        subject_destination: { type: 'string', description: 'Destination from a load-board subject (null if none)' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Unique identifier for this request' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        error: { type: 'string', description: 'Error details if extraction failed' },
+        original_subject: { type: 'string', description: 'Email subject, passed through' },
+        original_body: { type: 'string', description: 'Email body, passed through' },
+        original_from: { type: 'string', description: 'Sender address, passed through' }
+    },
+
+    /**
+     * Rank the candidates in subject and body and keep the best one
+     */
+    async run(input) {
+        const startTime = Date.now();
+        const requestId = `extract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const passThrough = {
+            original_subject: input.email_subject,
+            original_body: input.email_body,
+            original_from: input.email_from
+        };
+
+        try {
+            console.log(`[${requestId}] Starting load reference extraction`, {
+                hasSubject: !!input.email_subject,
+                hasBody: !!input.email_body,
+                bodyLength: input.email_body.length,
+                from: input.email_from
+            });
+
+            const source = new SourceDetector().detect({
+                sender: input.email_from,
+                body: input.email_body,
+                subject: input.email_subject
+            });
+            const extractionResult = EmailParser.forSource(source.id).extractLoadReference(input.email_body, {
+                subject: input.email_subject
+            });
+
+            const intent = new IntentClassifier().classify({
+                subject: input.email_subject,
+                body: input.email_body,
+                reference: extractionResult.reference
+            });
+
+            const processingTime = Date.now() - startTime;
+            console.log(`[${requestId}] Extraction completed in ${processingTime}ms`, {
+                found: extractionResult.found,
+                reference: extractionResult.reference,
+                confidence: extractionResult.confidence,
+                crossCheck: extractionResult.crossCheck.status,
+                source: source.id,
+                intent: intent.intent,
+                message: extractionResult.message
+            });
+
+            return {
+                load_reference: extractionResult.reference,
+                confidence: extractionResult.confidence,
+                found: extractionResult.found,
+                message: extractionResult.message,
+                matched_pattern: extractionResult.matchedPattern,
+                matched_rule: extractionResult.rule,
+                id_type: extractionResult.idType,
+                source: source.id,
+                source_evidence: source.evidence.join(', '),
+                intent: intent.intent,
+                intent_scenario: intent.scenario,
+                intent_fields: intent.fields,
+                candidates: extractionResult.candidates,
+                reference_source: extractionResult.segment ? extractionResult.segment.type : extractionResult.source,
+                cross_check: extractionResult.crossCheck.status,
+                subject_board: extractionResult.subject.board,
+                subject_origin: formatPlace(extractionResult.subject.lane?.origin),
+                subject_destination: formatPlace(extractionResult.subject.lane?.destination),
+                processing_time_ms: processingTime,
+                request_id: requestId,
+                timestamp: new Date().toISOString(),
+                ...passThrough
+            };
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+            console.error(`[${requestId}] Extraction failed:`, {
+                error: error.message,
+                processingTimeMs: processingTime
+            });
+
+            return {
+                load_reference: null,
+                confidence: 0,
+                found: false,
+                message: `Extraction failed: ${error.message}`,
+                processing_time_ms: processingTime,
+                request_id: requestId,
+                timestamp: new Date().toISOString(),
+                error: error.message,
+                ...passThrough
+            };
+        }
+    }
+};
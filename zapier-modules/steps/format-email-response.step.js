@@ -0,0 +1,162 @@
+/**
+ * Zapier Step: Format Email Response
+ * Step definition the bundler turns into zapier-code-steps/format-email-response.js
+ */
+
+const ResponseFormatter = require('../formatters/response-formatter');
+const { Negotiator } = require('../negotiation/negotiator');
+
+/**
+ * Reply sent when formatting itself fails, so the Zap still answers
+ */
+function fallbackReply(input, companyName) {
+    const subject = input.original_subject ? `Re: ${input.original_subject}` : 'Load Inquiry Response';
+    const body = `Hello,
+
+Thank you for your email. We are processing your inquiry and will respond with details shortly.
+
+Best regards,
+${companyName}
+
+---
+Automated response system`;
+
+    return { subject, body, bodyHtml: body.replace(/\n/g, '<br>\n') };
+}
+
+module.exports = {
+    name: 'format-email-response',
+    position: 3,
+    title: 'Zapier Code Step 3: Format Email Response',
+    description: 'Generates the email reply for the carrier\'s intent or the load lookup result.',
+
+    inputs: {
+        scenario: { type: 'string', default: 'error', description: 'Response scenario (load_found, load_pending, no_reference, error)' },
+        intent_scenario: { type: 'string', default: '', description: 'Scenario for the carrier\'s intent from the extract step; replaces scenario when set' },
+        intent_fields: { type: 'json', description: 'Fields the intent carries, from the extract step' },
+        load_data: { type: 'json', description: 'Load details (if found)' },
+        load_reference: { type: 'string', description: 'Load reference number' },
+        original_subject: { type: 'string', default: '', description: 'Original email subject' },
+        error_message: { type: 'string', description: 'Error details (if applicable)' },
+        carrier_email: { type: 'string', default: '', description: 'Sender address, so each carrier\'s negotiation on a load is kept apart' },
+        negotiation_history: { type: 'json', default: [], description: 'Earlier negotiation steps with this carrier on this load, as saved from negotiation_history by a Storage by Zapier step' },
+        request_id: { type: 'string', description: 'Request ID for tracking' }
+    },
+
+    env: {
+        COMPANY_NAME: { description: 'Your company name (default: "Your Company")' },
+        COMPANY_SIGNATURE: { description: 'Custom signature block' },
+        NEGOTIATION_RULES: { description: 'Counter-offer rules as JSON: targetRate, maxRate, counterSteps, roundTo, per-load overrides under loads' }
+    },
+
+    outputs: {
+        reply_subject: { type: 'string', description: 'Formatted subject line' },
+        reply_body: { type: 'string', description: 'Complete email body' },
+        reply_body_html: { type: 'string', description: 'HTML version of email body' },
+        response_type: { type: 'string', description: 'Type of response generated' },
+        has_load_data: { type: 'boolean', description: 'Boolean indicating if load details included' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Request ID for tracking' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        error: { type: 'string', description: 'Error details if formatting failed' },
+        original_scenario: { type: 'string', description: 'Scenario the reply was formatted for' },
+        negotiation_decision: { type: 'string', description: 'accept, counter or escalate for a counter-offer (null otherwise)' },
+        counter_rate: { type: 'number', description: 'Rate we countered with (null unless countering)' },
+        negotiation_step: { type: 'string', description: 'This round of the negotiation as JSON (null unless a counter-offer)' },
+        negotiation_history: { type: 'string', description: 'Earlier steps plus this one as JSON, to save under negotiation_key for the next offer' },
+        negotiation_key: { type: 'string', description: 'Storage key for this carrier\'s negotiation on this load' },
+        load_reference: { type: 'string', description: 'Load reference, passed through' },
+        subject_length: { type: 'number', description: 'Subject length in characters' },
+        body_length: { type: 'number', description: 'Body length in characters' },
+        html_length: { type: 'number', description: 'HTML body length in characters' }
+    },
+
+    /**
+     * Render the reply for the carrier's intent, or else the scenario chosen by the lookup step
+     */
+    async run(input, { env }) {
+        const startTime = Date.now();
+        const requestId = input.request_id || `format_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const companyName = env.COMPANY_NAME || 'Your Company';
+        const scenario = input.intent_scenario || input.scenario;
+
+        let response;
+        let negotiation = null;
+        let history = [];
+        let error = null;
+        try {
+            console.log(`[${requestId}] Starting response formatting`, {
+                scenario,
+                hasLoadData: !!input.load_data,
+                loadReference: input.load_reference,
+                originalSubject: input.original_subject
+            });
+
+            // Zapier keeps nothing between runs: earlier rounds come in through
+            // negotiation_history and this round goes out for a Storage step to save
+            if (scenario === 'counter_offer') {
+                history = Array.isArray(input.negotiation_history) ? input.negotiation_history : [];
+                negotiation = Negotiator.fromEnv(env).decide({
+                    offer: (input.intent_fields || {}).rate,
+                    loadReference: input.load_reference,
+                    loadData: input.load_data,
+                    history
+                });
+                negotiation = {
+                    ...negotiation,
+                    carrier: input.carrier_email || null,
+                    emailId: requestId,
+                    at: new Date().toISOString()
+                };
+            }
+
+            const formatter = new ResponseFormatter({
+                companyName,
+                signatureTemplate: env.COMPANY_SIGNATURE
+            });
+            response = formatter.formatResponse(scenario, {
+                loadData: input.load_data,
+                loadReference: input.load_reference,
+                originalSubject: input.original_subject,
+                errorMessage: input.error_message,
+                fields: input.intent_fields || {},
+                negotiation
+            });
+        } catch (formatError) {
+            console.error(`[${requestId}] Response formatting failed:`, { error: formatError.message });
+            error = formatError.message;
+            response = { ...fallbackReply(input, companyName), responseType: 'fallback', hasLoadData: false };
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`[${requestId}] Response formatted in ${processingTime}ms`, {
+            responseType: response.responseType,
+            subjectLength: response.subject.length,
+            bodyLength: response.body.length
+        });
+
+        return {
+            reply_subject: response.subject,
+            reply_body: response.body,
+            reply_body_html: response.bodyHtml,
+            response_type: response.responseType,
+            has_load_data: response.hasLoadData,
+            processing_time_ms: processingTime,
+            request_id: requestId,
+            timestamp: new Date().toISOString(),
+            error,
+            original_scenario: scenario,
+            negotiation_decision: negotiation ? negotiation.decision : null,
+            counter_rate: negotiation ? negotiation.counterRate : null,
+            negotiation_step: negotiation ? JSON.stringify(negotiation) : null,
+            negotiation_history: negotiation ? JSON.stringify([...history, negotiation]) : null,
+            negotiation_key: negotiation && input.load_reference
+                ? `negotiation:${input.load_reference}:${input.carrier_email || 'unknown'}`
+                : null,
+            load_reference: input.load_reference,
+            subject_length: response.subject.length,
+            body_length: response.body.length,
+            html_length: response.bodyHtml.length
+        };
+    }
+};
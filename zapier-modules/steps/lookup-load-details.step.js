@@ -0,0 +1,151 @@
+/**
+ * Zapier Step: Lookup Load Details
+ * Step definition the bundler turns into zapier-code-steps/lookup-load-details.js
+ */
+
+const QuoteFactoryApiProvider = require('../lookup/api-provider');
+const { LOOKUP_ERROR_CODES } = require('../lookup/load-lookup-provider');
+
+const REQUIRED_ENV = [
+    'AUTH0_DOMAIN',
+    'AUTH0_CLIENT_ID',
+    'AUTH0_CLIENT_SECRET',
+    'QUOTEFACTORY_USERNAME',
+    'QUOTEFACTORY_PASSWORD'
+];
+
+/**
+ * Route with a pickup and a delivery, a weight and a rate
+ */
+function isCompleteData(loadData) {
+    if (!loadData) return false;
+
+    const stopTypes = (loadData.stops || []).map(stop => stop.type);
+    const hasRoute = stopTypes.some(type => type === 'pickup' || type === 'pickup_and_delivery') &&
+        stopTypes.some(type => type === 'delivery' || type === 'pickup_and_delivery');
+
+    return hasRoute && !!loadData.commodity?.weight && !!loadData.rate?.amount;
+}
+
+module.exports = {
+    name: 'lookup-load-details',
+    position: 2,
+    title: 'Zapier Code Step 2: Lookup Load Details',
+    description: 'Authenticates with QuoteFactory via Auth0 and retrieves load details over HTTP.',
+
+    inputs: {
+        load_reference: { type: 'string', description: 'The extracted load reference' },
+        found: { type: 'boolean', default: false, description: 'Boolean indicating if reference was found' },
+        id_type: { type: 'string', default: 'quotefactory_order', description: 'Kind of ID the reference is, from the extract step' },
+        request_id: { type: 'string', description: 'Request ID from previous step' },
+        original_subject: { type: 'string', default: '', description: 'Original email subject' },
+        original_body: { type: 'string', default: '', description: 'Original email body' }
+    },
+
+    env: {
+        AUTH0_DOMAIN: { required: true, description: 'Your Auth0 domain' },
+        AUTH0_CLIENT_ID: { required: true, description: 'Auth0 application client ID' },
+        AUTH0_CLIENT_SECRET: { required: true, description: 'Auth0 application client secret' },
+        AUTH0_AUDIENCE: { description: 'Auth0 API audience (optional)' },
+        AUTH0_BASE_URL: { description: 'Auth0 token endpoint origin (optional)' },
+        QUOTEFACTORY_USERNAME: { required: true, description: 'QuoteFactory login username' },
+        QUOTEFACTORY_PASSWORD: { required: true, description: 'QuoteFactory login password' },
+        QUOTEFACTORY_API_BASE: { description: 'QuoteFactory API base URL (optional)' }
+    },
+
+    outputs: {
+        load_data: { type: 'json', description: 'Complete load information (null if not found)' },
+        lookup_success: { type: 'boolean', description: 'Boolean indicating successful lookup' },
+        lookup_attempted: { type: 'boolean', description: 'Boolean indicating if lookup was attempted' },
+        error_message: { type: 'string', description: 'Error details if lookup failed' },
+        error_code: { type: 'string', description: 'Lookup error code, e.g. SHIPMENT_NOT_FOUND or AUTH_FAILED' },
+        scenario: { type: 'string', description: 'Response scenario (load_found, load_pending, no_reference, error)' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Request ID for tracking' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        load_reference: { type: 'string', description: 'Load reference, passed through' },
+        reference_found: { type: 'boolean', description: 'Whether step 1 found a reference, passed through' },
+        original_subject: { type: 'string', description: 'Original email subject, passed through' },
+        original_body: { type: 'string', description: 'Original email body, passed through' },
+        has_complete_data: { type: 'boolean', description: 'Load has a route, weight and rate' }
+    },
+
+    /**
+     * Look the reference up through the QuoteFactory API. A load that is
+     * not found yet is load_pending; any other failure is error.
+     */
+    async run(input, { env }) {
+        const startTime = Date.now();
+        const requestId = input.request_id || `lookup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const loadReference = input.load_reference;
+        const referenceFound = input.found;
+
+        const result = {
+            load_data: null,
+            lookup_success: false,
+            lookup_attempted: false,
+            error_message: null,
+            error_code: null,
+            scenario: 'no_reference'
+        };
+
+        console.log(`[${requestId}] Starting load lookup`, {
+            loadReference,
+            referenceFound,
+            hasCredentials: !!(env.AUTH0_DOMAIN && env.AUTH0_CLIENT_ID && env.QUOTEFACTORY_USERNAME)
+        });
+
+        if (referenceFound && loadReference) {
+            const missingVars = REQUIRED_ENV.filter(name => !env[name]);
+
+            if (missingVars.length > 0) {
+                result.error_message = `Missing required environment variables: ${missingVars.join(', ')}`;
+                result.error_code = LOOKUP_ERROR_CODES.NOT_CONFIGURED;
+                result.scenario = 'error';
+                console.error(`[${requestId}] Configuration error:`, result.error_message);
+            } else {
+                result.lookup_attempted = true;
+
+                try {
+                    console.log(`[${requestId}] Searching for load: ${loadReference} (${input.id_type})`);
+                    result.load_data = await QuoteFactoryApiProvider.fromEnv(env).lookup(loadReference, { idType: input.id_type });
+                    result.lookup_success = true;
+                    result.scenario = 'load_found';
+                    console.log(`[${requestId}] Load data retrieved successfully`);
+                } catch (error) {
+                    result.error_code = error.code || LOOKUP_ERROR_CODES.UPSTREAM_ERROR;
+                    if (error.code === LOOKUP_ERROR_CODES.NOT_FOUND) {
+                        result.scenario = 'load_pending';
+                        console.log(`[${requestId}] Load reference found but no details available`);
+                    } else {
+                        result.error_message = error.message;
+                        result.scenario = 'error';
+                        console.error(`[${requestId}] Lookup failed:`, error.message);
+                    }
+                }
+            }
+        } else {
+            console.log(`[${requestId}] No load reference to lookup`);
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`[${requestId}] Lookup completed in ${processingTime}ms`, {
+            scenario: result.scenario,
+            lookupAttempted: result.lookup_attempted,
+            lookupSuccess: result.lookup_success,
+            errorCode: result.error_code
+        });
+
+        return {
+            ...result,
+            processing_time_ms: processingTime,
+            request_id: requestId,
+            timestamp: new Date().toISOString(),
+            load_reference: loadReference,
+            reference_found: referenceFound,
+            original_subject: input.original_subject,
+            original_body: input.original_body,
+            has_complete_data: isCompleteData(result.load_data)
+        };
+    }
+};
@@ -1,103 +1,947 @@
 /**
  * Zapier Code Step 1: Extract Load Reference
- * 
- * This code step extracts load reference numbers from incoming emails.
- * 
+ *
+ * Extracts load reference numbers from incoming emails.
+ *
+ * GENERATED FILE - do not edit. Change zapier-modules/steps/extract-load-reference.step.js
+ * (or the modules it requires), then run: npm run build:zapier
+ *
  * INPUT FIELDS:
- * - email_subject: Email subject line
- * - email_body: Email body content (plain text or HTML)
- * - email_from: Sender email address (optional, for logging)
- * 
+ * - email_subject (string): Email subject line
+ * - email_body (string, required): Email body content (plain text or HTML)
+ * - email_from (string): Sender email address (optional, used to detect the load board)
+ *
+ * ENVIRONMENT VARIABLES (set in Zapier):
+ * (none)
+ *
  * OUTPUT FIELDS:
  * - load_reference: Extracted load reference (null if not found)
  * - confidence: Confidence score (0-100)
  * - found: Boolean indicating if reference was found
  * - message: Human-readable result message
+ * - matched_pattern: Pattern that matched (null if not found)
+ * - matched_rule: Id of the reference rule that matched (null if not found)
+ * - candidates: Every candidate, best first, with its score and the reasons for it
+ * - id_type: Kind of ID the reference is, e.g. quotefactory_order or dat_posting_id; map into step 2
+ * - source: Where the email came from: dat, truckstop, 123loadboard or direct
+ * - source_evidence: What identified the source (sender domain, footer, subject)
+ * - intent: What the carrier wants: load_inquiry, counter_offer, truck_availability, booking_confirmation, rate_confirmation_request or unsubscribe
+ * - intent_scenario: Reply scenario for the intent; map into the format step (null for load inquiries)
+ * - intent_fields: Fields the intent carries, e.g. the offered rate or where the truck is empty
+ * - reference_source: Where the reference came from: subject, newest, quoted, forwarded or signature
+ * - cross_check: Subject vs body reference: agree, conflict, subject_only, body_only or none
+ * - subject_board: Load board the subject comes from, e.g. dat or truckstop (null if none)
+ * - subject_origin: Origin from a load-board subject, e.g. "Dallas, TX" (null if none)
+ * - subject_destination: Destination from a load-board subject (null if none)
  * - processing_time_ms: Time taken to process
  * - request_id: Unique identifier for this request
+ * - timestamp: When the step ran
+ * - error: Error details if extraction failed
+ * - original_subject: Email subject, passed through
+ * - original_body: Email body, passed through
+ * - original_from: Sender address, passed through
+ *
+ * BUNDLED MODULES: parsers/reference-rules, parsers/thread-segmenter, parsers/html-normalizer, parsers/source-profiles, parsers/email-parser, parsers/source-detector, parsers/intent-rules, parsers/money-parser, parsers/intent-classifier, steps/extract-load-reference.step
  */
 
-// EmailParser class (embedded for Zapier)
-class EmailParser {
-    constructor() {
-        this.exclusionPatterns = [
-            /MC\s*\d+/i, /DOT\s*\d+/i, /USDOT\s*\d+/i,
-            /invoice\s*#?\s*\d+/i, /bill\s*#?\s*\d+/i, /po\s*#?\s*\d+/i,
-            /phone:?\s*\d+/i, /tel:?\s*\d+/i, /fax:?\s*\d+/i
-        ];
+const __modules = {
+    'parsers/reference-rules': function (module, exports, require) {
+/**
+ * Load Reference Rules
+ * The one rule set every entry point extracts load references with: the
+ * webhook, EmailParser and the Zapier extract step. Edit rules here, not
+ * in the callers.
+ *
+ * exclusions  removed from the text before matching (false positives)
+ * patterns    every match of every pattern is a candidate (capture group 1);
+ *             weight is the base score of a candidate found by that pattern
+ * validation  checks a normalized candidate must pass
+ * scoring     context features added to the base score, and the threshold
+ *             the best candidate must reach to be used
+ * subject     load-board reply subject conventions
+ * idType      the kind of ID a match is, for the lookup
+ *
+ * Reference patterns are always run case-insensitively; subject patterns
+ * run as written.
+ */
 
-        this.loadPatterns = [
-            /(?:reference[:\-\s]+)([A-Z0-9\-\_]+)/i,
-            /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
-            /(?:quote\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i,
-            /(?:order\s*#?\s*)(\d{6,8})/i,
-            /(?:reference\s+number\s+)(\d{6,8})/i,
-            /(?:ref[:\s]+)(\d{6,8})/i,
-            /(?:QF[-\s]?)(\d{6,8})/i,
-            /(?:QUOTE[-\s]?)(\d{6,8})/i,
-            /([A-Z]{2,4}[\-\_\s]*\d{4,8}[\-\_\s]*[A-Z0-9]*)/,
-            /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/,
-            /\b(\d{6})\b/
-        ];
+const REFERENCE_RULES = {
+    // What the shared patterns find; source profiles can override it (source-profiles.js)
+    idType: 'quotefactory_order',
+
+    exclusions: [
+        { id: 'mc-number', pattern: /MC\s*\d+/i },
+        { id: 'dot-number', pattern: /DOT\s*\d+/i },
+        { id: 'usdot-number', pattern: /USDOT\s*\d+/i },
+        { id: 'invoice-number', pattern: /invoice\s*#?\s*\d+/i },
+        { id: 'bill-number', pattern: /bill\s*#?\s*\d+/i },
+        { id: 'po-number', pattern: /po\s*#?\s*\d+/i },
+        { id: 'phone-number', pattern: /phone:?\s*\d+/i },
+        { id: 'tel-number', pattern: /tel:?\s*\d+/i },
+        { id: 'fax-number', pattern: /fax:?\s*\d+/i }
+    ],
+
+    patterns: [
+        // Explicit labels
+        { id: 'load-label', weight: 60, pattern: /(?:load\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i },
+        { id: 'quote-label', weight: 55, pattern: /(?:quote\s*(?:ref|reference|number|id|#)[:\-\s]*)([A-Z0-9\-\_]+)/i },
+        { id: 'order-number', weight: 50, pattern: /(?:order\s*#?\s*)(\d{6,8})/i },
+        { id: 'reference-number', weight: 50, pattern: /(?:reference\s+number\s+)(\d{6,8})/i },
+        { id: 'reference-label', weight: 45, pattern: /(?:reference[:\-\s]+)([A-Z0-9\-\_]+)/i },
+        { id: 'ref-label', weight: 45, pattern: /(?:ref[:\s]+)(\d{6,8})/i },
+
+        // QuoteFactory prefixes
+        { id: 'qf-prefix', weight: 50, pattern: /(?:QF[-\s]?)(\d{6,8})/i },
+        { id: 'quote-prefix', weight: 45, pattern: /(?:QUOTE[-\s]?)(\d{6,8})/i },
+
+        // Unlabelled shapes: they need context to clear the threshold
+        { id: 'six-digit', weight: 20, pattern: /\b(\d{6})\b/ },
+        // No spaces inside, or any word before a number ("load 302734") is a prefix
+        { id: 'prefixed-alphanumeric', weight: 25, pattern: /\b([A-Z]{2,4}[\-\_]?\d{4,8}[A-Z0-9]*)\b/ },
+        { id: 'alphanumeric', weight: 10, pattern: /([A-HJ-Z]+\d{4,8}[A-Z0-9]*)/ }
+    ],
+
+    validation: {
+        minLength: 4,
+        maxLength: 20,
+        mustContainNumbers: true,
+        bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
+    },
+
+    scoring: {
+        // Best candidate is used only from this score up (0-100)
+        threshold: 50,
 
-        this.validationRules = {
-            minLength: 4,
-            maxLength: 20,
-            mustContainNumbers: true,
-            bannedPrefixes: ['MC', 'DOT', 'PO', 'INV']
+        // A load label shortly before the candidate: "load 418822", "order # 559010"
+        label: { points: 30, window: 25, pattern: /\b(?:load|shipment|quote|order|ref|reference)\b/i },
+
+        // Numbers that belong to something else: "truck #704512", "zip 75201"
+        distractor: { points: -40, pattern: /\b(?:truck|trailer|tractor|unit|zip|phone|cell|tel|fax|invoice|po|bol|pro)\b[\s#:.\-]*$/i },
+
+        // Found in the subject line rather than the body; more in a load-board reply subject
+        subject: { points: 10, boardPoints: 10 },
+
+        // Subject and body each name a different reference
+        conflict: { points: -10 },
+
+        // Where in the thread the candidate sits (see thread-segmenter.js): per
+        // level of quoted history, in a forwarded message, in a signature
+        quoteDepth: { points: -15 },
+        forwarded: { points: -10 },
+        signature: { points: -30 },
+
+        // Shapes QuoteFactory and DAT references take
+        shape: {
+            points: 10,
+            shapes: [
+                { id: 'quotefactory-order', pattern: /^\d{6}$/ },
+                { id: 'quotefactory-prefixed', pattern: /^QF-?\d{6,8}$/ },
+                { id: 'dat-reference', pattern: /^[A-Z]{1,4}-?\d{5,8}$/ }
+            ]
+        },
+
+        // Each further mention of the same reference, up to maxPoints
+        repetition: { points: 5, maxPoints: 10 }
+    },
+
+    subject: {
+        // "Re:", "FW:" and friends, possibly stacked
+        replyPrefix: /^\s*(?:(?:re|fwd?|aw|sv)\s*:\s*)+/i,
+
+        // Load boards whose reply subjects carry the reference and the lane
+        boards: [
+            { id: 'dat', pattern: /\bDAT\b/i },
+            { id: 'truckstop', pattern: /\btruck\s?stop(?:\.com)?\b/i },
+            { id: '123loadboard', pattern: /\b123\s?load\s?board\b/i }
+        ],
+
+        // "Dallas TX -> Atlanta GA", "Houston, TX to Denver, CO". City words
+        // start upper case and end lower case, so "DAT" or "LOAD" never join a city.
+        lane: /\b((?:[A-Z][A-Za-z.']*[a-z.'])(?:\s+[A-Z][A-Za-z.']*[a-z.'])*),?\s+([A-Z]{2})\s*(?:->|→|=>|>|–|—|-|to)\s*((?:[A-Z][A-Za-z.']*[a-z.'])(?:\s+[A-Z][A-Za-z.']*[a-z.'])*),?\s+([A-Z]{2})\b/
+    }
+};
+
+module.exports = { REFERENCE_RULES };
+    },
+
+    'parsers/thread-segmenter': function (module, exports, require) {
+/**
+ * Thread Segmenter Module
+ * Splits a plain-text email body into the newest reply, quoted history,
+ * forwarded sections and signatures, so extraction can prefer what the
+ * sender just wrote over what the thread carries along.
+ */
+
+const THREAD_MARKERS = {
+    // "On Mon, Oct 6, 2025 at 9:14 AM Dispatch <d@example.com> wrote:" (may wrap onto two lines)
+    replyHeader: /^\s*On\b.{0,300}\bwrote:\s*$/i,
+    replyHeaderStart: /^\s*On\b/i,
+
+    // Outlook: "From: ..." followed within a few lines by "Sent: ..." or "Date: ..."
+    outlookFrom: /^\s*\*?From:\*?\s+\S/i,
+    outlookSent: /^\s*\*?(?:Sent|Date):\*?\s+\S/i,
+    outlookHeaderLines: 4,
+
+    // Header lines under a reply or forward marker
+    headerLine: /^\s*\*?(?:From|Sent|Date|To|Cc|Subject):\*?\s/i,
+
+    originalMessage: /^\s*-{2,}\s*Original Message\s*-{2,}\s*$/i,
+
+    forwarded: [
+        /^\s*-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+        /^\s*Begin forwarded message:\s*$/i,
+        /^\s*-{2,}\s*Forwarded by\b.*$/i
+    ],
+
+    // "-- " delimiter, mobile footers, and the sign-off that starts most carrier signatures
+    signature: [
+        /^--\s*$/,
+        /^_{5,}\s*$/,
+        /^\s*Sent from my \w+/i,
+        /^\s*Get Outlook for \w+/i
+    ],
+    signOff: /^\s*(?:thanks|thank you|thx|regards|best regards|kind regards|best|cheers|sincerely|respectfully)\s*[,.!]?\s*$/i,
+
+    quotePrefix: /^(\s*>)+\s?/
+};
+
+class ThreadSegmenter {
+    constructor(markers = THREAD_MARKERS) {
+        this.markers = markers;
+    }
+
+    /**
+     * Segments in the order they appear, each
+     *   { index, type: 'newest' | 'quoted' | 'forwarded' | 'signature', depth, text }
+     * depth counts the quoting levels (0 for the newest reply).
+     */
+    segment(body) {
+        const lines = String(body || '').replace(/\r\n?/g, '\n').split('\n');
+        const segments = [];
+
+        let current = null;
+        // Thread state outside the ">" lines: each reply header nests one level deeper
+        let historyType = 'newest';
+        let historyDepth = 0;
+        let inSignature = false;
+        // A sign-off only starts a signature once the message has said something
+        let sectionHasText = false;
+
+        const push = (type, depth, line) => {
+            if (!current || current.type !== type || current.depth !== depth) {
+                current = { type, depth, lines: [] };
+                segments.push(current);
+            }
+            current.lines.push(line);
         };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const marker = this.markerAt(lines, i);
+
+            if (marker) {
+                historyType = marker.type === 'forwarded' ? 'forwarded' : 'quoted';
+                historyDepth++;
+                inSignature = false;
+                sectionHasText = false;
+
+                // The header itself belongs to the message it introduces
+                let end = i + marker.lines;
+                while (end < lines.length && this.markers.headerLine.test(lines[end])) end++;
+                for (let j = i; j < end; j++) push(historyType, historyDepth, lines[j]);
+                i = end - 1;
+                continue;
+            }
+
+            const quote = line.match(this.markers.quotePrefix);
+            if (quote) {
+                const depth = (quote[0].match(/>/g) || []).length;
+                push('quoted', Math.max(depth, historyDepth), line.slice(quote[0].length));
+                continue;
+            }
+
+            if (sectionHasText && this.isSignatureStart(line, lines, i)) inSignature = true;
+            push(inSignature ? 'signature' : historyType, historyDepth, line);
+            if (line.trim()) sectionHasText = true;
+        }
+
+        return segments
+            .map(segment => ({ type: segment.type, depth: segment.depth, text: segment.lines.join('\n').trim() }))
+            .filter(segment => segment.text.length > 0)
+            .map((segment, index) => ({ index, ...segment }));
     }
 
-    extractLoadReference(emailContent) {
-        if (!emailContent || typeof emailContent !== 'string') {
+    /**
+     * Reply or forward header starting at line i: { type, lines } or null
+     */
+    markerAt(lines, i) {
+        const line = lines[i];
+        const next = lines[i + 1] || '';
+
+        if (this.markers.forwarded.some(pattern => pattern.test(line))) return { type: 'forwarded', lines: 1 };
+        if (this.markers.originalMessage.test(line)) return { type: 'quoted', lines: 1 };
+        if (this.markers.replyHeader.test(line)) return { type: 'quoted', lines: 1 };
+        if (this.markers.replyHeaderStart.test(line) && this.markers.replyHeader.test(`${line} ${next}`)) {
+            return { type: 'quoted', lines: 2 };
+        }
+
+        if (this.markers.outlookFrom.test(line)) {
+            const header = lines.slice(i + 1, i + 1 + this.markers.outlookHeaderLines);
+            if (header.some(headerLine => this.markers.outlookSent.test(headerLine))) return { type: 'quoted', lines: 1 };
+        }
+
+        return null;
+    }
+
+    /**
+     * A signature delimiter, or a sign-off followed only by a short block of name lines
+     */
+    isSignatureStart(line, lines, i) {
+        if (this.markers.signature.some(pattern => pattern.test(line))) return true;
+        if (!this.markers.signOff.test(line)) return false;
+
+        const rest = [];
+        for (let j = i + 1; j < lines.length && !this.markerAt(lines, j) && !this.markers.quotePrefix.test(lines[j]); j++) {
+            rest.push(lines[j]);
+        }
+        return rest.filter(restLine => restLine.trim()).length <= 6;
+    }
+}
+
+module.exports = { ThreadSegmenter, THREAD_MARKERS };
+    },
+
+    'parsers/html-normalizer': function (module, exports, require) {
+/**
+ * HTML Normalizer Module
+ * Turns Outlook / Graph HTML message bodies into plain text for the
+ * parser and the thread segmenter: drops style, script and hidden
+ * elements, decodes entities, keeps line and table cell boundaries,
+ * writes blockquotes as "> " lines and unwraps Outlook safelinks.
+ */
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'ul'
+]);
+const CELL_TAGS = new Set(['td', 'th']);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+// Dropped with everything inside them
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'title', 'noscript', 'template', 'xml']);
+
+const HIDDEN_STYLE = /display\s*:\s*none|visibility\s*:\s*hidden|mso-hide\s*:\s*all|max-height\s*:\s*0(?![.\d]*[1-9])/i;
+
+const NAMED_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    rarr: '→', larr: '←', harr: '↔', rArr: '⇒',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', zwnj: '', zwj: '', shy: ''
+};
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const SAFELINK_PATTERN = /https?:\/\/[\w.-]*safelinks\.protection\.outlook\.com\/[^\s"'<>]*/gi;
+
+class HtmlNormalizer {
+    /**
+     * Whether a body is HTML rather than plain text
+     */
+    isHtml(content) {
+        return typeof content === 'string' && /<(?:html|body|head|div|p|br|table|span|td|font|blockquote)\b[^>]*>/i.test(content);
+    }
+
+    /**
+     * Plain text of an HTML body; table cells are separated by tabs and
+     * blockquote lines start with one ">" per level
+     */
+    normalize(html) {
+        const lines = [];
+        let line = { depth: 0, text: '' };
+        const stack = [];
+        let skipUntil = null; // stack length to get back to before output resumes
+        let quoteDepth = 0;
+        let preDepth = 0;
+
+        const breakLine = () => {
+            lines.push(line);
+            line = { depth: quoteDepth, text: '' };
+        };
+        // Blocks start on a fresh line without adding blank ones; <br> always breaks
+        const endBlock = () => {
+            if (line.text) breakLine();
+        };
+        const write = text => {
+            if (!line.text) line.depth = quoteDepth;
+            line.text += text;
+        };
+
+        for (const match of String(html || '').matchAll(TOKEN_PATTERN)) {
+            const [token, rawName, attributes = ''] = match;
+
+            if (token.startsWith('<!') || (token === '<' && !rawName)) continue;
+
+            if (!rawName) {
+                if (skipUntil !== null) continue;
+                const text = this.decodeEntities(preDepth > 0 ? token : token.replace(/\s+/g, ' '));
+                if (preDepth > 0) {
+                    text.split('\n').forEach((part, index) => {
+                        if (index > 0) breakLine();
+                        write(part);
+                    });
+                } else if (text.trim() || (line.text && !line.text.endsWith(' '))) {
+                    write(line.text ? text : text.trimStart());
+                }
+                continue;
+            }
+
+            const name = rawName.toLowerCase();
+            const isClose = token.startsWith('</');
+
+            if (isClose) {
+                const open = stack.lastIndexOf(name);
+                if (open === -1) continue;
+                stack.length = open;
+                if (skipUntil !== null && stack.length <= skipUntil) skipUntil = null;
+                if (skipUntil !== null) continue;
+
+                if (name === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+                if (name === 'pre') preDepth = Math.max(0, preDepth - 1);
+                if (BLOCK_TAGS.has(name)) endBlock();
+                continue;
+            }
+
+            if (skipUntil !== null) {
+                if (!VOID_TAGS.has(name) && !token.endsWith('/>')) stack.push(name);
+                continue;
+            }
+
+            if (name === 'br') {
+                breakLine();
+                continue;
+            }
+            if (VOID_TAGS.has(name) || token.endsWith('/>')) {
+                if (name === 'hr') endBlock();
+                continue;
+            }
+
+            stack.push(name);
+            if (SKIPPED_TAGS.has(name) || this.isHiddenElement(attributes)) {
+                skipUntil = stack.length - 1;
+                continue;
+            }
+
+            if (BLOCK_TAGS.has(name)) endBlock();
+            if (CELL_TAGS.has(name) && line.text.trim()) write('\t');
+            if (name === 'blockquote') quoteDepth++;
+            if (name === 'pre') preDepth++;
+        }
+        lines.push(line);
+
+        return this.unwrapSafeLinks(lines
+            .map(({ depth, text }) => {
+                const trimmed = text.replace(/[  ]+\t/g, '\t').replace(/\t[  ]+/g, '\t').trim();
+                return depth > 0 && trimmed ? `${'>'.repeat(depth)} ${trimmed}` : trimmed;
+            })
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim());
+    }
+
+    /**
+     * hidden attribute, or an inline style that hides the element (preheaders)
+     */
+    isHiddenElement(attributes) {
+        if (/(?:^|\s)hidden(?:\s|=|$)/i.test(attributes)) return true;
+        const style = attributes.match(/\bstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+        return !!style && HIDDEN_STYLE.test(style[1] || style[2] || '');
+    }
+
+    /**
+     * Named, decimal and hex character references
+     */
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                if (point === 160) return ' ';
+                return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+            }
+            return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, code) ? NAMED_ENTITIES[code] : entity;
+        });
+    }
+
+    /**
+     * Replace Outlook safelinks with the address they wrap
+     */
+    unwrapSafeLinks(text) {
+        return text.replace(SAFELINK_PATTERN, link => {
+            try {
+                return new URL(link).searchParams.get('url') || link;
+            } catch (error) {
+                return link;
+            }
+        });
+    }
+}
+
+module.exports = { HtmlNormalizer };
+    },
+
+    'parsers/source-profiles': function (module, exports, require) {
+/**
+ * Source Profiles
+ * Where a carrier email came from - a load board or a direct contact - and
+ * how to read it. Each profile says how to recognise the source and adds
+ * its own reference patterns and exclusions on top of the shared rules in
+ * reference-rules.js.
+ *
+ * detect.senderDomains  sender address domains (subdomains match too)
+ * detect.headers        { name, pattern } tested against that header's value
+ * detect.footers        boilerplate the board puts in its emails
+ * rules.patterns        tried alongside the shared patterns; idType on a
+ *                       pattern overrides the profile's idType
+ * rules.exclusions      board boilerplate to remove before matching
+ * idType                which kind of ID a reference from this source is,
+ *                       and so how to look it up (see ID_TYPES)
+ */
+
+const ID_TYPES = {
+    quotefactory_order: { label: 'QuoteFactory order #' },
+    dat_posting_id: { label: 'DAT posting ID' },
+    truckstop_load_id: { label: 'Truckstop load ID' },
+    loadboard123_id: { label: '123Loadboard load ID' }
+};
+
+const DEFAULT_SOURCE_ID = 'direct';
+
+const SOURCE_PROFILES = [
+    {
+        id: 'dat',
+        name: 'DAT',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['dat.com', 'dat.net', 'datloadboards.com'],
+            headers: [{ name: 'x-mailer', pattern: /\bDAT\b/i }],
+            footers: [/DAT Solutions/i, /DAT Freight & Analytics/i, /\bDAT One\b/i, /sent (?:via|through|from) DAT\b/i]
+        },
+        rules: {
+            patterns: [
+                // The broker's own reference on the posting: our QuoteFactory order #
+                { id: 'dat-reference-id', weight: 55, pattern: /(?:reference\s*id)[:#\s]*([A-Z0-9\-]{4,20})/i },
+                { id: 'dat-posting-id', weight: 50, idType: 'dat_posting_id', pattern: /(?:posting\s*id|match\s*id)[:#\s]*([A-Z0-9]{6,12})/i }
+            ],
+            exclusions: [
+                { id: 'dat-footer', pattern: /DAT Solutions,?\s*LLC[^\n]*/i }
+            ]
+        }
+    },
+    {
+        id: 'truckstop',
+        name: 'Truckstop',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['truckstop.com'],
+            headers: [{ name: 'x-mailer', pattern: /truckstop/i }],
+            footers: [/Truckstop\.com/i, /Truckstop Load Board/i, /sent (?:via|through|from) Truckstop\b/i]
+        },
+        rules: {
+            patterns: [
+                { id: 'truckstop-load-id', weight: 50, idType: 'truckstop_load_id', pattern: /(?:truckstop\s*load\s*id|ts\s*load\s*#)[:#\s]*(\d{6,10})/i }
+            ],
+            exclusions: [
+                { id: 'truckstop-footer', pattern: /Truckstop\.com,?\s*LLC[^\n]*/i }
+            ]
+        }
+    },
+    {
+        id: '123loadboard',
+        name: '123Loadboard',
+        idType: 'quotefactory_order',
+        detect: {
+            senderDomains: ['123loadboard.com'],
+            headers: [],
+            footers: [/123\s?Loadboard/i]
+        },
+        rules: {
+            patterns: [
+                { id: '123loadboard-load-id', weight: 50, idType: 'loadboard123_id', pattern: /(?:123\s?LB|123\s?loadboard)\s*(?:load\s*)?(?:id|#)[:#\s]*(\d{6,10})/i }
+            ],
+            exclusions: []
+        }
+    },
+    {
+        id: DEFAULT_SOURCE_ID,
+        name: 'Direct contact',
+        idType: 'quotefactory_order',
+        detect: null,
+        rules: { patterns: [], exclusions: [] }
+    }
+];
+
+/**
+ * Shared rules with a profile's patterns and exclusions added. Profile
+ * patterns come first so they win ties with the shared ones.
+ */
+function profileRules(profile, baseRules) {
+    return {
+        ...baseRules,
+        idType: profile.idType,
+        exclusions: [...profile.rules.exclusions, ...baseRules.exclusions],
+        patterns: [...profile.rules.patterns, ...baseRules.patterns]
+    };
+}
+
+function findSourceProfile(id) {
+    return SOURCE_PROFILES.find(profile => profile.id === id) ||
+        SOURCE_PROFILES.find(profile => profile.id === DEFAULT_SOURCE_ID);
+}
+
+module.exports = { SOURCE_PROFILES, ID_TYPES, DEFAULT_SOURCE_ID, profileRules, findSourceProfile };
+    },
+
+    'parsers/email-parser': function (module, exports, require) {
+/**
+ * Email Parser Module
+ * Extracts load reference numbers from email content with validation,
+ * driven by the shared rule set in reference-rules.js
+ */
+
+const { REFERENCE_RULES } = require('./reference-rules');
+const { ThreadSegmenter } = require('./thread-segmenter');
+const { HtmlNormalizer } = require('./html-normalizer');
+const { DEFAULT_SOURCE_ID, profileRules, findSourceProfile } = require('./source-profiles');
+
+// Per thread segment, so a long quoted history never pushes out the newest reply
+const MAX_SEGMENT_LENGTH = 5000;
+
+// One parser per source profile, built on first use
+const sourceParsers = new Map();
+
+class EmailParser {
+    constructor(rules = REFERENCE_RULES, segmenter = new ThreadSegmenter()) {
+        this.rules = rules;
+        this.segmenter = segmenter;
+        this.htmlNormalizer = new HtmlNormalizer();
+        this.exclusionPatterns = rules.exclusions.map(rule => rule.pattern);
+        this.loadPatterns = rules.patterns.map(rule => rule.pattern);
+        this.validationRules = rules.validation;
+    }
+
+    /**
+     * Parser with the shared rules plus a source profile's patterns and
+     * exclusions (source-profiles.js)
+     */
+    static forSource(sourceId = DEFAULT_SOURCE_ID) {
+        const profile = findSourceProfile(sourceId);
+        if (!sourceParsers.has(profile.id)) {
+            sourceParsers.set(profile.id, new EmailParser(profileRules(profile, REFERENCE_RULES)));
+        }
+        return sourceParsers.get(profile.id);
+    }
+
+    /**
+     * Extract load reference from email content
+     * @param {string} emailContent - The email body content
+     * @param {Object} [options]
+     * @param {string} [options.subject] - Subject line, scored separately from the body
+     * @returns {Object} - Extraction result with reference, confidence, its ID
+     *   type, the source and thread segment it came from, ranked candidates, the thread
+     *   segments, the parsed subject and the subject/body cross-check
+     */
+    extractLoadReference(emailContent, { subject = '' } = {}) {
+        if ((!emailContent || typeof emailContent !== 'string') && !subject) {
             return {
                 found: false,
                 reference: null,
                 confidence: 0,
+                candidates: [],
+                segments: [],
+                subject: this.parseSubject(''),
+                crossCheck: this.crossCheckSubject('', ''),
                 message: 'No email content provided'
             };
         }
 
-        let sanitizedContent = this.sanitizeContent(emailContent);
-        sanitizedContent = this.removeExclusions(sanitizedContent);
-
-        for (let i = 0; i < this.loadPatterns.length; i++) {
-            const pattern = this.loadPatterns[i];
-            const matches = sanitizedContent.matchAll(new RegExp(pattern, 'gi'));
-            
-            for (const match of matches) {
-                if (match[1]) {
-                    const candidate = this.normalizeReference(match[1]);
-                    const validation = this.validateReference(candidate);
-                    
-                    if (validation.isValid) {
-                        return {
-                            found: true,
-                            reference: candidate,
-                            confidence: this.calculateConfidence(i, match[0], emailContent),
-                            matchedPattern: pattern.toString(),
-                            message: 'Load reference successfully extracted'
-                        };
-                    }
+        const body = typeof emailContent === 'string' ? emailContent : '';
+        const candidates = this.rankCandidates(body, { subject });
+        const crossCheck = this.crossCheckSubject(body, subject);
+        const { threshold, conflict } = this.rules.scoring;
+
+        // When subject and body disagree the body wins - a reply keeps the
+        // subject of the post it answers - but with less confidence
+        const isConflict = crossCheck.status === 'conflict';
+        const best = isConflict
+            ? candidates.find(candidate => candidate.reference === crossCheck.bodyReference)
+            : this.pickBest(candidates);
+        const confidence = best ? Math.max(0, best.score + (isConflict ? conflict.points : 0)) : 0;
+        const details = {
+            candidates,
+            segments: this.segmentBody(body).map(({ index, type, depth, text }) => ({ index, type, depth, length: text.length })),
+            subject: this.parseSubject(subject),
+            crossCheck
+        };
+
+        if (!best || confidence < threshold) {
+            return {
+                found: false,
+                reference: null,
+                confidence,
+                ...details,
+                message: best
+                    ? `Best candidate ${best.reference} scored ${confidence}, below the threshold of ${threshold}` +
+                        (isConflict ? ` (the subject names ${crossCheck.subjectReference})` : '')
+                    : 'No valid load reference found in email'
+            };
+        }
+
+        return {
+            found: true,
+            reference: best.reference,
+            confidence,
+            matchedPattern: best.matchedPattern,
+            rule: best.rule,
+            idType: best.idType,
+            source: best.source,
+            segment: best.segment,
+            ...details,
+            message: isConflict
+                ? `Load reference extracted from the body; the subject names ${crossCheck.subjectReference} instead`
+                : 'Load reference successfully extracted'
+        };
+    }
+
+    /**
+     * Reply prefix, load board and lane of a subject line:
+     *   { text, isReply, board, lane: { origin: { city, state }, destination: { city, state } } | null }
+     */
+    parseSubject(subject) {
+        const rules = this.rules.subject;
+        const raw = typeof subject === 'string' ? subject : '';
+        const text = raw.replace(rules.replyPrefix, '').trim();
+        const board = rules.boards.find(candidate => candidate.pattern.test(text));
+        const lane = text.match(rules.lane);
+
+        return {
+            text,
+            isReply: text.length !== raw.trim().length,
+            board: board ? board.id : null,
+            lane: lane
+                ? {
+                    origin: { city: lane[1].trim(), state: lane[2] },
+                    destination: { city: lane[3].trim(), state: lane[4] }
+                }
+                : null
+        };
+    }
+
+    /**
+     * Whether the subject's best reference agrees with the body's. Each side
+     * is ranked on its own and counts only when it clears the threshold.
+     *   status: agree | conflict | subject_only | body_only | none
+     */
+    crossCheckSubject(emailContent, subject) {
+        const { threshold } = this.rules.scoring;
+        const bestReference = candidates => {
+            const best = this.pickBest(candidates);
+            return best && best.score >= threshold ? best.reference : null;
+        };
+
+        const subjectReference = bestReference(this.rankCandidates('', { subject }));
+        const bodyReference = bestReference(this.rankCandidates(emailContent));
+
+        let status = 'none';
+        if (subjectReference && bodyReference) status = subjectReference === bodyReference ? 'agree' : 'conflict';
+        else if (subjectReference) status = 'subject_only';
+        else if (bodyReference) status = 'body_only';
+
+        return { status, subjectReference, bodyReference };
+    }
+
+    /**
+     * The candidate to use from a ranked list: the best one from what the
+     * sender just wrote (subject or newest reply) when it clears the
+     * threshold, else the best overall
+     */
+    pickBest(candidates) {
+        const current = candidates.find(candidate =>
+            candidate.score >= this.rules.scoring.threshold &&
+            (candidate.source === 'subject' || candidate.segment.type === 'newest'));
+        return current || candidates[0];
+    }
+
+    /**
+     * Thread segments of a body (see thread-segmenter.js), newest reply first
+     */
+    segmentBody(emailContent) {
+        if (!emailContent || typeof emailContent !== 'string') return [];
+        return this.segmenter.segment(this.sanitizeContent(emailContent));
+    }
+
+    /**
+     * Every valid candidate in the subject and body, best first. Each one
+     * carries its score, the reasons for it and the thread segment it came
+     * from (null for the subject):
+     *   { reference, score, rule, idType, matchedPattern, source, segment: { index, type, depth }, occurrences, explanations }
+     */
+    rankCandidates(emailContent, { subject = '' } = {}) {
+        const occurrences = [
+            ...this.findOccurrences(subject ? this.sanitizeContent(subject) : '', 'subject'),
+            ...this.segmentBody(emailContent).flatMap(segment => this.findOccurrences(segment.text, 'body', segment))
+        ];
+        const { board } = this.parseSubject(subject);
+
+        const byReference = new Map();
+        for (const occurrence of occurrences) {
+            const scored = this.scoreOccurrence(occurrence, { board });
+            const current = byReference.get(occurrence.reference);
+
+            if (!current) {
+                byReference.set(occurrence.reference, { best: scored, count: 1 });
+            } else {
+                current.count++;
+                if (scored.score > current.best.score) current.best = scored;
+            }
+        }
+
+        const { repetition } = this.rules.scoring;
+        return [...byReference.values()]
+            .map(({ best, count }) => {
+                const explanations = [...best.explanations];
+                let score = best.score;
+
+                if (count > 1) {
+                    const points = Math.min(repetition.maxPoints, (count - 1) * repetition.points);
+                    score += points;
+                    explanations.push(`mentioned ${count} times (+${points})`);
+                }
+
+                return {
+                    reference: best.reference,
+                    score: Math.max(0, Math.min(100, score)),
+                    rule: best.rule,
+                    idType: best.idType,
+                    matchedPattern: best.matchedPattern,
+                    source: best.source,
+                    segment: best.segment,
+                    occurrences: count,
+                    explanations
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Valid matches of every pattern in one sanitized text. A spot matched
+     * by several patterns ("Load #302734" is also a six-digit number) keeps
+     * the heaviest one.
+     */
+    findOccurrences(text, source, segment = null) {
+        if (!text || typeof text !== 'string') return [];
+
+        const content = this.removeExclusions(text.substring(0, MAX_SEGMENT_LENGTH));
+        const segmentInfo = segment ? { index: segment.index, type: segment.type, depth: segment.depth } : null;
+        const bySpot = new Map();
+
+        this.rules.patterns.forEach(rule => {
+            for (const match of content.matchAll(new RegExp(rule.pattern, 'gi'))) {
+                if (!match[1]) continue;
+
+                const reference = this.normalizeReference(match[1]);
+                if (!this.validateReference(reference).isValid) continue;
+
+                const index = match.index + match[0].lastIndexOf(match[1]);
+                const spot = `${reference}@${index}`;
+                const current = bySpot.get(spot);
+                if (!current || rule.weight > current.rule.weight) {
+                    bySpot.set(spot, { reference, rule, index, content, source, segment: segmentInfo });
                 }
             }
+        });
+
+        return [...bySpot.values()];
+    }
+
+    /**
+     * Base weight of the pattern plus the context features from the rules.
+     * board is the load board the subject line comes from, if any.
+     */
+    scoreOccurrence({ reference, rule, index, content, source, segment }, { board = null } = {}) {
+        const { scoring } = this.rules;
+        const explanations = [`${rule.id} match (+${rule.weight})`];
+        let score = rule.weight;
+
+        const before = content.slice(Math.max(0, index - scoring.label.window), index);
+        const label = before.match(new RegExp(scoring.label.pattern, 'gi'));
+        if (label) {
+            score += scoring.label.points;
+            explanations.push(`label "${label[label.length - 1].toLowerCase()}" nearby (+${scoring.label.points})`);
+        }
+
+        const distractor = before.match(scoring.distractor.pattern);
+        if (distractor) {
+            score += scoring.distractor.points;
+            explanations.push(`follows "${distractor[0].trim()}" (${scoring.distractor.points})`);
+        }
+
+        if (source === 'subject') {
+            score += scoring.subject.points;
+            explanations.push(`in the subject (+${scoring.subject.points})`);
+
+            if (board) {
+                score += scoring.subject.boardPoints;
+                explanations.push(`${board} reply subject (+${scoring.subject.boardPoints})`);
+            }
+        }
+
+        if (segment && segment.type === 'quoted') {
+            const points = segment.depth * scoring.quoteDepth.points;
+            score += points;
+            explanations.push(`quoted ${segment.depth} level${segment.depth > 1 ? 's' : ''} deep (${points})`);
+        } else if (segment && segment.type === 'forwarded') {
+            score += scoring.forwarded.points;
+            explanations.push(`in a forwarded message (${scoring.forwarded.points})`);
+        } else if (segment && segment.type === 'signature') {
+            score += scoring.signature.points;
+            explanations.push(`in a signature (${scoring.signature.points})`);
+        }
+
+        const shape = scoring.shape.shapes.find(candidate => candidate.pattern.test(reference));
+        if (shape) {
+            score += scoring.shape.points;
+            explanations.push(`${shape.id} shape (+${scoring.shape.points})`);
         }
 
         return {
-            found: false,
-            reference: null,
-            confidence: 0,
-            message: 'No valid load reference found in email'
+            reference,
+            score,
+            rule: rule.id,
+            idType: rule.idType || this.rules.idType,
+            matchedPattern: rule.pattern.toString(),
+            source,
+            segment,
+            explanations
         };
     }
 
+    /**
+     * Sanitize email content for safe processing. HTML bodies go through
+     * the HTML normalizer so entities, hidden text and cell boundaries do
+     * not leak into the text.
+     */
     sanitizeContent(content) {
-        return content
-            .replace(/<[^>]*>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .substring(0, 5000);
+        const text = this.htmlNormalizer.isHtml(content)
+            ? this.htmlNormalizer.normalize(content)
+            : content.replace(/<[^>]*>/g, ' '); // Stray tags in plain text
+
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[^\S\n]+/g, ' '); // Normalize whitespace, keeping line breaks for the thread segmenter
     }
 
+    /**
+     * Remove exclusion patterns from content
+     */
     removeExclusions(content) {
         let processed = content;
         for (const pattern of this.exclusionPatterns) {
@@ -106,25 +950,36 @@ class EmailParser {
         return processed;
     }
 
+    /**
+     * Normalize extracted reference
+     */
     normalizeReference(reference) {
         return reference
             .trim()
             .toUpperCase()
-            .replace(/[^\w\-]/g, '');
+            .replace(/[^\w\-]/g, ''); // Keep only alphanumeric and hyphens
     }
 
+    /**
+     * Validate extracted reference
+     */
     validateReference(reference) {
         const errors = [];
 
+        // Length check
         if (reference.length < this.validationRules.minLength) {
             errors.push('Reference too short');
         }
         if (reference.length > this.validationRules.maxLength) {
             errors.push('Reference too long');
         }
+
+        // Must contain numbers
         if (this.validationRules.mustContainNumbers && !/\d/.test(reference)) {
             errors.push('Reference must contain numbers');
         }
+
+        // Check banned prefixes
         for (const prefix of this.validationRules.bannedPrefixes) {
             if (reference.startsWith(prefix)) {
                 errors.push(`Invalid prefix: ${prefix}`);
@@ -137,96 +992,705 @@ class EmailParser {
         };
     }
 
-    calculateConfidence(patternIndex, matchedText, originalContent) {
-        let confidence = 100 - (patternIndex * 10);
+    /**
+     * Extract multiple load references (for batch processing)
+     */
+    extractMultipleReferences(emailContent, maxReferences = 5) {
+        return this.rankCandidates(emailContent)
+            .slice(0, maxReferences)
+            .map(candidate => ({ reference: candidate.reference, confidence: candidate.score }));
+    }
+}
+
+module.exports = EmailParser;
+    },
+
+    'parsers/source-detector': function (module, exports, require) {
+/**
+ * Source Detector Module
+ * Works out which load board (or a direct contact) an email came through
+ * from the sender domain, message headers, board footers and the subject,
+ * using the profiles in source-profiles.js
+ */
+
+const { SOURCE_PROFILES, DEFAULT_SOURCE_ID, findSourceProfile } = require('./source-profiles');
+const { REFERENCE_RULES } = require('./reference-rules');
+const { HtmlNormalizer } = require('./html-normalizer');
+
+// How much each kind of evidence counts; the profile with the most wins
+const EVIDENCE_WEIGHTS = { sender: 3, header: 2, footer: 1, subject: 1 };
+
+class SourceDetector {
+    constructor(profiles = SOURCE_PROFILES) {
+        this.profiles = profiles;
+        this.htmlNormalizer = new HtmlNormalizer();
+    }
+
+    /**
+     * { id, name, idType, evidence } for an email; evidence lists what
+     * matched. Falls back to the direct-contact profile.
+     * @param {Object} email
+     * @param {string} [email.sender] - "Name <address>" or a bare address
+     * @param {Object|Array} [email.headers] - { name: value } or Graph's [{ name, value }]
+     * @param {string} [email.body] - Plain text or HTML body
+     * @param {string} [email.subject]
+     */
+    detect({ sender = '', headers = {}, body = '', subject = '' } = {}) {
+        const domain = this.senderDomain(sender);
+        const headerValues = this.normalizeHeaders(headers);
+        const text = this.htmlNormalizer.isHtml(body) ? this.htmlNormalizer.normalize(body) : String(body || '');
+        const subjectBoard = REFERENCE_RULES.subject.boards.find(board => board.pattern.test(subject || ''));
+
+        let best = null;
+        for (const profile of this.profiles) {
+            if (!profile.detect) continue;
+
+            const evidence = [];
+            const matchedDomain = domain && profile.detect.senderDomains.find(candidate => domain === candidate || domain.endsWith(`.${candidate}`));
+            if (matchedDomain) evidence.push({ kind: 'sender', detail: `sender domain ${domain}` });
+
+            for (const header of profile.detect.headers) {
+                const value = headerValues[header.name.toLowerCase()];
+                if (value && header.pattern.test(value)) evidence.push({ kind: 'header', detail: `${header.name} header` });
+            }
+
+            const footer = profile.detect.footers.map(pattern => text.match(pattern)).find(Boolean);
+            if (footer) evidence.push({ kind: 'footer', detail: `footer "${footer[0]}"` });
+
+            if (subjectBoard && subjectBoard.id === profile.id) evidence.push({ kind: 'subject', detail: 'load-board reply subject' });
+
+            const score = evidence.reduce((total, item) => total + EVIDENCE_WEIGHTS[item.kind], 0);
+            if (score > 0 && (!best || score > best.score)) best = { profile, score, evidence };
+        }
+
+        const profile = best ? best.profile : findSourceProfile(DEFAULT_SOURCE_ID);
+        return {
+            id: profile.id,
+            name: profile.name,
+            idType: profile.idType,
+            evidence: best ? best.evidence.map(item => item.detail) : []
+        };
+    }
+
+    /**
+     * Lower-cased domain of a sender address, or null
+     */
+    senderDomain(sender) {
+        const match = String(sender || '').match(/@([\w.-]+)/);
+        return match ? match[1].toLowerCase().replace(/\.$/, '') : null;
+    }
+
+    /**
+     * { lower-cased name: value } from a header object or Graph's internetMessageHeaders
+     */
+    normalizeHeaders(headers) {
+        const entries = Array.isArray(headers)
+            ? headers.map(header => [header.name, header.value])
+            : Object.entries(headers || {});
+        return Object.fromEntries(entries.filter(([name]) => name).map(([name, value]) => [String(name).toLowerCase(), String(value)]));
+    }
+}
 
-        if (matchedText.toLowerCase().includes('load') || 
-            matchedText.toLowerCase().includes('quote') ||
-            matchedText.toLowerCase().includes('reference')) {
-            confidence = Math.min(100, confidence + 20);
+module.exports = { SourceDetector };
+    },
+
+    'parsers/intent-rules': function (module, exports, require) {
+/**
+ * Intent Rules
+ * What a carrier wants from an email, and the lexicon that tells. Edit
+ * this file to tune intent classification; intent-classifier.js and the
+ * Zapier extract step both read it.
+ *
+ * intents      tried in order; on a tied score the earlier one wins
+ *   scenario     ResponseFormatter scenario for the reply; null keeps the
+ *                lookup-driven load_found / load_pending / no_reference reply
+ *   needsLookup  whether a reference in the email is looked up
+ *   cues         each matching cue adds its weight once
+ *   referencePoints  added when the email names a load reference
+ *   fields       what to extract for the intent (see fields below)
+ *   requires     fields the intent cannot do without
+ * threshold    score an intent needs to beat the default
+ * fields       patterns the field extractors use; the offered rate is read
+ *              by money-parser.js
+ *
+ * Cues run case-insensitively against the subject and the newest reply;
+ * quoted history and signatures are ignored.
+ */
+
+const INTENT_RULES = {
+    defaultIntent: 'load_inquiry',
+    threshold: 40,
+
+    intents: [
+        {
+            id: 'unsubscribe',
+            scenario: 'unsubscribe',
+            needsLookup: false,
+            cues: [
+                // First person only: board footers carry "click here to unsubscribe"
+                { id: 'unsubscribe-me', weight: 100, pattern: /\bunsubscribe\s+(?:me|us)\b/ },
+                { id: 'unsubscribe-line', weight: 100, pattern: /^\s*(?:please\s+)?unsubscribe\s*[.!]*\s*$/m },
+                { id: 'remove-me', weight: 100, pattern: /\b(?:remove|take)\s+(?:me|us|my (?:email|address))\s+(?:off|from)\b/ },
+                { id: 'stop-emailing', weight: 100, pattern: /\bstop\s+(?:sending|emailing)\b/ },
+                { id: 'opt-out', weight: 80, pattern: /\bopt[\s-]?out\b/ }
+            ],
+            fields: []
+        },
+        {
+            id: 'rate_confirmation_request',
+            scenario: 'rate_confirmation',
+            needsLookup: true,
+            cues: [
+                { id: 'send-rate-con', weight: 60, pattern: /\bsend\s+(?:over\s+|me\s+|us\s+)?(?:the\s+|a\s+)?(?:rc|rate\s*con(?:firmation)?)\b/ },
+                { id: 'rate-con', weight: 50, pattern: /\brate\s*con(?:firmation)?s?\b/ }
+            ],
+            referencePoints: 10,
+            fields: ['reference', 'mcNumber']
+        },
+        {
+            id: 'booking_confirmation',
+            scenario: 'booking_confirmation',
+            needsLookup: true,
+            cues: [
+                { id: 'take-it', weight: 60, pattern: /\b(?:we'?ll|i'?ll|we will|i will|let'?s)\s+(?:take|book|haul|cover)\s+(?:it|this|that|the load)\b/ },
+                { id: 'book-it', weight: 50, pattern: /\bbook\s+(?:it|me|us|this|that)\b/ },
+                { id: 'accept', weight: 50, pattern: /\b(?:we|i)\s+accept\b/ },
+                { id: 'confirm-booking', weight: 40, pattern: /\bconfirm(?:ed|ing)?\b.{0,20}\b(?:booking|booked|load|pickup)\b/ },
+                { id: 'booked', weight: 40, pattern: /\bbooked\b/ }
+            ],
+            referencePoints: 10,
+            fields: ['reference', 'mcNumber']
+        },
+        {
+            id: 'counter_offer',
+            scenario: 'counter_offer',
+            needsLookup: true,
+            cues: [
+                { id: 'can-you-do', weight: 60, pattern: /\b(?:can|could|would|will)\s+you\s+(?:do|go|take|accept|make it|work with)\b/ },
+                { id: 'we-can-do', weight: 50, pattern: /\b(?:i|we)\s+(?:can|could)\s+do\s+(?:it\s+)?(?:for|at)\b/ },
+                { id: 'best-we-can-do', weight: 50, pattern: /\b(?:best|lowest)\s+(?:i|we)\s+can\s+do\b/ },
+                { id: 'our-rate', weight: 50, pattern: /\b(?:my|our)\s+rate\s+(?:is|would be|will be)\b/ },
+                { id: 'counter', weight: 50, pattern: /\bcounter(?:\s*offer)?\b/ },
+                { id: 'need-amount', weight: 40, pattern: /\b(?:need|looking for|want)\s+(?:at least\s+)?\$/ },
+                { id: 'how-about', weight: 30, pattern: /\b(?:how|what)\s+about\b/ },
+                { id: 'all-in', weight: 10, pattern: /\ball[\s-]?in\b/ }
+            ],
+            fields: ['rate', 'reference'],
+            requires: ['rate']
+        },
+        {
+            id: 'truck_availability',
+            scenario: 'truck_availability',
+            needsLookup: false,
+            cues: [
+                { id: 'empty-in', weight: 50, pattern: /\b(?:empty|unloading|available|free|open)\s+(?:in|at|near|around|out of)\b/ },
+                { id: 'truck-available', weight: 50, pattern: /\b(?:truck|van|reefer|flatbed|driver)s?\s+(?:is\s+|are\s+)?available\b/ },
+                { id: 'have-a-truck', weight: 40, pattern: /\b(?:have|got)\s+(?:a|an|one|two|three|\d+)\s+(?:[\w']+\s+)?(?:trucks?|vans?|reefers?|flatbeds?|drivers?)\b/ },
+                { id: 'looking-for-load', weight: 40, pattern: /\b(?:looking for|need(?:s)?)\s+(?:a\s+)?(?:load|reload|freight)\b/ },
+                { id: 'capacity', weight: 20, pattern: /\bcapacity\b/ }
+            ],
+            fields: ['location', 'availableWhen', 'equipment']
+        },
+        {
+            id: 'load_inquiry',
+            scenario: null,
+            needsLookup: true,
+            cues: [
+                { id: 'still-open', weight: 40, pattern: /\bis\s+(?:this|it|that|the load)\s+(?:one\s+)?(?:still\s+)?(?:open|available|covered)\b/ },
+                { id: 'need-a-truck', weight: 60, pattern: /\b(?:do|did)\s+you\s+(?:still\s+)?need\s+(?:a\s+)?(?:truck|carrier|driver)\b/ },
+                { id: 'can-we-get', weight: 40, pattern: /\bcan\s+(?:we|i)\s+(?:get|have|grab)\s+(?:load|this|that|it)\b/ },
+                { id: 'available-question', weight: 30, pattern: /\bavailable\s*\?/ },
+                { id: 'rate-question', weight: 30, pattern: /\brate\s*\?|\bwhat(?:'s| is)\s+(?:the|your)\s+rate\b/ },
+                { id: 'interested', weight: 30, pattern: /\binterested\b/ },
+                { id: 'details', weight: 20, pattern: /\b(?:details|more info|information)\b/ }
+            ],
+            referencePoints: 20,
+            fields: ['reference']
         }
+    ],
+
+    fields: {
+        // "empty in Memphis, TN" - city words are case-sensitive, as in the subject lane
+        locationLead: /\b(?:empty|unloading|available|free|open|delivering|sitting)\s+(?:in|at|near|around|out of)\s+/i,
+        location: /^((?:St\.|[A-Z][a-z][a-zA-Z.'-]*)(?:\s+[A-Z][a-z][a-zA-Z.'-]*){0,2})(?:,?\s+([A-Z]{2})\b)?/,
+        availableWhen: /\b(today|tonight|tomorrow|this\s+(?:morning|afternoon|evening)|(?:mon|tues|wednes|thurs|fri|satur|sun)day|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i,
+        equipment: [
+            { id: 'reefer', pattern: /\breefers?\b|\brefrigerated\b/i },
+            { id: 'flatbed', pattern: /\bflat\s?beds?\b/i },
+            { id: 'step_deck', pattern: /\bstep\s?decks?\b/i },
+            { id: 'power_only', pattern: /\bpower\s?only\b/i },
+            { id: 'hotshot', pattern: /\bhot\s?shots?\b/i },
+            { id: 'van', pattern: /\b(?:dry\s+)?vans?\b/i }
+        ],
+        mcNumber: /\bMC\s*#?:?\s*(\d{5,8})\b/i
+    }
+};
+
+module.exports = { INTENT_RULES };
+    },
+
+    'parsers/money-parser': function (module, exports, require) {
+/**
+ * Money Parser Module
+ * Reads the rate a carrier is asking for out of an email: "$2,400",
+ * "2400" after an offer phrase or before "all in", "$2.4k", "$3.10/mi all in". Written amounts
+ * win over bare numbers, so a time or zip never beats "$2,400". Per-mile
+ * rates are turned into a total with the load's miles.
+ */
+
+const MONEY_PATTERNS = {
+    amount: /(\$\s?)?\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(\s?k\b)?(?!\d|,\d)/gi,
 
-        if (patternIndex >= this.loadPatterns.length - 2) {
-            confidence = Math.max(50, confidence - 30);
+    // Right after the amount
+    perMile: /^\s*(?:\/\s*(?:loaded\s+)?mi(?:le)?s?\b|per\s+(?:loaded\s+)?mile\b|a\s+mile\b|rpm\b|cpm\b)/i,
+    allIn: /^[^.\n]{0,20}?\ball[\s-]?in\b/i,
+    notMoney: /^\s*(?:miles?\b|mi\b|lbs?\b|pounds\b|ft\b|feet\b|'|pallets?\b|%|am\b|pm\b|hrs?\b|hours?\b)/i,
+
+    // A bare number counts when an offer phrase comes right before it ("can you do 2400",
+    // "Rate 2400") or "all in" right after it ("2400 all in")
+    offerLead: /\b(?:do|take|for|at|make it|need|pay|offer|is|was|be|rate)\s*:?\s*$/i,
+    allInTrail: /^\s*,?\s*all[\s-]?in\b/i,
+    // ...but never a carrier number ("MC is 123456"), a 24-hour time ("at 0800") or a zip
+    carrierNumberLead: /\b(?:MC|DOT|USDOT)\s*(?:#|no\.?|number)?\s*(?:is|:)?\s*$/i,
+    clockTime: /^(?:[01]\d|2[0-3])[0-5]\d$/,
+    clockLead: /\b(?:at|by|before|after|until|pickup|delivery|appt|appointment)\s*$/i,
+
+    // Bare numbers below minBareAmount or longer than maxBareDigits are not rates;
+    // amounts below perMileCeiling without a unit are per mile
+    minBareAmount: 100,
+    maxBareDigits: 4,
+    perMileCeiling: 10
+};
+
+class MoneyParser {
+    constructor(patterns = MONEY_PATTERNS) {
+        this.patterns = patterns;
+    }
+
+    /**
+     * Every amount in the text, in order:
+     *   { amount, currency, unit: 'total' | 'per_mile', allIn, text }
+     */
+    findAmounts(text) {
+        const content = String(text || '');
+        const amounts = [];
+
+        for (const match of content.matchAll(this.patterns.amount)) {
+            const [token, dollar, whole, decimals = '', thousands] = match;
+            const end = match.index + token.length;
+            const after = content.slice(end, end + 40);
+            const before = content.slice(Math.max(0, match.index - 20), match.index);
+
+            if (this.patterns.notMoney.test(after)) continue;
+
+            const perMileUnit = after.match(this.patterns.perMile);
+            const amount = parseFloat(`${whole.replace(/,/g, '')}${decimals}`) * (thousands ? 1000 : 1);
+            const bare = !dollar && !thousands && !perMileUnit;
+            if (!(amount > 0)) continue;
+            if (bare && !this.isBareRate(whole, decimals, amount, before, after)) continue;
+
+            const unitText = perMileUnit ? perMileUnit[0] : '';
+            amounts.push({
+                amount,
+                currency: 'USD',
+                unit: perMileUnit || amount < this.patterns.perMileCeiling ? 'per_mile' : 'total',
+                allIn: this.patterns.allIn.test(after.slice(unitText.length)),
+                text: `${token}${unitText}`.trim()
+            });
         }
 
-        return confidence;
+        return amounts;
+    }
+
+    /**
+     * Whether a number with no "$", "k" or per-mile unit is a rate
+     */
+    isBareRate(whole, decimals, amount, before, after) {
+        if (amount < this.patterns.minBareAmount || whole.replace(/,/g, '').length > this.patterns.maxBareDigits) return false;
+        if (!this.patterns.offerLead.test(before) && !this.patterns.allInTrail.test(after)) return false;
+        if (this.patterns.carrierNumberLead.test(before)) return false;
+        if (whole.startsWith('0')) return false;
+        return !(this.patterns.clockTime.test(whole) && !decimals && this.patterns.clockLead.test(before));
+    }
+
+    /**
+     * The rate offered in an email, or null. Amounts written as money
+     * ("$2,400", "2.4k", "3.10/mi") win over bare numbers; amounts whose
+     * text contains one of ignore (the load number) are skipped.
+     */
+    parseOffer(text, { ignore = [] } = {}) {
+        const amounts = this.findAmounts(text)
+            .filter(money => !ignore.some(value => value && money.text.includes(value)));
+        return amounts.find(money => !/^[\d,.]+$/.test(money.text)) || amounts[0] || null;
+    }
+
+    /**
+     * Total for an amount; per-mile rates need the load's miles (null without them)
+     */
+    toTotal(money, miles) {
+        if (!money) return null;
+        if (money.unit !== 'per_mile') return money.amount;
+        return typeof miles === 'number' && miles > 0 ? Math.round(money.amount * miles * 100) / 100 : null;
     }
 }
 
-// Main Zapier code step function
-const startTime = Date.now();
-const requestId = `extract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-try {
-    // Get input data from Zapier
-    const emailSubject = inputData.email_subject || '';
-    const emailBody = inputData.email_body || '';
-    const emailFrom = inputData.email_from || '';
-
-    // Log processing start
-    console.log(`[${requestId}] Starting load reference extraction`, {
-        hasSubject: !!emailSubject,
-        hasBody: !!emailBody,
-        bodyLength: emailBody.length,
-        from: emailFrom
-    });
-
-    // Combine subject and body for analysis
-    const combinedContent = `${emailSubject}\n\n${emailBody}`;
-
-    // Initialize parser and extract reference
-    const parser = new EmailParser();
-    const extractionResult = parser.extractLoadReference(combinedContent);
-
-    const processingTime = Date.now() - startTime;
-
-    // Log results
-    console.log(`[${requestId}] Extraction completed in ${processingTime}ms`, {
-        found: extractionResult.found,
-        reference: extractionResult.reference,
-        confidence: extractionResult.confidence,
-        message: extractionResult.message
-    });
-
-    // Output for next Zapier step
-    output = {
-        load_reference: extractionResult.reference,
-        confidence: extractionResult.confidence,
-        found: extractionResult.found,
-        message: extractionResult.message,
-        matched_pattern: extractionResult.matchedPattern || null,
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        // Include original data for next steps
-        original_subject: emailSubject,
-        original_body: emailBody,
-        original_from: emailFrom
-    };
+module.exports = { MoneyParser, MONEY_PATTERNS };
+    },
 
-} catch (error) {
-    const processingTime = Date.now() - startTime;
-    
-    console.error(`[${requestId}] Extraction failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
-
-    // Output error state
-    output = {
-        load_reference: null,
-        confidence: 0,
-        found: false,
-        message: `Extraction failed: ${error.message}`,
-        matched_pattern: null,
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        // Include original data for next steps
-        original_subject: inputData.email_subject || '',
-        original_body: inputData.email_body || '',
-        original_from: inputData.email_from || ''
-    };
-}
\ No newline at end of file
+    'parsers/intent-classifier': function (module, exports, require) {
+/**
+ * Intent Classifier Module
+ * Offline, rules-plus-lexicon classification of what a carrier wants:
+ * load details, a counter-offer, to report an empty truck, to book, a rate
+ * confirmation, or to unsubscribe. Cues and field patterns live in
+ * intent-rules.js.
+ */
+
+const { INTENT_RULES } = require('./intent-rules');
+const { ThreadSegmenter } = require('./thread-segmenter');
+const { HtmlNormalizer } = require('./html-normalizer');
+const { REFERENCE_RULES } = require('./reference-rules');
+const { MoneyParser } = require('./money-parser');
+
+// Cues are case-insensitive whatever flags they were written with
+const insensitive = pattern => new RegExp(pattern.source, pattern.flags.includes('i') ? pattern.flags : `${pattern.flags}i`);
+
+class IntentClassifier {
+    constructor(rules = INTENT_RULES, segmenter = new ThreadSegmenter()) {
+        this.rules = rules;
+        this.segmenter = segmenter;
+        this.htmlNormalizer = new HtmlNormalizer();
+        this.moneyParser = new MoneyParser();
+    }
+
+    /**
+     * { intent, scenario, needsLookup, score, evidence, fields, scores }
+     * for an email. Falls back to the default intent (load details) when
+     * no other intent reaches the threshold.
+     * @param {Object} email
+     * @param {string} [email.subject]
+     * @param {string} [email.body] - Plain text or HTML body
+     * @param {string} [email.reference] - Load reference extracted from the email, if any
+     */
+    classify({ subject = '', body = '', reference = null } = {}) {
+        const text = this.intentText(subject, body);
+        const fields = {};
+        const extract = name => {
+            if (!(name in fields)) fields[name] = this.extractField(name, text, reference);
+            return fields[name];
+        };
+
+        const scored = this.rules.intents.map(intent => {
+            const evidence = intent.cues.filter(cue => insensitive(cue.pattern).test(text)).map(cue => cue.id);
+            let score = intent.cues
+                .filter(cue => evidence.includes(cue.id))
+                .reduce((total, cue) => total + cue.weight, 0);
+            if (reference && intent.referencePoints) {
+                score += intent.referencePoints;
+                evidence.push('reference');
+            }
+            const eligible = (intent.requires || []).every(name => extract(name) !== null);
+            return { intent, score: eligible ? score : 0, evidence };
+        });
+
+        const scores = Object.fromEntries(scored.map(({ intent, score }) => [intent.id, score]));
+        const best = scored
+            .filter(({ score }) => score >= this.rules.threshold)
+            .reduce((winner, entry) => (!winner || entry.score > winner.score ? entry : winner), null)
+            || scored.find(({ intent }) => intent.id === this.rules.defaultIntent);
+
+        return {
+            intent: best.intent.id,
+            scenario: best.intent.scenario,
+            needsLookup: best.intent.needsLookup,
+            score: best.score,
+            evidence: best.evidence,
+            fields: Object.fromEntries((best.intent.fields || []).map(name => [name, extract(name)])),
+            scores
+        };
+    }
+
+    /**
+     * Subject (without reply prefixes) and the newest reply; quoted history,
+     * forwards and signatures say what someone wanted earlier, not now
+     */
+    intentText(subject, body) {
+        const plain = this.htmlNormalizer.isHtml(body) ? this.htmlNormalizer.normalize(body) : String(body || '');
+        const segments = this.segmenter.segment(plain);
+        const newest = segments.filter(segment => segment.type === 'newest');
+        const bodyText = (newest.length ? newest : segments.filter(segment => segment.type !== 'signature'))
+            .map(segment => segment.text)
+            .join('\n');
+
+        return [String(subject || '').replace(REFERENCE_RULES.subject.replyPrefix, ''), bodyText]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * One field from the intent text, or null when the email does not say
+     */
+    extractField(name, text, reference) {
+        const patterns = this.rules.fields;
+
+        switch (name) {
+            case 'reference':
+                return reference || null;
+
+            case 'rate':
+                // The load number is never the offer, whatever comes before it
+                return this.moneyParser.parseOffer(text, { ignore: [reference] });
+
+            case 'location': {
+                const lead = text.match(patterns.locationLead);
+                const place = lead && text.slice(lead.index + lead[0].length).match(patterns.location);
+                return place ? { city: place[1], state: place[2] || null } : null;
+            }
+
+            case 'availableWhen': {
+                const match = text.match(patterns.availableWhen);
+                return match ? match[1].toLowerCase().replace(/\s+/g, ' ') : null;
+            }
+
+            case 'equipment': {
+                const equipment = patterns.equipment.find(type => type.pattern.test(text));
+                return equipment ? equipment.id : null;
+            }
+
+            case 'mcNumber': {
+                const match = text.match(patterns.mcNumber);
+                return match ? match[1] : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = { IntentClassifier };
+    },
+
+    'steps/extract-load-reference.step': function (module, exports, require) {
+/**
+ * Zapier Step: Extract Load Reference
+ * Step definition the bundler turns into zapier-code-steps/extract-load-reference.js
+ */
+
+const EmailParser = require('../parsers/email-parser');
+const { SourceDetector } = require('../parsers/source-detector');
+const { IntentClassifier } = require('../parsers/intent-classifier');
+
+const formatPlace = place => (place ? `${place.city}, ${place.state}` : null);
+
+module.exports = {
+    name: 'extract-load-reference',
+    position: 1,
+    title: 'Zapier Code Step 1: Extract Load Reference',
+    description: 'Extracts load reference numbers from incoming emails.',
+
+    inputs: {
+        email_subject: { type: 'string', default: '', description: 'Email subject line' },
+        email_body: { type: 'string', default: '', required: true, description: 'Email body content (plain text or HTML)' },
+        email_from: { type: 'string', default: '', description: 'Sender email address (optional, used to detect the load board)' }
+    },
+
+    env: {},
+
+    outputs: {
+        load_reference: { type: 'string', description: 'Extracted load reference (null if not found)' },
+        confidence: { type: 'number', description: 'Confidence score (0-100)' },
+        found: { type: 'boolean', description: 'Boolean indicating if reference was found' },
+        message: { type: 'string', description: 'Human-readable result message' },
+        matched_pattern: { type: 'string', description: 'Pattern that matched (null if not found)' },
+        matched_rule: { type: 'string', description: 'Id of the reference rule that matched (null if not found)' },
+        candidates: { type: 'json', description: 'Every candidate, best first, with its score and the reasons for it' },
+        id_type: { type: 'string', description: 'Kind of ID the reference is, e.g. quotefactory_order or dat_posting_id; map into step 2' },
+        source: { type: 'string', description: 'Where the email came from: dat, truckstop, 123loadboard or direct' },
+        source_evidence: { type: 'string', description: 'What identified the source (sender domain, footer, subject)' },
+        intent: { type: 'string', description: 'What the carrier wants: load_inquiry, counter_offer, truck_availability, booking_confirmation, rate_confirmation_request or unsubscribe' },
+        intent_scenario: { type: 'string', description: 'Reply scenario for the intent; map into the format step (null for load inquiries)' },
+        intent_fields: { type: 'json', description: 'Fields the intent carries, e.g. the offered rate or where the truck is empty' },
+        reference_source: { type: 'string', description: 'Where the reference came from: subject, newest, quoted, forwarded or signature' },
+        cross_check: { type: 'string', description: 'Subject vs body reference: agree, conflict, subject_only, body_only or none' },
+        subject_board: { type: 'string', description: 'Load board the subject comes from, e.g. dat or truckstop (null if none)' },
+        subject_origin: { type: 'string', description: 'Origin from a load-board subject, e.g. "Dallas, TX" (null if none)' },
+        subject_destination: { type: 'string', description: 'Destination from a load-board subject (null if none)' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Unique identifier for this request' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        error: { type: 'string', description: 'Error details if extraction failed' },
+        original_subject: { type: 'string', description: 'Email subject, passed through' },
+        original_body: { type: 'string', description: 'Email body, passed through' },
+        original_from: { type: 'string', description: 'Sender address, passed through' }
+    },
+
+    /**
+     * Rank the candidates in subject and body and keep the best one
+     */
+    async run(input) {
+        const startTime = Date.now();
+        const requestId = `extract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const passThrough = {
+            original_subject: input.email_subject,
+            original_body: input.email_body,
+            original_from: input.email_from
+        };
+
+        try {
+            console.log(`[${requestId}] Starting load reference extraction`, {
+                hasSubject: !!input.email_subject,
+                hasBody: !!input.email_body,
+                bodyLength: input.email_body.length,
+                from: input.email_from
+            });
+
+            const source = new SourceDetector().detect({
+                sender: input.email_from,
+                body: input.email_body,
+                subject: input.email_subject
+            });
+            const extractionResult = EmailParser.forSource(source.id).extractLoadReference(input.email_body, {
+                subject: input.email_subject
+            });
+
+            const intent = new IntentClassifier().classify({
+                subject: input.email_subject,
+                body: input.email_body,
+                reference: extractionResult.reference
+            });
+
+            const processingTime = Date.now() - startTime;
+            console.log(`[${requestId}] Extraction completed in ${processingTime}ms`, {
+                found: extractionResult.found,
+                reference: extractionResult.reference,
+                confidence: extractionResult.confidence,
+                crossCheck: extractionResult.crossCheck.status,
+                source: source.id,
+                intent: intent.intent,
+                message: extractionResult.message
+            });
+
+            return {
+                load_reference: extractionResult.reference,
+                confidence: extractionResult.confidence,
+                found: extractionResult.found,
+                message: extractionResult.message,
+                matched_pattern: extractionResult.matchedPattern,
+                matched_rule: extractionResult.rule,
+                id_type: extractionResult.idType,
+                source: source.id,
+                source_evidence: source.evidence.join(', '),
+                intent: intent.intent,
+                intent_scenario: intent.scenario,
+                intent_fields: intent.fields,
+                candidates: extractionResult.candidates,
+                reference_source: extractionResult.segment ? extractionResult.segment.type : extractionResult.source,
+                cross_check: extractionResult.crossCheck.status,
+                subject_board: extractionResult.subject.board,
+                subject_origin: formatPlace(extractionResult.subject.lane?.origin),
+                subject_destination: formatPlace(extractionResult.subject.lane?.destination),
+                processing_time_ms: processingTime,
+                request_id: requestId,
+                timestamp: new Date().toISOString(),
+                ...passThrough
+            };
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+            console.error(`[${requestId}] Extraction failed:`, {
+                error: error.message,
+                processingTimeMs: processingTime
+            });
+
+            return {
+                load_reference: null,
+                confidence: 0,
+                found: false,
+                message: `Extraction failed: ${error.message}`,
+                processing_time_ms: processingTime,
+                request_id: requestId,
+                timestamp: new Date().toISOString(),
+                error: error.message,
+                ...passThrough
+            };
+        }
+    }
+};
+    }
+};
+
+// Bundled module registry: each module runs once, CommonJS-style, on first require
+const __cache = {};
+
+function __require(id) {
+    if (!__cache[id]) {
+        const module = { exports: {} };
+        __cache[id] = module;
+        __modules[id](module, module.exports, request => __require(__resolve(id, request)));
+    }
+    return __cache[id].exports;
+}
+
+function __resolve(from, request) {
+    const parts = from.split('/').slice(0, -1);
+    for (const part of request.replace(/\.js$/, '').split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+// Zapier passes inputs as strings; coerce them to the declared type
+function __input(value, type, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (type === 'boolean') return value === true || /^(true|1|yes)$/i.test(String(value));
+    if (type === 'number') return Number(value);
+    if (type === 'json' && typeof value === 'string') {
+        // A malformed mapping gets the default rather than failing the whole step
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+    if (type === 'json') return value;
+    return String(value);
+}
+
+// Inputs declared by the step definition
+const __stepInput = {
+    email_subject: __input(inputData.email_subject, 'string', ""),
+    email_body: __input(inputData.email_body, 'string', ""),
+    email_from: __input(inputData.email_from, 'string', "")
+};
+
+const __result = await __require('steps/extract-load-reference.step').run(__stepInput, { env: process.env });
+
+// Outputs declared by the step definition; anything else the step returns is dropped
+output = {
+    load_reference: __result.load_reference === undefined ? null : __result.load_reference,
+    confidence: __result.confidence === undefined ? null : __result.confidence,
+    found: __result.found === undefined ? null : __result.found,
+    message: __result.message === undefined ? null : __result.message,
+    matched_pattern: __result.matched_pattern === undefined ? null : __result.matched_pattern,
+    matched_rule: __result.matched_rule === undefined ? null : __result.matched_rule,
+    candidates: __result.candidates === undefined ? null : __result.candidates,
+    id_type: __result.id_type === undefined ? null : __result.id_type,
+    source: __result.source === undefined ? null : __result.source,
+    source_evidence: __result.source_evidence === undefined ? null : __result.source_evidence,
+    intent: __result.intent === undefined ? null : __result.intent,
+    intent_scenario: __result.intent_scenario === undefined ? null : __result.intent_scenario,
+    intent_fields: __result.intent_fields === undefined ? null : __result.intent_fields,
+    reference_source: __result.reference_source === undefined ? null : __result.reference_source,
+    cross_check: __result.cross_check === undefined ? null : __result.cross_check,
+    subject_board: __result.subject_board === undefined ? null : __result.subject_board,
+    subject_origin: __result.subject_origin === undefined ? null : __result.subject_origin,
+    subject_destination: __result.subject_destination === undefined ? null : __result.subject_destination,
+    processing_time_ms: __result.processing_time_ms === undefined ? null : __result.processing_time_ms,
+    request_id: __result.request_id === undefined ? null : __result.request_id,
+    timestamp: __result.timestamp === undefined ? null : __result.timestamp,
+    error: __result.error === undefined ? null : __result.error,
+    original_subject: __result.original_subject === undefined ? null : __result.original_subject,
+    original_body: __result.original_body === undefined ? null : __result.original_body,
+    original_from: __result.original_from === undefined ? null : __result.original_from
+};
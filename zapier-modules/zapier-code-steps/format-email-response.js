@@ -1,41 +1,822 @@
 /**
  * Zapier Code Step 3: Format Email Response
- * 
- * This code step generates professional email responses based on the load lookup results.
- * 
- * INPUT FIELDS (from previous steps):
- * - scenario: Response scenario (load_found, load_pending, no_reference, error)
- * - load_data: Load details (if found)
- * - load_reference: Load reference number
- * - original_subject: Original email subject
- * - error_message: Error details (if applicable)
- * - request_id: Request ID for tracking
- * 
- * ENVIRONMENT VARIABLES (optional):
+ *
+ * Generates the email reply for the carrier's intent or the load lookup result.
+ *
+ * GENERATED FILE - do not edit. Change zapier-modules/steps/format-email-response.step.js
+ * (or the modules it requires), then run: npm run build:zapier
+ *
+ * INPUT FIELDS:
+ * - scenario (string): Response scenario (load_found, load_pending, no_reference, error)
+ * - intent_scenario (string): Scenario for the carrier's intent from the extract step; replaces scenario when set
+ * - intent_fields (json): Fields the intent carries, from the extract step
+ * - load_data (json): Load details (if found)
+ * - load_reference (string): Load reference number
+ * - original_subject (string): Original email subject
+ * - error_message (string): Error details (if applicable)
+ * - carrier_email (string): Sender address, so each carrier's negotiation on a load is kept apart
+ * - negotiation_history (json): Earlier negotiation steps with this carrier on this load, as saved from negotiation_history by a Storage by Zapier step
+ * - request_id (string): Request ID for tracking
+ *
+ * ENVIRONMENT VARIABLES (set in Zapier):
  * - COMPANY_NAME: Your company name (default: "Your Company")
  * - COMPANY_SIGNATURE: Custom signature block
- * 
+ * - NEGOTIATION_RULES: Counter-offer rules as JSON: targetRate, maxRate, counterSteps, roundTo, per-load overrides under loads
+ *
  * OUTPUT FIELDS:
  * - reply_subject: Formatted subject line
  * - reply_body: Complete email body
  * - reply_body_html: HTML version of email body
  * - response_type: Type of response generated
  * - has_load_data: Boolean indicating if load details included
+ * - processing_time_ms: Time taken to process
+ * - request_id: Request ID for tracking
+ * - timestamp: When the step ran
+ * - error: Error details if formatting failed
+ * - original_scenario: Scenario the reply was formatted for
+ * - negotiation_decision: accept, counter or escalate for a counter-offer (null otherwise)
+ * - counter_rate: Rate we countered with (null unless countering)
+ * - negotiation_step: This round of the negotiation as JSON (null unless a counter-offer)
+ * - negotiation_history: Earlier steps plus this one as JSON, to save under negotiation_key for the next offer
+ * - negotiation_key: Storage key for this carrier's negotiation on this load
+ * - load_reference: Load reference, passed through
+ * - subject_length: Subject length in characters
+ * - body_length: Body length in characters
+ * - html_length: HTML body length in characters
+ *
+ * BUNDLED MODULES: models/stop-timezone, models/load-model, formatters/response-formatter, parsers/money-parser, negotiation/negotiation-rules, negotiation/negotiator, steps/format-email-response.step
+ */
+
+const __modules = {
+    'models/stop-timezone': function (module, exports, require) {
+/**
+ * Stop Timezone
+ * Works out which IANA zone a stop's appointment times are in and converts
+ * between UTC instants and that zone's wall clock, so dates never depend on
+ * the timezone of the machine doing the scraping or formatting
+ *
+ * Resolution order: a zone QuoteFactory put on the page, then the zip code
+ * (for states split across zones), then the state or province.
  */
 
-// Response Formatter class (embedded for Zapier)
+const STATE_ZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+    DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+    IA: 'America/Chicago', ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis',
+    KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', MA: 'America/New_York',
+    MD: 'America/New_York', ME: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+    MO: 'America/Chicago', MS: 'America/Chicago', MT: 'America/Denver', NC: 'America/New_York',
+    ND: 'America/Chicago', NE: 'America/Chicago', NH: 'America/New_York', NJ: 'America/New_York',
+    NM: 'America/Denver', NV: 'America/Los_Angeles', NY: 'America/New_York', OH: 'America/New_York',
+    OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', PR: 'America/Puerto_Rico',
+    RI: 'America/New_York', SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago',
+    TX: 'America/Chicago', UT: 'America/Denver', VA: 'America/New_York', VT: 'America/New_York',
+    WA: 'America/Los_Angeles', WI: 'America/Chicago', WV: 'America/New_York', WY: 'America/Denver',
+    // Canadian provinces and territories
+    AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+    NL: 'America/St_Johns', NS: 'America/Halifax', NT: 'America/Yellowknife', NU: 'America/Iqaluit',
+    ON: 'America/Toronto', PE: 'America/Halifax', QC: 'America/Toronto', SK: 'America/Regina',
+    YT: 'America/Whitehorse'
+};
+
+// 3-digit zip prefixes whose zone differs from their state's
+const ZIP_PREFIX_ZONES = {
+    // West Texas (El Paso)
+    798: 'America/Denver', 799: 'America/Denver', 885: 'America/Denver',
+    // Florida panhandle
+    324: 'America/Chicago', 325: 'America/Chicago',
+    // East Tennessee
+    373: 'America/New_York', 374: 'America/New_York', 376: 'America/New_York',
+    377: 'America/New_York', 378: 'America/New_York', 379: 'America/New_York',
+    // Western Kentucky
+    420: 'America/Chicago', 421: 'America/Chicago', 422: 'America/Chicago',
+    423: 'America/Chicago', 424: 'America/Chicago',
+    // Northwest and southwest Indiana
+    463: 'America/Chicago', 464: 'America/Chicago', 476: 'America/Chicago', 477: 'America/Chicago',
+    // Michigan Upper Peninsula (Wisconsin border)
+    498: 'America/Chicago', 499: 'America/Chicago',
+    // Western Dakotas and Nebraska panhandle
+    577: 'America/Denver', 586: 'America/Denver', 693: 'America/Denver',
+    // Eastern Oregon and northern Idaho
+    979: 'America/Boise', 835: 'America/Los_Angeles', 838: 'America/Los_Angeles'
+};
+
+// Generic abbreviations used in outgoing email, e.g. "10/21 0700-1500 PT"
+const ZONE_ABBREVIATIONS = {
+    'America/Los_Angeles': 'PT', 'America/Vancouver': 'PT', 'America/Whitehorse': 'MST',
+    'America/Denver': 'MT', 'America/Boise': 'MT', 'America/Edmonton': 'MT', 'America/Yellowknife': 'MT',
+    'America/Phoenix': 'MST', 'America/Chicago': 'CT', 'America/Winnipeg': 'CT', 'America/Regina': 'CST',
+    'America/New_York': 'ET', 'America/Detroit': 'ET', 'America/Indiana/Indianapolis': 'ET',
+    'America/Toronto': 'ET', 'America/Iqaluit': 'ET', 'America/Halifax': 'AT', 'America/Moncton': 'AT',
+    'America/Puerto_Rico': 'AST', 'America/St_Johns': 'NT', 'America/Anchorage': 'AKT',
+    'Pacific/Honolulu': 'HT'
+};
+
+// Abbreviations QuoteFactory may print next to a time
+const ABBREVIATION_ZONES = {
+    P: 'America/Los_Angeles',
+    M: 'America/Denver',
+    C: 'America/Chicago',
+    E: 'America/New_York',
+    AK: 'America/Anchorage',
+    H: 'Pacific/Honolulu'
+};
+
+class StopTimezone {
+    /**
+     * { id, abbreviation, source } for a stop, or null when nothing identifies
+     * its zone. hint is a zone name or abbreviation read from the page.
+     */
+    static resolve({ hint, state, zip } = {}) {
+        const stateZone = STATE_ZONES[(state || '').toUpperCase()] || null;
+
+        const fromHint = StopTimezone.zoneFromHint(hint, stateZone);
+        if (fromHint) return StopTimezone.describe(fromHint, 'page');
+
+        const prefix = String(zip || '').match(/^(\d{3})\d{2}/);
+        if (prefix && ZIP_PREFIX_ZONES[prefix[1]]) {
+            return StopTimezone.describe(ZIP_PREFIX_ZONES[prefix[1]], 'zip');
+        }
+
+        return stateZone ? StopTimezone.describe(stateZone, 'state') : null;
+    }
+
+    /**
+     * IANA zone from a page hint: a zone name as-is, or an abbreviation such
+     * as "CDT". The state's own zone wins when it shares the abbreviation's
+     * family, so "MST" in Arizona stays America/Phoenix.
+     */
+    static zoneFromHint(hint, stateZone) {
+        if (!hint) return null;
+        const value = String(hint).trim();
+
+        if (/^[A-Za-z]+\/[A-Za-z_\/-]+$/.test(value) && StopTimezone.isValidZone(value)) {
+            return value;
+        }
+
+        const abbreviation = value.toUpperCase().match(/^(AK|[PMCEH])[SD]?T$/);
+        if (!abbreviation) return null;
+
+        const family = abbreviation[1];
+        if (stateZone && (ZONE_ABBREVIATIONS[stateZone] || '').startsWith(family)) {
+            return stateZone;
+        }
+        return ABBREVIATION_ZONES[family];
+    }
+
+    static isValidZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static describe(id, source) {
+        return { id, abbreviation: StopTimezone.abbreviation(id), source };
+    }
+
+    /**
+     * "PT", "CT", ... or the zone's short name from Intl for anything else
+     */
+    static abbreviation(zone) {
+        if (ZONE_ABBREVIATIONS[zone]) return ZONE_ABBREVIATIONS[zone];
+
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+            .formatToParts(new Date())
+            .find(p => p.type === 'timeZoneName');
+        return part ? part.value : null;
+    }
+
+    /**
+     * Minutes the zone is ahead of UTC at an instant
+     */
+    static offsetMinutes(date, zone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * ISO timestamp of an instant in the zone, e.g. 2025-10-21T07:00:00-07:00
+     */
+    static toLocalIso(date, zone) {
+        const offset = StopTimezone.offsetMinutes(date, zone);
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Instant for a wall-clock time ("2025-10-21T07:00") in the zone
+     */
+    static fromLocal(wallClock, zone) {
+        const guess = new Date(`${wallClock.length === 16 ? `${wallClock}:00` : wallClock.slice(0, 19)}Z`);
+        if (isNaN(guess.getTime())) return null;
+
+        // Twice, so a guess on the far side of a DST change settles on the right offset
+        let instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(guess, zone) * 60000);
+        instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(instant, zone) * 60000);
+        return instant;
+    }
+
+    static formatOffset(offset) {
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${sign}${hours}:${minutes}`;
+    }
+}
+
+module.exports = StopTimezone;
+    },
+
+    'models/load-model': function (module, exports, require) {
+/**
+ * Load Model
+ * The canonical load shape every lookup path returns and every formatter
+ * renders from, whether the data came from the QuoteFactory API or the
+ * Puppeteer scraper
+ *
+ * Load:
+ *   { loadReference, status, stops[], commodity: { description, weight, pieces,
+ *     pallets, hazmat, hazmatDetails }, rate: { amount, currency, formatted },
+ *     equipment: { type, length, tarps, temperature: { min, max, unit } },
+ *     distance, references: [{ type, label, value }], notes, source }
+ *
+ * equipment.length is trailer feet and distance is miles, both numbers.
+ * references are the customer's numbers for the load; type is one of
+ * REFERENCE_TYPES, judged from the label ("PO #", "Pickup #").
+ *
+ * Stop (ordered by sequence):
+ *   { sequence, type: 'pickup' | 'delivery' | 'pickup_and_delivery',
+ *     handling: 'drop_and_hook' | 'cross_dock' | null, address: { full,
+ *     lines, city, state, zip }, timezone: { id, abbreviation, source },
+ *     window: { start, end, startUtc, endUtc }, scheduling: 'appointment' |
+ *     'fcfs' | null, notes, classification }
+ *
+ * classification is { source, confidence } on scraped stops: which signal
+ * gave the type (badge, icon, text or position) and how far to trust it.
+ * It is null when the type came straight from the API.
+ *
+ * window.start/end are ISO 8601 timestamps in the stop's own zone carrying
+ * its UTC offset (e.g. 2025-11-03T07:00:00-06:00), so the local wall-clock
+ * time can be read straight from the string; startUtc/endUtc are the same
+ * instants in UTC. timezone is resolved from the page, zip or state (see
+ * stop-timezone.js) and is null when none of them identify the zone.
+ * Unknown values are null, never 'TBD' or 'N/A'.
+ */
+
+const StopTimezone = require('./stop-timezone');
+
+const STOP_TYPES = ['pickup', 'delivery', 'pickup_and_delivery'];
+
+const STOP_LABELS = {
+    pickup: 'Pickup',
+    delivery: 'Delivery',
+    pickup_and_delivery: 'Pickup & Delivery'
+};
+
+const HANDLING_LABELS = {
+    drop_and_hook: 'Drop & hook',
+    cross_dock: 'Cross-dock'
+};
+
+const REFERENCE_TYPES = [
+    ['po', /\bP\.?\s?O\b|purchase\s+order/i],
+    ['bol', /\bB\.?\s?O\.?\s?L\b|bill\s+of\s+lading/i],
+    ['pickup', /\bpick[\s-]?up\b|\bPU\b/i],
+    ['delivery', /\bdeliver(?:y)?\b|\bDEL\b/i],
+    ['order', /\border\b|\bSO\b/i],
+    ['customer', /\bcustomer\b|\bshipper\b|\bref(?:erence)?\b/i]
+];
+
+class LoadModel {
+    /**
+     * Build a load, filling every canonical field
+     */
+    static createLoad(fields = {}) {
+        const stops = (fields.stops || [])
+            .map((stop, index) => LoadModel.createStop({ sequence: index + 1, ...stop }))
+            .sort((a, b) => a.sequence - b.sequence);
+
+        const commodity = fields.commodity || {};
+
+        return {
+            loadReference: fields.loadReference || null,
+            status: fields.status || null,
+            stops,
+            commodity: {
+                description: commodity.description || null,
+                weight: LoadModel.formatWeight(commodity.weight),
+                pieces: LoadModel.parseNumber(commodity.pieces),
+                pallets: LoadModel.parseNumber(commodity.pallets),
+                hazmat: LoadModel.isHazmat(commodity.hazmat),
+                hazmatDetails: LoadModel.hazmatDetails(commodity.hazmat)
+            },
+            rate: LoadModel.createRate(fields.rate),
+            equipment: LoadModel.createEquipment(fields.equipment),
+            distance: LoadModel.parseNumber(fields.distance),
+            references: LoadModel.createReferences(fields.references),
+            notes: fields.notes || null,
+            source: fields.source || null
+        };
+    }
+
+    /**
+     * Build one stop; address may be an object, an array of lines or a string
+     */
+    static createStop(fields = {}) {
+        const address = LoadModel.createAddress(fields.address);
+        const timezone = fields.timezone !== undefined
+            ? fields.timezone
+            : StopTimezone.resolve({ state: address.state, zip: address.zip });
+
+        return {
+            sequence: fields.sequence,
+            type: STOP_TYPES.includes(fields.type) ? fields.type : 'pickup',
+            handling: HANDLING_LABELS[fields.handling] ? fields.handling : null,
+            address,
+            timezone,
+            window: LoadModel.createWindow(fields.window, timezone),
+            scheduling: ['appointment', 'fcfs'].includes(fields.scheduling) ? fields.scheduling : null,
+            notes: fields.notes || null,
+            classification: fields.classification || null
+        };
+    }
+
+    /**
+     * Window in the stop's zone plus UTC. Timestamps with an offset are
+     * instants; ones without ("2025-10-21T07:00") are wall-clock times in
+     * the stop's zone.
+     */
+    static createWindow(window, timezone = null) {
+        const zone = timezone && timezone.id;
+
+        const convert = value => {
+            if (!value) return { local: null, utc: null };
+
+            const hasOffset = /(?:Z|[+-]\d{2}:?\d{2})$/.test(value);
+            const instant = hasOffset
+                ? new Date(value)
+                : zone ? StopTimezone.fromLocal(value, zone) : null;
+
+            if (!instant || isNaN(instant.getTime())) {
+                return { local: hasOffset ? null : value, utc: null };
+            }
+            return {
+                local: zone ? StopTimezone.toLocalIso(instant, zone) : value,
+                utc: instant.toISOString()
+            };
+        };
+
+        const start = convert(window && window.start);
+        const end = convert(window && window.end);
+        return { start: start.local, end: end.local, startUtc: start.utc, endUtc: end.utc };
+    }
+
+    /**
+     * Normalize an address into { full, lines, city, state, zip }
+     */
+    static createAddress(address) {
+        if (!address) {
+            return { full: null, lines: [], city: null, state: null, zip: null };
+        }
+
+        if (typeof address === 'string' || Array.isArray(address)) {
+            const lines = (Array.isArray(address) ? address : address.split(/\n/))
+                .map(line => String(line).trim())
+                .filter(Boolean);
+            const parsed = LoadModel.parseCityStateZip(lines[lines.length - 1] || '');
+
+            return {
+                full: lines.join(', ') || null,
+                lines,
+                city: parsed.city,
+                state: parsed.state,
+                zip: parsed.zip
+            };
+        }
+
+        const street = [address.address1 || address.street, address.address2].filter(Boolean);
+        const state = address.state || address.province || null;
+        const zip = address.zip || address.postalCode || null;
+        const cityLine = [address.city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        const lines = [address.name, ...street, cityLine].filter(Boolean);
+
+        return {
+            full: lines.join(', ') || null,
+            lines,
+            city: address.city || null,
+            state,
+            zip
+        };
+    }
+
+    /**
+     * Split "Memphis, TN 38103" into its parts; unmatched parts are null
+     */
+    static parseCityStateZip(line) {
+        const match = line.match(/^(.+?),\s*([A-Z]{2})\b\.?\s*(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)?\s*$/i);
+        if (!match) {
+            return { city: null, state: null, zip: null };
+        }
+        return {
+            city: match[1].trim(),
+            state: match[2].toUpperCase(),
+            zip: match[3] ? match[3].toUpperCase() : null
+        };
+    }
+
+    /**
+     * Combine a UTC instant with the local time QuoteFactory displayed for it
+     * ("7:00am") into an ISO timestamp with the stop's offset. Used when the
+     * stop's zone cannot be resolved; without a displayed time the instant
+     * is returned in UTC.
+     */
+    static zonedTimestamp(instant, displayedTime) {
+        const date = new Date(instant);
+        if (!instant || isNaN(date.getTime())) return null;
+
+        const shown = String(displayedTime || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+        if (!shown) return date.toISOString();
+
+        let hour = parseInt(shown[1], 10) % (shown[3] ? 12 : 24);
+        if (shown[3] && shown[3].toLowerCase() === 'pm') hour += 12;
+
+        // Offset is whatever separates the shown wall clock from UTC, to the quarter hour
+        let offset = (hour * 60 + parseInt(shown[2], 10)) - (date.getUTCHours() * 60 + date.getUTCMinutes());
+        if (offset > 14 * 60) offset -= 24 * 60;
+        if (offset < -12 * 60) offset += 24 * 60;
+        offset = Math.round(offset / 15) * 15;
+
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Equipment as { type, length, tarps, temperature }; a plain string is the
+     * type, and a length inside it ("Flatbed 48'") is split out
+     */
+    static createEquipment(equipment) {
+        const fields = typeof equipment === 'string' ? { type: equipment } : equipment || {};
+
+        let type = fields.type ? String(fields.type).trim() : null;
+        let length = LoadModel.parseNumber(fields.length);
+        const inType = type && type.match(/\s*\b(\d{2})\s*(?:'|ft\b|foot\b|feet\b)\s*/i);
+        if (inType) {
+            length = length ?? parseInt(inType[1], 10);
+            type = type.replace(inType[0], ' ').trim() || null;
+        }
+
+        return {
+            type,
+            length,
+            tarps: LoadModel.parseTarps(fields.tarps),
+            temperature: LoadModel.parseTemperature(fields.temperature)
+        };
+    }
+
+    /**
+     * Tarp requirement as display text ("6 ft"); null when none are needed
+     */
+    static parseTarps(tarps) {
+        if (tarps === true) return 'Required';
+        if (!tarps || /^(?:no|none|n\/a|false|0)$/i.test(String(tarps).trim())) return null;
+        return String(tarps).trim();
+    }
+
+    /**
+     * Setpoint or range as { min, max, unit } from a number, an object or
+     * text such as "34°F - 38°F", "34-38°F", "-10 to 0 F" or "-10 F". A
+     * minus sign only counts at the start or after a space, so the hyphen
+     * in "34-38" is read as a range.
+     */
+    static parseTemperature(temperature) {
+        if (temperature === null || temperature === undefined || temperature === '') return null;
+
+        if (typeof temperature === 'number') {
+            return { min: temperature, max: temperature, unit: 'F' };
+        }
+        if (typeof temperature === 'object') {
+            const min = LoadModel.parseNumber(temperature.min ?? temperature.setpoint);
+            const max = LoadModel.parseNumber(temperature.max ?? temperature.setpoint) ?? min;
+            return min === null ? null : { min, max, unit: (temperature.unit || 'F').toUpperCase() };
+        }
+
+        const text = String(temperature);
+        const values = (text.match(/(?:(?<=^|[\s(])-)?\d+(?:\.\d+)?/g) || []).map(Number);
+        if (values.length === 0) return null;
+
+        const unit = /°?\s*C\b/.test(text) && !/°?\s*F\b/.test(text) ? 'C' : 'F';
+        return { min: Math.min(...values), max: Math.max(...values), unit };
+    }
+
+    /**
+     * Whether the hazmat field means yes: true, "Yes", "Class 3", "UN1203"
+     */
+    static isHazmat(hazmat) {
+        if (typeof hazmat === 'string') {
+            return hazmat.trim() !== '' && !/^(?:no|none|n\/a|false|non[\s-]?haz(?:mat|ardous)?)$/i.test(hazmat.trim());
+        }
+        return !!hazmat;
+    }
+
+    /**
+     * Class or UN number text when the hazmat field carries more than yes/no
+     */
+    static hazmatDetails(hazmat) {
+        if (!LoadModel.isHazmat(hazmat) || typeof hazmat !== 'string') return null;
+        return /^(?:yes|y|true|hazmat)$/i.test(hazmat.trim()) ? null : hazmat.trim();
+    }
+
+    /**
+     * References as [{ type, label, value }] from objects ({ label, value })
+     * or "PO # 4500123" strings; duplicates of the same value are dropped
+     */
+    static createReferences(references) {
+        const result = [];
+
+        (references || []).forEach(reference => {
+            let label = null;
+            let value = null;
+
+            if (reference && typeof reference === 'object') {
+                label = reference.label || reference.type || null;
+                value = reference.value || reference.number || null;
+            } else if (reference) {
+                const match = String(reference).match(/^(.*?)[\s:#]*([A-Z0-9][\w-]*)$/i);
+                label = match ? match[1].trim() || null : null;
+                value = match ? match[2] : String(reference).trim();
+            }
+
+            value = value ? String(value).trim() : null;
+            if (!value || result.some(existing => existing.value === value)) return;
+
+            label = label ? String(label).replace(/[\s:#]+$/, '').trim() || null : null;
+            const type = (REFERENCE_TYPES.find(([, pattern]) => pattern.test(label || '')) || ['other'])[0];
+            result.push({ type, label, value });
+        });
+
+        return result;
+    }
+
+    /**
+     * A count or measure from a number or text ("1,284 mi", "24"); null otherwise
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        if (value === null || value === undefined) return null;
+
+        const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+
+    /**
+     * Rate as { amount, currency, formatted } from a number or "$3,275.50"
+     */
+    static createRate(rate) {
+        if (rate && typeof rate === 'object') {
+            return LoadModel.createRate(rate.amount ?? rate.formatted);
+        }
+
+        let amount = null;
+        if (typeof rate === 'number') {
+            amount = rate;
+        } else if (typeof rate === 'string' && /\d/.test(rate)) {
+            amount = parseFloat(rate.replace(/[^\d.]/g, ''));
+        }
+
+        if (amount === null || isNaN(amount)) {
+            return { amount: null, currency: 'USD', formatted: null };
+        }
+
+        return {
+            amount,
+            currency: 'USD',
+            formatted: `$${amount.toLocaleString('en-US', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            })}`
+        };
+    }
+
+    /**
+     * Weight as display text, e.g. 41200 -> "41,200 lbs"
+     */
+    static formatWeight(weight) {
+        if (weight === null || weight === undefined || weight === '') return null;
+
+        if (typeof weight === 'number') {
+            return `${weight.toLocaleString('en-US')} lbs`;
+        }
+
+        const text = String(weight).trim();
+        return /^[\d,.]+$/.test(text) ? `${text} lbs` : text;
+    }
+
+    /**
+     * Stops of one type, in sequence order; pickup-and-deliver stops count as both
+     */
+    static stopsOfType(load, type) {
+        return (load?.stops || []).filter(stop => stop.type === type || stop.type === 'pickup_and_delivery');
+    }
+
+    /**
+     * True when the load has at least one pickup to show
+     */
+    static hasStops(load) {
+        return LoadModel.stopsOfType(load, 'pickup').length > 0;
+    }
+
+    /**
+     * "Memphis, TN" or the full address when it could not be parsed
+     */
+    static formatStopLocation(stop) {
+        const { city, state, full } = stop.address;
+        if (city && state) return `${city}, ${state}`;
+        return full || 'TBD';
+    }
+
+    /**
+     * Local date and time range read from the ISO strings, with the zone
+     * abbreviation when known, e.g. "10/21 0700-1500 PT"
+     */
+    static formatStopWindow(stop) {
+        const { start, end } = stop.window;
+        const parts = value => {
+            const match = value && value.match(/^\d{4}-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+            return match ? { date: `${match[1]}/${match[2]}`, time: `${match[3]}${match[4]}` } : null;
+        };
+
+        const from = parts(start);
+        if (!from) return null;
+
+        const to = parts(end);
+        const zone = stop.timezone && stop.timezone.abbreviation ? ` ${stop.timezone.abbreviation}` : '';
+        if (!to || to.time === from.time && to.date === from.date) {
+            return `${from.date} ${from.time}${zone}`;
+        }
+        return to.date === from.date
+            ? `${from.date} ${from.time}-${to.time}${zone}`
+            : `${from.date} ${from.time}-${to.date} ${to.time}${zone}`;
+    }
+
+    /**
+     * "Flatbed 48' (tarps: 6 ft)", "Reefer 53' at 34-38°F"; null when unknown
+     */
+    static formatEquipment(load) {
+        const equipment = load?.equipment;
+        if (!equipment || !equipment.type && !equipment.length) return null;
+
+        let text = [equipment.type, equipment.length ? `${equipment.length}'` : null].filter(Boolean).join(' ');
+        const { temperature } = equipment;
+        if (temperature) {
+            const range = temperature.min === temperature.max ? `${temperature.min}` : `${temperature.min}-${temperature.max}`;
+            text += ` at ${range}°${temperature.unit}`;
+        }
+        if (equipment.tarps) {
+            text += ` (tarps: ${equipment.tarps})`;
+        }
+        return text;
+    }
+
+    /**
+     * Miles as "1,284 mi", or null when unknown
+     */
+    static formatDistance(load) {
+        return typeof load?.distance === 'number' ? `${load.distance.toLocaleString('en-US')} mi` : null;
+    }
+
+    /**
+     * "24 pallets, 480 pieces", or null when neither is known
+     */
+    static formatHandlingUnits(load) {
+        const { pallets, pieces } = load?.commodity || {};
+        const parts = [];
+        if (typeof pallets === 'number') parts.push(`${pallets} pallet${pallets === 1 ? '' : 's'}`);
+        if (typeof pieces === 'number') parts.push(`${pieces} piece${pieces === 1 ? '' : 's'}`);
+        return parts.join(', ') || null;
+    }
+
+    /**
+     * "PO 4500123, Pickup PU-88", or null without references
+     */
+    static formatReferences(load) {
+        const references = load?.references || [];
+        return references.map(ref => ref.label ? `${ref.label} ${ref.value}` : ref.value).join(', ') || null;
+    }
+
+    /**
+     * "Drop & hook" / "Cross-dock", or null for a live stop
+     */
+    static formatHandling(stop) {
+        return HANDLING_LABELS[stop.handling] || null;
+    }
+
+    /**
+     * Display label for a stop type, e.g. "Pickup & Delivery"
+     */
+    static stopLabel(stop) {
+        return STOP_LABELS[stop.type];
+    }
+
+    /**
+     * One line per stop: "Pickup 1: Memphis, TN, 11/03 0700-1100"
+     */
+    static formatStopLines(load) {
+        const counters = {};
+        return (load?.stops || []).map(stop => {
+            counters[stop.type] = (counters[stop.type] || 0) + 1;
+            const window = LoadModel.formatStopWindow(stop) || 'N/A';
+            const handling = stop.handling ? ` (${LoadModel.formatHandling(stop)})` : '';
+            return `${STOP_LABELS[stop.type]} ${counters[stop.type]}: ${LoadModel.formatStopLocation(stop)}, ${window}${handling}`;
+        });
+    }
+}
+
+module.exports = LoadModel;
+    },
+
+    'formatters/response-formatter': function (module, exports, require) {
+/**
+ * Response Formatter Module
+ * Generates professional email responses based on load data
+ */
+
+const LoadModel = require('../models/load-model');
+
+const STOP_HEADINGS = {
+    pickup: 'PICKUP',
+    delivery: 'DELIVERY',
+    pickup_and_delivery: 'PICKUP & DELIVERY'
+};
+
+// responseType reported to Zapier for each scenario
+const RESPONSE_TYPES = {
+    load_found: 'complete_details',
+    load_pending: 'pending_details',
+    no_reference: 'reference_request',
+    error: 'error_response',
+    counter_offer: 'offer_received',
+    truck_availability: 'capacity_acknowledged',
+    booking_confirmation: 'booking_acknowledged',
+    rate_confirmation: 'rate_confirmation_pending',
+    unsubscribe: 'unsubscribe_confirmation'
+};
+
+const EQUIPMENT_NAMES = {
+    van: 'van',
+    reefer: 'reefer',
+    flatbed: 'flatbed',
+    step_deck: 'step deck',
+    power_only: 'power-only unit',
+    hotshot: 'hotshot'
+};
+
 class ResponseFormatter {
     constructor(config = {}) {
-        this.companyName = config.companyName || 'Your Company';
+        this.companyName = config.companyName || 'Balto Booking';
+        this.responseTemplates = {
+            loadFound: config.loadFoundTemplate || this.getDefaultLoadFoundTemplate(),
+            loadPending: config.loadPendingTemplate || this.getDefaultLoadPendingTemplate(),
+            noReference: config.noReferenceTemplate || this.getDefaultNoReferenceTemplate(),
+            error: config.errorTemplate || this.getDefaultErrorTemplate(),
+            counterOffer: {
+                accept: config.counterOfferAcceptTemplate || this.getDefaultCounterOfferAcceptTemplate(),
+                counter: config.counterOfferCounterTemplate || this.getDefaultCounterOfferCounterTemplate(),
+                escalate: config.counterOfferEscalateTemplate || this.getDefaultCounterOfferEscalateTemplate()
+            },
+            truckAvailability: config.truckAvailabilityTemplate || this.getDefaultTruckAvailabilityTemplate(),
+            bookingConfirmation: config.bookingConfirmationTemplate || this.getDefaultBookingConfirmationTemplate(),
+            rateConfirmation: config.rateConfirmationTemplate || this.getDefaultRateConfirmationTemplate(),
+            unsubscribe: config.unsubscribeTemplate || this.getDefaultUnsubscribeTemplate()
+        };
         this.signatureTemplate = config.signatureTemplate || this.getDefaultSignature();
     }
 
+    /**
+     * Format response based on scenario
+     */
     formatResponse(scenario, data = {}) {
         const formatters = {
             'load_found': () => this.formatLoadFoundResponse(data),
             'load_pending': () => this.formatLoadPendingResponse(data),
             'no_reference': () => this.formatNoReferenceResponse(data),
-            'error': () => this.formatErrorResponse(data)
+            'error': () => this.formatErrorResponse(data),
+            'counter_offer': () => this.formatCounterOfferResponse(data),
+            'truck_availability': () => this.formatTruckAvailabilityResponse(data),
+            'booking_confirmation': () => this.formatBookingConfirmationResponse(data),
+            'rate_confirmation': () => this.formatRateConfirmationResponse(data),
+            'unsubscribe': () => this.formatUnsubscribeResponse(data)
         };
 
         const formatter = formatters[scenario];
@@ -43,61 +824,336 @@ class ResponseFormatter {
             throw new Error(`Unknown scenario: ${scenario}`);
         }
 
-        return formatter();
+        const response = formatter();
+        return {
+            ...response,
+            bodyHtml: this.plainTextToHtml(response.body),
+            responseType: RESPONSE_TYPES[scenario],
+            hasLoadData: scenario === 'load_found'
+        };
     }
 
+    /**
+     * Format response when load details are found
+     */
     formatLoadFoundResponse(data) {
         const { loadData, originalSubject, loadReference } = data;
         
         const subject = this.formatSubject(originalSubject, loadReference);
         
-        let body = `Hello,
+        let body = this.responseTemplates.loadFound;
+        
+        // First pickup and final delivery, for templates without {{STOPS}}
+        const pickups = LoadModel.stopsOfType(loadData, 'pickup');
+        const deliveries = LoadModel.stopsOfType(loadData, 'delivery');
+        const firstPickup = pickups[0];
+        const lastDelivery = deliveries[deliveries.length - 1];
+        
+        // Replace placeholders
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body = body.replace('{{STOPS}}', this.formatStops(loadData));
+        body = body.replace('{{PICKUP_LOCATION}}', firstPickup ? LoadModel.formatStopLocation(firstPickup) : 'TBD');
+        body = body.replace('{{PICKUP_DATE}}', (firstPickup && LoadModel.formatStopWindow(firstPickup)) || 'TBD');
+        body = body.replace('{{DELIVERY_LOCATION}}', lastDelivery ? LoadModel.formatStopLocation(lastDelivery) : 'TBD');
+        body = body.replace('{{DELIVERY_DATE}}', (lastDelivery && LoadModel.formatStopWindow(lastDelivery)) || 'TBD');
+        body = body.replace('{{COMMODITY}}', loadData.commodity.description || 'TBD');
+        body = body.replace('{{WEIGHT}}', loadData.commodity.weight || 'TBD');
+        body = body.replace('{{EQUIPMENT}}', LoadModel.formatEquipment(loadData) || 'TBD');
+        body = body.replace('{{RATE}}', loadData.rate.formatted || 'TBD');
+        body = body.replace('{{DISTANCE}}', LoadModel.formatDistance(loadData) || 'TBD');
+        
+        // Optional lines, left out when the load has nothing to show
+        const handlingUnits = LoadModel.formatHandlingUnits(loadData);
+        const references = LoadModel.formatReferences(loadData);
+        body = body.replace('{{HANDLING_UNITS}}', handlingUnits ? `\n• Handling units: ${handlingUnits}` : '');
+        body = body.replace('{{REFERENCES}}', references ? `\n• References: ${references}` : '');
+        
+        // Add any special notes
+        if (loadData.commodity.hazmat) {
+            const details = loadData.commodity.hazmatDetails ? ` (${loadData.commodity.hazmatDetails})` : '';
+            body = body.replace('{{SPECIAL_NOTES}}', `\n⚠️ HAZMAT${details}: This load contains hazardous materials.`);
+        } else {
+            body = body.replace('{{SPECIAL_NOTES}}', '');
+        }
+        
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'load_found',
+                loadReference,
+                hasCompleteData: this.isCompleteData(loadData)
+            }
+        };
+    }
 
-Thank you for your inquiry about load ${loadReference}. Here are the complete details:
+    /**
+     * One block per stop in route order, numbered within each stop type
+     */
+    formatStops(loadData) {
+        const counters = {};
+        
+        return loadData.stops.map(stop => {
+            counters[stop.type] = (counters[stop.type] || 0) + 1;
+            const scheduling = stop.scheduling === 'fcfs' ? ' (FCFS)' : stop.scheduling === 'appointment' ? ' (appointment)' : '';
+            
+            let block = `📍 ${STOP_HEADINGS[stop.type]} ${counters[stop.type]}:
+• Location: ${stop.address.full || LoadModel.formatStopLocation(stop)}
+• Date: ${LoadModel.formatStopWindow(stop) || 'TBD'}${scheduling}`;
+            
+            if (stop.handling) {
+                block += `\n• Handling: ${LoadModel.formatHandling(stop)}`;
+            }
+            
+            if (stop.notes) {
+                block += `\n• Notes: ${stop.notes}`;
+            }
+            
+            return block;
+        }).join('\n\n') || '📍 STOPS: TBD';
+    }
 
-📦 LOAD INFORMATION:
-• Reference: ${loadReference}
-• Equipment: ${loadData.equipment}
-• Commodity: ${loadData.commodity.description}
-• Weight: ${loadData.commodity.weight}`;
+    /**
+     * Format response when load reference found but details pending
+     */
+    formatLoadPendingResponse(data) {
+        const { loadReference, originalSubject } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.loadPending;
+        body = body.replace(/{{LOAD_REFERENCE}}/g, loadReference);
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'load_pending',
+                loadReference
+            }
+        };
+    }
 
-        if (loadData.distance) {
-            body += `\n• Distance: ${loadData.distance}`;
-        }
+    /**
+     * Format response when no load reference is found
+     */
+    formatNoReferenceResponse(data) {
+        const { originalSubject } = data;
+        
+        const subject = `Re: ${originalSubject} - Reference Number Needed`;
+        
+        let body = this.responseTemplates.noReference;
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'no_reference'
+            }
+        };
+    }
 
-        if (loadData.commodity.hazmat) {
-            body += `\n• ⚠️ HAZMAT: This load contains hazardous materials.`;
-        }
+    /**
+     * Format error response
+     */
+    formatErrorResponse(data) {
+        const { originalSubject, errorType } = data;
+        
+        const subject = `Re: ${originalSubject}`;
+        
+        let body = this.responseTemplates.error;
+        body = body.replace('{{ERROR_TYPE}}', errorType || 'processing your request');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'error',
+                errorType
+            }
+        };
+    }
 
-        body += `
+    /**
+     * Format response to a carrier's counter-offer: accept, counter or
+     * escalate, as the negotiator decided. Without a decision the offer
+     * goes to a person.
+     */
+    formatCounterOfferResponse(data) {
+        const { originalSubject, loadReference, fields = {}, negotiation = null } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        const decision = negotiation ? negotiation.decision : 'escalate';
+        const offerText = fields.rate ? fields.rate.text : 'your rate';
+        const offerTotal = negotiation && negotiation.offerTotal !== null ? LoadModel.createRate(negotiation.offerTotal).formatted : null;
+        
+        let body = this.responseTemplates.counterOffer[decision];
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'this load');
+        body = body.replace(/{{OFFER}}/g, offerText);
+        body = body.replace('{{OFFER_TOTAL}}', offerTotal && fields.rate?.unit === 'per_mile' ? ` (${offerTotal} total)` : '');
+        body = body.replace('{{COUNTER_RATE}}', negotiation?.counterRate ? LoadModel.createRate(negotiation.counterRate).formatted : '');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'counter_offer',
+                loadReference,
+                offer: fields.rate || null,
+                decision,
+                counterRate: negotiation ? negotiation.counterRate : null
+            }
+        };
+    }
 
-📍 PICKUP:
-• Location: ${loadData.pickup.location}`;
+    /**
+     * Format response to a carrier reporting an empty truck
+     */
+    formatTruckAvailabilityResponse(data) {
+        const { originalSubject, fields = {} } = data;
+        
+        const subject = this.formatSubject(originalSubject, null);
+        const location = fields.location ? [fields.location.city, fields.location.state].filter(Boolean).join(', ') : null;
+        const truck = fields.equipment ? (EQUIPMENT_NAMES[fields.equipment] || fields.equipment) : 'truck';
+        const details = [location && `in ${location}`, fields.availableWhen].filter(Boolean).join(' ');
+        
+        let body = this.responseTemplates.truckAvailability;
+        body = body.replace('{{TRUCK}}', details ? `${truck} ${details}` : truck);
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'truck_availability',
+                location: fields.location || null,
+                availableWhen: fields.availableWhen || null,
+                equipment: fields.equipment || null
+            }
+        };
+    }
+
+    /**
+     * Format response to a carrier booking a load
+     */
+    formatBookingConfirmationResponse(data) {
+        const { originalSubject, loadReference, fields = {} } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.bookingConfirmation;
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'this load');
+        body = body.replace('{{MC_NOTE}}', fields.mcNumber ? ` We have MC ${fields.mcNumber} for this booking.` : '');
+        body = body.replace('{{MC_REQUEST}}', fields.mcNumber ? '' : '\n• Your MC number');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'booking_confirmation',
+                loadReference,
+                mcNumber: fields.mcNumber || null
+            }
+        };
+    }
+
+    /**
+     * Format response to a rate confirmation request
+     */
+    formatRateConfirmationResponse(data) {
+        const { originalSubject, loadReference } = data;
+        
+        const subject = this.formatSubject(originalSubject, loadReference);
+        
+        let body = this.responseTemplates.rateConfirmation;
+        body = body.replace(/{{LOAD_LABEL}}/g, loadReference ? `load ${loadReference}` : 'your load');
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'rate_confirmation',
+                loadReference
+            }
+        };
+    }
+
+    /**
+     * Format response to an unsubscribe request
+     */
+    formatUnsubscribeResponse(data) {
+        const { originalSubject } = data;
+        
+        const subject = originalSubject ? `Re: ${originalSubject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim()}` : 'Unsubscribe Request';
+        
+        let body = this.responseTemplates.unsubscribe;
+        body += this.signatureTemplate;
+        
+        return {
+            subject,
+            body,
+            metadata: {
+                scenario: 'unsubscribe'
+            }
+        };
+    }
 
-        if (loadData.pickup.date) {
-            body += `\n• Date: ${loadData.pickup.date}`;
+    /**
+     * Format email subject line
+     */
+    formatSubject(originalSubject, loadReference) {
+        if (!originalSubject) {
+            return loadReference ? `Load ${loadReference} - Quote Details` : 'Load Inquiry Response';
         }
 
-        if (loadData.pickup.time) {
-            body += `\n• Time: ${loadData.pickup.time}`;
+        // Clean up subject
+        let subject = originalSubject;
+        subject = subject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim();
+        
+        // Add load reference if not already present
+        if (loadReference && !subject.includes(loadReference)) {
+            subject = `${subject} - Load ${loadReference}`;
         }
+        
+        return `Re: ${subject}`;
+    }
 
-        body += `
+    /**
+     * Check if load data is complete
+     */
+    isCompleteData(loadData) {
+        const hasRoute = LoadModel.stopsOfType(loadData, 'pickup').length > 0 &&
+            LoadModel.stopsOfType(loadData, 'delivery').length > 0;
+        
+        return hasRoute && !!loadData.commodity?.weight && !!loadData.rate?.amount;
+    }
 
-📍 DELIVERY:
-• Location: ${loadData.delivery.location}`;
+    /**
+     * Default templates
+     */
+    getDefaultLoadFoundTemplate() {
+        return `Hello,
 
-        if (loadData.delivery.date) {
-            body += `\n• Date: ${loadData.delivery.date}`;
-        }
+Thank you for your inquiry about load {{LOAD_REFERENCE}}. Here are the complete details:
 
-        if (loadData.delivery.time) {
-            body += `\n• Time: ${loadData.delivery.time}`;
-        }
+📦 LOAD INFORMATION:
+• Reference: {{LOAD_REFERENCE}}
+• Equipment: {{EQUIPMENT}}
+• Commodity: {{COMMODITY}}
+• Weight: {{WEIGHT}}{{HANDLING_UNITS}}
+• Distance: {{DISTANCE}}{{REFERENCES}}{{SPECIAL_NOTES}}
 
-        body += `
+{{STOPS}}
 
-💰 RATE: ${loadData.rate.formatted}
+💰 RATE: {{RATE}}
 
 🚛 CAPACITY CONFIRMATION:
 To confirm availability, please let us know:
@@ -108,26 +1164,12 @@ To confirm availability, please let us know:
 We're ready to book this load immediately upon your confirmation.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'complete_details',
-            hasLoadData: true
-        };
     }
 
-    formatLoadPendingResponse(data) {
-        const { loadReference, originalSubject } = data;
-        
-        const subject = this.formatSubject(originalSubject, loadReference);
-        
-        let body = `Hello,
+    getDefaultLoadPendingTemplate() {
+        return `Hello,
 
-Thank you for your inquiry regarding load ${loadReference}.
+Thank you for your inquiry regarding load {{LOAD_REFERENCE}}.
 
 I've located this load in our system and am pulling the complete details now. You'll receive:
 • Pickup and delivery locations with dates
@@ -140,24 +1182,10 @@ This information will be sent within the next few minutes.
 🚛 QUICK QUESTION: When and where will you be empty for pickup?
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'pending_details',
-            hasLoadData: false
-        };
     }
 
-    formatNoReferenceResponse(data) {
-        const { originalSubject } = data;
-        
-        const subject = `Re: ${originalSubject} - Reference Number Needed`;
-        
-        let body = `Hello,
+    getDefaultNoReferenceTemplate() {
+        return `Hello,
 
 Thank you for reaching out about this load opportunity.
 
@@ -175,26 +1203,12 @@ This will help us:
 Once you provide the reference number, we'll get back to you immediately with our availability and rate.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'reference_request',
-            hasLoadData: false
-        };
     }
 
-    formatErrorResponse(data) {
-        const { originalSubject, errorMessage } = data;
-        
-        const subject = `Re: ${originalSubject}`;
-        
-        let body = `Hello,
+    getDefaultErrorTemplate() {
+        return `Hello,
 
-Thank you for your email. We experienced a temporary issue while processing your request.
+Thank you for your email. We experienced a temporary issue while {{ERROR_TYPE}}.
 
 Our team has been notified and we're working to resolve this quickly. In the meantime, please feel free to:
 • Reply with your load reference number
@@ -204,31 +1218,78 @@ Our team has been notified and we're working to resolve this quickly. In the mea
 We apologize for any inconvenience and look forward to assisting you with this load opportunity.
 
 `;
-        
-        body += this.signatureTemplate;
-        
-        return {
-            subject,
-            body,
-            bodyHtml: this.plainTextToHtml(body),
-            responseType: 'error_response',
-            hasLoadData: false
-        };
     }
 
-    formatSubject(originalSubject, loadReference) {
-        if (!originalSubject) {
-            return loadReference ? `Load ${loadReference} - Quote Details` : 'Load Inquiry Response';
-        }
+    getDefaultCounterOfferAcceptTemplate() {
+        return `Hello,
 
-        let subject = originalSubject;
-        subject = subject.replace(/^(re:|fwd:|fw:)\s*/gi, '').trim();
-        
-        if (loadReference && !subject.includes(loadReference)) {
-            subject = `${subject} - Load ${loadReference}`;
-        }
-        
-        return `Re: ${subject}`;
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}. We accept.
+
+We're preparing the rate confirmation now. Please reply with your MC number, driver name and cell phone, and truck and trailer numbers.
+
+`;
+    }
+
+    getDefaultCounterOfferCounterTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}.
+
+We can do {{COUNTER_RATE}} all in. If that works for you, reply to confirm and we'll send the rate confirmation.
+
+`;
+    }
+
+    getDefaultCounterOfferEscalateTemplate() {
+        return `Hello,
+
+Thank you for your offer of {{OFFER}}{{OFFER_TOTAL}} on {{LOAD_LABEL}}.
+
+A member of our team is reviewing it and will get back to you shortly.
+
+`;
+    }
+
+    getDefaultTruckAvailabilityTemplate() {
+        return `Hello,
+
+Thanks for letting us know you have a {{TRUCK}}.
+
+We're checking our loads for a match and will reach out if we have something that fits. If you have preferred lanes or a target rate, reply and let us know.
+
+`;
+    }
+
+    getDefaultBookingConfirmationTemplate() {
+        return `Hello,
+
+Thank you for confirming {{LOAD_LABEL}}.{{MC_NOTE}}
+
+We're preparing the rate confirmation now. To finish the booking, please reply with:{{MC_REQUEST}}
+• Driver name and cell phone
+• Truck and trailer numbers
+
+`;
+    }
+
+    getDefaultRateConfirmationTemplate() {
+        return `Hello,
+
+Thank you for your email. We're preparing the rate confirmation for {{LOAD_LABEL}} and will send it over shortly.
+
+If anything on the booking has changed, please reply and let us know.
+
+`;
+    }
+
+    getDefaultUnsubscribeTemplate() {
+        return `Hello,
+
+We've received your request and will stop sending you load emails.
+
+If this was a mistake, just reply to this email.
+
+`;
     }
 
     getDefaultSignature() {
@@ -240,6 +1301,9 @@ This is an automated response with real-time load data.
 For immediate assistance, please reply to this email.`;
     }
 
+    /**
+     * HTML version of a plain text reply, with the bullet and section markers in bold
+     */
     plainTextToHtml(plainText) {
         return plainText
             .replace(/&/g, '&amp;')
@@ -251,109 +1315,537 @@ For immediate assistance, please reply to this email.`;
             .replace(/^(•|✓|⚠️)/gm, '<strong>$1</strong>')
             .replace(/^(📦|📍|💰|🚛)/gm, '<strong>$1</strong>');
     }
+
+    /**
+     * Generate plain text version from HTML
+     */
+    htmlToPlainText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/p>/gi, '\n\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .trim();
+    }
+}
+
+module.exports = ResponseFormatter;
+    },
+
+    'parsers/money-parser': function (module, exports, require) {
+/**
+ * Money Parser Module
+ * Reads the rate a carrier is asking for out of an email: "$2,400",
+ * "2400" after an offer phrase or before "all in", "$2.4k", "$3.10/mi all in". Written amounts
+ * win over bare numbers, so a time or zip never beats "$2,400". Per-mile
+ * rates are turned into a total with the load's miles.
+ */
+
+const MONEY_PATTERNS = {
+    amount: /(\$\s?)?\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(\s?k\b)?(?!\d|,\d)/gi,
+
+    // Right after the amount
+    perMile: /^\s*(?:\/\s*(?:loaded\s+)?mi(?:le)?s?\b|per\s+(?:loaded\s+)?mile\b|a\s+mile\b|rpm\b|cpm\b)/i,
+    allIn: /^[^.\n]{0,20}?\ball[\s-]?in\b/i,
+    notMoney: /^\s*(?:miles?\b|mi\b|lbs?\b|pounds\b|ft\b|feet\b|'|pallets?\b|%|am\b|pm\b|hrs?\b|hours?\b)/i,
+
+    // A bare number counts when an offer phrase comes right before it ("can you do 2400",
+    // "Rate 2400") or "all in" right after it ("2400 all in")
+    offerLead: /\b(?:do|take|for|at|make it|need|pay|offer|is|was|be|rate)\s*:?\s*$/i,
+    allInTrail: /^\s*,?\s*all[\s-]?in\b/i,
+    // ...but never a carrier number ("MC is 123456"), a 24-hour time ("at 0800") or a zip
+    carrierNumberLead: /\b(?:MC|DOT|USDOT)\s*(?:#|no\.?|number)?\s*(?:is|:)?\s*$/i,
+    clockTime: /^(?:[01]\d|2[0-3])[0-5]\d$/,
+    clockLead: /\b(?:at|by|before|after|until|pickup|delivery|appt|appointment)\s*$/i,
+
+    // Bare numbers below minBareAmount or longer than maxBareDigits are not rates;
+    // amounts below perMileCeiling without a unit are per mile
+    minBareAmount: 100,
+    maxBareDigits: 4,
+    perMileCeiling: 10
+};
+
+class MoneyParser {
+    constructor(patterns = MONEY_PATTERNS) {
+        this.patterns = patterns;
+    }
+
+    /**
+     * Every amount in the text, in order:
+     *   { amount, currency, unit: 'total' | 'per_mile', allIn, text }
+     */
+    findAmounts(text) {
+        const content = String(text || '');
+        const amounts = [];
+
+        for (const match of content.matchAll(this.patterns.amount)) {
+            const [token, dollar, whole, decimals = '', thousands] = match;
+            const end = match.index + token.length;
+            const after = content.slice(end, end + 40);
+            const before = content.slice(Math.max(0, match.index - 20), match.index);
+
+            if (this.patterns.notMoney.test(after)) continue;
+
+            const perMileUnit = after.match(this.patterns.perMile);
+            const amount = parseFloat(`${whole.replace(/,/g, '')}${decimals}`) * (thousands ? 1000 : 1);
+            const bare = !dollar && !thousands && !perMileUnit;
+            if (!(amount > 0)) continue;
+            if (bare && !this.isBareRate(whole, decimals, amount, before, after)) continue;
+
+            const unitText = perMileUnit ? perMileUnit[0] : '';
+            amounts.push({
+                amount,
+                currency: 'USD',
+                unit: perMileUnit || amount < this.patterns.perMileCeiling ? 'per_mile' : 'total',
+                allIn: this.patterns.allIn.test(after.slice(unitText.length)),
+                text: `${token}${unitText}`.trim()
+            });
+        }
+
+        return amounts;
+    }
+
+    /**
+     * Whether a number with no "$", "k" or per-mile unit is a rate
+     */
+    isBareRate(whole, decimals, amount, before, after) {
+        if (amount < this.patterns.minBareAmount || whole.replace(/,/g, '').length > this.patterns.maxBareDigits) return false;
+        if (!this.patterns.offerLead.test(before) && !this.patterns.allInTrail.test(after)) return false;
+        if (this.patterns.carrierNumberLead.test(before)) return false;
+        if (whole.startsWith('0')) return false;
+        return !(this.patterns.clockTime.test(whole) && !decimals && this.patterns.clockLead.test(before));
+    }
+
+    /**
+     * The rate offered in an email, or null. Amounts written as money
+     * ("$2,400", "2.4k", "3.10/mi") win over bare numbers; amounts whose
+     * text contains one of ignore (the load number) are skipped.
+     */
+    parseOffer(text, { ignore = [] } = {}) {
+        const amounts = this.findAmounts(text)
+            .filter(money => !ignore.some(value => value && money.text.includes(value)));
+        return amounts.find(money => !/^[\d,.]+$/.test(money.text)) || amounts[0] || null;
+    }
+
+    /**
+     * Total for an amount; per-mile rates need the load's miles (null without them)
+     */
+    toTotal(money, miles) {
+        if (!money) return null;
+        if (money.unit !== 'per_mile') return money.amount;
+        return typeof miles === 'number' && miles > 0 ? Math.round(money.amount * miles * 100) / 100 : null;
+    }
 }
 
-// Main Zapier code step function
-const startTime = Date.now();
-const requestId = inputData.request_id || `format_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-try {
-    // Get input data from previous steps
-    const scenario = inputData.scenario || 'error';
-    const loadData = inputData.load_data;
-    const loadReference = inputData.load_reference;
-    const originalSubject = inputData.original_subject || '';
-    const errorMessage = inputData.error_message;
-
-    console.log(`[${requestId}] Starting response formatting`, {
-        scenario,
-        hasLoadData: !!loadData,
-        loadReference,
-        originalSubject
-    });
-
-    // Initialize formatter with configuration
-    const formatter = new ResponseFormatter({
-        companyName: process.env.COMPANY_NAME || 'Your Company',
-        signatureTemplate: process.env.COMPANY_SIGNATURE
-    });
-
-    // Prepare data for formatting
-    const formatData = {
-        loadData,
-        loadReference,
-        originalSubject,
-        errorMessage
+module.exports = { MoneyParser, MONEY_PATTERNS };
+    },
+
+    'negotiation/negotiation-rules': function (module, exports, require) {
+/**
+ * Negotiation Rules
+ * How far we go on a carrier's counter-offer, by default and per load.
+ *
+ * targetRate    what we want to pay; offers at or below it are accepted
+ * maxRate       the most we pay; offers above it after the last counter
+ *               go to a person
+ * counterSteps  one counter per step, each a fraction of the way from
+ *               targetRate to maxRate; when they run out we accept an
+ *               offer up to maxRate or escalate
+ * roundTo       counters are rounded to this many dollars
+ * loads         per-load overrides, keyed by load reference
+ *
+ * targetRate and maxRate are a dollar total (2200), a share of the load's
+ * posted rate ({ ofPostedRate: 1.1 }) or a rate per loaded mile
+ * ({ perMile: 2.75 }). Set NEGOTIATION_RULES to JSON of the same shape to
+ * change them; it is merged over these defaults.
+ */
+
+const DEFAULT_NEGOTIATION_RULES = {
+    targetRate: { ofPostedRate: 1 },
+    maxRate: { ofPostedRate: 1.1 },
+    counterSteps: [0.5, 0.8],
+    roundTo: 25,
+    loads: {}
+};
+
+/**
+ * Dollar amount for a targetRate / maxRate setting, or null when the load
+ * lacks what it is based on
+ */
+function resolveRate(setting, loadData) {
+    if (typeof setting === 'number') return setting;
+    if (!setting || typeof setting !== 'object') return null;
+
+    const posted = loadData?.rate?.amount;
+    const miles = loadData?.distance;
+    if (setting.ofPostedRate !== undefined) return typeof posted === 'number' ? posted * setting.ofPostedRate : null;
+    if (setting.perMile !== undefined) return typeof miles === 'number' && miles > 0 ? miles * setting.perMile : null;
+    return null;
+}
+
+/**
+ * Rules for one load in dollars: { targetRate, maxRate, counterSteps, roundTo }.
+ * targetRate and maxRate are null when they cannot be worked out.
+ */
+function resolveNegotiationRules(config = DEFAULT_NEGOTIATION_RULES, loadReference, loadData) {
+    const merged = {
+        ...DEFAULT_NEGOTIATION_RULES,
+        ...config,
+        ...((config.loads || {})[loadReference] || {})
     };
 
-    // Generate response
-    const response = formatter.formatResponse(scenario, formatData);
-
-    const processingTime = Date.now() - startTime;
-
-    console.log(`[${requestId}] Response formatted in ${processingTime}ms`, {
-        responseType: response.responseType,
-        subjectLength: response.subject.length,
-        bodyLength: response.body.length,
-        hasLoadData: response.hasLoadData
-    });
-
-    // Output for Zapier email sending
-    output = {
-        reply_subject: response.subject,
-        reply_body: response.body,
-        reply_body_html: response.bodyHtml,
-        response_type: response.responseType,
-        has_load_data: response.hasLoadData,
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        // Include metadata for tracking
-        original_scenario: scenario,
-        load_reference: loadReference,
-        // Character counts for Zapier limits
-        subject_length: response.subject.length,
-        body_length: response.body.length,
-        html_length: response.bodyHtml.length
+    const targetRate = resolveRate(merged.targetRate, loadData);
+    const maxRate = resolveRate(merged.maxRate, loadData);
+
+    return {
+        targetRate,
+        maxRate: targetRate !== null && maxRate !== null ? Math.max(maxRate, targetRate) : maxRate,
+        counterSteps: [...merged.counterSteps].sort((a, b) => a - b),
+        roundTo: merged.roundTo
     };
+}
+
+/**
+ * Negotiation settings from NEGOTIATION_RULES (JSON), merged over the defaults
+ */
+function negotiationRulesFromEnv(env = process.env) {
+    if (!env.NEGOTIATION_RULES) return DEFAULT_NEGOTIATION_RULES;
+
+    const config = typeof env.NEGOTIATION_RULES === 'string' ? JSON.parse(env.NEGOTIATION_RULES) : env.NEGOTIATION_RULES;
+    return { ...DEFAULT_NEGOTIATION_RULES, ...config };
+}
+
+module.exports = { DEFAULT_NEGOTIATION_RULES, resolveNegotiationRules, negotiationRulesFromEnv };
+    },
+
+    'negotiation/negotiator': function (module, exports, require) {
+/**
+ * Negotiator Module
+ * Decides what to do with a carrier's counter-offer - accept, counter or
+ * escalate to a person - from the load's negotiation rules and the
+ * counters already sent to that carrier on the load
+ */
+
+const { MoneyParser } = require('../parsers/money-parser');
+const { DEFAULT_NEGOTIATION_RULES, resolveNegotiationRules, negotiationRulesFromEnv } = require('./negotiation-rules');
+
+const NEGOTIATION_DECISIONS = {
+    ACCEPT: 'accept',
+    COUNTER: 'counter',
+    ESCALATE: 'escalate'
+};
+
+class Negotiator {
+    constructor(rules = DEFAULT_NEGOTIATION_RULES) {
+        this.rules = rules;
+        this.moneyParser = new MoneyParser();
+    }
+
+    static fromEnv(env = process.env) {
+        return new Negotiator(negotiationRulesFromEnv(env));
+    }
+
+    /**
+     * { decision, reason, round, offer, offerTotal, counterRate, targetRate, maxRate }
+     * @param {Object} negotiation
+     * @param {Object} negotiation.offer - MoneyParser amount the carrier asked for
+     * @param {string} [negotiation.loadReference]
+     * @param {Object} [negotiation.loadData] - LoadModel load, for the posted rate and miles
+     * @param {Array} [negotiation.history] - Earlier steps with this carrier on this load
+     */
+    decide({ offer, loadReference = null, loadData = null, history = [] }) {
+        const rules = resolveNegotiationRules(this.rules, loadReference, loadData);
+        const countersSent = history.filter(step => step.decision === NEGOTIATION_DECISIONS.COUNTER);
+        const offerTotal = this.moneyParser.toTotal(offer, loadData?.distance);
+        const result = (decision, reason, counterRate = null) => ({
+            decision,
+            reason,
+            round: history.length + 1,
+            offer: offer || null,
+            offerTotal,
+            counterRate,
+            targetRate: rules.targetRate,
+            maxRate: rules.maxRate
+        });
+
+        if (!offer) return result(NEGOTIATION_DECISIONS.ESCALATE, 'no rate found in the offer');
+        if (offerTotal === null) return result(NEGOTIATION_DECISIONS.ESCALATE, 'per-mile offer on a load without miles');
+        if (rules.targetRate === null || rules.maxRate === null) {
+            return result(NEGOTIATION_DECISIONS.ESCALATE, 'no negotiation rules or posted rate for this load');
+        }
 
-} catch (error) {
-    const processingTime = Date.now() - startTime;
-    
-    console.error(`[${requestId}] Response formatting failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
-
-    // Generate fallback response
-    const fallbackSubject = inputData.original_subject ? 
-        `Re: ${inputData.original_subject}` : 
-        'Load Inquiry Response';
-    
-    const fallbackBody = `Hello,
+        if (offerTotal <= rules.targetRate) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer at or below the target rate');
+
+        const step = rules.counterSteps[countersSent.length];
+        if (step !== undefined) {
+            const counterRate = this.roundRate(rules.targetRate + step * (rules.maxRate - rules.targetRate), rules.roundTo);
+            const lastCounter = countersSent.length ? countersSent[countersSent.length - 1].counterRate : null;
+            if (counterRate >= offerTotal) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer at or below our next counter');
+            if (lastCounter === null || counterRate > lastCounter) {
+                return result(NEGOTIATION_DECISIONS.COUNTER, `counter ${countersSent.length + 1} of ${rules.counterSteps.length}`, counterRate);
+            }
+        }
+
+        if (offerTotal <= rules.maxRate) return result(NEGOTIATION_DECISIONS.ACCEPT, 'offer within the maximum rate after our last counter');
+        return result(NEGOTIATION_DECISIONS.ESCALATE, 'offer above the maximum rate after our last counter');
+    }
+
+    /**
+     * Round a rate down to the rounding step so a counter never passes the max
+     */
+    roundRate(rate, roundTo) {
+        if (!roundTo || roundTo <= 0) return Math.round(rate * 100) / 100;
+        return Math.floor(rate / roundTo) * roundTo;
+    }
+}
+
+module.exports = { Negotiator, NEGOTIATION_DECISIONS };
+    },
+
+    'steps/format-email-response.step': function (module, exports, require) {
+/**
+ * Zapier Step: Format Email Response
+ * Step definition the bundler turns into zapier-code-steps/format-email-response.js
+ */
+
+const ResponseFormatter = require('../formatters/response-formatter');
+const { Negotiator } = require('../negotiation/negotiator');
+
+/**
+ * Reply sent when formatting itself fails, so the Zap still answers
+ */
+function fallbackReply(input, companyName) {
+    const subject = input.original_subject ? `Re: ${input.original_subject}` : 'Load Inquiry Response';
+    const body = `Hello,
 
 Thank you for your email. We are processing your inquiry and will respond with details shortly.
 
 Best regards,
-${process.env.COMPANY_NAME || 'Your Company'}
+${companyName}
 
 ---
 Automated response system`;
 
-    output = {
-        reply_subject: fallbackSubject,
-        reply_body: fallbackBody,
-        reply_body_html: fallbackBody.replace(/\n/g, '<br>\n'),
-        response_type: 'fallback',
-        has_load_data: false,
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        original_scenario: inputData.scenario || 'unknown',
-        load_reference: inputData.load_reference,
-        subject_length: fallbackSubject.length,
-        body_length: fallbackBody.length,
-        html_length: fallbackBody.replace(/\n/g, '<br>\n').length
-    };
-}
\ No newline at end of file
+    return { subject, body, bodyHtml: body.replace(/\n/g, '<br>\n') };
+}
+
+module.exports = {
+    name: 'format-email-response',
+    position: 3,
+    title: 'Zapier Code Step 3: Format Email Response',
+    description: 'Generates the email reply for the carrier\'s intent or the load lookup result.',
+
+    inputs: {
+        scenario: { type: 'string', default: 'error', description: 'Response scenario (load_found, load_pending, no_reference, error)' },
+        intent_scenario: { type: 'string', default: '', description: 'Scenario for the carrier\'s intent from the extract step; replaces scenario when set' },
+        intent_fields: { type: 'json', description: 'Fields the intent carries, from the extract step' },
+        load_data: { type: 'json', description: 'Load details (if found)' },
+        load_reference: { type: 'string', description: 'Load reference number' },
+        original_subject: { type: 'string', default: '', description: 'Original email subject' },
+        error_message: { type: 'string', description: 'Error details (if applicable)' },
+        carrier_email: { type: 'string', default: '', description: 'Sender address, so each carrier\'s negotiation on a load is kept apart' },
+        negotiation_history: { type: 'json', default: [], description: 'Earlier negotiation steps with this carrier on this load, as saved from negotiation_history by a Storage by Zapier step' },
+        request_id: { type: 'string', description: 'Request ID for tracking' }
+    },
+
+    env: {
+        COMPANY_NAME: { description: 'Your company name (default: "Your Company")' },
+        COMPANY_SIGNATURE: { description: 'Custom signature block' },
+        NEGOTIATION_RULES: { description: 'Counter-offer rules as JSON: targetRate, maxRate, counterSteps, roundTo, per-load overrides under loads' }
+    },
+
+    outputs: {
+        reply_subject: { type: 'string', description: 'Formatted subject line' },
+        reply_body: { type: 'string', description: 'Complete email body' },
+        reply_body_html: { type: 'string', description: 'HTML version of email body' },
+        response_type: { type: 'string', description: 'Type of response generated' },
+        has_load_data: { type: 'boolean', description: 'Boolean indicating if load details included' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Request ID for tracking' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        error: { type: 'string', description: 'Error details if formatting failed' },
+        original_scenario: { type: 'string', description: 'Scenario the reply was formatted for' },
+        negotiation_decision: { type: 'string', description: 'accept, counter or escalate for a counter-offer (null otherwise)' },
+        counter_rate: { type: 'number', description: 'Rate we countered with (null unless countering)' },
+        negotiation_step: { type: 'string', description: 'This round of the negotiation as JSON (null unless a counter-offer)' },
+        negotiation_history: { type: 'string', description: 'Earlier steps plus this one as JSON, to save under negotiation_key for the next offer' },
+        negotiation_key: { type: 'string', description: 'Storage key for this carrier\'s negotiation on this load' },
+        load_reference: { type: 'string', description: 'Load reference, passed through' },
+        subject_length: { type: 'number', description: 'Subject length in characters' },
+        body_length: { type: 'number', description: 'Body length in characters' },
+        html_length: { type: 'number', description: 'HTML body length in characters' }
+    },
+
+    /**
+     * Render the reply for the carrier's intent, or else the scenario chosen by the lookup step
+     */
+    async run(input, { env }) {
+        const startTime = Date.now();
+        const requestId = input.request_id || `format_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const companyName = env.COMPANY_NAME || 'Your Company';
+        const scenario = input.intent_scenario || input.scenario;
+
+        let response;
+        let negotiation = null;
+        let history = [];
+        let error = null;
+        try {
+            console.log(`[${requestId}] Starting response formatting`, {
+                scenario,
+                hasLoadData: !!input.load_data,
+                loadReference: input.load_reference,
+                originalSubject: input.original_subject
+            });
+
+            // Zapier keeps nothing between runs: earlier rounds come in through
+            // negotiation_history and this round goes out for a Storage step to save
+            if (scenario === 'counter_offer') {
+                history = Array.isArray(input.negotiation_history) ? input.negotiation_history : [];
+                negotiation = Negotiator.fromEnv(env).decide({
+                    offer: (input.intent_fields || {}).rate,
+                    loadReference: input.load_reference,
+                    loadData: input.load_data,
+                    history
+                });
+                negotiation = {
+                    ...negotiation,
+                    carrier: input.carrier_email || null,
+                    emailId: requestId,
+                    at: new Date().toISOString()
+                };
+            }
+
+            const formatter = new ResponseFormatter({
+                companyName,
+                signatureTemplate: env.COMPANY_SIGNATURE
+            });
+            response = formatter.formatResponse(scenario, {
+                loadData: input.load_data,
+                loadReference: input.load_reference,
+                originalSubject: input.original_subject,
+                errorMessage: input.error_message,
+                fields: input.intent_fields || {},
+                negotiation
+            });
+        } catch (formatError) {
+            console.error(`[${requestId}] Response formatting failed:`, { error: formatError.message });
+            error = formatError.message;
+            response = { ...fallbackReply(input, companyName), responseType: 'fallback', hasLoadData: false };
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`[${requestId}] Response formatted in ${processingTime}ms`, {
+            responseType: response.responseType,
+            subjectLength: response.subject.length,
+            bodyLength: response.body.length
+        });
+
+        return {
+            reply_subject: response.subject,
+            reply_body: response.body,
+            reply_body_html: response.bodyHtml,
+            response_type: response.responseType,
+            has_load_data: response.hasLoadData,
+            processing_time_ms: processingTime,
+            request_id: requestId,
+            timestamp: new Date().toISOString(),
+            error,
+            original_scenario: scenario,
+            negotiation_decision: negotiation ? negotiation.decision : null,
+            counter_rate: negotiation ? negotiation.counterRate : null,
+            negotiation_step: negotiation ? JSON.stringify(negotiation) : null,
+            negotiation_history: negotiation ? JSON.stringify([...history, negotiation]) : null,
+            negotiation_key: negotiation && input.load_reference
+                ? `negotiation:${input.load_reference}:${input.carrier_email || 'unknown'}`
+                : null,
+            load_reference: input.load_reference,
+            subject_length: response.subject.length,
+            body_length: response.body.length,
+            html_length: response.bodyHtml.length
+        };
+    }
+};
+    }
+};
+
+// Bundled module registry: each module runs once, CommonJS-style, on first require
+const __cache = {};
+
+function __require(id) {
+    if (!__cache[id]) {
+        const module = { exports: {} };
+        __cache[id] = module;
+        __modules[id](module, module.exports, request => __require(__resolve(id, request)));
+    }
+    return __cache[id].exports;
+}
+
+function __resolve(from, request) {
+    const parts = from.split('/').slice(0, -1);
+    for (const part of request.replace(/\.js$/, '').split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+// Zapier passes inputs as strings; coerce them to the declared type
+function __input(value, type, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (type === 'boolean') return value === true || /^(true|1|yes)$/i.test(String(value));
+    if (type === 'number') return Number(value);
+    if (type === 'json' && typeof value === 'string') {
+        // A malformed mapping gets the default rather than failing the whole step
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+    if (type === 'json') return value;
+    return String(value);
+}
+
+// Inputs declared by the step definition
+const __stepInput = {
+    scenario: __input(inputData.scenario, 'string', "error"),
+    intent_scenario: __input(inputData.intent_scenario, 'string', ""),
+    intent_fields: __input(inputData.intent_fields, 'json', null),
+    load_data: __input(inputData.load_data, 'json', null),
+    load_reference: __input(inputData.load_reference, 'string', null),
+    original_subject: __input(inputData.original_subject, 'string', ""),
+    error_message: __input(inputData.error_message, 'string', null),
+    carrier_email: __input(inputData.carrier_email, 'string', ""),
+    negotiation_history: __input(inputData.negotiation_history, 'json', []),
+    request_id: __input(inputData.request_id, 'string', null)
+};
+
+const __result = await __require('steps/format-email-response.step').run(__stepInput, { env: process.env });
+
+// Outputs declared by the step definition; anything else the step returns is dropped
+output = {
+    reply_subject: __result.reply_subject === undefined ? null : __result.reply_subject,
+    reply_body: __result.reply_body === undefined ? null : __result.reply_body,
+    reply_body_html: __result.reply_body_html === undefined ? null : __result.reply_body_html,
+    response_type: __result.response_type === undefined ? null : __result.response_type,
+    has_load_data: __result.has_load_data === undefined ? null : __result.has_load_data,
+    processing_time_ms: __result.processing_time_ms === undefined ? null : __result.processing_time_ms,
+    request_id: __result.request_id === undefined ? null : __result.request_id,
+    timestamp: __result.timestamp === undefined ? null : __result.timestamp,
+    error: __result.error === undefined ? null : __result.error,
+    original_scenario: __result.original_scenario === undefined ? null : __result.original_scenario,
+    negotiation_decision: __result.negotiation_decision === undefined ? null : __result.negotiation_decision,
+    counter_rate: __result.counter_rate === undefined ? null : __result.counter_rate,
+    negotiation_step: __result.negotiation_step === undefined ? null : __result.negotiation_step,
+    negotiation_history: __result.negotiation_history === undefined ? null : __result.negotiation_history,
+    negotiation_key: __result.negotiation_key === undefined ? null : __result.negotiation_key,
+    load_reference: __result.load_reference === undefined ? null : __result.load_reference,
+    subject_length: __result.subject_length === undefined ? null : __result.subject_length,
+    body_length: __result.body_length === undefined ? null : __result.body_length,
+    html_length: __result.html_length === undefined ? null : __result.html_length
+};
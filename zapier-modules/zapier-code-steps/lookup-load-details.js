@@ -1,45 +1,119 @@
 /**
  * Zapier Code Step 2: Lookup Load Details
- * 
- * This code step authenticates with QuoteFactory via Auth0 and retrieves load details.
- * Uses HTTP requests instead of browser automation for Zapier compatibility.
- * 
- * INPUT FIELDS (from previous step):
- * - load_reference: The extracted load reference
- * - found: Boolean indicating if reference was found
- * - request_id: Request ID from previous step
- * - original_subject: Original email subject
- * - original_body: Original email body
- * 
+ *
+ * Authenticates with QuoteFactory via Auth0 and retrieves load details over HTTP.
+ *
+ * GENERATED FILE - do not edit. Change zapier-modules/steps/lookup-load-details.step.js
+ * (or the modules it requires), then run: npm run build:zapier
+ *
+ * INPUT FIELDS:
+ * - load_reference (string): The extracted load reference
+ * - found (boolean): Boolean indicating if reference was found
+ * - id_type (string): Kind of ID the reference is, from the extract step
+ * - request_id (string): Request ID from previous step
+ * - original_subject (string): Original email subject
+ * - original_body (string): Original email body
+ *
  * ENVIRONMENT VARIABLES (set in Zapier):
- * - AUTH0_DOMAIN: Your Auth0 domain
- * - AUTH0_CLIENT_ID: Auth0 application client ID
- * - AUTH0_CLIENT_SECRET: Auth0 application client secret
+ * - AUTH0_DOMAIN (required): Your Auth0 domain
+ * - AUTH0_CLIENT_ID (required): Auth0 application client ID
+ * - AUTH0_CLIENT_SECRET (required): Auth0 application client secret
  * - AUTH0_AUDIENCE: Auth0 API audience (optional)
- * - QUOTEFACTORY_USERNAME: QuoteFactory login username
- * - QUOTEFACTORY_PASSWORD: QuoteFactory login password
+ * - AUTH0_BASE_URL: Auth0 token endpoint origin (optional)
+ * - QUOTEFACTORY_USERNAME (required): QuoteFactory login username
+ * - QUOTEFACTORY_PASSWORD (required): QuoteFactory login password
  * - QUOTEFACTORY_API_BASE: QuoteFactory API base URL (optional)
- * 
+ *
  * OUTPUT FIELDS:
  * - load_data: Complete load information (null if not found)
  * - lookup_success: Boolean indicating successful lookup
  * - lookup_attempted: Boolean indicating if lookup was attempted
  * - error_message: Error details if lookup failed
- * - processing_time_ms: Time taken to process
+ * - error_code: Lookup error code, e.g. SHIPMENT_NOT_FOUND or AUTH_FAILED
  * - scenario: Response scenario (load_found, load_pending, no_reference, error)
+ * - processing_time_ms: Time taken to process
+ * - request_id: Request ID for tracking
+ * - timestamp: When the step ran
+ * - load_reference: Load reference, passed through
+ * - reference_found: Whether step 1 found a reference, passed through
+ * - original_subject: Original email subject, passed through
+ * - original_body: Original email body, passed through
+ * - has_complete_data: Load has a route, weight and rate
+ *
+ * BUNDLED MODULES: auth/auth0-client, models/stop-timezone, models/load-model, api/quotefactory-api, lookup/load-lookup-provider, lookup/api-provider, steps/lookup-load-details.step
+ */
+
+const __modules = {
+    'auth/auth0-client': function (module, exports, require) {
+/**
+ * Auth0 Authentication Client for QuoteFactory
+ * Handles OAuth2 flow with Auth0 for API access
  */
 
-// Auth0 Client class (embedded for Zapier)
 class Auth0Client {
     constructor(config) {
-        this.domain = config.auth0Domain;
+        this.domain = config.auth0Domain || config.domain;
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
-        this.audience = config.audience || `https://${config.auth0Domain}/api/v2/`;
+        this.audience = config.audience || `https://${this.domain}/api/v2/`;
+        // Token endpoint origin; defaults to the tenant domain, overridable for a mock server
+        this.baseUrl = (config.baseUrl || `https://${this.domain}`).replace(/\/$/, '');
+        this.tokenCache = null;
+        this.tokenExpiry = null;
+    }
+
+    /**
+     * Get access token using client credentials flow
+     * Implements caching to avoid unnecessary auth requests
+     */
+    async getAccessToken() {
+        // Check cache first
+        if (this.tokenCache && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            return this.tokenCache;
+        }
+
+        const tokenUrl = `${this.baseUrl}/oauth/token`;
+        
+        const payload = {
+            grant_type: 'client_credentials',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            audience: this.audience
+        };
+
+        try {
+            const response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new Error(`Auth0 token request failed: ${response.status} - ${error}`);
+            }
+
+            const data = await response.json();
+            
+            // Cache token with expiry
+            this.tokenCache = data.access_token;
+            // Set expiry 5 minutes before actual expiry for safety
+            this.tokenExpiry = new Date(Date.now() + (data.expires_in - 300) * 1000);
+            
+            return data.access_token;
+        } catch (error) {
+            throw new Error(`Auth0 authentication failed: ${error.message}`);
+        }
     }
 
+    /**
+     * Get user authentication token using Resource Owner Password flow
+     * Note: This flow should only be used for trusted applications
+     */
     async getUserToken(username, password) {
-        const tokenUrl = `https://${this.domain}/oauth/token`;
+        const tokenUrl = `${this.baseUrl}/oauth/token`;
         
         const payload = {
             grant_type: 'password',
@@ -51,304 +125,1425 @@ class Auth0Client {
             scope: 'openid profile email'
         };
 
-        const response = await fetch(tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
+        try {
+            const response = await fetch(tokenUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new Error(`Auth0 user authentication failed: ${response.status} - ${error}`);
+            }
+
+            const data = await response.json();
+            return {
+                accessToken: data.access_token,
+                idToken: data.id_token,
+                expiresIn: data.expires_in
+            };
+        } catch (error) {
+            throw new Error(`User authentication failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = Auth0Client;
+    },
+
+    'models/stop-timezone': function (module, exports, require) {
+/**
+ * Stop Timezone
+ * Works out which IANA zone a stop's appointment times are in and converts
+ * between UTC instants and that zone's wall clock, so dates never depend on
+ * the timezone of the machine doing the scraping or formatting
+ *
+ * Resolution order: a zone QuoteFactory put on the page, then the zip code
+ * (for states split across zones), then the state or province.
+ */
+
+const STATE_ZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+    DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+    IA: 'America/Chicago', ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis',
+    KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', MA: 'America/New_York',
+    MD: 'America/New_York', ME: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+    MO: 'America/Chicago', MS: 'America/Chicago', MT: 'America/Denver', NC: 'America/New_York',
+    ND: 'America/Chicago', NE: 'America/Chicago', NH: 'America/New_York', NJ: 'America/New_York',
+    NM: 'America/Denver', NV: 'America/Los_Angeles', NY: 'America/New_York', OH: 'America/New_York',
+    OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', PR: 'America/Puerto_Rico',
+    RI: 'America/New_York', SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago',
+    TX: 'America/Chicago', UT: 'America/Denver', VA: 'America/New_York', VT: 'America/New_York',
+    WA: 'America/Los_Angeles', WI: 'America/Chicago', WV: 'America/New_York', WY: 'America/Denver',
+    // Canadian provinces and territories
+    AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+    NL: 'America/St_Johns', NS: 'America/Halifax', NT: 'America/Yellowknife', NU: 'America/Iqaluit',
+    ON: 'America/Toronto', PE: 'America/Halifax', QC: 'America/Toronto', SK: 'America/Regina',
+    YT: 'America/Whitehorse'
+};
+
+// 3-digit zip prefixes whose zone differs from their state's
+const ZIP_PREFIX_ZONES = {
+    // West Texas (El Paso)
+    798: 'America/Denver', 799: 'America/Denver', 885: 'America/Denver',
+    // Florida panhandle
+    324: 'America/Chicago', 325: 'America/Chicago',
+    // East Tennessee
+    373: 'America/New_York', 374: 'America/New_York', 376: 'America/New_York',
+    377: 'America/New_York', 378: 'America/New_York', 379: 'America/New_York',
+    // Western Kentucky
+    420: 'America/Chicago', 421: 'America/Chicago', 422: 'America/Chicago',
+    423: 'America/Chicago', 424: 'America/Chicago',
+    // Northwest and southwest Indiana
+    463: 'America/Chicago', 464: 'America/Chicago', 476: 'America/Chicago', 477: 'America/Chicago',
+    // Michigan Upper Peninsula (Wisconsin border)
+    498: 'America/Chicago', 499: 'America/Chicago',
+    // Western Dakotas and Nebraska panhandle
+    577: 'America/Denver', 586: 'America/Denver', 693: 'America/Denver',
+    // Eastern Oregon and northern Idaho
+    979: 'America/Boise', 835: 'America/Los_Angeles', 838: 'America/Los_Angeles'
+};
+
+// Generic abbreviations used in outgoing email, e.g. "10/21 0700-1500 PT"
+const ZONE_ABBREVIATIONS = {
+    'America/Los_Angeles': 'PT', 'America/Vancouver': 'PT', 'America/Whitehorse': 'MST',
+    'America/Denver': 'MT', 'America/Boise': 'MT', 'America/Edmonton': 'MT', 'America/Yellowknife': 'MT',
+    'America/Phoenix': 'MST', 'America/Chicago': 'CT', 'America/Winnipeg': 'CT', 'America/Regina': 'CST',
+    'America/New_York': 'ET', 'America/Detroit': 'ET', 'America/Indiana/Indianapolis': 'ET',
+    'America/Toronto': 'ET', 'America/Iqaluit': 'ET', 'America/Halifax': 'AT', 'America/Moncton': 'AT',
+    'America/Puerto_Rico': 'AST', 'America/St_Johns': 'NT', 'America/Anchorage': 'AKT',
+    'Pacific/Honolulu': 'HT'
+};
+
+// Abbreviations QuoteFactory may print next to a time
+const ABBREVIATION_ZONES = {
+    P: 'America/Los_Angeles',
+    M: 'America/Denver',
+    C: 'America/Chicago',
+    E: 'America/New_York',
+    AK: 'America/Anchorage',
+    H: 'Pacific/Honolulu'
+};
+
+class StopTimezone {
+    /**
+     * { id, abbreviation, source } for a stop, or null when nothing identifies
+     * its zone. hint is a zone name or abbreviation read from the page.
+     */
+    static resolve({ hint, state, zip } = {}) {
+        const stateZone = STATE_ZONES[(state || '').toUpperCase()] || null;
+
+        const fromHint = StopTimezone.zoneFromHint(hint, stateZone);
+        if (fromHint) return StopTimezone.describe(fromHint, 'page');
+
+        const prefix = String(zip || '').match(/^(\d{3})\d{2}/);
+        if (prefix && ZIP_PREFIX_ZONES[prefix[1]]) {
+            return StopTimezone.describe(ZIP_PREFIX_ZONES[prefix[1]], 'zip');
+        }
+
+        return stateZone ? StopTimezone.describe(stateZone, 'state') : null;
+    }
+
+    /**
+     * IANA zone from a page hint: a zone name as-is, or an abbreviation such
+     * as "CDT". The state's own zone wins when it shares the abbreviation's
+     * family, so "MST" in Arizona stays America/Phoenix.
+     */
+    static zoneFromHint(hint, stateZone) {
+        if (!hint) return null;
+        const value = String(hint).trim();
+
+        if (/^[A-Za-z]+\/[A-Za-z_\/-]+$/.test(value) && StopTimezone.isValidZone(value)) {
+            return value;
+        }
+
+        const abbreviation = value.toUpperCase().match(/^(AK|[PMCEH])[SD]?T$/);
+        if (!abbreviation) return null;
+
+        const family = abbreviation[1];
+        if (stateZone && (ZONE_ABBREVIATIONS[stateZone] || '').startsWith(family)) {
+            return stateZone;
+        }
+        return ABBREVIATION_ZONES[family];
+    }
+
+    static isValidZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static describe(id, source) {
+        return { id, abbreviation: StopTimezone.abbreviation(id), source };
+    }
+
+    /**
+     * "PT", "CT", ... or the zone's short name from Intl for anything else
+     */
+    static abbreviation(zone) {
+        if (ZONE_ABBREVIATIONS[zone]) return ZONE_ABBREVIATIONS[zone];
+
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+            .formatToParts(new Date())
+            .find(p => p.type === 'timeZoneName');
+        return part ? part.value : null;
+    }
+
+    /**
+     * Minutes the zone is ahead of UTC at an instant
+     */
+    static offsetMinutes(date, zone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * ISO timestamp of an instant in the zone, e.g. 2025-10-21T07:00:00-07:00
+     */
+    static toLocalIso(date, zone) {
+        const offset = StopTimezone.offsetMinutes(date, zone);
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Instant for a wall-clock time ("2025-10-21T07:00") in the zone
+     */
+    static fromLocal(wallClock, zone) {
+        const guess = new Date(`${wallClock.length === 16 ? `${wallClock}:00` : wallClock.slice(0, 19)}Z`);
+        if (isNaN(guess.getTime())) return null;
+
+        // Twice, so a guess on the far side of a DST change settles on the right offset
+        let instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(guess, zone) * 60000);
+        instant = new Date(guess.getTime() - StopTimezone.offsetMinutes(instant, zone) * 60000);
+        return instant;
+    }
+
+    static formatOffset(offset) {
+        const sign = offset < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+        return `${sign}${hours}:${minutes}`;
+    }
+}
+
+module.exports = StopTimezone;
+    },
+
+    'models/load-model': function (module, exports, require) {
+/**
+ * Load Model
+ * The canonical load shape every lookup path returns and every formatter
+ * renders from, whether the data came from the QuoteFactory API or the
+ * Puppeteer scraper
+ *
+ * Load:
+ *   { loadReference, status, stops[], commodity: { description, weight, pieces,
+ *     pallets, hazmat, hazmatDetails }, rate: { amount, currency, formatted },
+ *     equipment: { type, length, tarps, temperature: { min, max, unit } },
+ *     distance, references: [{ type, label, value }], notes, source }
+ *
+ * equipment.length is trailer feet and distance is miles, both numbers.
+ * references are the customer's numbers for the load; type is one of
+ * REFERENCE_TYPES, judged from the label ("PO #", "Pickup #").
+ *
+ * Stop (ordered by sequence):
+ *   { sequence, type: 'pickup' | 'delivery' | 'pickup_and_delivery',
+ *     handling: 'drop_and_hook' | 'cross_dock' | null, address: { full,
+ *     lines, city, state, zip }, timezone: { id, abbreviation, source },
+ *     window: { start, end, startUtc, endUtc }, scheduling: 'appointment' |
+ *     'fcfs' | null, notes, classification }
+ *
+ * classification is { source, confidence } on scraped stops: which signal
+ * gave the type (badge, icon, text or position) and how far to trust it.
+ * It is null when the type came straight from the API.
+ *
+ * window.start/end are ISO 8601 timestamps in the stop's own zone carrying
+ * its UTC offset (e.g. 2025-11-03T07:00:00-06:00), so the local wall-clock
+ * time can be read straight from the string; startUtc/endUtc are the same
+ * instants in UTC. timezone is resolved from the page, zip or state (see
+ * stop-timezone.js) and is null when none of them identify the zone.
+ * Unknown values are null, never 'TBD' or 'N/A'.
+ */
+
+const StopTimezone = require('./stop-timezone');
+
+const STOP_TYPES = ['pickup', 'delivery', 'pickup_and_delivery'];
+
+const STOP_LABELS = {
+    pickup: 'Pickup',
+    delivery: 'Delivery',
+    pickup_and_delivery: 'Pickup & Delivery'
+};
+
+const HANDLING_LABELS = {
+    drop_and_hook: 'Drop & hook',
+    cross_dock: 'Cross-dock'
+};
+
+const REFERENCE_TYPES = [
+    ['po', /\bP\.?\s?O\b|purchase\s+order/i],
+    ['bol', /\bB\.?\s?O\.?\s?L\b|bill\s+of\s+lading/i],
+    ['pickup', /\bpick[\s-]?up\b|\bPU\b/i],
+    ['delivery', /\bdeliver(?:y)?\b|\bDEL\b/i],
+    ['order', /\border\b|\bSO\b/i],
+    ['customer', /\bcustomer\b|\bshipper\b|\bref(?:erence)?\b/i]
+];
+
+class LoadModel {
+    /**
+     * Build a load, filling every canonical field
+     */
+    static createLoad(fields = {}) {
+        const stops = (fields.stops || [])
+            .map((stop, index) => LoadModel.createStop({ sequence: index + 1, ...stop }))
+            .sort((a, b) => a.sequence - b.sequence);
+
+        const commodity = fields.commodity || {};
+
+        return {
+            loadReference: fields.loadReference || null,
+            status: fields.status || null,
+            stops,
+            commodity: {
+                description: commodity.description || null,
+                weight: LoadModel.formatWeight(commodity.weight),
+                pieces: LoadModel.parseNumber(commodity.pieces),
+                pallets: LoadModel.parseNumber(commodity.pallets),
+                hazmat: LoadModel.isHazmat(commodity.hazmat),
+                hazmatDetails: LoadModel.hazmatDetails(commodity.hazmat)
             },
-            body: JSON.stringify(payload)
+            rate: LoadModel.createRate(fields.rate),
+            equipment: LoadModel.createEquipment(fields.equipment),
+            distance: LoadModel.parseNumber(fields.distance),
+            references: LoadModel.createReferences(fields.references),
+            notes: fields.notes || null,
+            source: fields.source || null
+        };
+    }
+
+    /**
+     * Build one stop; address may be an object, an array of lines or a string
+     */
+    static createStop(fields = {}) {
+        const address = LoadModel.createAddress(fields.address);
+        const timezone = fields.timezone !== undefined
+            ? fields.timezone
+            : StopTimezone.resolve({ state: address.state, zip: address.zip });
+
+        return {
+            sequence: fields.sequence,
+            type: STOP_TYPES.includes(fields.type) ? fields.type : 'pickup',
+            handling: HANDLING_LABELS[fields.handling] ? fields.handling : null,
+            address,
+            timezone,
+            window: LoadModel.createWindow(fields.window, timezone),
+            scheduling: ['appointment', 'fcfs'].includes(fields.scheduling) ? fields.scheduling : null,
+            notes: fields.notes || null,
+            classification: fields.classification || null
+        };
+    }
+
+    /**
+     * Window in the stop's zone plus UTC. Timestamps with an offset are
+     * instants; ones without ("2025-10-21T07:00") are wall-clock times in
+     * the stop's zone.
+     */
+    static createWindow(window, timezone = null) {
+        const zone = timezone && timezone.id;
+
+        const convert = value => {
+            if (!value) return { local: null, utc: null };
+
+            const hasOffset = /(?:Z|[+-]\d{2}:?\d{2})$/.test(value);
+            const instant = hasOffset
+                ? new Date(value)
+                : zone ? StopTimezone.fromLocal(value, zone) : null;
+
+            if (!instant || isNaN(instant.getTime())) {
+                return { local: hasOffset ? null : value, utc: null };
+            }
+            return {
+                local: zone ? StopTimezone.toLocalIso(instant, zone) : value,
+                utc: instant.toISOString()
+            };
+        };
+
+        const start = convert(window && window.start);
+        const end = convert(window && window.end);
+        return { start: start.local, end: end.local, startUtc: start.utc, endUtc: end.utc };
+    }
+
+    /**
+     * Normalize an address into { full, lines, city, state, zip }
+     */
+    static createAddress(address) {
+        if (!address) {
+            return { full: null, lines: [], city: null, state: null, zip: null };
+        }
+
+        if (typeof address === 'string' || Array.isArray(address)) {
+            const lines = (Array.isArray(address) ? address : address.split(/\n/))
+                .map(line => String(line).trim())
+                .filter(Boolean);
+            const parsed = LoadModel.parseCityStateZip(lines[lines.length - 1] || '');
+
+            return {
+                full: lines.join(', ') || null,
+                lines,
+                city: parsed.city,
+                state: parsed.state,
+                zip: parsed.zip
+            };
+        }
+
+        const street = [address.address1 || address.street, address.address2].filter(Boolean);
+        const state = address.state || address.province || null;
+        const zip = address.zip || address.postalCode || null;
+        const cityLine = [address.city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        const lines = [address.name, ...street, cityLine].filter(Boolean);
+
+        return {
+            full: lines.join(', ') || null,
+            lines,
+            city: address.city || null,
+            state,
+            zip
+        };
+    }
+
+    /**
+     * Split "Memphis, TN 38103" into its parts; unmatched parts are null
+     */
+    static parseCityStateZip(line) {
+        const match = line.match(/^(.+?),\s*([A-Z]{2})\b\.?\s*(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)?\s*$/i);
+        if (!match) {
+            return { city: null, state: null, zip: null };
+        }
+        return {
+            city: match[1].trim(),
+            state: match[2].toUpperCase(),
+            zip: match[3] ? match[3].toUpperCase() : null
+        };
+    }
+
+    /**
+     * Combine a UTC instant with the local time QuoteFactory displayed for it
+     * ("7:00am") into an ISO timestamp with the stop's offset. Used when the
+     * stop's zone cannot be resolved; without a displayed time the instant
+     * is returned in UTC.
+     */
+    static zonedTimestamp(instant, displayedTime) {
+        const date = new Date(instant);
+        if (!instant || isNaN(date.getTime())) return null;
+
+        const shown = String(displayedTime || '').match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+        if (!shown) return date.toISOString();
+
+        let hour = parseInt(shown[1], 10) % (shown[3] ? 12 : 24);
+        if (shown[3] && shown[3].toLowerCase() === 'pm') hour += 12;
+
+        // Offset is whatever separates the shown wall clock from UTC, to the quarter hour
+        let offset = (hour * 60 + parseInt(shown[2], 10)) - (date.getUTCHours() * 60 + date.getUTCMinutes());
+        if (offset > 14 * 60) offset -= 24 * 60;
+        if (offset < -12 * 60) offset += 24 * 60;
+        offset = Math.round(offset / 15) * 15;
+
+        const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+        return local + StopTimezone.formatOffset(offset);
+    }
+
+    /**
+     * Equipment as { type, length, tarps, temperature }; a plain string is the
+     * type, and a length inside it ("Flatbed 48'") is split out
+     */
+    static createEquipment(equipment) {
+        const fields = typeof equipment === 'string' ? { type: equipment } : equipment || {};
+
+        let type = fields.type ? String(fields.type).trim() : null;
+        let length = LoadModel.parseNumber(fields.length);
+        const inType = type && type.match(/\s*\b(\d{2})\s*(?:'|ft\b|foot\b|feet\b)\s*/i);
+        if (inType) {
+            length = length ?? parseInt(inType[1], 10);
+            type = type.replace(inType[0], ' ').trim() || null;
+        }
+
+        return {
+            type,
+            length,
+            tarps: LoadModel.parseTarps(fields.tarps),
+            temperature: LoadModel.parseTemperature(fields.temperature)
+        };
+    }
+
+    /**
+     * Tarp requirement as display text ("6 ft"); null when none are needed
+     */
+    static parseTarps(tarps) {
+        if (tarps === true) return 'Required';
+        if (!tarps || /^(?:no|none|n\/a|false|0)$/i.test(String(tarps).trim())) return null;
+        return String(tarps).trim();
+    }
+
+    /**
+     * Setpoint or range as { min, max, unit } from a number, an object or
+     * text such as "34°F - 38°F", "34-38°F", "-10 to 0 F" or "-10 F". A
+     * minus sign only counts at the start or after a space, so the hyphen
+     * in "34-38" is read as a range.
+     */
+    static parseTemperature(temperature) {
+        if (temperature === null || temperature === undefined || temperature === '') return null;
+
+        if (typeof temperature === 'number') {
+            return { min: temperature, max: temperature, unit: 'F' };
+        }
+        if (typeof temperature === 'object') {
+            const min = LoadModel.parseNumber(temperature.min ?? temperature.setpoint);
+            const max = LoadModel.parseNumber(temperature.max ?? temperature.setpoint) ?? min;
+            return min === null ? null : { min, max, unit: (temperature.unit || 'F').toUpperCase() };
+        }
+
+        const text = String(temperature);
+        const values = (text.match(/(?:(?<=^|[\s(])-)?\d+(?:\.\d+)?/g) || []).map(Number);
+        if (values.length === 0) return null;
+
+        const unit = /°?\s*C\b/.test(text) && !/°?\s*F\b/.test(text) ? 'C' : 'F';
+        return { min: Math.min(...values), max: Math.max(...values), unit };
+    }
+
+    /**
+     * Whether the hazmat field means yes: true, "Yes", "Class 3", "UN1203"
+     */
+    static isHazmat(hazmat) {
+        if (typeof hazmat === 'string') {
+            return hazmat.trim() !== '' && !/^(?:no|none|n\/a|false|non[\s-]?haz(?:mat|ardous)?)$/i.test(hazmat.trim());
+        }
+        return !!hazmat;
+    }
+
+    /**
+     * Class or UN number text when the hazmat field carries more than yes/no
+     */
+    static hazmatDetails(hazmat) {
+        if (!LoadModel.isHazmat(hazmat) || typeof hazmat !== 'string') return null;
+        return /^(?:yes|y|true|hazmat)$/i.test(hazmat.trim()) ? null : hazmat.trim();
+    }
+
+    /**
+     * References as [{ type, label, value }] from objects ({ label, value })
+     * or "PO # 4500123" strings; duplicates of the same value are dropped
+     */
+    static createReferences(references) {
+        const result = [];
+
+        (references || []).forEach(reference => {
+            let label = null;
+            let value = null;
+
+            if (reference && typeof reference === 'object') {
+                label = reference.label || reference.type || null;
+                value = reference.value || reference.number || null;
+            } else if (reference) {
+                const match = String(reference).match(/^(.*?)[\s:#]*([A-Z0-9][\w-]*)$/i);
+                label = match ? match[1].trim() || null : null;
+                value = match ? match[2] : String(reference).trim();
+            }
+
+            value = value ? String(value).trim() : null;
+            if (!value || result.some(existing => existing.value === value)) return;
+
+            label = label ? String(label).replace(/[\s:#]+$/, '').trim() || null : null;
+            const type = (REFERENCE_TYPES.find(([, pattern]) => pattern.test(label || '')) || ['other'])[0];
+            result.push({ type, label, value });
         });
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Auth0 authentication failed: ${response.status} - ${error}`);
+        return result;
+    }
+
+    /**
+     * A count or measure from a number or text ("1,284 mi", "24"); null otherwise
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        if (value === null || value === undefined) return null;
+
+        const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+
+    /**
+     * Rate as { amount, currency, formatted } from a number or "$3,275.50"
+     */
+    static createRate(rate) {
+        if (rate && typeof rate === 'object') {
+            return LoadModel.createRate(rate.amount ?? rate.formatted);
+        }
+
+        let amount = null;
+        if (typeof rate === 'number') {
+            amount = rate;
+        } else if (typeof rate === 'string' && /\d/.test(rate)) {
+            amount = parseFloat(rate.replace(/[^\d.]/g, ''));
+        }
+
+        if (amount === null || isNaN(amount)) {
+            return { amount: null, currency: 'USD', formatted: null };
         }
 
-        const data = await response.json();
         return {
-            accessToken: data.access_token,
-            idToken: data.id_token,
-            expiresIn: data.expires_in
+            amount,
+            currency: 'USD',
+            formatted: `$${amount.toLocaleString('en-US', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            })}`
         };
     }
+
+    /**
+     * Weight as display text, e.g. 41200 -> "41,200 lbs"
+     */
+    static formatWeight(weight) {
+        if (weight === null || weight === undefined || weight === '') return null;
+
+        if (typeof weight === 'number') {
+            return `${weight.toLocaleString('en-US')} lbs`;
+        }
+
+        const text = String(weight).trim();
+        return /^[\d,.]+$/.test(text) ? `${text} lbs` : text;
+    }
+
+    /**
+     * Stops of one type, in sequence order; pickup-and-deliver stops count as both
+     */
+    static stopsOfType(load, type) {
+        return (load?.stops || []).filter(stop => stop.type === type || stop.type === 'pickup_and_delivery');
+    }
+
+    /**
+     * True when the load has at least one pickup to show
+     */
+    static hasStops(load) {
+        return LoadModel.stopsOfType(load, 'pickup').length > 0;
+    }
+
+    /**
+     * "Memphis, TN" or the full address when it could not be parsed
+     */
+    static formatStopLocation(stop) {
+        const { city, state, full } = stop.address;
+        if (city && state) return `${city}, ${state}`;
+        return full || 'TBD';
+    }
+
+    /**
+     * Local date and time range read from the ISO strings, with the zone
+     * abbreviation when known, e.g. "10/21 0700-1500 PT"
+     */
+    static formatStopWindow(stop) {
+        const { start, end } = stop.window;
+        const parts = value => {
+            const match = value && value.match(/^\d{4}-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+            return match ? { date: `${match[1]}/${match[2]}`, time: `${match[3]}${match[4]}` } : null;
+        };
+
+        const from = parts(start);
+        if (!from) return null;
+
+        const to = parts(end);
+        const zone = stop.timezone && stop.timezone.abbreviation ? ` ${stop.timezone.abbreviation}` : '';
+        if (!to || to.time === from.time && to.date === from.date) {
+            return `${from.date} ${from.time}${zone}`;
+        }
+        return to.date === from.date
+            ? `${from.date} ${from.time}-${to.time}${zone}`
+            : `${from.date} ${from.time}-${to.date} ${to.time}${zone}`;
+    }
+
+    /**
+     * "Flatbed 48' (tarps: 6 ft)", "Reefer 53' at 34-38°F"; null when unknown
+     */
+    static formatEquipment(load) {
+        const equipment = load?.equipment;
+        if (!equipment || !equipment.type && !equipment.length) return null;
+
+        let text = [equipment.type, equipment.length ? `${equipment.length}'` : null].filter(Boolean).join(' ');
+        const { temperature } = equipment;
+        if (temperature) {
+            const range = temperature.min === temperature.max ? `${temperature.min}` : `${temperature.min}-${temperature.max}`;
+            text += ` at ${range}°${temperature.unit}`;
+        }
+        if (equipment.tarps) {
+            text += ` (tarps: ${equipment.tarps})`;
+        }
+        return text;
+    }
+
+    /**
+     * Miles as "1,284 mi", or null when unknown
+     */
+    static formatDistance(load) {
+        return typeof load?.distance === 'number' ? `${load.distance.toLocaleString('en-US')} mi` : null;
+    }
+
+    /**
+     * "24 pallets, 480 pieces", or null when neither is known
+     */
+    static formatHandlingUnits(load) {
+        const { pallets, pieces } = load?.commodity || {};
+        const parts = [];
+        if (typeof pallets === 'number') parts.push(`${pallets} pallet${pallets === 1 ? '' : 's'}`);
+        if (typeof pieces === 'number') parts.push(`${pieces} piece${pieces === 1 ? '' : 's'}`);
+        return parts.join(', ') || null;
+    }
+
+    /**
+     * "PO 4500123, Pickup PU-88", or null without references
+     */
+    static formatReferences(load) {
+        const references = load?.references || [];
+        return references.map(ref => ref.label ? `${ref.label} ${ref.value}` : ref.value).join(', ') || null;
+    }
+
+    /**
+     * "Drop & hook" / "Cross-dock", or null for a live stop
+     */
+    static formatHandling(stop) {
+        return HANDLING_LABELS[stop.handling] || null;
+    }
+
+    /**
+     * Display label for a stop type, e.g. "Pickup & Delivery"
+     */
+    static stopLabel(stop) {
+        return STOP_LABELS[stop.type];
+    }
+
+    /**
+     * One line per stop: "Pickup 1: Memphis, TN, 11/03 0700-1100"
+     */
+    static formatStopLines(load) {
+        const counters = {};
+        return (load?.stops || []).map(stop => {
+            counters[stop.type] = (counters[stop.type] || 0) + 1;
+            const window = LoadModel.formatStopWindow(stop) || 'N/A';
+            const handling = stop.handling ? ` (${LoadModel.formatHandling(stop)})` : '';
+            return `${STOP_LABELS[stop.type]} ${counters[stop.type]}: ${LoadModel.formatStopLocation(stop)}, ${window}${handling}`;
+        });
+    }
 }
 
-// QuoteFactory API Client class (embedded for Zapier)
+module.exports = LoadModel;
+    },
+
+    'api/quotefactory-api': function (module, exports, require) {
+/**
+ * QuoteFactory API Client
+ * Handles all API interactions with QuoteFactory using HTTP requests
+ */
+
+const LoadModel = require('../models/load-model');
+
 class QuoteFactoryAPI {
     constructor(config) {
         this.baseUrl = config.baseUrl || 'https://api.quotefactory.com';
         this.auth0Client = config.auth0Client;
         this.username = config.username;
         this.password = config.password;
+        this.sessionToken = null;
+        this.sessionExpiry = null;
+        this.logger = config.logger || console;
     }
 
-    async searchLoad(loadReference) {
-        // Get authentication token
-        const authResult = await this.auth0Client.getUserToken(
-            this.username,
-            this.password
-        );
+    /**
+     * Initialize session with QuoteFactory
+     */
+    async initialize() {
+        try {
+            // Get Auth0 token
+            const authResult = await this.auth0Client.getUserToken(
+                this.username,
+                this.password
+            );
+
+            this.sessionToken = authResult.accessToken;
+            this.sessionExpiry = new Date(Date.now() + (authResult.expiresIn - 300) * 1000);
+
+            this.logger.log('QuoteFactory session initialized successfully');
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to initialize QuoteFactory session:', error.message);
+            throw new Error(`QuoteFactory initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ensure we have a valid session
+     */
+    async ensureSession() {
+        if (!this.sessionToken || !this.sessionExpiry || new Date() >= this.sessionExpiry) {
+            await this.initialize();
+        }
+    }
+
+    /**
+     * Search for a load by reference number. idType says what kind of ID it
+     * is (parsers/source-profiles.js); anything but a QuoteFactory order #
+     * is searched as an external reference of that type.
+     */
+    async searchLoad(loadReference, { idType = 'quotefactory_order' } = {}) {
+        await this.ensureSession();
 
-        // Search for load
         const searchUrl = `${this.baseUrl}/api/v1/loads/search`;
         
-        const response = await fetch(searchUrl, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authResult.accessToken}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                query: loadReference,
-                searchType: 'reference',
-                includeDetails: true
-            })
-        });
+        try {
+            const response = await fetch(searchUrl, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: loadReference,
+                    searchType: idType === 'quotefactory_order' ? 'reference' : 'external_reference',
+                    ...(idType !== 'quotefactory_order' && { referenceType: idType }),
+                    includeDetails: true
+                })
+            });
+
+            if (!response.ok) {
+                if (response.status === 401) {
+                    // Token expired, retry once
+                    await this.initialize();
+                    return this.searchLoad(loadReference, { idType });
+                }
+                throw new Error(`Search failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            
+            if (data.results && data.results.length > 0) {
+                // Return the first match
+                return this.transformLoadData(data.results[0]);
+            }
 
-        if (!response.ok) {
-            throw new Error(`Load search failed: ${response.status} ${response.statusText}`);
+            return null;
+        } catch (error) {
+            this.logger.error('Load search error:', error.message);
+            throw new Error(`Failed to search load: ${error.message}`);
         }
+    }
 
-        const data = await response.json();
+    /**
+     * Get detailed load information
+     */
+    async getLoadDetails(loadId) {
+        await this.ensureSession();
+
+        const detailsUrl = `${this.baseUrl}/api/v1/loads/${loadId}`;
         
-        if (data.results && data.results.length > 0) {
-            return this.transformLoadData(data.results[0]);
-        }
+        try {
+            const response = await fetch(detailsUrl, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to get load details: ${response.status}`);
+            }
 
-        return null;
+            const data = await response.json();
+            return this.transformLoadData(data);
+        } catch (error) {
+            this.logger.error('Load details error:', error.message);
+            throw new Error(`Failed to get load details: ${error.message}`);
+        }
     }
 
+    /**
+     * Transform API response to the canonical load model
+     */
     transformLoadData(apiData) {
         if (!apiData) return null;
 
-        return {
+        return LoadModel.createLoad({
             loadReference: apiData.referenceNumber || apiData.id,
             status: apiData.status || 'UNKNOWN',
-            pickup: {
-                location: this.formatLocation(apiData.pickupLocation),
-                date: apiData.pickupDate,
-                time: apiData.pickupTime,
-                contact: apiData.pickupContact
-            },
-            delivery: {
-                location: this.formatLocation(apiData.deliveryLocation),
-                date: apiData.deliveryDate,
-                time: apiData.deliveryTime,
-                contact: apiData.deliveryContact
-            },
+            stops: this.transformStops(apiData),
             commodity: {
                 description: apiData.commodity || 'General Freight',
-                weight: this.formatWeight(apiData.weight),
+                weight: apiData.weight,
                 pieces: apiData.pieces,
                 pallets: apiData.pallets,
                 hazmat: apiData.hazmat || false
             },
-            rate: {
-                amount: apiData.rate || apiData.customerRate,
-                currency: 'USD',
-                formatted: this.formatCurrency(apiData.rate || apiData.customerRate)
+            rate: apiData.rate || apiData.customerRate,
+            equipment: {
+                type: apiData.equipmentType || 'Dry Van',
+                length: apiData.equipmentLength || apiData.trailerLength,
+                tarps: apiData.tarps,
+                temperature: apiData.temperature
             },
-            equipment: apiData.equipmentType || 'Dry Van',
-            distance: apiData.distance,
+            distance: apiData.distance ?? apiData.miles,
+            references: apiData.references || apiData.referenceNumbers,
             notes: apiData.notes || '',
-            createdAt: apiData.createdAt,
-            updatedAt: apiData.updatedAt
-        };
+            source: 'quotefactory-api'
+        });
     }
 
-    formatLocation(location) {
-        if (!location) return 'TBD';
-        if (typeof location === 'string') return location;
+    /**
+     * Ordered stops from `stops[]`, or from the flat pickup/delivery fields
+     */
+    transformStops(apiData) {
+        if (Array.isArray(apiData.stops) && apiData.stops.length > 0) {
+            return apiData.stops.map((stop, index) => ({
+                sequence: stop.sequence || index + 1,
+                type: this.stopType(stop.type || stop.stopType),
+                handling: /hook/i.test(stop.handling || stop.type || '') ? 'drop_and_hook'
+                    : /cross/i.test(stop.handling || stop.type || '') ? 'cross_dock' : null,
+                address: stop.location || stop.address,
+                window: {
+                    start: this.toTimestamp(stop.appointmentStart || stop.windowStart || stop.scheduledAt),
+                    end: this.toTimestamp(stop.appointmentEnd || stop.windowEnd)
+                },
+                scheduling: stop.fcfs ? 'fcfs' : (stop.appointmentType || '').toLowerCase() || null,
+                notes: stop.notes || stop.instructions
+            }));
+        }
 
-        const parts = [
-            location.city,
-            location.state || location.province,
-            location.postalCode
-        ].filter(Boolean);
+        return ['pickup', 'delivery']
+            .filter(type => apiData[`${type}Location`])
+            .map((type, index) => ({
+                sequence: index + 1,
+                type,
+                address: apiData[`${type}Location`],
+                window: {
+                    start: this.toTimestamp(apiData[`${type}Date`], apiData[`${type}Time`]),
+                    end: null
+                },
+                notes: apiData[`${type}Contact`] ? `Contact: ${apiData[`${type}Contact`]}` : null
+            }));
+    }
 
-        return parts.join(', ') || 'TBD';
+    /**
+     * Canonical stop type from the API's stop type label
+     */
+    stopType(type) {
+        const value = type || '';
+        if (/pick.*deliver|both/i.test(value)) return 'pickup_and_delivery';
+        return /deliver|drop(?!.*hook)|consignee/i.test(value) ? 'delivery' : 'pickup';
     }
 
-    formatWeight(weight) {
-        if (!weight) return 'TBD';
-        if (typeof weight === 'number') {
-            return `${weight.toLocaleString()} lbs`;
+    /**
+     * ISO timestamp from an API date (and optional time); values that
+     * already carry an offset are kept as sent, others stay wall-clock.
+     * The text is read field by field so the host's timezone never applies.
+     */
+    toTimestamp(date, time) {
+        if (!date) return null;
+
+        const value = time ? `${date} ${time}` : String(date).trim();
+        if (/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+            return value;
         }
-        return weight.toString();
+
+        // No offset: keep the wall-clock time, which LoadModel reads in the stop's zone
+        const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/);
+        const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(.*))?$/);
+        const [year, month, day, clock] = iso
+            ? [iso[1], iso[2], iso[3], iso[4]]
+            : us ? [us[3], us[1], us[2], us[4]] : [];
+        if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        const wallClock = this.parseClock(clock || '00:00');
+        if (!wallClock) return null;
+
+        const pad = n => String(n).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}T${wallClock}`;
     }
 
-    formatCurrency(amount) {
-        if (!amount) return 'TBD';
-        if (typeof amount === 'number') {
-            return `$${amount.toLocaleString('en-US', {
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
-            })}`;
+    /**
+     * "HH:mm:ss" from "14:30", "14:30:15", "2:30 PM" or "7am"; null otherwise
+     */
+    parseClock(text) {
+        const match = String(text).trim()
+            .match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?(?:\.\d+)?\s*(?:([ap])\.?m\.?)?$/i);
+        if (!match || (!match[2] && !match[4])) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const seconds = Number(match[3] || 0);
+        if (match[4]) {
+            if (hours < 1 || hours > 12) return null;
+            hours = hours % 12 + (/p/i.test(match[4]) ? 12 : 0);
         }
-        return amount.toString();
+        if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
     }
-}
 
-// Main Zapier code step function
-const startTime = Date.now();
-const requestId = inputData.request_id || `lookup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-try {
-    // Get input data from previous step
-    const loadReference = inputData.load_reference;
-    const referenceFound = inputData.found;
-    const originalSubject = inputData.original_subject || '';
-    const originalBody = inputData.original_body || '';
-
-    console.log(`[${requestId}] Starting load lookup`, {
-        loadReference,
-        referenceFound,
-        hasCredentials: !!(
-            process.env.AUTH0_DOMAIN && 
-            process.env.AUTH0_CLIENT_ID && 
-            process.env.QUOTEFACTORY_USERNAME
-        )
-    });
-
-    let loadData = null;
-    let lookupAttempted = false;
-    let lookupSuccess = false;
-    let errorMessage = null;
-    let scenario = 'no_reference';
-
-    // Only attempt lookup if we have a reference and credentials
-    if (referenceFound && loadReference) {
-        // Check for required environment variables
-        const requiredEnvVars = [
-            'AUTH0_DOMAIN',
-            'AUTH0_CLIENT_ID', 
-            'AUTH0_CLIENT_SECRET',
-            'QUOTEFACTORY_USERNAME',
-            'QUOTEFACTORY_PASSWORD'
-        ];
-
-        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    /**
+     * Batch search for multiple loads
+     */
+    async searchMultipleLoads(loadReferences) {
+        const results = {};
         
-        if (missingVars.length > 0) {
-            errorMessage = `Missing required environment variables: ${missingVars.join(', ')}`;
-            scenario = 'error';
-            console.error(`[${requestId}] Configuration error:`, errorMessage);
-        } else {
-            lookupAttempted = true;
-            
+        for (const reference of loadReferences) {
             try {
-                // Initialize Auth0 client
-                const auth0Client = new Auth0Client({
-                    auth0Domain: process.env.AUTH0_DOMAIN,
-                    clientId: process.env.AUTH0_CLIENT_ID,
-                    clientSecret: process.env.AUTH0_CLIENT_SECRET,
-                    audience: process.env.AUTH0_AUDIENCE
-                });
-
-                // Initialize QuoteFactory API client
-                const quoteFactoryApi = new QuoteFactoryAPI({
-                    baseUrl: process.env.QUOTEFACTORY_API_BASE,
-                    auth0Client: auth0Client,
-                    username: process.env.QUOTEFACTORY_USERNAME,
-                    password: process.env.QUOTEFACTORY_PASSWORD
-                });
-
-                // Perform load lookup
-                console.log(`[${requestId}] Searching for load: ${loadReference}`);
-                loadData = await quoteFactoryApi.searchLoad(loadReference);
-
-                if (loadData) {
-                    lookupSuccess = true;
-                    scenario = 'load_found';
-                    console.log(`[${requestId}] Load data retrieved successfully`);
-                } else {
-                    scenario = 'load_pending';
-                    console.log(`[${requestId}] Load reference found but no details available`);
-                }
-
+                const loadData = await this.searchLoad(reference);
+                results[reference] = {
+                    success: true,
+                    data: loadData
+                };
             } catch (error) {
-                errorMessage = error.message;
-                scenario = 'error';
-                console.error(`[${requestId}] Lookup failed:`, error.message);
+                results[reference] = {
+                    success: false,
+                    error: error.message
+                };
             }
         }
-    } else if (referenceFound && loadReference) {
-        // Reference found but no credentials configured
-        scenario = 'load_pending';
-        console.log(`[${requestId}] Reference found but lookup not configured`);
-    } else {
-        // No reference found
-        scenario = 'no_reference';
-        console.log(`[${requestId}] No load reference to lookup`);
-    }
-
-    const processingTime = Date.now() - startTime;
-
-    console.log(`[${requestId}] Lookup completed in ${processingTime}ms`, {
-        scenario,
-        lookupAttempted,
-        lookupSuccess,
-        hasLoadData: !!loadData,
-        errorMessage
-    });
-
-    // Output for next Zapier step
-    output = {
-        load_data: loadData,
-        lookup_success: lookupSuccess,
-        lookup_attempted: lookupAttempted,
-        error_message: errorMessage,
-        scenario: scenario,
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        // Pass through data for response formatting
-        load_reference: loadReference,
-        reference_found: referenceFound,
-        original_subject: originalSubject,
-        original_body: originalBody,
-        // Additional metadata
-        has_complete_data: loadData ? this.isCompleteData(loadData) : false
-    };
-
-} catch (error) {
-    const processingTime = Date.now() - startTime;
-    
-    console.error(`[${requestId}] Lookup step failed:`, {
-        error: error.message,
-        processingTimeMs: processingTime
-    });
-
-    // Output error state
-    output = {
-        load_data: null,
-        lookup_success: false,
-        lookup_attempted: true,
-        error_message: error.message,
-        scenario: 'error',
-        processing_time_ms: processingTime,
-        request_id: requestId,
-        timestamp: new Date().toISOString(),
-        // Pass through original data
-        load_reference: inputData.load_reference,
-        reference_found: inputData.found,
-        original_subject: inputData.original_subject || '',
-        original_body: inputData.original_body || '',
-        has_complete_data: false
-    };
+        
+        return results;
+    }
+
+    /**
+     * Health check for API connectivity
+     */
+    async healthCheck() {
+        try {
+            await this.ensureSession();
+            
+            const response = await fetch(`${this.baseUrl}/api/v1/health`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`
+                }
+            });
+
+            return {
+                healthy: response.ok,
+                status: response.status,
+                message: response.ok ? 'API is accessible' : 'API health check failed'
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                status: 0,
+                message: error.message
+            };
+        }
+    }
+}
+
+module.exports = QuoteFactoryAPI;
+    },
+
+    'lookup/load-lookup-provider': function (module, exports, require) {
+/**
+ * Load Lookup Provider
+ * The interface every way of looking up a load implements (browser scrape,
+ * REST API, HTTP search), so callers can chain them without knowing which
+ * one answered
+ *
+ * A provider has a `name`, reports whether the deployment gave it what it
+ * needs through isConfigured(), and resolves lookup(reference) to a
+ * canonical load (models/load-model.js) or rejects with a LookupError.
+ *
+ * context.idType says what kind of ID the reference is (ID_TYPES in
+ * parsers/source-profiles.js); providers that can only search one way
+ * treat every reference as a QuoteFactory order #.
+ */
+
+// Structured failure codes shared by every provider
+const LOOKUP_ERROR_CODES = {
+    NOT_CONFIGURED: 'NOT_CONFIGURED',           // credentials or settings missing for this provider
+    UNAVAILABLE: 'UNAVAILABLE',                 // the provider could not start (no browser, no network)
+    AUTH_FAILED: 'AUTH_FAILED',                 // login or token request rejected
+    NOT_FOUND: 'SHIPMENT_NOT_FOUND',            // the reference matched no load
+    AMBIGUOUS: 'SHIPMENT_AMBIGUOUS',            // the reference matched several loads
+    SELECTOR_BROKEN: 'SELECTOR_BROKEN',         // the QuoteFactory page changed under the scraper
+    DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED',     // the request's time budget ran out
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR'            // anything else QuoteFactory or the provider threw
+};
+
+// A match that needs a person to choose; trying another provider will not help
+const FINAL_CODES = [LOOKUP_ERROR_CODES.AMBIGUOUS];
+
+class LookupError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'LookupError';
+        this.code = code;
+        this.provider = details.provider || null;
+        this.candidates = details.candidates || null;
+        this.cause = details.cause || null;
+    }
+
+    /**
+     * Wrap any error as a LookupError, keeping a known code (scraper errors
+     * already carry one) and falling back to the given code otherwise
+     */
+    static from(error, provider, fallbackCode = LOOKUP_ERROR_CODES.UPSTREAM_ERROR) {
+        if (error instanceof LookupError) {
+            error.provider = error.provider || provider;
+            return error;
+        }
+
+        const known = Object.values(LOOKUP_ERROR_CODES).includes(error?.code);
+        return new LookupError(known ? error.code : fallbackCode, error?.message || String(error), {
+            provider,
+            candidates: error?.candidates,
+            cause: error
+        });
+    }
+
+    /**
+     * Whether the chain should stop here instead of asking the next provider
+     */
+    get final() {
+        return FINAL_CODES.includes(this.code);
+    }
+}
+
+class LoadLookupProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * True when the deployment supplied what this provider needs
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Canonical load for a reference; rejects with a LookupError
+     */
+    async lookup(reference, context = {}) {
+        throw new LookupError(LOOKUP_ERROR_CODES.NOT_CONFIGURED, `${this.name} does not implement lookup()`, { provider: this.name });
+    }
 }
 
-// Helper function to check data completeness
+module.exports = { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES };
+    },
+
+    'lookup/api-provider': function (module, exports, require) {
+/**
+ * QuoteFactory API Lookup Provider
+ * Looks loads up through the REST client in api/quotefactory-api.js
+ */
+
+const Auth0Client = require('../auth/auth0-client');
+const QuoteFactoryAPI = require('../api/quotefactory-api');
+const { LoadLookupProvider, LookupError, LOOKUP_ERROR_CODES } = require('./load-lookup-provider');
+
+class QuoteFactoryApiProvider extends LoadLookupProvider {
+    constructor(api) {
+        super('api');
+        this.api = api;
+    }
+
+    /**
+     * Build from environment variables; without Auth0 and QuoteFactory
+     * credentials the provider reports itself unconfigured
+     *
+     * AUTH0_DOMAIN, AUTH0_CLIENT_ID, AUTH0_CLIENT_SECRET, AUTH0_AUDIENCE (optional)
+     * AUTH0_BASE_URL (optional, token endpoint origin)
+     * QUOTEFACTORY_USERNAME / QF_USERNAME, QUOTEFACTORY_PASSWORD / QF_PASSWORD
+     * QUOTEFACTORY_API_BASE (optional)
+     */
+    static fromEnv(env = process.env) {
+        const username = env.QUOTEFACTORY_USERNAME || env.QF_USERNAME;
+        const password = env.QUOTEFACTORY_PASSWORD || env.QF_PASSWORD;
+        if (!env.AUTH0_DOMAIN || !env.AUTH0_CLIENT_ID || !env.AUTH0_CLIENT_SECRET || !username || !password) {
+            return new QuoteFactoryApiProvider(null);
+        }
+
+        const auth0Client = new Auth0Client({
+            auth0Domain: env.AUTH0_DOMAIN,
+            clientId: env.AUTH0_CLIENT_ID,
+            clientSecret: env.AUTH0_CLIENT_SECRET,
+            audience: env.AUTH0_AUDIENCE,
+            baseUrl: env.AUTH0_BASE_URL
+        });
+
+        return new QuoteFactoryApiProvider(new QuoteFactoryAPI({
+            baseUrl: env.QUOTEFACTORY_API_BASE,
+            auth0Client,
+            username,
+            password
+        }));
+    }
+
+    isConfigured() {
+        return !!this.api;
+    }
+
+    async lookup(reference, context = {}) {
+        try {
+            await this.api.ensureSession();
+        } catch (error) {
+            throw LookupError.from(error, this.name, LOOKUP_ERROR_CODES.AUTH_FAILED);
+        }
+
+        let load;
+        try {
+            load = await this.api.searchLoad(reference, { idType: context.idType });
+        } catch (error) {
+            throw LookupError.from(error, this.name);
+        }
+
+        if (!load) {
+            throw new LookupError(LOOKUP_ERROR_CODES.NOT_FOUND, `No QuoteFactory load found for reference ${reference}`, { provider: this.name });
+        }
+        return load;
+    }
+}
+
+module.exports = QuoteFactoryApiProvider;
+    },
+
+    'steps/lookup-load-details.step': function (module, exports, require) {
+/**
+ * Zapier Step: Lookup Load Details
+ * Step definition the bundler turns into zapier-code-steps/lookup-load-details.js
+ */
+
+const QuoteFactoryApiProvider = require('../lookup/api-provider');
+const { LOOKUP_ERROR_CODES } = require('../lookup/load-lookup-provider');
+
+const REQUIRED_ENV = [
+    'AUTH0_DOMAIN',
+    'AUTH0_CLIENT_ID',
+    'AUTH0_CLIENT_SECRET',
+    'QUOTEFACTORY_USERNAME',
+    'QUOTEFACTORY_PASSWORD'
+];
+
+/**
+ * Route with a pickup and a delivery, a weight and a rate
+ */
 function isCompleteData(loadData) {
     if (!loadData) return false;
-    
-    const requiredFields = [
-        loadData.pickup?.location,
-        loadData.delivery?.location,
-        loadData.commodity?.weight,
-        loadData.rate?.amount
-    ];
-    
-    return requiredFields.every(field => field && field !== 'TBD');
-}
\ No newline at end of file
+
+    const stopTypes = (loadData.stops || []).map(stop => stop.type);
+    const hasRoute = stopTypes.some(type => type === 'pickup' || type === 'pickup_and_delivery') &&
+        stopTypes.some(type => type === 'delivery' || type === 'pickup_and_delivery');
+
+    return hasRoute && !!loadData.commodity?.weight && !!loadData.rate?.amount;
+}
+
+module.exports = {
+    name: 'lookup-load-details',
+    position: 2,
+    title: 'Zapier Code Step 2: Lookup Load Details',
+    description: 'Authenticates with QuoteFactory via Auth0 and retrieves load details over HTTP.',
+
+    inputs: {
+        load_reference: { type: 'string', description: 'The extracted load reference' },
+        found: { type: 'boolean', default: false, description: 'Boolean indicating if reference was found' },
+        id_type: { type: 'string', default: 'quotefactory_order', description: 'Kind of ID the reference is, from the extract step' },
+        request_id: { type: 'string', description: 'Request ID from previous step' },
+        original_subject: { type: 'string', default: '', description: 'Original email subject' },
+        original_body: { type: 'string', default: '', description: 'Original email body' }
+    },
+
+    env: {
+        AUTH0_DOMAIN: { required: true, description: 'Your Auth0 domain' },
+        AUTH0_CLIENT_ID: { required: true, description: 'Auth0 application client ID' },
+        AUTH0_CLIENT_SECRET: { required: true, description: 'Auth0 application client secret' },
+        AUTH0_AUDIENCE: { description: 'Auth0 API audience (optional)' },
+        AUTH0_BASE_URL: { description: 'Auth0 token endpoint origin (optional)' },
+        QUOTEFACTORY_USERNAME: { required: true, description: 'QuoteFactory login username' },
+        QUOTEFACTORY_PASSWORD: { required: true, description: 'QuoteFactory login password' },
+        QUOTEFACTORY_API_BASE: { description: 'QuoteFactory API base URL (optional)' }
+    },
+
+    outputs: {
+        load_data: { type: 'json', description: 'Complete load information (null if not found)' },
+        lookup_success: { type: 'boolean', description: 'Boolean indicating successful lookup' },
+        lookup_attempted: { type: 'boolean', description: 'Boolean indicating if lookup was attempted' },
+        error_message: { type: 'string', description: 'Error details if lookup failed' },
+        error_code: { type: 'string', description: 'Lookup error code, e.g. SHIPMENT_NOT_FOUND or AUTH_FAILED' },
+        scenario: { type: 'string', description: 'Response scenario (load_found, load_pending, no_reference, error)' },
+        processing_time_ms: { type: 'number', description: 'Time taken to process' },
+        request_id: { type: 'string', description: 'Request ID for tracking' },
+        timestamp: { type: 'string', description: 'When the step ran' },
+        load_reference: { type: 'string', description: 'Load reference, passed through' },
+        reference_found: { type: 'boolean', description: 'Whether step 1 found a reference, passed through' },
+        original_subject: { type: 'string', description: 'Original email subject, passed through' },
+        original_body: { type: 'string', description: 'Original email body, passed through' },
+        has_complete_data: { type: 'boolean', description: 'Load has a route, weight and rate' }
+    },
+
+    /**
+     * Look the reference up through the QuoteFactory API. A load that is
+     * not found yet is load_pending; any other failure is error.
+     */
+    async run(input, { env }) {
+        const startTime = Date.now();
+        const requestId = input.request_id || `lookup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const loadReference = input.load_reference;
+        const referenceFound = input.found;
+
+        const result = {
+            load_data: null,
+            lookup_success: false,
+            lookup_attempted: false,
+            error_message: null,
+            error_code: null,
+            scenario: 'no_reference'
+        };
+
+        console.log(`[${requestId}] Starting load lookup`, {
+            loadReference,
+            referenceFound,
+            hasCredentials: !!(env.AUTH0_DOMAIN && env.AUTH0_CLIENT_ID && env.QUOTEFACTORY_USERNAME)
+        });
+
+        if (referenceFound && loadReference) {
+            const missingVars = REQUIRED_ENV.filter(name => !env[name]);
+
+            if (missingVars.length > 0) {
+                result.error_message = `Missing required environment variables: ${missingVars.join(', ')}`;
+                result.error_code = LOOKUP_ERROR_CODES.NOT_CONFIGURED;
+                result.scenario = 'error';
+                console.error(`[${requestId}] Configuration error:`, result.error_message);
+            } else {
+                result.lookup_attempted = true;
+
+                try {
+                    console.log(`[${requestId}] Searching for load: ${loadReference} (${input.id_type})`);
+                    result.load_data = await QuoteFactoryApiProvider.fromEnv(env).lookup(loadReference, { idType: input.id_type });
+                    result.lookup_success = true;
+                    result.scenario = 'load_found';
+                    console.log(`[${requestId}] Load data retrieved successfully`);
+                } catch (error) {
+                    result.error_code = error.code || LOOKUP_ERROR_CODES.UPSTREAM_ERROR;
+                    if (error.code === LOOKUP_ERROR_CODES.NOT_FOUND) {
+                        result.scenario = 'load_pending';
+                        console.log(`[${requestId}] Load reference found but no details available`);
+                    } else {
+                        result.error_message = error.message;
+                        result.scenario = 'error';
+                        console.error(`[${requestId}] Lookup failed:`, error.message);
+                    }
+                }
+            }
+        } else {
+            console.log(`[${requestId}] No load reference to lookup`);
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`[${requestId}] Lookup completed in ${processingTime}ms`, {
+            scenario: result.scenario,
+            lookupAttempted: result.lookup_attempted,
+            lookupSuccess: result.lookup_success,
+            errorCode: result.error_code
+        });
+
+        return {
+            ...result,
+            processing_time_ms: processingTime,
+            request_id: requestId,
+            timestamp: new Date().toISOString(),
+            load_reference: loadReference,
+            reference_found: referenceFound,
+            original_subject: input.original_subject,
+            original_body: input.original_body,
+            has_complete_data: isCompleteData(result.load_data)
+        };
+    }
+};
+    }
+};
+
+// Bundled module registry: each module runs once, CommonJS-style, on first require
+const __cache = {};
+
+function __require(id) {
+    if (!__cache[id]) {
+        const module = { exports: {} };
+        __cache[id] = module;
+        __modules[id](module, module.exports, request => __require(__resolve(id, request)));
+    }
+    return __cache[id].exports;
+}
+
+function __resolve(from, request) {
+    const parts = from.split('/').slice(0, -1);
+    for (const part of request.replace(/\.js$/, '').split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+// Zapier passes inputs as strings; coerce them to the declared type
+function __input(value, type, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (type === 'boolean') return value === true || /^(true|1|yes)$/i.test(String(value));
+    if (type === 'number') return Number(value);
+    if (type === 'json' && typeof value === 'string') {
+        // A malformed mapping gets the default rather than failing the whole step
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+    if (type === 'json') return value;
+    return String(value);
+}
+
+// Inputs declared by the step definition
+const __stepInput = {
+    load_reference: __input(inputData.load_reference, 'string', null),
+    found: __input(inputData.found, 'boolean', false),
+    id_type: __input(inputData.id_type, 'string', "quotefactory_order"),
+    request_id: __input(inputData.request_id, 'string', null),
+    original_subject: __input(inputData.original_subject, 'string', ""),
+    original_body: __input(inputData.original_body, 'string', "")
+};
+
+const __result = await __require('steps/lookup-load-details.step').run(__stepInput, { env: process.env });
+
+// Outputs declared by the step definition; anything else the step returns is dropped
+output = {
+    load_data: __result.load_data === undefined ? null : __result.load_data,
+    lookup_success: __result.lookup_success === undefined ? null : __result.lookup_success,
+    lookup_attempted: __result.lookup_attempted === undefined ? null : __result.lookup_attempted,
+    error_message: __result.error_message === undefined ? null : __result.error_message,
+    error_code: __result.error_code === undefined ? null : __result.error_code,
+    scenario: __result.scenario === undefined ? null : __result.scenario,
+    processing_time_ms: __result.processing_time_ms === undefined ? null : __result.processing_time_ms,
+    request_id: __result.request_id === undefined ? null : __result.request_id,
+    timestamp: __result.timestamp === undefined ? null : __result.timestamp,
+    load_reference: __result.load_reference === undefined ? null : __result.load_reference,
+    reference_found: __result.reference_found === undefined ? null : __result.reference_found,
+    original_subject: __result.original_subject === undefined ? null : __result.original_subject,
+    original_body: __result.original_body === undefined ? null : __result.original_body,
+    has_complete_data: __result.has_complete_data === undefined ? null : __result.has_complete_data
+};